@@ -1,13 +1,191 @@
 // lib/BatchProcessor.js
+//
+// Runs async work with bounded concurrency. processBatches() works through a
+// fixed list in batches; processInOrder() pulls from an (async) iterable and
+// keeps up to `concurrency` items in flight, lowering the limit when callers
+// report rate limiting and raising it again after a run of successes.
 class BatchProcessor {
     constructor(options = {}) {
       this.batchSize = options.batchSize || 10;
       this.maxConcurrentBatches = options.maxConcurrentBatches || 3;
       
+      // Adaptive concurrency for processInOrder()
+      this.maxConcurrency = options.maxConcurrency || options.concurrency || this.maxConcurrentBatches;
+      this.minConcurrency = Math.min(options.minConcurrency || 1, this.maxConcurrency);
+      this.concurrency = Math.min(options.concurrency || this.maxConcurrency, this.maxConcurrency);
+      this.backoffMs = options.backoffMs || 1000;
+      this.maxBackoffMs = options.maxBackoffMs || 60000;
+      this.increaseAfter = options.increaseAfter || 5; // successes before the limit goes back up
+      this._successStreak = 0;
+      this._backoffStep = 0;
+      this._pausedUntil = 0;
+      this._lastDecreaseAt = 0;
+      this._stopped = false;
+      
+      // Aborted when the caller of processInOrder() stops iterating early
+      this.signal = null;
+      
       // Callbacks
       this.onProgress = options.onProgress || (() => {});
       this.onComplete = options.onComplete || (() => {});
       this.onError = options.onError || (() => {});
+      this.onConcurrencyChange = options.onConcurrencyChange || (() => {});
+    }
+    
+    /**
+     * Process items from an iterable or async iterable with adaptive
+     * concurrency, yielding each item's outcome in input order.
+     *
+     * Items are only pulled from the source when a slot is free, so a lazy
+     * source is never read far ahead. Items whose processor throws are
+     * reported to onError and yielded with their error, so callers can count
+     * them. After stop() no new items are started; items already running
+     * finish and are still yielded. When the caller stops iterating early,
+     * the processor's signal is aborted and the generator waits for running
+     * items to settle before it returns.
+     *
+     * @param {Iterable|AsyncIterable} source - Items to process
+     * @param {Function} processor - async (item, index, { signal }) => result
+     * @yields {Object} { item, index, result } or { item, index, error }
+     */
+    async *processInOrder(source, processor) {
+      const iterator = source[Symbol.asyncIterator]
+        ? source[Symbol.asyncIterator]()
+        : source[Symbol.iterator]();
+      const stats = { processed: 0, failed: 0 };
+      const pending = [];
+      const controller = new AbortController();
+      let inFlight = 0;
+      let index = 0;
+      let exhausted = false;
+      
+      this._stopped = false;
+      this.signal = controller.signal;
+      
+      try {
+        while (true) {
+          // Start new items while there is a free slot. Finished results
+          // waiting behind a slow item also count, to bound memory.
+          while (!exhausted && !this._stopped && inFlight < this.concurrency && pending.length < this.maxConcurrency * 2) {
+            await this._waitForBackoff();
+            if (this._stopped) break;
+            const next = await iterator.next();
+            if (next.done) {
+              exhausted = true;
+              break;
+            }
+            
+            const entry = { item: next.value, index: index++, settled: false };
+            inFlight++;
+            entry.task = Promise.resolve()
+              .then(() => processor(entry.item, entry.index, { signal: controller.signal }))
+              .then(result => ({ result }), error => ({ error }))
+              .then(outcome => {
+                entry.settled = true;
+                inFlight--;
+                return outcome;
+              });
+            pending.push(entry);
+          }
+          
+          if (pending.length === 0) break;
+          
+          // Wait for the next result in order, or for any slot to free up
+          if (!pending[0].settled) {
+            await Promise.race(pending.filter(p => !p.settled).map(p => p.task));
+            continue;
+          }
+          
+          const { item, index: itemIndex, task } = pending.shift();
+          const outcome = await task;
+          stats.processed++;
+          if (outcome.error) {
+            stats.failed++;
+            this.onError(outcome.error, item);
+          }
+          this.onProgress({ processed: stats.processed, failed: stats.failed, concurrency: this.concurrency });
+          
+          yield { item, index: itemIndex, ...outcome };
+        }
+      } finally {
+        // The caller stopped early: tell running items nobody will read their
+        // results, and do not return while they are still running
+        if (pending.length > 0) {
+          controller.abort();
+          await Promise.all(pending.map(p => p.task));
+        }
+        
+        // Stop a lazy source when the consumer stops early
+        if (!exhausted && typeof iterator.return === 'function') {
+          await iterator.return();
+        }
+      }
+      
+      this.onComplete({ processed: stats.processed, failed: stats.failed, stopped: this._stopped });
+    }
+    
+    // Start no new items in the running processInOrder(); items already
+    // started still finish and are yielded
+    stop() {
+      this._stopped = true;
+    }
+    
+    /**
+     * Lower the concurrency limit after a rate-limit signal.
+     *
+     * A 'throttled' event (HTTP 429) halves the limit and pauses new work for
+     * retryAfterMs or an exponential backoff. A 'pressure' event (little
+     * headroom left) steps the limit down by one, at most once per backoffMs,
+     * and pauses for resetMs when given.
+     *
+     * @param {Object} event - { type, retryAfterMs, resetMs }
+     */
+    reportRateLimit(event = {}) {
+      const now = Date.now();
+      const previous = this.concurrency;
+      
+      if (event.type === 'pressure') {
+        if (now - this._lastDecreaseAt >= this.backoffMs) {
+          this.concurrency = Math.max(this.minConcurrency, this.concurrency - 1);
+          this._lastDecreaseAt = now;
+        }
+        if (event.resetMs) {
+          this._pausedUntil = Math.max(this._pausedUntil, now + Math.min(event.resetMs, this.maxBackoffMs));
+        }
+      } else {
+        this.concurrency = Math.max(this.minConcurrency, Math.floor(this.concurrency / 2));
+        this._lastDecreaseAt = now;
+        const backoff = Math.min(this.backoffMs * Math.pow(2, this._backoffStep++), this.maxBackoffMs);
+        this._pausedUntil = Math.max(this._pausedUntil, now + (event.retryAfterMs || backoff));
+      }
+      
+      this._successStreak = 0;
+      if (this.concurrency !== previous) {
+        console.warn(`Rate limit (${event.type || 'throttled'}): concurrency ${previous} -> ${this.concurrency}`);
+        this.onConcurrencyChange({ concurrency: this.concurrency, previous, reason: event.type || 'throttled' });
+      }
+    }
+    
+    // Raise the limit by one after increaseAfter successes in a row
+    reportSuccess() {
+      this._successStreak++;
+      if (this._successStreak < this.increaseAfter) return;
+      
+      this._successStreak = 0;
+      this._backoffStep = 0;
+      if (this.concurrency < this.maxConcurrency) {
+        const previous = this.concurrency;
+        this.concurrency++;
+        this.onConcurrencyChange({ concurrency: this.concurrency, previous, reason: 'recovered' });
+      }
+    }
+    
+    async _waitForBackoff() {
+      const waitTime = this._pausedUntil - Date.now();
+      if (waitTime > 0) {
+        console.log(`Backing off for ${waitTime}ms before starting more work`);
+        await new Promise(r => setTimeout(r, waitTime));
+      }
     }
     
     async processBatches(items, processor) {
@@ -1,4 +1,8 @@
 // lib/ModelApiClient.js
+//
+// HTTP transport shared by the LLM providers in src/lib/providers. A provider
+// describes its request shape (URL, headers, body) and how to read the
+// response; this client owns retries, backoff and client-side rate limiting.
 class ModelApiClient {
     constructor(options = {}) {
       this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
@@ -6,6 +10,9 @@ class ModelApiClient {
       this.maxRetries = options.maxRetries || 3;
       this.retryDelay = options.retryDelay || 1000;
       
+      // Provider that shapes requests and parses responses (raw OpenAI if unset)
+      this.provider = options.provider || null;
+      
       // Rate limiting settings
       this.requestsPerMinute = options.requestsPerMinute || 3500;
       this.tokensPerMinute = options.tokensPerMinute || 90000;
@@ -14,6 +21,21 @@ class ModelApiClient {
       
       // Keep track of when rate limits reset
       this.lastRateLimitReset = Date.now();
+      
+      // Limits reported by the API in rate-limit response headers
+      this.serverLimits = null;
+      
+      // Listeners told about 429s and low rate-limit headroom
+      this.rateLimitListeners = [];
+    }
+    
+    // Subscribe to rate-limit events ({ type: 'throttled' | 'pressure', ... });
+    // returns an unsubscribe function
+    onRateLimit(listener) {
+      this.rateLimitListeners.push(listener);
+      return () => {
+        this.rateLimitListeners = this.rateLimitListeners.filter(l => l !== listener);
+      };
     }
     
     async makeRequest(modelId, messages, options = {}) {
@@ -21,13 +43,26 @@ class ModelApiClient {
       console.log(`Making request to model: ${modelId}`);
       console.log(`First few characters of input: ${messages[messages.length - 1].content.substring(0, 100)}...`);
       
-      // Create request payload
-      const payload = {
-        model: modelId,
-        messages,
-        ...options
-      };
+      // Create request payload. Providers translate the OpenAI-style payload
+      // into their own request shape; without a provider it is sent as-is.
+      const request = this.provider
+        ? this.provider.buildRequest({ model: modelId, messages, ...options })
+        : {
+            url: this.baseUrl,
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${this.apiKey}`
+            },
+            body: { model: modelId, messages, ...options }
+          };
+      
+      const data = await this.send(request);
       
+      return this.provider ? this.provider.parseResponse(data, request) : data;
+    }
+    
+    // Send a prepared { url, headers, body } request with retries and rate limiting
+    async send(request) {
       // Control rate limiting
       await this._waitForRateLimit();
       
@@ -35,22 +70,32 @@ class ModelApiClient {
       let attempt = 0;
       while (attempt < this.maxRetries) {
         try {
-          console.log(`Attempt ${attempt + 1}/${this.maxRetries} - Sending request to OpenAI API`);
+          console.log(`Attempt ${attempt + 1}/${this.maxRetries} - Sending request to ${request.url}`);
           
-          const response = await fetch(this.baseUrl, {
+          const response = await fetch(request.url, {
             method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${this.apiKey}`
-            },
-            body: JSON.stringify(payload)
+            headers: request.headers,
+            body: JSON.stringify(request.body)
           });
           
+          this._trackRateLimitHeaders(response.headers);
+          
           // Handle rate limiting errors
           if (response.status === 429) {
-            const retryAfter = parseInt(response.headers.get('Retry-After') || '5');
-            console.warn(`Rate limit hit. Retrying in ${retryAfter} seconds...`);
-            await new Promise(r => setTimeout(r, retryAfter * 1000));
+            const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+            this._emitRateLimit({ type: 'throttled', status: 429, retryAfterMs });
+            
+            // Out of attempts: let the caller reschedule after Retry-After
+            if (attempt >= this.maxRetries - 1) {
+              const rateLimitError = new Error(`Rate limited by ${request.url} after ${this.maxRetries} attempts; retry in ${retryAfterMs}ms`);
+              rateLimitError.status = 429;
+              rateLimitError.retryAfterMs = retryAfterMs;
+              rateLimitError.nonRetryable = true;
+              throw rateLimitError;
+            }
+            
+            console.warn(`Rate limit hit. Retrying in ${retryAfterMs}ms...`);
+            await new Promise(r => setTimeout(r, retryAfterMs));
             attempt++;
             continue;
           }
@@ -75,25 +120,33 @@ class ModelApiClient {
             }
             
             console.error(`API error (${response.status}): ${errorMessage}`);
-            throw new Error(`API error: ${errorMessage}`);
+            const apiError = new Error(`API error: ${errorMessage}`);
+            apiError.status = response.status;
+            apiError.nonRetryable = true;
+            throw apiError;
           }
           
           // Process successful response
           const data = await response.json();
           
           // Log success for debugging
-          console.log('Successfully received response from OpenAI API');
+          console.log('Successfully received response from model API');
           
           // Track token usage for rate limiting
-          const promptTokens = data.usage?.prompt_tokens || 0;
-          const completionTokens = data.usage?.completion_tokens || 0;
-          this._trackUsage(promptTokens + completionTokens);
+          const usage = this.provider
+            ? this.provider.parseUsage(data)
+            : {
+                promptTokens: data.usage?.prompt_tokens || 0,
+                completionTokens: data.usage?.completion_tokens || 0
+              };
+          this._trackUsage(usage.promptTokens + usage.completionTokens);
           
           return data;
         } catch (error) {
           console.error(`Request failed: ${error.message}`);
           
-          if (attempt >= this.maxRetries - 1) {
+          // Client errors (bad request, auth) will not succeed on retry
+          if (error.nonRetryable || attempt >= this.maxRetries - 1) {
             throw error;
           }
           
@@ -102,6 +155,8 @@ class ModelApiClient {
           attempt++;
         }
       }
+      
+      throw new Error(`Request to ${request.url} failed after ${this.maxRetries} attempts`);
     }
     
     _trackUsage(tokens) {
@@ -115,9 +170,65 @@ class ModelApiClient {
       this.tokenUsage = this.tokenUsage.filter(entry => entry.timestamp > oneMinuteAgo);
     }
     
+    // Record the remaining requests/tokens reported by OpenAI-style
+    // (x-ratelimit-*) or Anthropic (anthropic-ratelimit-*) headers
+    _trackRateLimitHeaders(headers) {
+      if (!headers || typeof headers.get !== 'function') return;
+      
+      const read = (name) => headers.get(`x-ratelimit-${name}`) || headers.get(`anthropic-ratelimit-${name}`);
+      const remainingRequests = read('remaining-requests') ?? read('requests-remaining');
+      const remainingTokens = read('remaining-tokens') ?? read('tokens-remaining');
+      if (remainingRequests === null && remainingTokens === null) return;
+      
+      const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+      const limits = {
+        remainingRequests: toNumber(remainingRequests),
+        limitRequests: toNumber(read('limit-requests') ?? read('requests-limit')),
+        remainingTokens: toNumber(remainingTokens),
+        limitTokens: toNumber(read('limit-tokens') ?? read('tokens-limit')),
+        resetAt: Date.now() + Math.max(
+          parseResetHeader(read('reset-requests') ?? read('requests-reset')),
+          parseResetHeader(read('reset-tokens') ?? read('tokens-reset'))
+        ),
+        updatedAt: Date.now()
+      };
+      this.serverLimits = limits;
+      
+      // Warn listeners when less than 10% of either limit is left
+      const low = (remaining, limit) => remaining !== null && limit && remaining / limit < 0.1;
+      if (low(limits.remainingRequests, limits.limitRequests) || low(limits.remainingTokens, limits.limitTokens)) {
+        this._emitRateLimit({
+          type: 'pressure',
+          remainingRequests: limits.remainingRequests,
+          remainingTokens: limits.remainingTokens,
+          resetMs: Math.max(limits.resetAt - Date.now(), 0)
+        });
+      }
+    }
+    
+    _emitRateLimit(event) {
+      this.rateLimitListeners.forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error('Rate limit listener error:', error);
+        }
+      });
+    }
+    
     async _waitForRateLimit() {
       const now = Date.now();
       
+      // Wait for the server-side window to reset once it reports nothing left
+      const limits = this.serverLimits;
+      if (limits && (limits.remainingRequests === 0 || limits.remainingTokens === 0) && limits.resetAt > now) {
+        const waitTime = limits.resetAt - now;
+        console.log(`Server rate limit exhausted. Waiting ${waitTime}ms for reset.`);
+        this._emitRateLimit({ type: 'pressure', remainingRequests: limits.remainingRequests, remainingTokens: limits.remainingTokens, resetMs: waitTime });
+        this.serverLimits = null;
+        await new Promise(r => setTimeout(r, waitTime));
+      }
+      
       // Reset counters if a minute has passed
       if (now - this.lastRateLimitReset > 60000) {
         this.lastRateLimitReset = now;
@@ -133,6 +244,7 @@ class ModelApiClient {
         
         if (waitTime > 0) {
           console.log(`Rate limit approaching. Waiting ${waitTime}ms before next request.`);
+          this._emitRateLimit({ type: 'pressure', resetMs: waitTime });
           await new Promise(r => setTimeout(r, waitTime));
         }
       }
@@ -145,10 +257,47 @@ class ModelApiClient {
         
         if (waitTime > 0) {
           console.log(`Token limit approaching. Waiting ${waitTime}ms before next request.`);
+          this._emitRateLimit({ type: 'pressure', resetMs: waitTime });
           await new Promise(r => setTimeout(r, waitTime));
         }
       }
     }
   }
   
-module.exports = ModelApiClient;
\ No newline at end of file
+// Parse a Retry-After header into milliseconds from now. It is either a
+// number of seconds ("120") or an HTTP date ("Wed, 21 Oct 2026 07:28:00 GMT");
+// missing or unreadable values fall back to 5 seconds.
+function parseRetryAfter(value, fallbackMs = 5000) {
+  if (value === null || value === undefined || String(value).trim() === '') return fallbackMs;
+  
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+  
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) return fallbackMs;
+  return Math.max(date - Date.now(), 0);
+}
+
+// Parse a rate-limit reset header into milliseconds from now. OpenAI sends
+// durations ("1s", "6m0s", "20ms"), Anthropic sends RFC 3339 timestamps.
+function parseResetHeader(value) {
+  if (!value) return 0;
+  
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return Math.max(Date.parse(value) - Date.now(), 0) || 0;
+  }
+  
+  let ms = 0;
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    const amount = parseFloat(match[1]);
+    ms += amount * { ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2]];
+  }
+  return Math.round(ms);
+}
+  
+module.exports = ModelApiClient;
+module.exports.parseRetryAfter = parseRetryAfter;
\ No newline at end of file
@@ -1,14 +1,21 @@
 // lib/QualityControl.js
+//
+// Length and near-duplicate checks for extracted clauses. Duplicates are
+// found with the MinHash/LSH index from src/lib/dedup, so a check costs the
+// same however many clauses were accepted before it.
+const { MinHashIndex } = require('../src/lib/dedup');
+
 class QualityControl {
-    constructor() {
-      this.minClauseLength = 10;
-      this.maxClauseLength = 1500;
-      this.similarityThreshold = 0.85;
+    constructor(options = {}) {
+      this.minClauseLength = options.minClauseLength || 10;
+      this.maxClauseLength = options.maxClauseLength || 1500;
+      this.similarityThreshold = options.similarityThreshold ?? 0.85;
     }
     
     validateExtractedClauses(clauses) {
       const validClauses = [];
       const invalidClauses = [];
+      const index = new MinHashIndex({ threshold: this.similarityThreshold });
       
       // Validate each clause
       for (const clause of clauses) {
@@ -30,38 +37,22 @@ class QualityControl {
           continue;
         }
         
-        // Check for duplicates
-        const isDuplicate = validClauses.some(
-          validClause => this._calculateSimilarity(validClause, trimmedClause) > this.similarityThreshold
-        );
+        // Check for near-duplicates of accepted clauses
+        const hashed = index.signature(trimmedClause);
+        const match = index.query(hashed);
         
-        if (isDuplicate) {
-          invalidClauses.push({ clause, reason: 'Duplicate' });
+        if (match) {
+          invalidClauses.push({ clause, reason: 'Duplicate', duplicateOf: validClauses[match.id], similarity: match.similarity });
           continue;
         }
         
         // Add to valid clauses
+        index.add(hashed, validClauses.length);
         validClauses.push(trimmedClause);
       }
       
       return { validClauses, invalidClauses };
     }
-    
-    // Simple similarity calculation
-    _calculateSimilarity(text1, text2) {
-      if (!text1 || !text2) return 0;
-      
-      // Convert to lowercase and split into words
-      const words1 = text1.toLowerCase().split(/\W+/).filter(w => w.length > 0);
-      const words2 = text2.toLowerCase().split(/\W+/).filter(w => w.length > 0);
-      
-      // Count common words
-      const commonWords = words1.filter(word => words2.includes(word));
-      
-      // Calculate Jaccard similarity
-      const union = new Set([...words1, ...words2]).size;
-      return commonWords.length / union;
-    }
   }
   
   module.exports = QualityControl;
\ No newline at end of file
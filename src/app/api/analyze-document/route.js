@@ -1,5 +1,5 @@
 import { NextResponse } from "next/server";
-import { evaluateTextComplexity } from "../process-document/services/pipeline";
+import { evaluateTextComplexity, estimateProcessingCost } from "../process-document/services/pipeline";
 import { validateUserSession } from "@/lib/auth";
 
 // Memory estimations - these are rough approximations
@@ -24,7 +24,7 @@ export async function POST(request) {
 
     // Parse the request
     const data = await request.json();
-    const { text, documentSize } = data;
+    const { text, documentSize, options = {} } = data;
 
     if (!text && !documentSize) {
       return NextResponse.json(
@@ -35,6 +35,11 @@ export async function POST(request) {
 
     // Analyze the document
     const complexity = evaluateTextComplexity(text);
+    // Only options that shape the job's model calls
+    const { useCase, chunkSize, overlap, classFilter, taxonomy, fidelity, redaction, maxVariantsPerClause, maxClausesToProcess } = options;
+    const costEstimate = estimateProcessingCost(text, {
+      useCase, chunkSize, overlap, classFilter, taxonomy, fidelity, redaction, maxVariantsPerClause, maxClausesToProcess
+    });
     
     // Calculate memory estimates based on text length and complexity
     const memoryEstimateMB = Math.ceil(
@@ -85,7 +90,9 @@ export async function POST(request) {
       complexityScore: complexity.score,
       estimatedChunks: complexity.estimatedChunks,
       estimatedTimeSeconds: complexity.estimatedProcessingTimeSeconds,
-      estimatedCredits: complexity.estimatedCredits,
+      estimatedCredits: costEstimate.credits,
+      estimatedCost: costEstimate.totals.cost,
+      costEstimate,
       memoryEstimateMB: adjustedMemoryEstimateMB,
       recommendBatchProcessing,
       recommendedBatches,
@@ -85,6 +85,8 @@ export async function POST(req) {
     const maxVariantsPerClause = parseInt(formData.get('maxVariantsPerClause') || '3', 10);
     const includeOriginal = formData.get('includeOriginal') === 'true';
     const filterClassifications = formData.get('filterClassifications') || '';
+    // On unless turned off, as for single documents
+    const redactPii = formData.get('redactPii') !== 'false';
     
     // Get the files
     const files = formData.getAll('files');
@@ -120,6 +122,7 @@ export async function POST(req) {
         maxVariantsPerClause,
         includeOriginal,
         filterClassifications: filterClassifications.split(',').filter(Boolean),
+        redactPii,
         outputFormat
       }
     };
@@ -249,6 +252,7 @@ async function processFilesInBackground(files, userId, jobId, projectId, batchPr
             maxVariantsPerClause: options.maxVariantsPerClause,
             includeOriginal: options.includeOriginal,
             filterClassifications: options.filterClassifications,
+            redaction: { enabled: options.redactPii !== false },
           });
           console.log('Document processing completed successfully');
         }
@@ -1,10 +1,12 @@
 import { NextResponse } from 'next/server';
 import { verifyAuth } from '@/lib/auth';
-import { getDatasetDownloadUrl } from '@/utils/datasetService';
+import { getDatasetDownloadUrl, datasetFileName } from '@/utils/datasetService';
+import { getFormatter } from '@/lib/formatters';
 import { getFirestore, doc, getDoc } from 'firebase/firestore';
 
 /**
- * Get download URL for a dataset
+ * Get download URL for a dataset, or for one of its splits with
+ * `?split=train|validation|test`
  * @route GET /api/datasets/download
  */
 export async function GET(request) {
@@ -21,6 +23,7 @@ export async function GET(request) {
     // Get dataset ID from query parameters
     const url = new URL(request.url);
     const datasetId = url.searchParams.get('id');
+    const split = url.searchParams.get('split');
 
     if (!datasetId) {
       return NextResponse.json(
@@ -50,22 +53,58 @@ export async function GET(request) {
       );
     }
 
+    const availableSplits = Object.keys(dataset.splits || {});
+    // Files carry the extension of the format the dataset was saved in;
+    // datasets without a format are JSONL
+    const extension = dataset.format ? getFormatter(dataset.format).extension : 'jsonl';
+
+    // Serve a single train/validation/test split
+    if (split) {
+      const splitInfo = dataset.splits && dataset.splits[split];
+      if (!splitInfo) {
+        return NextResponse.json(
+          { error: `Split "${split}" not found for this dataset`, availableSplits },
+          { status: 404 }
+        );
+      }
+
+      const downloadUrl = splitInfo.downloadUrl || await getDatasetDownloadUrl(datasetId, user.id, split, extension);
+
+      return NextResponse.json({
+        success: true,
+        downloadUrl,
+        fileName: splitInfo.fileName || datasetFileName(datasetId, split, extension),
+        split,
+        lineCount: splitInfo.lineCount
+      });
+    }
+
     // Check if jsonlUrl already exists
     if (dataset.jsonlUrl) {
       return NextResponse.json({
         success: true,
         downloadUrl: dataset.jsonlUrl,
-        fileName: `dataset-${datasetId}.jsonl`
+        fileName: `dataset-${datasetId}.jsonl`,
+        splits: availableSplits
       });
     }
 
+    // Datasets of processing jobs are stored as their splits only
+    if (dataset.jobId) {
+      return NextResponse.json(
+        { error: 'This dataset is stored as splits; download one with ?split=', availableSplits },
+        { status: 400 }
+      );
+    }
+
     // Generate a download URL
     const downloadUrl = await getDatasetDownloadUrl(datasetId, user.id);
 
     return NextResponse.json({
       success: true,
       downloadUrl,
-      fileName: `dataset-${datasetId}.jsonl`
+      fileName: `dataset-${datasetId}.jsonl`,
+      splits: availableSplits
     });
   } catch (error) {
     console.error('Error getting dataset download URL:', error);
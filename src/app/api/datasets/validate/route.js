@@ -0,0 +1,106 @@
+import { NextResponse } from 'next/server';
+import { verifyAuth } from '@/lib/auth';
+import { getDatasetContent, saveDatasetValidation } from '@/utils/datasetService';
+import { getFormatter, validateDataset } from '@/lib/formatters';
+import { getFirestore, doc, getDoc } from 'firebase/firestore';
+
+/**
+ * Validate a dataset file against its output format before it is uploaded
+ * for fine-tuning. The body is { id, split?, format?, maxTokens? } for a
+ * stored dataset, or { content, format, maxTokens? } for a file that has not
+ * been saved. Returns line-numbered issues and summary stats; a stored
+ * dataset also keeps the pass/fail summary for the datasets page.
+ * @route POST /api/datasets/validate
+ */
+export async function POST(request) {
+  try {
+    // Authenticate the user
+    const { user, error } = await verifyAuth(request);
+    if (error || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { id: datasetId, split = null, content } = body;
+    const maxTokens = parseInt(body.maxTokens, 10) || undefined;
+
+    if (!datasetId && typeof content !== 'string') {
+      return NextResponse.json(
+        { error: 'Missing dataset ID or file content' },
+        { status: 400 }
+      );
+    }
+
+    let dataset = null;
+    if (datasetId) {
+      // Verify the dataset exists and belongs to the user
+      const db = getFirestore();
+      const datasetDoc = await getDoc(doc(db, 'datasets', datasetId));
+
+      if (!datasetDoc.exists()) {
+        return NextResponse.json(
+          { error: 'Dataset not found' },
+          { status: 404 }
+        );
+      }
+
+      dataset = datasetDoc.data();
+      if (dataset.userId !== user.id) {
+        return NextResponse.json(
+          { error: 'Unauthorized' },
+          { status: 403 }
+        );
+      }
+
+      if (split && !(dataset.splits && dataset.splits[split])) {
+        return NextResponse.json(
+          { error: `Split "${split}" not found for this dataset`, availableSplits: Object.keys(dataset.splits || {}) },
+          { status: 404 }
+        );
+      }
+    }
+
+    const format = body.format || (dataset && dataset.format) || 'jsonl';
+    let formatter;
+    try {
+      formatter = getFormatter(format);
+    } catch (formatError) {
+      return NextResponse.json(
+        { error: formatError.message },
+        { status: 400 }
+      );
+    }
+
+    const fileContent = typeof content === 'string'
+      ? content
+      : await getDatasetContent(datasetId, user.id, split, formatter.extension);
+    const result = validateDataset(fileContent, formatter.id, { maxTokens });
+
+    if (dataset && typeof content !== 'string') {
+      await saveDatasetValidation(datasetId, {
+        valid: result.valid,
+        format: result.format,
+        examples: result.examples,
+        errorCount: result.errorCount,
+        warningCount: result.warningCount,
+        checkedAt: new Date().toISOString()
+      }, split);
+    }
+
+    return NextResponse.json({
+      success: true,
+      datasetId: datasetId || null,
+      split,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error validating dataset:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
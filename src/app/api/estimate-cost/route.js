@@ -0,0 +1,82 @@
+// src/app/api/estimate-cost/route.js
+import "@ungap/with-resolvers"; // Polyfill for Promise.withResolvers
+import { NextResponse } from "next/server";
+import { parseProcessingOptions } from "../process-document/utils/validators";
+import { authenticateUser, getUserSubscription } from "../process-document/services/auth";
+import { extractText } from "../process-document/services/textExtraction";
+import { estimateProcessingCost } from "../process-document/services/pipeline";
+
+/**
+ * Estimate the cost of processing an uploaded document before the job is
+ * submitted. Takes the same multipart fields as /api/process-document and
+ * returns the token, cost and credit estimate with the user's available
+ * credits, so the upload form can ask for confirmation.
+ *
+ * PDFs are read from their text layer only: OCR takes as long as the job
+ * itself, so it is left to the job. Pages that need it are counted in
+ * `ocrPages` and are not in the estimate; a PDF with no text layer at all
+ * gets no estimate.
+ */
+export async function POST(request) {
+  try {
+    const formData = await request.formData();
+
+    const authToken = formData.get('authToken') || request.headers.get('Authorization')?.replace('Bearer ', '');
+    if (!authToken) {
+      return NextResponse.json({ error: 'Authentication token required' }, { status: 401 });
+    }
+    let authResult;
+    try {
+      authResult = await authenticateUser(authToken);
+    } catch (authError) {
+      console.error('Authentication error:', authError);
+      return NextResponse.json({ error: 'Authentication error', details: authError.message }, { status: 401 });
+    }
+    if (!authResult?.uid) {
+      return NextResponse.json({ error: 'Authentication failed' }, { status: 401 });
+    }
+
+    const file = formData.get('file');
+    if (!file) {
+      return NextResponse.json({ error: 'No file provided' }, { status: 400 });
+    }
+
+    const options = parseProcessingOptions(formData, file);
+    const buffer = Buffer.from(await file.arrayBuffer());
+    const extractionResult = await extractText(buffer, file.type, { ocr: false });
+    const ocrPages = (extractionResult.extraction?.pages || []).filter(page => page.ocrSkipped).length;
+    if (!extractionResult.validation.valid && ocrPages === 0) {
+      return NextResponse.json(
+        { error: `Text extraction failed: ${extractionResult.validation.reason}` },
+        { status: 400 }
+      );
+    }
+
+    const estimate = extractionResult.validation.valid
+      ? estimateProcessingCost(extractionResult.text, options)
+      : null;
+
+    // Credits are informational here; the job itself enforces them
+    let availableCredits = null;
+    try {
+      const { credits } = await getUserSubscription(authResult.uid);
+      availableCredits = credits?.available ?? null;
+    } catch (creditError) {
+      console.warn('Could not load credits for estimate:', creditError.message);
+    }
+
+    return NextResponse.json({
+      fileName: file.name,
+      estimate,
+      ocrPages,
+      availableCredits,
+      sufficientCredits: availableCredits === null || !estimate ? null : availableCredits >= estimate.credits
+    });
+  } catch (error) {
+    console.error('Error estimating processing cost:', error);
+    return NextResponse.json(
+      { error: 'Failed to estimate processing cost', details: error.message },
+      { status: 500 }
+    );
+  }
+}
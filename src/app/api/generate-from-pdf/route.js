@@ -4,7 +4,10 @@ import { db, storage } from '@/firebase/admin';
 import { verifyAuth } from '@/lib/auth-utils';
 import { v4 as uuidv4 } from 'uuid';
 import { extractPdfData } from '@/lib/pdf-extraction';
-import { saveDatasetAsJsonl } from '@/utils/datasetService';
+import { saveDatasetAsJsonl, saveDatasetSplits } from '@/utils/datasetService';
+import { parseSplitRatios, splitRecords } from '@/lib/formatters';
+import { getUserOcrPageLimit } from '../process-document/services/textExtraction';
+import { getLanguage, languageFields } from '@/lib/language';
 
 // Initialize Firebase admin
 initializeFirebaseAdmin();
@@ -38,7 +41,10 @@ export async function POST(request) {
       datasetName: formData.get('datasetName') || null,
       datasetDescription: formData.get('datasetDescription') || null,
       useCase: formData.get('useCase') || 'rewriter-legal',
-      outputFormat: formData.get('outputFormat') || 'openai-jsonl'
+      outputFormat: formData.get('outputFormat') || 'openai-jsonl',
+      splitRatios: formData.get('splitRatios') || null,
+      // Document language; detected from the extracted text when unset
+      language: formData.get('language') || null
     };
     
     if (!documentId && !pdfFile) {
@@ -48,6 +54,20 @@ export async function POST(request) {
       );
     }
 
+    // Reject malformed split ratios before any work is queued
+    try {
+      parseSplitRatios(options.splitRatios);
+    } catch (splitError) {
+      return NextResponse.json({ error: splitError.message }, { status: 400 });
+    }
+    if (options.language) {
+      try {
+        options.language = getLanguage(options.language).code;
+      } catch (languageError) {
+        return NextResponse.json({ error: languageError.message }, { status: 400 });
+      }
+    }
+
     // Generate a unique job ID for tracking
     const jobId = uuidv4();
     const timestamp = new Date();
@@ -186,7 +206,10 @@ async function processDocument(jobId, documentId, pdfFile, userId, options = {})
     const extractionOptions = {
       detectTables: options.detectTables !== false,
       logProgress: process.env.NODE_ENV === 'development',
-      attemptAllMethods: options.enhancedExtraction === true
+      attemptAllMethods: options.enhancedExtraction === true,
+      // Scanned pages are OCRed, up to the plan's page limit
+      ocr: { maxPages: await getUserOcrPageLimit(userId) },
+      language: options.language
     };
     
     const extractedData = await extractPdfData(pdfBuffer, extractionOptions);
@@ -198,7 +221,16 @@ async function processDocument(jobId, documentId, pdfFile, userId, options = {})
     await updateJobStatus(jobId, 'processing', 'extraction_complete', 40, null, {
       pageCount: extractedData.pageCount || 0,
       extractedCharacterCount: extractedData.textContent.length,
-      tableCount: extractedData.tables?.length || 0
+      tableCount: extractedData.tables?.length || 0,
+      pageMethods: extractedData.pageMethods || null,
+      ocr: extractedData.ocr || null,
+      language: extractedData.language
+    });
+    
+    // Keep the document's language on its record
+    await db.collection('documents').doc(documentId || docData.id).update({
+      ...languageFields(extractedData.language),
+      updatedAt: new Date()
     });
     
     // Update job status to analyzing structure
@@ -265,7 +297,7 @@ async function processDocument(jobId, documentId, pdfFile, userId, options = {})
     
     // Generate synthetic data based on extracted fields
     const recordCount = Math.min(Math.max(options.recordCount || 10, 1), 1000);
-    const syntheticData = generateSyntheticData(dataFields, extractedData, recordCount);
+    const { records: syntheticData, sources } = generateSyntheticData(dataFields, extractedData, recordCount);
     
     // Update job to saving stage
     await updateJobStatus(jobId, 'processing', 'saving', 90);
@@ -315,6 +347,27 @@ async function processDocument(jobId, documentId, pdfFile, userId, options = {})
       // Continue processing even if JSONL saving fails
     }
     
+    // Save train/validation/test splits as separate files when requested
+    const splitRatios = parseSplitRatios(options.splitRatios);
+    if (splitRatios) {
+      try {
+        // Records that reuse the same table row stay in one split, as the
+        // variants of a clause do in the pipeline
+        const sourceOf = new Map(syntheticData.map((record, i) => [record, sources[i]]));
+        const splits = splitRecords(syntheticData, splitRatios, { groupBy: record => sourceOf.get(record) });
+        const splitFiles = Object.fromEntries(Object.entries(splits).map(([split, records]) => [split, {
+          output: records.map(record => JSON.stringify(record)).join('\n'),
+          lineCount: records.length,
+          recordCount: records.length
+        }]));
+        
+        await saveDatasetSplits(datasetId, userId, splitFiles);
+        console.log(`Saved ${Object.keys(splitFiles).join('/')} splits for dataset ${datasetId}`);
+      } catch (splitError) {
+        console.error('Error saving dataset splits:', splitError);
+      }
+    }
+    
     // Update the document record with processing complete
     if (docData && docData.id) {
       await db.collection('documents').doc(docData.id).update({
@@ -484,45 +537,43 @@ function analyzeDataStructure(extractedData) {
 }
 
 /**
- * Generate synthetic data based on analyzed fields
+ * Generate synthetic data based on analyzed fields. A record reuses the
+ * values of one table row of the document, its source, for the fields that
+ * row has; the other fields are generated.
+ *
+ * @returns {Object} { records, sources }, sources[i] being the key of the
+ *   table row record i reuses, or a key of its own when it reuses none
  */
 function generateSyntheticData(fields, extractedData, recordCount = 10) {
   // Generate synthetic records
   const records = [];
+  const sources = [];
   const recordLimit = Math.min(Math.max(recordCount, 1), 1000);
   
   // For tables, try to reuse actual rows if available
-  const tableSamples = new Map();
-  if (extractedData.tables && extractedData.tables.length > 0) {
-    for (const table of extractedData.tables) {
-      if (table.rows.length > 1) {
-        // Skip header row, use data rows for samples
-        for (let i = 1; i < table.rows.length; i++) {
-          const row = table.rows[i];
-          for (let j = 0; j < row.length; j++) {
-            const headerName = (table.headerRow[j] || '').trim();
-            if (headerName) {
-              if (!tableSamples.has(headerName)) {
-                tableSamples.set(headerName, []);
-              }
-              tableSamples.get(headerName).push(row[j]);
-            }
-          }
-        }
+  const sourceRows = [];
+  (extractedData.tables || []).forEach((table, tableIndex) => {
+    // Skip header row, use data rows for samples
+    for (let i = 1; i < table.rows.length; i++) {
+      const values = new Map();
+      table.rows[i].forEach((value, j) => {
+        const headerName = (table.headerRow[j] || '').trim();
+        if (headerName) values.set(headerName, value);
+      });
+      if (fields.some(field => values.has(field.name))) {
+        sourceRows.push({ key: `table-${tableIndex}-row-${i}`, values });
       }
     }
-  }
+  });
   
   for (let i = 0; i < recordLimit; i++) {
     const record = {};
+    // Use real rows when available, with some randomization
+    const source = sourceRows.length > 0 ? sourceRows[Math.floor(Math.random() * sourceRows.length)] : null;
     
     for (const field of fields) {
-      // Check if we have real samples from tables
-      const samples = tableSamples.get(field.name);
-      
-      if (samples && samples.length > 0) {
-        // Use real samples when available, with some randomization
-        record[field.name] = samples[Math.floor(Math.random() * samples.length)];
+      if (source && source.values.has(field.name)) {
+        record[field.name] = source.values.get(field.name);
       } else {
         // Generate data based on field type
         switch (field.type) {
@@ -573,9 +624,10 @@ function generateSyntheticData(fields, extractedData, recordCount = 10) {
     }
     
     records.push(record);
+    sources.push(source ? source.key : `generated-${i}`);
   }
   
-  return records;
+  return { records, sources };
 }
 
 /**
@@ -0,0 +1,171 @@
+// src/app/api/jobs/[jobId]/events/route.js
+import { NextResponse } from "next/server";
+import { subscribeToJob, JOB_EVENT } from "../../../../../lib/queue";
+import { getJobStatus } from "../../../process-document/services/jobQueue";
+import { authorizeJobAccess } from "../../../process-document/services/auth";
+
+export const dynamic = 'force-dynamic';
+
+// Jobs run by a standalone worker publish no events in this process; their
+// status is read from the queue at this interval instead
+const QUEUE_POLL_MS = 2000;
+// Comment lines keep proxies from closing an idle stream
+const KEEPALIVE_MS = 15000;
+// Clients subscribe before their upload request has created the job; an
+// unknown job is looked up again for this long before the 404
+const PENDING_JOB_WAIT_MS = 10000;
+const PENDING_JOB_POLL_MS = 500;
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+/**
+ * Server-Sent Events stream of a job's progress. Like the status check
+ * (GET /api/process-document?jobId=), a job that belongs to a user is only
+ * streamed to that user. EventSource cannot send headers, so it sends a
+ * stream token for the job from POST /api/jobs/<jobId>/stream-token as
+ * ?streamToken=.
+ *
+ * Events:
+ * - status: the job status as returned by the status check; sent on
+ *   connect, and when the queue shows a change no event reported
+ * - progress: each progress report of the pipeline (stage, chunk, clause
+ *   counts, errors) as it happens
+ * - retrying: an attempt failed and the job is queued again
+ * - completed / failed: the final job status, with the result; the stream
+ *   ends after it
+ */
+export async function GET(request, { params }) {
+  const { jobId } = await params;
+
+  let status;
+  try {
+    const deadline = Date.now() + PENDING_JOB_WAIT_MS;
+    status = await getJobStatus(jobId);
+    while (!status && Date.now() < deadline && !request.signal.aborted) {
+      await new Promise(resolve => setTimeout(resolve, PENDING_JOB_POLL_MS));
+      status = await getJobStatus(jobId);
+    }
+  } catch (error) {
+    console.error(`Error reading status for job ${jobId}:`, error);
+    return NextResponse.json(
+      { error: 'Failed to read job status', details: error.message },
+      { status: 500 }
+    );
+  }
+
+  if (!status) {
+    return NextResponse.json(
+      { error: 'Job not found' },
+      { status: 404 }
+    );
+  }
+  
+  const access = await authorizeJobAccess(request, status, jobId);
+  if (!access.allowed) {
+    return NextResponse.json({ error: access.error }, { status: access.status });
+  }
+
+  const encoder = new TextEncoder();
+  let stop = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      let finishing = false;
+      let lastUpdatedAt = status.updatedAt;
+      let publishedSincePoll = false;
+
+      const write = (chunk) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch (error) {
+          // The client went away
+          stop();
+        }
+      };
+      const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      const close = () => {
+        stop();
+        try {
+          controller.close();
+        } catch (error) {
+          // Already cancelled by the client
+        }
+      };
+
+      const finish = async () => {
+        if (closed || finishing) return;
+        finishing = true;
+        try {
+          const finalStatus = await getJobStatus(jobId);
+          if (finalStatus) {
+            send(finalStatus.status, finalStatus);
+          }
+        } catch (error) {
+          console.error(`Error reading the final status of job ${jobId}:`, error);
+        }
+        close();
+      };
+
+      const unsubscribe = subscribeToJob(jobId, (event) => {
+        publishedSincePoll = true;
+        if (event.type === JOB_EVENT.PROGRESS) {
+          // Handlers report their own status values; the job is running
+          send(JOB_EVENT.PROGRESS, { ...event, status: 'processing' });
+        } else if (event.type === JOB_EVENT.RETRYING) {
+          send(JOB_EVENT.RETRYING, event);
+        } else {
+          finish();
+        }
+      });
+
+      const poll = setInterval(async () => {
+        try {
+          const current = await getJobStatus(jobId);
+          if (!current || FINISHED_STATUSES.includes(current.status)) {
+            finish();
+          } else if (current.updatedAt !== lastUpdatedAt && !publishedSincePoll) {
+            send('status', current);
+          }
+          lastUpdatedAt = current?.updatedAt;
+          publishedSincePoll = false;
+        } catch (error) {
+          console.error(`Error polling status for job ${jobId}:`, error.message);
+        }
+      }, QUEUE_POLL_MS);
+
+      const keepalive = setInterval(() => write(': keepalive\n\n'), KEEPALIVE_MS);
+
+      stop = () => {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        clearInterval(poll);
+        clearInterval(keepalive);
+      };
+      request.signal.addEventListener('abort', stop);
+
+      if (FINISHED_STATUSES.includes(status.status)) {
+        send(status.status, status);
+        close();
+      } else {
+        send('status', status);
+      }
+    },
+    cancel() {
+      stop();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stops nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
@@ -0,0 +1,34 @@
+// src/app/api/jobs/[jobId]/stream-token/route.js
+import { NextResponse } from "next/server";
+import { authenticateUser } from "../../../process-document/services/auth";
+import { issueStreamToken } from "../../../process-document/services/streamTokens";
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Issues a short-lived token that opens the progress stream of one job
+ * (GET /api/jobs/<jobId>/events?streamToken=), for the user of the ID token
+ * in the Authorization header. The job need not exist yet, as clients
+ * subscribe before the request that creates it; the stream checks that the
+ * job is the user's.
+ */
+export async function POST(request, { params }) {
+  const { jobId } = await params;
+
+  const authToken = request.headers.get('Authorization')?.replace('Bearer ', '');
+  if (!authToken) {
+    return NextResponse.json({ error: 'Authentication token required' }, { status: 401 });
+  }
+
+  let user;
+  try {
+    user = await authenticateUser(authToken);
+  } catch (authError) {
+    return NextResponse.json({ error: 'Authentication error', details: authError.message }, { status: 401 });
+  }
+  if (!user?.uid) {
+    return NextResponse.json({ error: 'Authentication failed' }, { status: 401 });
+  }
+
+  return NextResponse.json(issueStreamToken(jobId, user.uid));
+}
@@ -5,8 +5,8 @@ import path from "path";
 export const UPLOAD_DIRECTORY = path.join(process.cwd(), "uploads");
 
 // Default processing options
-export const DEFAULT_CHUNK_SIZE = 1000;
-export const DEFAULT_OVERLAP = 100;
+export const DEFAULT_CHUNK_SIZE = 256; // tokens per chunk
+export const DEFAULT_OVERLAP = 32; // tokens, for length chunking
 export const DEFAULT_OUTPUT_FORMAT = "jsonl";
 export const DEFAULT_CLASS_FILTER = "all";
 export const DEFAULT_MAX_VARIANTS = 3;
@@ -7,14 +7,11 @@ import fs from 'fs/promises';
 
 // Validators and helpers
 import { validateFormData, parseProcessingOptions } from "./utils/validators";
-import { checkFirebaseAdminCredentials } from "./utils/admin";
 import { saveDocumentToStorage } from "./utils/storage";
 
 // Services
-import { authenticateUser } from './services/auth';
+import { authenticateUser, authorizeJobAccess } from './services/auth';
 import { saveProcessingResults } from './services/document';
-import { extractText } from './services/textExtraction';
-import { handleDocumentProcessing } from './services/pipelineProcessing';
 import { createProgressCallback } from './services/progress';
 import { 
   createProcessingStatus, 
@@ -22,52 +19,21 @@ import {
   completeProcessingJob 
 } from './services/statusUpdate';
 import { createErrorHandler } from './services/errorHandler';
-import { processExistingDocument } from './services/document-processing';
-import { processWithPipeline, evaluateTextComplexity, getMemoryUsage, triggerMemoryCleanup } from './services/pipeline';
-
-// Status tracking for document processing jobs
-const jobStatuses = new Map();
+import { loadJobCheckpoints } from './services/checkpoints';
+import { evaluateTextComplexity, getMemoryUsage } from './services/pipeline';
+import { enqueueTextJob, enqueueDocumentJob, waitForJob, updateJobStatus, getJobStatus, getWorkerStatus } from './services/jobQueue';
+import { DEFAULT_TIMEOUTS } from './config';
 
 // Memory thresholds for API management
 const MEMORY_SAFE_THRESHOLD = 70;  // 70% is considered safe
 const MEMORY_WARNING_THRESHOLD = 85;  // 85% triggers warnings and throttling
 const MEMORY_CRITICAL_THRESHOLD = 95;  // 95% will reject new requests
 
-// Queue management
-let isProcessing = false;
-const requestQueue = [];
-const MAX_QUEUE_SIZE = 10;
-
-/**
- * Updates the status of a processing job
- */
-export async function updateJobStatus(jobId, status, details = {}) {
-  if (!jobId) return;
-  
-  // Merge with existing status if present
-  const currentStatus = jobStatuses.get(jobId) || {};
-  
-  const updatedStatus = {
-    ...currentStatus,
-    ...status,
-    ...details,
-    lastUpdated: new Date().toISOString()
-  };
-  
-  // Store the updated status
-  jobStatuses.set(jobId, updatedStatus);
-  
-  // Clean up old jobs (older than 1 hour) to prevent memory leaks
-  const ONE_HOUR_MS = 60 * 60 * 1000;
-  const now = Date.now();
-  
-  jobStatuses.forEach((status, id) => {
-    const lastUpdated = new Date(status.lastUpdated || 0).getTime();
-    if (now - lastUpdated > ONE_HOUR_MS) {
-      jobStatuses.delete(id);
-    }
-  });
-}
+// How long a small text job's request waits for its result before
+// answering with the queued job instead
+const INLINE_WAIT_MS = 2 * 60 * 1000;
+// Document requests wait for their job up to the document timeout plus this
+const DOCUMENT_WAIT_MARGIN_MS = 60 * 1000;
 
 /**
  * Get memory status object for monitoring
@@ -79,102 +45,7 @@ function checkMemoryStatus() {
     isSafe: memoryUsage < MEMORY_SAFE_THRESHOLD,
     isWarning: memoryUsage >= MEMORY_WARNING_THRESHOLD,
     isCritical: memoryUsage >= MEMORY_CRITICAL_THRESHOLD,
-    queueSize: requestQueue.length,
-    isProcessing
-  };
-}
-
-/**
- * Process the next item in the queue
- */
-async function processNextInQueue() {
-  if (isProcessing || requestQueue.length === 0) {
-    return;
-  }
-  
-  // Check memory conditions before processing
-  const memStatus = checkMemoryStatus();
-  if (memStatus.isCritical) {
-    console.warn('Critical memory situation, delaying queue processing');
-    triggerMemoryCleanup();
-    setTimeout(processNextInQueue, 5000); // Try again in 5 seconds
-    return;
-  }
-  
-  isProcessing = true;
-  
-  try {
-    const nextItem = requestQueue.shift();
-    const { jobId, text, options } = nextItem;
-    
-    // Update status to show we're processing
-    await updateJobStatus(jobId, { status: 'processing', queuePosition: 0 });
-    
-    // Process the document
-    const complexity = evaluateTextComplexity(text);
-    const result = await processWithPipeline(text, options, jobId, complexity, updateJobStatus);
-    
-    // Update final status with results
-    await updateJobStatus(jobId, { 
-      status: 'completed', 
-      result,
-      processingTimeMs: result.processingTimeMs || 0,
-      complexity
-    });
-  } catch (error) {
-    console.error('Error processing queue item:', error);
-  } finally {
-    isProcessing = false;
-    
-    // Clean up memory if needed
-    if (getMemoryUsage() > MEMORY_WARNING_THRESHOLD) {
-      triggerMemoryCleanup();
-    }
-    
-    // Process next item if any
-    if (requestQueue.length > 0) {
-      processNextInQueue();
-    }
-  }
-}
-
-/**
- * Add a request to the processing queue
- */
-function addToProcessingQueue(jobId, text, options) {
-  // Check memory status before adding to queue
-  const memStatus = checkMemoryStatus();
-  
-  if (memStatus.isCritical || requestQueue.length >= MAX_QUEUE_SIZE) {
-    throw new Error(
-      `Server is currently under high load. Memory usage: ${memStatus.usagePercent}%, ` +
-      `Queue size: ${requestQueue.length}/${MAX_QUEUE_SIZE}`
-    );
-  }
-  
-  // Add to queue with position
-  requestQueue.push({
-    jobId,
-    text, 
-    options,
-    addedAt: Date.now()
-  });
-  
-  // Update status to show queue position
-  updateJobStatus(jobId, { 
-    status: 'queued', 
-    queuePosition: requestQueue.length,
-    queueLength: requestQueue.length
-  });
-  
-  // Start processing if not already
-  if (!isProcessing) {
-    processNextInQueue();
-  }
-  
-  return {
-    jobId,
-    queuePosition: requestQueue.length
+    ...getWorkerStatus()
   };
 }
 
@@ -242,6 +113,11 @@ export async function POST(request) {
       const body = await request.json();
       const { text, options = {} } = body;
       
+      // Continue an interrupted job from its checkpoints
+      if (body.action === 'resume') {
+        return resumeJobRequest(request, body);
+      }
+      
       // Validate input
       if (!text) {
         return NextResponse.json(
@@ -257,68 +133,84 @@ export async function POST(request) {
           { 
             error: 'Server is currently under high memory load, please try again later',
             memoryUsage: memStatus.usagePercent,
-            queueStatus: {
-              size: requestQueue.length,
-              maxSize: MAX_QUEUE_SIZE
-            }
+            activeJobs: memStatus.activeJobs
           },
           { status: 503 } // Service Unavailable
         );
       }
       
+      // Signed-in users' jobs count against their own concurrency limit;
+      // anonymous jobs share one
+      let userId = null;
+      const authToken = request.headers.get('Authorization')?.replace('Bearer ', '');
+      if (authToken) {
+        try {
+          const authResult = await authenticateUser(authToken);
+          // A verified token gives the user record, which has no
+          // `authenticated` flag; only its uid says who signed in
+          if (!authResult?.uid) {
+            return NextResponse.json({ error: 'Authentication failed' }, { status: 401 });
+          }
+          userId = authResult.uid;
+        } catch (authError) {
+          console.error('Authentication error:', authError);
+          return NextResponse.json({ error: 'Authentication error', details: authError.message }, { status: 401 });
+        }
+      }
+      
       // Generate a job ID for tracking
       const jobId = options.jobId || uuidv4();
       
       // Get complexity estimate
       const complexity = evaluateTextComplexity(text);
       
-      // Initialize job status
-      await updateJobStatus(jobId, { 
-        status: 'initialized',
-        text: text.length > 500 ? `${text.substring(0, 500)}...` : text,
-        complexity,
-        options
-      });
+      // Every text job goes through the durable queue, so it survives a
+      // restart and can be run by any worker
+      try {
+        await enqueueTextJob(jobId, text, options, { userId, complexity });
+      } catch (queueError) {
+        console.error(`Error queueing job ${jobId}:`, queueError);
+        if (/^Unknown job priority/.test(queueError.message)) {
+          return NextResponse.json({ error: queueError.message }, { status: 400 });
+        }
+        const exists = /already exists/.test(queueError.message);
+        return NextResponse.json(
+          { error: exists ? `Job ${jobId} already exists` : 'Failed to queue document for processing' },
+          { status: exists ? 409 : 500 }
+        );
+      }
       
-      // For very large documents or when system is under load, use queue
+      // Very large documents, or a server under load, answer right away and
+      // are followed with GET ?jobId=
       const shouldQueue = complexity.level === 'high' || 
                         text.length > 50000 || 
                         memStatus.isWarning || 
-                        isProcessing;
+                        memStatus.activeJobs > 0;
       
-      if (shouldQueue) {
-        // Add to processing queue
-        const queueInfo = addToProcessingQueue(jobId, text, options);
-        
-        return NextResponse.json({
-          jobId,
-          status: 'queued',
-          complexity,
-          queuePosition: queueInfo.queuePosition,
-          queueLength: requestQueue.length,
-          estimatedProcessingTime: complexity.estimatedProcessingTime
-        });
-      } else {
-        // For smaller documents, process immediately
-        updateJobStatus(jobId, { status: 'processing' });
-        
-        // Process document with the pipeline
-        const result = await processWithPipeline(text, options, jobId, complexity, updateJobStatus);
-        
-        // Update job status with results
-        updateJobStatus(jobId, { 
-          status: 'completed',
-          result
-        });
-        
-        // Return results
+      // Smaller documents wait for their result
+      const job = shouldQueue ? null : await waitForJob(jobId, INLINE_WAIT_MS);
+      
+      if (job && job.status === 'completed') {
         return NextResponse.json({
           jobId,
           status: 'completed',
-          result,
+          result: job.result,
           complexity
         });
       }
+      if (job && job.status === 'failed') {
+        return NextResponse.json(
+          { jobId, status: 'failed', error: job.lastError?.message || 'Error processing document' },
+          { status: 500 }
+        );
+      }
+      
+      return NextResponse.json({
+        jobId,
+        status: 'queued',
+        complexity,
+        estimatedProcessingTime: complexity.estimatedProcessingTime
+      });
     }
   } catch (error) {
     console.error('Error processing document:', error);
@@ -330,6 +222,125 @@ export async function POST(request) {
   }
 }
 
+/**
+ * Resume an interrupted job from its checkpoints.
+ *
+ * Chunks that were checkpointed (and whose content hash still matches) are
+ * replayed from the job record; only the remaining chunks are sent to the
+ * models. Document jobs re-read their text from the stored document; text
+ * jobs must send the same text again.
+ */
+async function resumeJobRequest(request, { jobId, text, options = {} }) {
+  if (!jobId) {
+    return NextResponse.json({ error: 'Job ID is required' }, { status: 400 });
+  }
+  
+  let job;
+  let checkpoints;
+  try {
+    ({ job, checkpoints } = await loadJobCheckpoints(jobId));
+  } catch (error) {
+    console.error(`Error loading checkpoints for job ${jobId}:`, error);
+    return NextResponse.json(
+      { error: 'Failed to load job checkpoints', details: error.message },
+      { status: 500 }
+    );
+  }
+  
+  if (!job) {
+    return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+  }
+  if (job.checkpointsDisabled) {
+    return NextResponse.json({
+      error: 'Job cannot be resumed: checkpointing stopped during its run',
+      details: job.checkpointsDisabled.error
+    }, { status: 409 });
+  }
+  if (job.resumable === false) {
+    return NextResponse.json({ error: 'Job has already completed' }, { status: 409 });
+  }
+  
+  // Jobs that belong to a user can only be resumed by that user
+  let userId = null;
+  if (job.userId) {
+    const authToken = request.headers.get('Authorization')?.replace('Bearer ', '');
+    if (!authToken) {
+      return NextResponse.json({ error: 'Authentication token required' }, { status: 401 });
+    }
+    let authResult;
+    try {
+      authResult = await authenticateUser(authToken);
+    } catch (authError) {
+      console.error('Authentication error:', authError);
+      return NextResponse.json({ error: 'Authentication error', details: authError.message }, { status: 401 });
+    }
+    if (authResult?.uid !== job.userId) {
+      return NextResponse.json({ error: 'Not authorized to resume this job' }, { status: 403 });
+    }
+    userId = authResult.uid;
+  }
+  
+  // Chunk boundaries must match the original run for checkpoints to apply
+  const resumeOptions = { ...options, ...job.resumeOptions, checkpoints };
+  console.log(`Resuming job ${jobId} with ${checkpoints.length} checkpointed chunks`);
+  
+  // The resumed run is queued again under the job's ID, so it is scheduled
+  // and run by the workers like the original one
+  if (job.documentId && !text) {
+    const errorHandler = createErrorHandler({ userId, sourceType: 'resume' });
+    await updateProcessingStatus(jobId, {
+      status: 'processing',
+      message: 'Queued to resume',
+      progress: 5
+    });
+    return queueDocumentJob(userId, job.documentId, resumeOptions, jobId, errorHandler, { resume: true });
+  }
+  
+  if (!text) {
+    return NextResponse.json(
+      { error: 'Text is required to resume a text processing job' },
+      { status: 400 }
+    );
+  }
+  
+  const complexity = evaluateTextComplexity(text);
+  try {
+    await enqueueTextJob(jobId, text, resumeOptions, { userId, complexity, resume: true });
+  } catch (queueError) {
+    console.error(`Error queueing resumed job ${jobId}:`, queueError);
+    const exists = /already exists/.test(queueError.message);
+    return NextResponse.json(
+      { error: exists ? `Job ${jobId} is still queued or running` : 'Failed to queue job to resume' },
+      { status: exists ? 409 : 500 }
+    );
+  }
+  await updateJobStatus(jobId, { resumedChunks: checkpoints.length });
+  
+  const queuedJob = await waitForJob(jobId, INLINE_WAIT_MS);
+  if (queuedJob && queuedJob.status === 'completed') {
+    return NextResponse.json({
+      jobId,
+      status: 'completed',
+      resumedChunks: queuedJob.result?.stats?.resumedChunks || 0,
+      result: queuedJob.result,
+      complexity
+    });
+  }
+  if (queuedJob && queuedJob.status === 'failed') {
+    return NextResponse.json(
+      { jobId, status: 'failed', error: queuedJob.lastError?.message || 'Error resuming job' },
+      { status: 500 }
+    );
+  }
+  
+  return NextResponse.json({
+    jobId,
+    status: 'queued',
+    resumedChunks: checkpoints.length,
+    complexity
+  });
+}
+
 /**
  * Process an existing document request
  */
@@ -346,10 +357,9 @@ async function processExistingDocumentRequest(userId, documentId, options, jobId
       stage: 'initialization'
     });
     
-    // Update to show we're starting
     await updateProcessingStatus(jobId, {
       status: 'processing',
-      message: 'Processing started for existing document',
+      message: 'Queued for processing',
       progress: 5
     });
   } catch (statusError) {
@@ -357,103 +367,12 @@ async function processExistingDocumentRequest(userId, documentId, options, jobId
     // Non-critical, continue processing
   }
   
-  // Check admin credentials
-  const hasAdminCredentials = await checkFirebaseAdminCredentials();
-  
-  // Process the existing document
-  const documentResult = await processExistingDocument(
-    userId, 
-    documentId, 
-    options, 
-    jobId, 
-    hasAdminCredentials
-  );
-  
-  // Check if there was an error
-  if (documentResult.error) {
-    return Response.json(errorHandler(new Error(documentResult.message || documentResult.error), {
-      stage: 'document_retrieval',
-      jobId,
-      documentId,
-      statusCode: 400
-    }), { status: 400 });
-  }
-  
-  // Update status
-  await updateProcessingStatus(jobId, {
-    status: 'processing',
-    message: 'Document retrieved, starting processing',
-    progress: 15,
-    documentId
-  });
-  
-  // Process the document with the pipeline
-  try {
-    // Handle the document processing with the pipeline
-    const result = await handleDocumentProcessing(
-      documentResult.text,
-      options,
-      documentId,
-      jobId
-    );
-    
-    // Check if the result has warnings
-    const hasWarning = result.warning ? true : false;
-    
-    // Return success response (with warning info if present)
-    return Response.json({
-      success: true,
-      message: result.message || 'Document processed successfully',
-      warning: hasWarning ? result.warning : undefined,
-      warningDetails: hasWarning ? result.message : undefined,
-      jobId,
-      documentId,
-      stats: result.stats
-    });
-  } catch (processingError) {
-    // Check for specific error types and handle accordingly
-    const statusCode = processingError.statusCode || 500;
-    const errorType = processingError.type || 'processing_error';
-    const isRecoverable = processingError.recoverable || false;
-    
-    // For timeout errors, we want to provide a more user-friendly response
-    if (errorType === 'timeout_error' || errorType === 'network_timeout') {
-      // Log the timeout but don't fail completely - instead mark as a warning
-      console.warn(`Processing timeout occurred for document ${documentId}, job ${jobId}`);
-      
-      await updateProcessingStatus(jobId, {
-        status: 'warning',
-        message: 'Processing timed out - partial results may be available',
-        warning: true,
-        warningType: 'timeout',
-        progress: 95
-      });
-      
-      // Return a success response with warning
-      return Response.json({
-        success: true,
-        warning: 'timeout',
-        message: 'Document processing timed out, but partial results may be available',
-        jobId,
-        documentId,
-        errorDetails: processingError.message
-      });
-    }
-    
-    // For other errors, use the error handler
-    return Response.json(errorHandler(processingError, { 
-      stage: 'pipeline_processing', 
-      jobId,
-      documentId,
-      statusCode,
-      errorType,
-      recoverable: isRecoverable
-    }), { status: statusCode });
-  }
+  return queueDocumentJob(userId, documentId, options, jobId, errorHandler);
 }
 
 /**
- * Process a new document request
+ * Process a new document request. The upload is saved to storage here; its
+ * text is extracted and processed by the queued job.
  */
 async function processNewDocumentRequest(userId, file, options, jobId, errorHandler) {
   // Create a processing job record
@@ -468,7 +387,7 @@ async function processNewDocumentRequest(userId, file, options, jobId, errorHand
     
     await updateProcessingStatus(jobId, {
       status: 'processing',
-      message: 'Processing started',
+      message: 'Uploading document',
       progress: 5
     });
   } catch (statusError) {
@@ -483,7 +402,7 @@ async function processNewDocumentRequest(userId, file, options, jobId, errorHand
     
     await updateProcessingStatus(jobId, {
       status: 'processing',
-      message: 'Document uploaded, extracting text',
+      message: 'Document uploaded, queued for text extraction',
       progress: 10,
       documentId: documentInfo.documentId
     });
@@ -495,49 +414,34 @@ async function processNewDocumentRequest(userId, file, options, jobId, errorHand
     }), { status: 500 });
   }
   
-  // Extract text from the document
-  let extractionResult;
+  return queueDocumentJob(userId, documentInfo.documentId, options, jobId, errorHandler);
+}
+
+/**
+ * Queue a stored document as a job, so it is scheduled by priority and
+ * per-user limits with everyone else's jobs, and wait for it up to the
+ * document timeout
+ * @param {Object} context - { resume } to run a finished job again from
+ *   its checkpoints
+ */
+async function queueDocumentJob(userId, documentId, options, jobId, errorHandler, { resume = false } = {}) {
   try {
-    // Get the uploaded file buffer
-    const buffer = Buffer.from(await file.arrayBuffer());
-    
-    // Extract text based on file type
-    extractionResult = await extractText(buffer, file.type, {
-      enableOcr: options.enableOcr
-    });
-    
-    // Check if extraction succeeded
-    if (!extractionResult.validation.valid) {
-      throw new Error(`Text extraction failed: ${extractionResult.validation.reason}`);
-    }
-    
-    await updateProcessingStatus(jobId, {
-      status: 'processing',
-      message: 'Text extracted successfully',
-      progress: 15,
-      stats: {
-        textLength: extractionResult.length
-      }
-    });
-  } catch (extractError) {
-    return Response.json(errorHandler(extractError, { 
-      stage: 'text_extraction', 
+    await enqueueDocumentJob(jobId, documentId, options, { userId, resume });
+  } catch (queueError) {
+    const exists = resume && /already exists/.test(queueError.message);
+    return Response.json(errorHandler(exists ? new Error(`Job ${jobId} is still queued or running`) : queueError, {
+      stage: 'queue',
       jobId,
-      documentId: documentInfo.documentId,
-      statusCode: 400 
-    }), { status: 400 });
+      documentId,
+      statusCode: exists ? 409 : 500
+    }), { status: exists ? 409 : 500 });
   }
   
-  // Process the document with the pipeline
-  try {
-    // Handle the document processing with the pipeline
-    const result = await handleDocumentProcessing(
-      extractionResult.text,
-      options,
-      documentInfo.documentId,
-      jobId
-    );
-    
+  const timeoutMs = (options.documentTimeout || DEFAULT_TIMEOUTS.documentProcessing) + DOCUMENT_WAIT_MARGIN_MS;
+  const job = await waitForJob(jobId, timeoutMs);
+  
+  if (job && job.status === 'completed') {
+    const result = job.result || {};
     // Check if the result has warnings
     const hasWarning = result.warning ? true : false;
     
@@ -547,50 +451,34 @@ async function processNewDocumentRequest(userId, file, options, jobId, errorHand
       message: result.message || 'Document processed successfully',
       warning: hasWarning ? result.warning : undefined,
       warningDetails: hasWarning ? result.message : undefined,
+      errorDetails: result.errorDetails,
       jobId,
-      documentId: documentInfo.documentId,
+      documentId,
+      resumedChunks: resume ? result.stats?.resumedChunks || 0 : undefined,
       stats: result.stats
     });
-  } catch (processingError) {
-    // Check for specific error types and handle accordingly
-    const statusCode = processingError.statusCode || 500;
-    const errorType = processingError.type || 'processing_error';
-    const isRecoverable = processingError.recoverable || false;
-    
-    // For timeout errors, provide a more user-friendly response
-    if (errorType === 'timeout_error' || errorType === 'network_timeout') {
-      // Log the timeout but don't fail completely
-      console.warn(`Processing timeout occurred for document ${documentInfo.documentId}, job ${jobId}`);
-      
-      await updateProcessingStatus(jobId, {
-        status: 'warning',
-        message: 'Processing timed out - partial results may be available',
-        warning: true,
-        warningType: 'timeout',
-        progress: 95
-      });
-      
-      // Return a success response with warning
-      return Response.json({
-        success: true,
-        warning: 'timeout',
-        message: 'Document processing timed out, but partial results may be available',
-        jobId,
-        documentId: documentInfo.documentId,
-        errorDetails: processingError.message
-      });
-    }
-    
-    // For other errors, use the error handler
+  }
+  
+  if (job && job.status === 'failed') {
+    const processingError = new Error(job.lastError?.message || 'Document processing failed');
     return Response.json(errorHandler(processingError, { 
       stage: 'pipeline_processing', 
       jobId,
-      documentId: documentInfo.documentId,
-      statusCode,
-      errorType,
-      recoverable: isRecoverable
-    }), { status: statusCode });
+      documentId,
+      statusCode: 500,
+      errorType: 'processing_error',
+      recoverable: false
+    }), { status: 500 });
   }
+  
+  // Still queued behind other jobs or running: follow it with GET ?jobId=
+  return Response.json({
+    success: true,
+    status: job ? job.status : 'queued',
+    message: 'Document is queued for processing',
+    jobId,
+    documentId
+  }, { status: 202 });
 }
 
 /**
@@ -610,8 +498,17 @@ export async function GET(request) {
       );
     }
     
-    // Get status for the specified job
-    const status = jobStatuses.get(jobId);
+    // Get status for the specified job from the queue
+    let status;
+    try {
+      status = await getJobStatus(jobId);
+    } catch (error) {
+      console.error(`Error reading status for job ${jobId}:`, error);
+      return NextResponse.json(
+        { error: 'Failed to read job status', details: error.message },
+        { status: 500 }
+      );
+    }
     
     if (!status) {
       return NextResponse.json(
@@ -620,6 +517,11 @@ export async function GET(request) {
       );
     }
     
+    const access = await authorizeJobAccess(request, status, jobId);
+    if (!access.allowed) {
+      return NextResponse.json({ error: access.error }, { status: access.status });
+    }
+    
     // Return the current job status
     return NextResponse.json({
       jobId,
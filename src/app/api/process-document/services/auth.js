@@ -7,6 +7,7 @@ import { getFirestore, doc, getDoc } from 'firebase/firestore';
 import { getAuth, signInWithCustomToken } from 'firebase/auth';
 import { getFirebaseApp } from '../../../../lib/firebase';
 import { initializeAdminApp, getAdminFirestore }  from '../../../../lib/firebase-admin';
+import { verifyStreamToken } from './streamTokens';
 
 /**
  * Verifies a user's authentication from a request or token
@@ -196,6 +197,52 @@ export async function authenticateUser(requestOrToken, options = {}) {
   }
 }
 
+/**
+ * Checks that a request may see a job: a job that belongs to a user is only
+ * shown to that user. The user is read from the ID token in the
+ * Authorization header or, for EventSource streams, which cannot send
+ * headers, from a stream token for this job in the streamToken query
+ * parameter (see issueStreamToken). ID tokens are never read from the URL.
+ * 
+ * @param {Request} request - The incoming request
+ * @param {Object} job - The job status, with its userId
+ * @param {string} jobId - The job's ID, which a stream token must be for
+ * @returns {Object} { allowed }, with status (401 or 403) and error when not
+ */
+export async function authorizeJobAccess(request, job, jobId) {
+  if (!job.userId) {
+    return { allowed: true };
+  }
+  
+  const streamToken = new URL(request.url).searchParams.get('streamToken');
+  if (streamToken) {
+    const uid = verifyStreamToken(streamToken, jobId);
+    if (!uid) {
+      return { allowed: false, status: 401, error: 'Invalid or expired stream token' };
+    }
+    if (uid !== job.userId) {
+      return { allowed: false, status: 403, error: 'Not authorized to view this job' };
+    }
+    return { allowed: true };
+  }
+  
+  const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return { allowed: false, status: 401, error: 'Authentication token required' };
+  }
+  
+  let user;
+  try {
+    user = await authenticateUser(token);
+  } catch (authError) {
+    return { allowed: false, status: 401, error: authError.message };
+  }
+  if (!user || user.uid !== job.userId) {
+    return { allowed: false, status: 403, error: 'Not authorized to view this job' };
+  }
+  return { allowed: true };
+}
+
 /**
  * Gets a user's subscription and credits information
  * 
@@ -0,0 +1,144 @@
+// src/app/api/process-document/services/checkpoints.js
+import { getFirestore, doc, getDoc, setDoc, collection, getDocs, serverTimestamp } from 'firebase/firestore';
+
+// Options that decide chunk boundaries and output, so a resume reproduces
+// the same chunks, and the queue priority the resumed run is scheduled with
+const RESUME_OPTION_KEYS = ['priority', 'chunkSize', 'overlap', 'chunking', 'useCase', 'promptVersions', 'promptVariables', 'language', 'outputFormat', 'split', 'splitSeed', 'dedup', 'fidelity', 'redaction', 'classFilter', 'taxonomy', 'prioritizeImportant', 'maxVariantsPerClause', 'maxClausesToProcess'];
+
+/**
+ * Reference to a chunk checkpoint. Checkpoints live in a subcollection of the
+ * job record so a large document does not outgrow the job document itself.
+ */
+function checkpointRef(db, jobId, chunkIndex) {
+  return doc(db, 'processingJobs', jobId, 'checkpoints', String(chunkIndex).padStart(6, '0'));
+}
+
+/**
+ * Creates an onCheckpoint handler that persists each completed chunk to the
+ * job record.
+ *
+ * After the first write failure (e.g. Firestore not configured) checkpointing
+ * is switched off for the rest of the run so processing is not slowed down by
+ * repeated errors. The job is then marked not resumable, with the reason in
+ * `checkpointsDisabled`, since its checkpoints stop short of the run.
+ *
+ * @param {string} jobId - The processing job ID
+ * @param {Object} options - Processing options, stored for resume
+ * @returns {Function} Checkpoint handler for the pipeline
+ */
+export function createCheckpointHandler(jobId, options = {}) {
+  let enabled = true;
+  let optionsSaved = false;
+
+  return async (checkpoint) => {
+    if (!enabled) return;
+
+    try {
+      // For now, always use client SDK due to OpenSSL issues
+      const db = getFirestore();
+
+      await setDoc(checkpointRef(db, jobId, checkpoint.chunkIndex), {
+        ...checkpoint,
+        createdAt: serverTimestamp()
+      });
+
+      const jobUpdate = {
+        resumable: true,
+        lastCheckpoint: {
+          chunkIndex: checkpoint.chunkIndex,
+          chunkHash: checkpoint.chunkHash,
+          end: checkpoint.end
+        },
+        updatedAt: serverTimestamp()
+      };
+      if (!optionsSaved) {
+        jobUpdate.resumeOptions = pickResumeOptions(options);
+      }
+
+      await setDoc(doc(db, 'processingJobs', jobId), jobUpdate, { merge: true });
+      optionsSaved = true;
+    } catch (error) {
+      console.error(`Error saving checkpoint for job ${jobId}, disabling checkpoints for this run:`, error.message);
+      enabled = false;
+      await markCheckpointsDisabled(jobId, checkpoint.chunkIndex, error);
+    }
+  };
+}
+
+// Record that a run stopped checkpointing. Best effort: when Firestore itself
+// is unavailable this write fails too, and there is no record to resume from.
+async function markCheckpointsDisabled(jobId, chunkIndex, error) {
+  try {
+    const db = getFirestore();
+    await setDoc(doc(db, 'processingJobs', jobId), {
+      resumable: false,
+      checkpointsDisabled: {
+        chunkIndex,
+        error: error.message,
+        at: new Date().toISOString()
+      },
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  } catch (markError) {
+    console.error(`Error marking checkpoints disabled for job ${jobId}:`, markError.message);
+  }
+}
+
+/**
+ * Loads a job record and its chunk checkpoints
+ *
+ * @param {string} jobId - The processing job ID
+ * @returns {Object} { job, checkpoints } where job is null if not found
+ */
+export async function loadJobCheckpoints(jobId) {
+  // For now, always use client SDK due to OpenSSL issues
+  const db = getFirestore();
+
+  const jobDoc = await getDoc(doc(db, 'processingJobs', jobId));
+  if (!jobDoc.exists()) {
+    return { job: null, checkpoints: [] };
+  }
+
+  const snapshot = await getDocs(collection(db, 'processingJobs', jobId, 'checkpoints'));
+  const checkpoints = snapshot.docs
+    .map(d => d.data())
+    .sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+  return { job: jobDoc.data(), checkpoints };
+}
+
+/**
+ * Marks a job as no longer resumable once its full results are saved.
+ * Jobs that stopped with partial results stay resumable.
+ *
+ * @param {string} jobId - The processing job ID
+ * @returns {object} Operation result
+ */
+export async function markCheckpointsComplete(jobId) {
+  try {
+    const db = getFirestore();
+    await setDoc(doc(db, 'processingJobs', jobId), {
+      resumable: false,
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+    return { success: true };
+  } catch (error) {
+    console.error(`Error updating checkpoint state for job ${jobId}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+function pickResumeOptions(options) {
+  const picked = {};
+  for (const key of RESUME_OPTION_KEYS) {
+    if (options[key] !== undefined) {
+      picked[key] = options[key];
+    }
+  }
+  if (picked.chunking) {
+    // A document's structure is read from it again when the job resumes
+    const { structure, ...chunking } = picked.chunking;
+    picked.chunking = chunking;
+  }
+  return picked;
+}
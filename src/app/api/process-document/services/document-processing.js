@@ -1,5 +1,6 @@
 // src/app/api/process-document/services/document-processing.js
 import path from "path";
+import fs from "fs/promises";
 import { getFirestore, doc, getDoc, updateDoc, serverTimestamp } from "firebase/firestore";
 import { getStorage, ref, getDownloadURL } from "firebase/storage";
 import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
@@ -7,7 +8,10 @@ import { extractTextFromPdf, extractTextFromTxt } from "../utils/extractText";
 import { extractTextFromPdfWithTextract } from '../utils/extractText';
 import { validateExtractedText } from "../utils/validators";
 import { getAdminFirestore, getAdminStorage } from "../../../../lib/firebase-admin";
-import { extractTextFromPdf as extractPdfText } from '../utils/reliablePdfExtractor';
+import { extractTextFromPdf as extractPdfText, extractPdfWithPageMethods } from '../utils/reliablePdfExtractor';
+import { extractText, getUserOcrPageLimit } from './textExtraction';
+import { resolveLanguage, languageFields } from '../../../../lib/language';
+import { extractPdfData } from '../../../../lib/pdf-extraction';
 
 // Conditionally import mammoth
 let mammoth;
@@ -21,7 +25,7 @@ try {
 /**
  * Processes an existing document from Firestore
  */
-export async function processExistingDocument(userId, documentId, processingOptions = {}, jobId, hasAdminCredentials) {
+export async function processExistingDocument(userId, documentId, processingOptions = {}, jobId, hasAdminCredentials, onOcrPage = null) {
   console.log(`Processing existing document with ID: ${documentId}`);
   
   try {
@@ -45,6 +49,10 @@ export async function processExistingDocument(userId, documentId, processingOpti
     
     // Get text content from document
     let text = documentData.content || documentData.text || "";
+    let extraction = null;
+    let ocr = null;
+    let language = null;
+    let structure = null;
     console.log(`Retrieved document content: ${text.length} characters`);
     
     // If there's a file path but no content, try to get from storage
@@ -58,16 +66,43 @@ export async function processExistingDocument(userId, documentId, processingOpti
       if (fileBuffer && fileBuffer.length > 0) {
         console.log(`File retrieved, size: ${fileBuffer.length} bytes`);
         
+        const fileType = documentData.fileType || documentData.contentType || documentData.type || "";
+        const maxOcrPages = await getUserOcrPageLimit(userId);
         try {
-          // Try the more reliable extraction method
-          text = await extractPdfText(fileBuffer, { 
-            useTextract: true
-          });
+          if ((fileType && !fileType.includes('pdf')) || processingOptions.enableOcr) {
+            // Uploaded Word and text files, and PDFs the user asked to OCR
+            // throughout, are read the way the upload form reads them
+            const result = await extractText(fileBuffer, fileType || 'application/pdf', {
+              enableOcr: processingOptions.enableOcr,
+              language: processingOptions.language,
+              maxOcrPages,
+              onOcrPage
+            });
+            text = result.text;
+            extraction = result.extraction;
+            ocr = result.ocr;
+            language = result.language;
+          } else {
+            // Try the more reliable extraction method: page by page, OCRing
+            // scanned pages up to the plan's limit
+            const result = await extractPdfWithPageMethods(fileBuffer, { 
+              useTextract: true,
+              language: processingOptions.language,
+              ocr: { maxPages: maxOcrPages, onPage: onOcrPage }
+            });
+            text = result.text;
+            extraction = result.extraction;
+            ocr = result.extraction?.ocr;
+          }
           
           console.log(`Text extracted from file: ${text?.length || 0} characters`);
         } catch (extractionError) {
           console.error("Error during text extraction:", extractionError);
         }
+
+        if (!fileType || fileType.includes('pdf')) {
+          structure = await readPdfStructure(fileBuffer);
+        }
       }
     }
     
@@ -86,9 +121,19 @@ export async function processExistingDocument(userId, documentId, processingOpti
       };
     }
     
+    // Outputs are generated in the document's language, kept on its record
+    language = language || extraction?.language || resolveLanguage(text, processingOptions.language);
+    await updateDocumentLanguage(documentId, language, hasAdminCredentials);
+    
     return {
       documentId,
       text,
+      extraction,
+      // Per-page OCR confidence of the OCRed pages
+      ocr: ocr || null,
+      language,
+      // Headers and sections of a PDF, for the structure chunker
+      structure,
       fileName: documentData.fileName || documentData.name || "",
       fileType: documentData.contentType || documentData.type || "",
     };
@@ -103,6 +148,33 @@ export async function processExistingDocument(userId, documentId, processingOpti
   }
 }
 
+/**
+ * Reads the headers and section titles of a PDF's text layer, which the
+ * structure chunker takes as headings (see lib/chunking). Only those are
+ * kept, since the job options they travel in are stored with the job.
+ *
+ * @param {Buffer} fileBuffer - The PDF file
+ * @returns {Promise<Object|null>} { headers: [{ text, level }],
+ *   sections: [{ title }] }, or null when the PDF could not be read
+ */
+async function readPdfStructure(fileBuffer) {
+  try {
+    const { structure } = await extractPdfData(fileBuffer, {
+      attemptAllMethods: false,
+      detectTables: false,
+      extractForms: false,
+      ocr: false
+    });
+    return {
+      headers: structure.headers.map(({ text, level }) => ({ text, level })),
+      sections: structure.sections.map(({ title }) => ({ title }))
+    };
+  } catch (error) {
+    console.warn('Could not read the structure of the PDF, chunking without it:', error.message);
+    return null;
+  }
+}
+
 /**
  * Retrieves a document from Firestore
  */
@@ -152,36 +224,58 @@ async function getDocumentFromFirestore(documentId, hasAdminCredentials) {
   }
 }
 
+/**
+ * Updates fields of a document record
+ */
+async function updateDocument(documentId, fields, hasAdminCredentials) {
+  if (hasAdminCredentials) {
+    const adminDb = await getAdminFirestore();
+    if (adminDb) {
+      await adminDb.collection("documents").doc(documentId).update({
+        ...fields,
+        updatedAt: new Date()
+      });
+      return;
+    }
+  }
+  
+  // Fall back to client SDK
+  const db = getFirestore();
+  await updateDoc(doc(db, "documents", documentId), {
+    ...fields,
+    updatedAt: serverTimestamp()
+  });
+}
+
 /**
  * Updates a document with extracted text
  */
 async function updateDocumentWithText(documentId, text, hasAdminCredentials) {
   console.log("Updating document with extracted text");
   try {
-    if (hasAdminCredentials) {
-      const adminDb = await getAdminFirestore();
-      if (adminDb) {
-        await adminDb.collection("documents").doc(documentId).update({
-          content: text,
-          updatedAt: new Date()
-        });
-        console.log("Document updated with extracted text using Admin SDK");
-        return;
-      }
-    }
-    
-    // Fall back to client SDK
-    const db = getFirestore();
-    await updateDoc(doc(db, "documents", documentId), {
-      content: text,
-      updatedAt: serverTimestamp()
-    });
-    console.log("Document updated with extracted text using client SDK");
+    await updateDocument(documentId, { content: text }, hasAdminCredentials);
+    console.log("Document updated with extracted text");
   } catch (updateError) {
     console.error("Failed to update document with extracted text:", updateError);
   }
 }
 
+/**
+ * Stores a document's language (see lib/language) on its record
+ * @param {string} documentId - The document
+ * @param {Object} language - From resolveLanguage
+ * @param {boolean} hasAdminCredentials - Whether the Admin SDK is available
+ */
+export async function updateDocumentLanguage(documentId, language, hasAdminCredentials) {
+  try {
+    await updateDocument(documentId, languageFields(language), hasAdminCredentials);
+    console.log(`Document ${documentId} language set to ${language.name} (${language.source})`);
+  } catch (updateError) {
+    // The language is also on the job record, so processing goes on
+    console.error(`Failed to store the language of document ${documentId}:`, updateError);
+  }
+}
+
 /**
  * Retrieves a file from storage based on document data
  */
@@ -203,6 +297,17 @@ async function retrieveFileFromStorage(documentData, hasAdminCredentials) {
     
     console.log(`Storage type determined as: ${storageType}`);
     
+    // Saved under ./uploads in development
+    if (storageType === 'local') {
+      try {
+        fileBuffer = await fs.readFile(path.join(process.cwd(), filePath));
+        console.log(`File read from local storage: ${fileBuffer.length} bytes`);
+        return fileBuffer;
+      } catch (localError) {
+        console.error("Error reading from local storage:", localError);
+      }
+    }
+    
     // Direct URL - fetch directly
     if (storageType === 'url') {
       try {
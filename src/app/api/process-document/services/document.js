@@ -7,6 +7,8 @@ import { initFirebaseAdmin } from '@/lib/firebase/firebaseAdmin';
 import { extractTextFromPdf } from "../utils/extractText";
 import { v4 as uuidv4 } from "uuid";
 import { getAdminFirestore } from '../../../../lib/firebase-admin';
+import { saveDatasetSplits } from '@/utils/datasetService';
+import { getFormatter } from '@/lib/formatters';
 import { getFirestore, doc, getDoc, updateDoc, setDoc, serverTimestamp } from 'firebase/firestore';
 import path from "path";
 import fs from "fs/promises";
@@ -350,3 +352,42 @@ export async function saveProcessingResults(documentId, jobId, results) {
     throw error;
   }
 }
+
+/**
+ * Stores the train/validation/test splits of a processing job as a dataset
+ * (datasets/{jobId}), one file per split, so each can be downloaded from
+ * /api/datasets/download?id={jobId}&split=train
+ *
+ * @param {String} documentId - The document ID
+ * @param {String} jobId - The job ID
+ * @param {Object} results - The processing results, with `splits`
+ * @returns {Object} Split file info keyed by split name
+ */
+export async function saveJobDatasetSplits(documentId, jobId, results) {
+  const admin = initFirebaseAdmin();
+  const db = admin.firestore();
+
+  const jobDoc = await db.collection("processingJobs").doc(jobId).get();
+  const userId = jobDoc.exists ? jobDoc.data().userId : null;
+  if (!userId) {
+    throw new Error(`Processing job ${jobId} has no owner to store its splits under`);
+  }
+
+  const format = results.format || 'jsonl';
+  await db.collection("datasets").doc(jobId).set(
+    {
+      id: jobId,
+      name: `Dataset from job ${jobId}`,
+      userId,
+      sourceDocumentId: documentId,
+      jobId,
+      format,
+      recordCount: results.stats?.outputLines || 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+
+  return saveDatasetSplits(jobId, userId, results.splits, getFormatter(format).extension);
+}
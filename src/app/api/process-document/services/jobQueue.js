@@ -0,0 +1,283 @@
+// src/app/api/process-document/services/jobQueue.js
+import { getQueue, QueueWorker, jobHandlers, JOB_STATUS } from "../../../../lib/queue";
+import { processWithPipeline, evaluateTextComplexity } from './pipeline';
+import { markCheckpointsComplete } from './checkpoints';
+import { getUserSubscription } from './auth';
+import { processExistingDocument } from './document-processing';
+import { handleDocumentProcessing } from './pipelineProcessing';
+import { updateProcessingStatus, getProcessingStatus } from './statusUpdate';
+import { checkFirebaseAdminCredentials } from '../utils/admin';
+
+// Jobs a user can have running at once, by subscription plan. Users without
+// an active subscription, and jobs without a user, get the free limit. A
+// subscription's own maxConcurrentJobs overrides its plan.
+const PLAN_CONCURRENCY = {
+  free: 1,
+  starter: 2,
+  professional: 4,
+  enterprise: 10
+};
+
+// Job status reported to clients for each queue state
+const CLIENT_STATUS = {
+  [JOB_STATUS.QUEUED]: 'queued',
+  [JOB_STATUS.LEASED]: 'processing',
+  [JOB_STATUS.COMPLETED]: 'completed',
+  [JOB_STATUS.DEAD]: 'failed'
+};
+
+// Statuses of the processing status record (processingJobs) reported to
+// clients under the queue's names; the others are reported as they are
+const RECORD_STATUS = {
+  created: 'queued',
+  complete: 'completed',
+  error: 'failed'
+};
+
+// Handlers of the server's job types: text jobs also get Firestore
+// checkpoints and the memory-based simulation fallback of
+// processWithPipeline, and stored or uploaded documents are read and
+// extracted here. The standalone worker (lib/queue/worker.js) loads them too.
+export const serverJobHandlers = {
+  ...jobHandlers,
+  'process-text': async (job, { reportProgress }) => {
+    const { text, options = {} } = job.payload;
+    const complexity = evaluateTextComplexity(text);
+    const result = await processWithPipeline(text, options, job.id, complexity, (jobId, status) => reportProgress(status));
+    if (!result.partialResults) {
+      await markCheckpointsComplete(job.id);
+    }
+    return result;
+  },
+  // Documents stored for the user, uploaded or existing; resumed jobs
+  // carry their checkpoints in the options
+  'process-document': async (job, { reportProgress }) => {
+    const { documentId, options = {} } = job.payload;
+    const hasAdminCredentials = await checkFirebaseAdminCredentials();
+    const documentResult = await processExistingDocument(job.userId, documentId, options, job.id, hasAdminCredentials,
+      (page, { processed, total }) => reportProgress({
+        stage: 'extraction',
+        message: `OCR page ${processed} of ${total} (page ${page.page}, confidence ${Math.round(page.confidence)}%)`,
+        progress: 10 + Math.round(processed / total * 5)
+      }));
+    if (documentResult.error) {
+      // A missing or unreadable document will not be there on a retry either
+      const error = new Error(documentResult.message || documentResult.error);
+      error.retryable = false;
+      throw error;
+    }
+
+    const { ocr } = documentResult;
+    const resumedChunks = options.checkpoints?.length || 0;
+    await updateProcessingStatus(job.id, {
+      status: 'processing',
+      message: resumedChunks > 0
+        ? `Resuming from ${resumedChunks} checkpointed chunks`
+        : ocr?.skippedPages
+          ? `Text extracted; OCR stopped at your plan's limit of ${ocr.processedPages} pages (${ocr.skippedPages} skipped)`
+          : 'Document retrieved, starting processing',
+      progress: 15,
+      documentId,
+      stats: {
+        textLength: documentResult.text.length
+      },
+      // How each page was read, with per-page OCR confidence
+      extraction: documentResult.extraction || undefined,
+      ocr: ocr || undefined,
+      language: documentResult.language
+    });
+
+    try {
+      // A PDF's headers and sections guide the structure chunker
+      const chunking = { ...options.chunking, structure: documentResult.structure };
+      return await handleDocumentProcessing(documentResult.text, { ...options, chunking }, documentId, job.id, reportProgress);
+    } catch (processingError) {
+      // Timeouts leave partial results, reported as a warning, not retried
+      if (processingError.type === 'timeout_error' || processingError.type === 'network_timeout') {
+        console.warn(`Processing timeout occurred for document ${documentId}, job ${job.id}`);
+        await updateProcessingStatus(job.id, {
+          status: 'warning',
+          message: 'Processing timed out - partial results may be available',
+          warning: true,
+          warningType: 'timeout',
+          progress: 95
+        });
+        return {
+          success: true,
+          warning: 'timeout',
+          message: 'Document processing timed out, but partial results may be available',
+          errorDetails: processingError.message
+        };
+      }
+      throw processingError;
+    }
+  }
+};
+
+let inlineWorker = null;
+
+/**
+ * The worker that runs queued jobs inside the Next.js server. With
+ * QUEUE_INLINE_WORKER=false there is none, and every job is left to
+ * standalone workers (`npm run worker`).
+ * @returns {QueueWorker|null} The started worker
+ */
+export function getInlineWorker() {
+  if (!inlineWorker && process.env.QUEUE_INLINE_WORKER !== 'false') {
+    inlineWorker = new QueueWorker(getQueue(), serverJobHandlers, {
+      concurrency: parseInt(process.env.QUEUE_WORKER_CONCURRENCY, 10) || 1
+    }).start();
+  }
+  return inlineWorker;
+}
+
+/**
+ * How many jobs a user may have running at once, from their subscription
+ * @param {string|null} userId - The user, or null for anonymous jobs
+ * @returns {Promise<number>} The limit
+ */
+export async function getUserConcurrency(userId) {
+  if (!userId) return PLAN_CONCURRENCY.free;
+
+  try {
+    const { subscription } = await getUserSubscription(userId);
+    if (!subscription || subscription.status !== 'active') {
+      return PLAN_CONCURRENCY.free;
+    }
+    return subscription.maxConcurrentJobs ||
+      PLAN_CONCURRENCY[String(subscription.plan || '').toLowerCase()] ||
+      PLAN_CONCURRENCY.starter;
+  } catch (error) {
+    console.warn(`Could not load the subscription of user ${userId}, using the free job limit:`, error.message);
+    return PLAN_CONCURRENCY.free;
+  }
+}
+
+// Options every queued job is scheduled with; `replace` runs a finished
+// job again under its ID
+async function schedulingOptions(jobId, userId, priority, replace = false) {
+  return {
+    jobId,
+    userId,
+    replace,
+    // Single documents are interactive unless the client marks them as batch
+    priority: priority || 'interactive',
+    maxConcurrent: await getUserConcurrency(userId)
+  };
+}
+
+/**
+ * Queue a text processing job
+ * @param {string} jobId - Job ID, reused for status updates and checkpoints
+ * @param {string} text - Document text
+ * @param {Object} options - Processing options; `priority` is "interactive"
+ *   (default) or "batch"
+ * @param {Object} context - { userId, complexity, resume (replace the
+ *   finished job of the run being resumed) }
+ * @returns {Object} The queued job
+ */
+export async function enqueueTextJob(jobId, text, options, { userId = null, complexity = null, resume = false } = {}) {
+  const queue = getQueue();
+  const job = await queue.enqueue('process-text', { text, options }, await schedulingOptions(jobId, userId, options.priority, resume));
+  await queue.updateProgress(job.id, {
+    message: 'Queued for processing',
+    text: text.length > 500 ? `${text.substring(0, 500)}...` : text,
+    complexity
+  });
+
+  getInlineWorker()?.wake();
+  return job;
+}
+
+/**
+ * Queue processing of a stored document
+ * @param {string} jobId - Job ID, also the processingJobs record
+ * @param {string} documentId - The stored document
+ * @param {Object} options - Processing options; `priority` as for text jobs
+ * @param {Object} context - { userId, resume (as for text jobs) }
+ * @returns {Object} The queued job
+ */
+export async function enqueueDocumentJob(jobId, documentId, options, { userId = null, resume = false } = {}) {
+  const job = await getQueue().enqueue('process-document', { documentId, options }, await schedulingOptions(jobId, userId, options.priority, resume));
+  getInlineWorker()?.wake();
+  return job;
+}
+
+/**
+ * Wait for a queued job to finish
+ * @param {string} jobId - The job ID
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Object|null} The job status (see getJobStatus), finished or as
+ *   it was at the timeout
+ */
+export async function waitForJob(jobId, timeoutMs) {
+  const job = await getQueue().waitFor(jobId, { timeoutMs });
+  return job ? toClientStatus(job) : null;
+}
+
+/**
+ * Merge status fields into a job's progress. Jobs that are not in the queue
+ * are ignored.
+ */
+export async function updateJobStatus(jobId, status, details = {}) {
+  if (!jobId) return;
+
+  try {
+    await getQueue().updateProgress(jobId, {
+      ...status,
+      ...details,
+      lastUpdated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error updating status for job ${jobId}:`, error.message);
+  }
+}
+
+/**
+ * A job as reported to clients: its progress fields with the queue state
+ * mapped to queued, processing, completed or failed. Jobs that are not in
+ * the queue (an upload still being saved, or a job pruned after the
+ * retention period) are read from their processing status record.
+ * @param {string} jobId - The job ID
+ * @returns {Object|null} The job status, or null if the job is unknown
+ */
+export async function getJobStatus(jobId) {
+  const job = await getQueue().get(jobId);
+  if (job) return toClientStatus(job);
+
+  const record = await getProcessingStatus(jobId);
+  return record ? recordToClientStatus(record) : null;
+}
+
+function toClientStatus(job) {
+  const { payload, progress, status, ...fields } = job;
+  return {
+    ...progress,
+    ...fields,
+    status: CLIENT_STATUS[status] || status,
+    queueStatus: status
+  };
+}
+
+function recordToClientStatus(record) {
+  const { status, createdAt, updatedAt, errorMessage, ...fields } = record;
+  return {
+    ...fields,
+    status: RECORD_STATUS[status] || status,
+    queueStatus: null,
+    // Firestore timestamps, as epoch milliseconds like queue jobs
+    createdAt: createdAt?.toMillis ? createdAt.toMillis() : createdAt,
+    updatedAt: updatedAt?.toMillis ? updatedAt.toMillis() : updatedAt,
+    lastError: errorMessage ? { message: errorMessage } : null
+  };
+}
+
+/**
+ * Inline worker activity, for the memory status report
+ */
+export function getWorkerStatus() {
+  return {
+    inlineWorker: Boolean(inlineWorker),
+    activeJobs: inlineWorker ? inlineWorker.activeJobs.size : 0
+  };
+}
@@ -1,7 +1,9 @@
 // src/app/api/process-document/services/pipelineProcessing.js
 import { processWithPipeline, evaluateTextComplexity } from './pipeline';
 import { updateProcessingStatus, completeProcessingJob } from './statusUpdate';
-import { saveProcessingResults } from './document';
+import { saveProcessingResults, saveJobDatasetSplits } from './document';
+import { markCheckpointsComplete } from './checkpoints';
+import { publishJobEvent, JOB_EVENT } from '../../../../lib/queue';
 
 /**
  * Process a document using the pipeline and handle status updates
@@ -9,15 +11,28 @@ import { saveProcessingResults } from './document';
  * @param {Object} options - Processing options
  * @param {string} documentId - The document ID
  * @param {string} jobId - The processing job ID
+ * @param {Function} reportProgress - Optional; also receives every status
+ *   update, e.g. the queue worker's progress reporter
  * @returns {Object} Processing results
  */
-export async function handleDocumentProcessing(text, options, documentId, jobId) {
+export async function handleDocumentProcessing(text, options, documentId, jobId, reportProgress = null) {
+  // The queue worker publishes the reports of queued jobs; others are
+  // published here, so their progress streams get every update too
+  const updateStatus = (id, status) => {
+    if (reportProgress) {
+      reportProgress(status);
+    } else {
+      publishJobEvent(id, JOB_EVENT.PROGRESS, status);
+    }
+    return updateProcessingStatus(id, status);
+  };
+
   // Check if text is empty and handle gracefully
   if (!text || text.trim().length === 0) {
     console.warn(`Document ${documentId} has no text content for processing`);
     
     // Update status to reflect the issue
-    await updateProcessingStatus(jobId, {
+    await updateStatus(jobId, {
       status: 'warning',
       message: 'Document has no text content to process',
       progress: 100,
@@ -53,7 +68,7 @@ export async function handleDocumentProcessing(text, options, documentId, jobId)
     const complexity = evaluateTextComplexity(text);
     
     // Update status with complexity information
-    await updateProcessingStatus(jobId, {
+    await updateStatus(jobId, {
       status: 'processing',
       message: 'Initializing processing pipeline',
       progress: 18,
@@ -70,7 +85,7 @@ export async function handleDocumentProcessing(text, options, documentId, jobId)
       options, 
       jobId, 
       complexity,
-      updateProcessingStatus
+      updateStatus
     );
     
     // Check if the result has a warning (like timeout)
@@ -78,7 +93,7 @@ export async function handleDocumentProcessing(text, options, documentId, jobId)
     
     // Update status based on result type
     if (hasWarning) {
-      await updateProcessingStatus(jobId, {
+      await updateStatus(jobId, {
         status: 'warning',
         message: result.message || 'Processing completed with warnings',
         progress: 95,
@@ -92,7 +107,7 @@ export async function handleDocumentProcessing(text, options, documentId, jobId)
       });
     } else {
       // Normal completion
-      await updateProcessingStatus(jobId, {
+      await updateStatus(jobId, {
         status: 'processing',
         message: 'Processing complete, saving results',
         progress: 90,
@@ -103,12 +118,28 @@ export async function handleDocumentProcessing(text, options, documentId, jobId)
       });
     }
     
+    // Store each train/validation/test split as its own file; the job
+    // record keeps only the per-split counts in stats.splits
+    if (result.splits) {
+      try {
+        await saveJobDatasetSplits(documentId, jobId, result);
+      } catch (splitError) {
+        console.error(`Error saving dataset splits for job ${jobId}:`, splitError);
+      }
+    }
+    
     // Save the processing results
-    await saveProcessingResults(documentId, jobId, result);
+    const { splits, ...resultsToSave } = result;
+    await saveProcessingResults(documentId, jobId, resultsToSave);
     
     // Complete the processing job
     await completeProcessingJob(jobId, result);
     
+    // Partial results can still be finished with a resume
+    if (!result.partialResults) {
+      await markCheckpointsComplete(jobId);
+    }
+    
     return {
       success: true,
       jobId,
@@ -177,7 +208,7 @@ export async function handleDocumentProcessing(text, options, documentId, jobId)
       };
       
       // Update status with warning about simulated recovery
-      await updateProcessingStatus(jobId, {
+      await updateStatus(jobId, {
         status: 'warning',
         message: `Development mode: Simulating recovery from ${errorType}`,
         progress: 95,
@@ -211,7 +242,7 @@ export async function handleDocumentProcessing(text, options, documentId, jobId)
     
     // Update status with detailed error information
     try {
-      await updateProcessingStatus(jobId, {
+      await updateStatus(jobId, {
         status: 'error',
         message: errorMessage,
         progress: 0,
@@ -1,5 +1,6 @@
 // src/app/api/process-document/services/progress.js
 import { updateProcessingStatus } from './statusUpdate';
+import { publishJobEvent, JOB_EVENT } from '../../../../lib/queue';
 
 /**
  * Creates a progress callback function for the pipeline
@@ -44,6 +45,8 @@ export function createProgressCallback(jobId, complexity) {
         statusUpdate.message = `Processing document (${currentChunk}/${totalChunks} chunks)`;
       }
       
+      // Jobs run outside the queue have no worker to publish their progress
+      publishJobEvent(jobId, JOB_EVENT.PROGRESS, statusUpdate);
       await updateProcessingStatus(jobId, statusUpdate);
     } catch (progressError) {
       console.error('Error in progress callback:', progressError);
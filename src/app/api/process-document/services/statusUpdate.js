@@ -119,6 +119,19 @@ export async function updateProcessingStatus(jobId, statusData) {
   }
 }
 
+/**
+ * Reads a processing status document
+ * 
+ * @param {string} jobId - The processing job ID
+ * @returns {object|null} The status, or null if there is none
+ */
+export async function getProcessingStatus(jobId) {
+  // For now, always use client SDK due to OpenSSL issues
+  const db = getFirestore();
+  const snapshot = await getDoc(doc(db, 'processingJobs', jobId));
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
 /**
  * Marks a processing job as complete
  * 
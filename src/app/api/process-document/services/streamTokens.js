@@ -0,0 +1,65 @@
+// src/app/api/process-document/services/streamTokens.js
+import crypto from 'crypto';
+
+// How long a stream token can open a stream. EventSource cannot send an
+// Authorization header, so the token is in the URL, where it may be logged;
+// it only ever opens one job's stream, and only briefly.
+export const STREAM_TOKEN_TTL_MS = 2 * 60 * 1000;
+
+// Without JOB_STREAM_SECRET tokens are signed with a key of this process,
+// so they only open streams on the server that issued them
+let processSecret = null;
+
+function secret() {
+  if (process.env.JOB_STREAM_SECRET) return process.env.JOB_STREAM_SECRET;
+  if (!processSecret) {
+    processSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('JOB_STREAM_SECRET is not set; stream tokens only work on the server that issued them');
+  }
+  return processSecret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issues a token that lets a user open the progress stream of one job
+ *
+ * @param {string} jobId - The job whose stream it opens
+ * @param {string} uid - The verified user it is issued to
+ * @param {number} [now] - Issue time, in epoch milliseconds
+ * @returns {Object} { streamToken, expiresAt }
+ */
+export function issueStreamToken(jobId, uid, now = Date.now()) {
+  const expiresAt = now + STREAM_TOKEN_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ jobId, uid, exp: expiresAt })).toString('base64url');
+  return { streamToken: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Checks a stream token against the job it is used for
+ *
+ * @param {string} token - The token from issueStreamToken
+ * @param {string} jobId - The job whose stream is being opened
+ * @param {number} [now] - Current time, in epoch milliseconds
+ * @returns {string|null} The uid it was issued to, or null when it is
+ *   forged, expired or for another job
+ */
+export function verifyStreamToken(token, jobId, now = Date.now()) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (claims.jobId !== jobId || !(claims.exp > now) || !claims.uid) return null;
+  return claims.uid;
+}
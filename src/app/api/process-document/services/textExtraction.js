@@ -10,23 +10,70 @@ import {
   extractTextFromPdfWithTextract
 } from '../utils/extractText';
 import { validateExtractedText } from '../utils/validators';
+import { getUserSubscription } from './auth';
+import { summarizeOcr, summarizeExtraction } from '../../../../lib/ocr';
+import { getLanguage, resolveLanguage } from '../../../../lib/language';
 import { writeFile, mkdir } from 'fs/promises';
 import { tmpdir } from 'os';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 
+// Most pages OCRed per document, by subscription plan; null is no limit.
+// Users without an active subscription get the free limit. A
+// subscription's own maxOcrPages overrides its plan.
+const PLAN_OCR_PAGES = {
+  free: 50,
+  starter: 300,
+  professional: null,
+  enterprise: null
+};
+
+/**
+ * Most pages of a document a user may have OCRed
+ * @param {string} userId - The user
+ * @returns {Promise<number|null>} The page limit, null for none
+ */
+export async function getUserOcrPageLimit(userId) {
+  if (!userId) return PLAN_OCR_PAGES.free;
+
+  try {
+    const { subscription } = await getUserSubscription(userId);
+    if (!subscription || subscription.status !== 'active') {
+      return PLAN_OCR_PAGES.free;
+    }
+    if (subscription.maxOcrPages !== undefined) {
+      return subscription.maxOcrPages;
+    }
+    const plan = String(subscription.plan || '').toLowerCase();
+    return plan in PLAN_OCR_PAGES ? PLAN_OCR_PAGES[plan] : PLAN_OCR_PAGES.starter;
+  } catch (error) {
+    console.warn(`Could not load the subscription of user ${userId}, using the free OCR page limit:`, error.message);
+    return PLAN_OCR_PAGES.free;
+  }
+}
+
 /**
  * Extracts text from various document formats
  * 
  * @param {Buffer} buffer - The file buffer
  * @param {String} mimeType - The file MIME type
- * @param {Object} options - Extraction options
- * @returns {Object} The extracted text and metadata
+ * @param {Object} options - Extraction options: enableOcr to OCR every
+ *   page of a PDF (else only pages without a usable text layer are), ocr
+ *   false to read PDFs from their text layer only and OCR nothing,
+ *   language (code or name, see lib/language) to skip detection, and for
+ *   OCR maxOcrPages (null for every page) and onOcrPage(page,
+ *   { processed, total }), called as each page is recognized
+ * @returns {Object} The extracted text and metadata; `ocr` holds the
+ *   per-page confidence of OCRed pages, `extraction` the method that
+ *   produced each page of a PDF read page by page, and `language` the
+ *   document's language, from resolveLanguage
  */
 export async function extractText(buffer, mimeType, options = {}) {
-  const { enableOcr = false } = options;
+  const { enableOcr = false, ocr = true, language = null, maxOcrPages = null, onOcrPage = null } = options;
   let text = '';
   let textExtractionMethod = 'standard';
+  let ocrResult = null;
+  let pageExtraction = null;
   
   console.log(`Extracting text from ${mimeType} document, OCR enabled: ${enableOcr}`);
   
@@ -48,8 +95,32 @@ export async function extractText(buffer, mimeType, options = {}) {
       if (process.env.USE_TEXTRACT === 'true') {
         text = await extractTextFromPdfWithTextract(buffer, { useOcr: enableOcr });
         textExtractionMethod = 'textract';
+      } else if (enableOcr && ocr) {
+        // Server-only, so loaded on demand. Without a language every
+        // supported one is read, as there is no text yet to detect it from.
+        const { extractTextWithOCR } = await import('../utils/ocrExtractor');
+        ocrResult = await extractTextWithOCR(buffer, {
+          language: language ? getLanguage(language).tesseract : null,
+          maxPages: maxOcrPages,
+          onPage: onOcrPage
+        });
+        text = ocrResult.text;
+        textExtractionMethod = 'ocr';
       } else {
-        text = await extractTextFromPdf(buffer, { useOcr: enableOcr });
+        // Page by page: the text layer where it is usable, OCR for scanned
+        // or garbled pages unless OCR is off
+        try {
+          const { extractTextByPage } = await import('../utils/ocrExtractor');
+          pageExtraction = await extractTextByPage(buffer, {
+            language,
+            ocr: ocr && { maxPages: maxOcrPages, onPage: onOcrPage }
+          });
+          text = pageExtraction.text;
+          textExtractionMethod = pageExtraction.methods.ocr > 0 ? 'hybrid' : 'standard';
+        } catch (pageError) {
+          console.warn('Page-by-page extraction failed, using pdf-parse:', pageError.message);
+          text = await extractTextFromPdf(buffer, { useOcr: false });
+        }
       }
     } else if (mimeType.includes('text/plain')) {
       text = extractTextFromTxt(buffer);
@@ -75,7 +146,10 @@ export async function extractText(buffer, mimeType, options = {}) {
       length: (validation.text || text).length,
       validation,
       mimeType,
-      method: textExtractionMethod
+      method: textExtractionMethod,
+      ocr: pageExtraction ? pageExtraction.ocr : summarizeOcr(ocrResult),
+      extraction: summarizeExtraction(pageExtraction),
+      language: pageExtraction ? pageExtraction.language : resolveLanguage(validation.text || text, language)
     };
   } catch (error) {
     console.error('Text extraction error:', error);
@@ -130,66 +204,3 @@ async function saveTempFile(buffer, mimeType) {
     throw error;
   }
 }
-
-/**
- * Processes text into chunks for better handling in NLP tasks
- * 
- * @param {String} text - The full text to chunk
- * @param {Object} options - Chunking options
- * @returns {Array} Array of text chunks
- */
-export function createTextChunks(text, options = {}) {
-  const {
-    chunkSize = 1000,
-    overlap = 100,
-    minLength = 50
-  } = options;
-
-  // If text is too short, return as single chunk
-  if (text.length < minLength) {
-    return [text];
-  }
-
-  const chunks = [];
-  let position = 0;
-
-  while (position < text.length) {
-    // Calculate end position for this chunk
-    let endPosition = Math.min(position + chunkSize, text.length);
-    
-    // Adjust end position to try to break at sentence boundaries
-    if (endPosition < text.length) {
-      // Look for sentence-ending characters within the last 20% of the chunk
-      const lookbackRange = Math.max(endPosition - Math.floor(chunkSize * 0.2), position);
-      
-      // Find the last sentence boundary in the lookback range
-      for (let i = endPosition; i >= lookbackRange; i--) {
-        const char = text[i];
-        if (char === '.' || char === '!' || char === '?') {
-          endPosition = i + 1;
-          break;
-        }
-      }
-    }
-    
-    // Extract the chunk
-    const chunk = text.substring(position, endPosition);
-    if (chunk.trim().length >= minLength) {
-      chunks.push(chunk);
-    }
-    
-    // Move position for next chunk, accounting for overlap
-    position = endPosition - overlap;
-    
-    // Ensure we're making forward progress
-    if (position <= 0 || position >= text.length - minLength) {
-      break;
-    }
-  }
-
-  console.log(`Text chunked into ${chunks.length} segments (avg size: ${
-    chunks.length ? Math.round(chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length) : 0
-  } chars)`);
-  
-  return chunks;
-}
\ No newline at end of file
@@ -7,18 +7,19 @@ import pdf from 'pdf-parse';
 /**
  * Extracts text from a PDF buffer
  * @param {Buffer} buffer - The PDF file buffer
- * @param {Object} options - Extraction options
+ * @param {Object} options - Extraction options; `ocrOptions` are passed to
+ *   the OCR extractor when OCR is used
  * @returns {Promise<string>} The extracted text
  */
 export async function extractTextFromPdf(buffer, options = {}) {
   try {
-    const { useOcr = false, attemptAlternativeMethods = true } = options;
+    const { useOcr = false, attemptAlternativeMethods = true, ocrOptions = {} } = options;
     
     console.log(`Extracting text from PDF (OCR: ${useOcr})`);
     
     if (useOcr) {
       // Use OCR for PDF if requested
-      return await extractTextWithOcr(buffer, 'pdf');
+      return await extractTextWithOcr(buffer, 'pdf', ocrOptions);
     }
     
     // Try standard PDF parsing first
@@ -50,7 +51,7 @@ export async function extractTextFromPdf(buffer, options = {}) {
         // If all else fails and OCR wasn't the initial method, try OCR
         if (!useOcr) {
           console.log("Falling back to OCR extraction");
-          return await extractTextWithOcr(buffer, 'pdf');
+          return await extractTextWithOcr(buffer, 'pdf', ocrOptions);
         }
       }
       
@@ -129,23 +130,20 @@ export async function extractTextFromDocx(buffer) {
  * Extracts text using OCR
  * @param {Buffer} buffer - The file buffer
  * @param {string} fileType - The file type
+ * @param {Object} options - Options of the OCR extractor
  * @returns {Promise<string>} The extracted text
  */
-async function extractTextWithOcr(buffer, fileType) {
-  // This is a placeholder for OCR functionality
+async function extractTextWithOcr(buffer, fileType, options = {}) {
   console.log(`OCR extraction requested for ${fileType} file`);
   
-  // In a real implementation, you would:
-  // 1. Save the buffer to a temporary file
-  // 2. Call an OCR library/service (like Tesseract)
-  // 3. Return the extracted text
-  
-  // For now, we'll just return a placeholder
-  if (process.env.NODE_ENV === 'development') {
-    return "This is placeholder text from OCR extraction in development mode.";
+  if (fileType !== 'pdf') {
+    throw new Error(`OCR extraction is not supported for ${fileType} files`);
   }
   
-  throw new Error("OCR extraction not implemented");
+  // Server-only, so loaded on demand
+  const { extractTextWithOCR } = await import('./ocrExtractor');
+  const result = await extractTextWithOCR(buffer, options);
+  return result.text;
 }
 
 /**
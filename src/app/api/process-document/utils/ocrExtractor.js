@@ -8,86 +8,46 @@ if (typeof window !== 'undefined') {
   throw new Error('OCR extractor should only be used on the server side');
 }
 
-// Import server-only dependencies
-import { createCanvas } from 'canvas';
-import { createWorker } from 'tesseract.js';
-import * as pdfjs from 'pdfjs-dist';
-
-// Configure PDF.js for server environment
-const PDFJS_WORKER_SRC = `${process.cwd()}/node_modules/pdfjs-dist/build/pdf.worker.js`;
-pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+import { ocrPdfPages, extractPdfPages } from '../../../../lib/ocr';
 
 /**
- * Extract text from a PDF buffer using OCR
+ * Extract text from a PDF buffer using OCR. Pages are rendered and
+ * recognized in parallel on a pool of tesseract workers (see lib/ocr).
+ *
  * @param {Buffer} buffer - The PDF file buffer
- * @returns {Promise<string>} - The extracted text from OCR
+ * @param {Object} options - Options of ocrPdfPages: maxPages (null for
+ *   every page), workers, language (tesseract languages, e.g. "spa"; null
+ *   for every supported one), minConfidence and onPage(page,
+ *   { processed, total }) for per-page progress
+ * @returns {Promise<Object>} The extracted text with per-page confidence:
+ *   { text, pageCount, processedPages, skippedPages, language, pages,
+ *   averageConfidence, lowConfidencePages }
  */
-export async function extractTextWithOCR(buffer) {
+export async function extractTextWithOCR(buffer, options = {}) {
   try {
     console.log('Starting OCR extraction process');
-    
-    // Load PDF document
-    const loadingTask = pdfjs.getDocument({ data: buffer });
-    const pdf = await loadingTask.promise;
-    
-    // Get the number of pages and limit to a reasonable number
-    const numPages = pdf.numPages;
-    const pagesToProcess = Math.min(numPages, 20); // Process maximum 20 pages for OCR
-    console.log(`OCR processing ${pagesToProcess} of ${numPages} pages`);
-    
-    // Process each page with OCR
-    let fullText = '';
-    
-    // Initialize Tesseract worker
-    console.log('Initializing Tesseract worker...');
-    const worker = await createWorker('eng');
-    console.log('Tesseract worker initialized');
-    
-    // Process each page
-    for (let i = 1; i <= pagesToProcess; i++) {
-      try {
-        console.log(`OCR processing page ${i} of ${pagesToProcess}`);
-        
-        // Render PDF page to canvas
-        const page = await pdf.getPage(i);
-        const viewport = page.getViewport({ scale: 1.5 }); // Higher scale for better OCR
-        
-        // Create canvas with correct dimensions
-        const canvas = createCanvas(viewport.width, viewport.height);
-        const context = canvas.getContext('2d');
-        
-        // Render PDF page to canvas
-        const renderContext = {
-          canvasContext: context,
-          viewport: viewport
-        };
-        
-        await page.render(renderContext).promise;
-        
-        // Get image data from canvas for OCR
-        const imageBuffer = canvas.toBuffer('image/png');
-        
-        // Perform OCR on the image
-        console.log(`Running OCR on page ${i} image...`);
-        const { data } = await worker.recognize(imageBuffer);
-        const pageText = data.text;
-        
-        console.log(`OCR extracted ${pageText.length} characters from page ${i}`);
-        fullText += pageText + '\n\n';
-      } catch (pageError) {
-        console.error(`Error processing page ${i} with OCR:`, pageError);
-      }
-    }
-    
-    // Terminate Tesseract worker
-    console.log('Terminating Tesseract worker...');
-    await worker.terminate();
-    console.log('Tesseract worker terminated');
-    
-    console.log(`OCR extraction completed with ${fullText.length} total characters`);
-    return fullText.trim();
+    return await ocrPdfPages(buffer, options);
   } catch (error) {
     console.error('OCR extraction failed:', error);
     throw error;
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Extract text from a PDF page by page: pages with a usable text layer are
+ * read with PDF.js, scanned or garbled pages with OCR (see lib/ocr).
+ *
+ * @param {Buffer} buffer - The PDF file buffer
+ * @param {Object} options - { ocr: options of extractTextWithOCR, or false
+ *   to never OCR, language: the document's language, detected when unset }
+ * @returns {Promise<Object>} { text, pageCount, pages, methods, ocr,
+ *   language }, each page recording the method that produced it
+ */
+export async function extractTextByPage(buffer, options = {}) {
+  try {
+    return await extractPdfPages(buffer, options);
+  } catch (error) {
+    console.error('Page-by-page extraction failed:', error);
+    throw error;
+  }
+}
@@ -1,6 +1,7 @@
 import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
 import { TextractClient, StartDocumentTextDetectionCommand, GetDocumentTextDetectionCommand } from "@aws-sdk/client-textract";
 import pdfParse from 'pdf-parse';
+import { extractPdfPages, summarizeExtraction } from '../../../../lib/ocr';
 
 // Helper to get file from S3
 async function getFileFromS3(bucket, key) {
@@ -31,27 +32,66 @@ async function getFileFromS3(bucket, key) {
 
 // Extract text using multiple methods
 export async function extractTextFromPdf(fileBuffer, options = {}) {
+  const { text } = await extractPdfWithPageMethods(fileBuffer, options);
+  return text;
+}
+
+/**
+ * Extract text using multiple methods, recording how each page was read
+ * @param {Buffer} fileBuffer - The PDF file buffer
+ * @param {Object} options - { useTextract, ocr: options of extractPdfPages'
+ *   OCR, or false to never OCR, language: the document's language, detected
+ *   when unset }
+ * @returns {Promise<Object>} { text, method, extraction }, extraction being
+ *   the page-by-page summary (method per page, and language) when that
+ *   method won
+ */
+export async function extractPdfWithPageMethods(fileBuffer, options = {}) {
   console.log(`Attempting to extract text from PDF using multiple methods`);
   
   let text = "";
+  let method = null;
+  let extraction = null;
   let errors = [];
   
-  // Method 1: Use pdf-parse (simplest)
+  // Method 1: Page by page, with PDF.js for pages with a text layer and
+  // OCR for scanned or garbled pages
+  try {
+    console.log("Trying page-by-page extraction...");
+    const result = await extractPdfPages(fileBuffer, { ocr: options.ocr, language: options.language });
+    text = result.text;
+    method = 'pages';
+    extraction = summarizeExtraction(result);
+    console.log(`Page-by-page extraction got ${text.length} characters (${result.methods.ocr} pages by OCR)`);
+    
+    if (text.length > 100) {
+      return { text, method, extraction };
+    }
+  } catch (error) {
+    console.error("Page-by-page extraction failed:", error);
+    errors.push(`pages: ${error.message}`);
+  }
+  
+  // Method 2: Use pdf-parse (simplest)
   try {
     console.log("Trying pdf-parse extraction...");
     const data = await pdfParse(fileBuffer);
-    text = data.text;
-    console.log(`pdf-parse extracted ${text.length} characters`);
+    console.log(`pdf-parse extracted ${data.text.length} characters`);
     
+    if (data.text.length > text.length) {
+      text = data.text;
+      method = 'pdf-parse';
+      extraction = null;
+    }
     if (text.length > 100) {
-      return text;
+      return { text, method, extraction };
     }
   } catch (error) {
     console.error("pdf-parse extraction failed:", error);
     errors.push(`pdf-parse: ${error.message}`);
   }
   
-  // Method 2: Use AWS Textract if enabled
+  // Method 3: Use AWS Textract if enabled
   if (options.useTextract) {
     try {
       console.log("Trying AWS Textract extraction...");
@@ -124,7 +164,7 @@ export async function extractTextFromPdf(fileBuffer, options = {}) {
       }
       
       if (textractText.length > 100) {
-        return textractText;
+        return { text: textractText, method: 'textract', extraction: null };
       }
     } catch (textractError) {
       console.error("AWS Textract extraction failed:", textractError);
@@ -134,7 +174,7 @@ export async function extractTextFromPdf(fileBuffer, options = {}) {
   
   // Return the best text we got, or an error
   if (text.length > 0) {
-    return text;
+    return { text, method, extraction };
   }
   
   throw new Error(`PDF text extraction failed: ${errors.join(', ')}`);
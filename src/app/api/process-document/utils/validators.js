@@ -1,4 +1,5 @@
 // src/app/api/process-document/utils/validators.js
+import { getLanguage } from '../../../../lib/language';
 
 /**
  * Validates the quality of extracted text
@@ -147,15 +148,29 @@ export function validateExtractedText(text, options = {}) {
    */
   export function parseProcessingOptions(formData, file) {
     // Get processing options from form data or use defaults
-    const chunkSize = parseInt(formData.get('chunkSize'), 10) || 1000;
-    const overlap = parseInt(formData.get('overlap'), 10) || 100;
+    const chunkSize = parseInt(formData.get('chunkSize'), 10) || 256; // tokens
+    const overlap = parseInt(formData.get('overlap'), 10) || 32; // tokens
+    const chunkingStrategy = formData.get('chunkingStrategy') === 'length' ? 'length' : 'structure';
     const outputFormat = formData.get('outputFormat') || 'openai-jsonl';
     const classFilter = formData.get('classFilter') || 'all';
     const prioritizeImportant = formData.get('prioritizeImportant') === 'true';
+    const priority = formData.get('priority') === 'batch' ? 'batch' : 'interactive';
     const useCase = formData.get('useCase') || 'rewriter-legal';
     const useTextract = formData.get('useTextract') !== 'false';
     const enableOcr = formData.get('useOcr') === 'true' || false;
+    const language = parseLanguageField(formData.get('language'));
     const jobId = formData.get('jobId');
+    const chunkConcurrency = parseInt(formData.get('chunkConcurrency'), 10) || 3;
+    const taxonomy = parseListField(formData.get('classificationLabels'), 'classificationLabels');
+    const split = formData.get('splitRatios') || undefined; // e.g. "80/10/10"
+    const dedupThreshold = parseFloat(formData.get('dedupThreshold'));
+    const embeddingDedup = formData.get('embeddingDedup') === 'true';
+    const fidelityCheck = formData.get('fidelityCheck') !== 'false';
+    const fidelityJudge = formData.get('fidelityJudge') === 'true';
+    // Redaction is on unless turned off (the upload form's "Redact personal data")
+    const redactPii = formData.get('redactPii') !== 'false';
+    const redactionTerms = parseListField(formData.get('redactionTerms'), 'redactionTerms');
+    const rehydratePii = formData.get('rehydratePii') === 'true';
 
     // Parse timeout values with reasonable defaults to prevent endless processing
     const documentTimeout = parseInt(formData.get('documentTimeout'), 10) || 600000; // 10 minutes
@@ -175,18 +190,39 @@ export function validateExtractedText(text, options = {}) {
 
     // Return combined options
     return {
-      chunkSize: Math.min(chunkSize, 2000), // Enforce maximum chunk size for memory safety
-      overlap: Math.min(overlap, 200), // Enforce maximum overlap for memory safety
+      chunkSize: Math.min(chunkSize, 2048), // Enforce maximum token budget for memory safety
+      overlap: Math.min(overlap, 256), // Enforce maximum overlap for memory safety
+      chunking: {
+        strategy: chunkingStrategy // Cut at headings and numbered clauses, or by length with overlap
+      },
       outputFormat,
       classFilter,
+      taxonomy, // Custom classification labels, most important first
+      split, // Train/validation/test ratios, validated by the pipeline
+      dedup: {
+        threshold: dedupThreshold > 0 && dedupThreshold <= 1 ? dedupThreshold : 0.85, // MinHash similarity
+        embedder: embeddingDedup ? 'openai' : null // Also drop paraphrases by embedding similarity
+      },
+      fidelity: {
+        enabled: fidelityCheck, // Reject variants that change numbers, dates, defined terms or negation
+        judge: fidelityJudge // Also ask a judge model whether each variant keeps the meaning
+      },
+      redaction: {
+        enabled: redactPii, // Replace personal data with placeholders before any model call
+        dictionary: redactionTerms || [], // Extra names or terms to redact
+        rehydrate: rehydratePii // Put synthetic surrogate values back into the output
+      },
       prioritizeImportant,
+      priority, // Queue priority: interactive single documents run ahead of batch jobs
       enableOcr,
+      language, // Document language code; null detects it from the extracted text
       useCase,
       useTextract,
       fileName: file ? file.name : null,
       fileType: file ? file.type : null,
       fileSize: file ? file.size : null,
       jobId,
+      chunkConcurrency: Math.min(Math.max(chunkConcurrency, 1), 8), // Chunks processed in parallel
       
       // Add timeout configurations
       documentTimeout: Math.min(documentTimeout, 1200000), // Cap at 20 minutes max
@@ -198,4 +234,50 @@ export function validateExtractedText(text, options = {}) {
       // Add memory management options
       memoryLimits
     };
-  }
\ No newline at end of file
+  }
+
+  /**
+   * Parses the language form field: a code, name or tesseract code (see
+   * lib/language), or "auto"
+   * @param {string|null} value - The form field value
+   * @returns {string|null} The language code, or null to detect it
+   */
+  function parseLanguageField(value) {
+    if (!value || typeof value !== 'string' || !value.trim() || value.trim().toLowerCase() === 'auto') {
+      return null;
+    }
+
+    try {
+      return getLanguage(value).code;
+    } catch (error) {
+      console.warn(`${error.message}, detecting the language instead`);
+      return null;
+    }
+  }
+
+  /**
+   * Parses a list form field: comma separated values ("High,Medium,Low") or a
+   * JSON array. Used for classificationLabels (labels or { label, description })
+   * and redactionTerms (terms or { term, type })
+   * @param {string|null} value - The form field value
+   * @param {string} name - Field name, for warnings
+   * @returns {Array|undefined} The list, or undefined for the default
+   */
+  function parseListField(value, name) {
+    if (!value || typeof value !== 'string' || !value.trim()) {
+      return undefined;
+    }
+
+    if (value.trim().startsWith('[')) {
+      try {
+        const items = JSON.parse(value);
+        return Array.isArray(items) && items.length > 0 ? items : undefined;
+      } catch (error) {
+        console.warn(`Invalid ${name} JSON, using the default:`, error.message);
+        return undefined;
+      }
+    }
+
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    return items.length > 0 ? items : undefined;
+  }
@@ -10,7 +10,8 @@ import { Button } from '../../../components/ui/button';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '../../../components/ui/card';
 import { Alert, AlertDescription } from '../../../components/ui/alert';
 import { Table, TableHeader, TableBody, TableHead, TableRow, TableCell } from '../../../../components/ui/table';
-import { ArrowLeft, Database, Download, RefreshCw, AlertCircle, FileText } from 'lucide-react';
+import { Badge } from '../../../components/ui/badge';
+import { ArrowLeft, Database, Download, RefreshCw, AlertCircle, FileText, ShieldCheck } from 'lucide-react';
 import { getFirestore, collection, query, where, getDocs } from "firebase/firestore";
 
 export default function DatasetsPage() {
@@ -20,6 +21,7 @@ export default function DatasetsPage() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isRetrying, setIsRetrying] = useState(false);
+  const [validatingId, setValidatingId] = useState(null);
 
   useEffect(() => {
     if (user) {
@@ -76,6 +78,49 @@ export default function DatasetsPage() {
     loadDatasets();
   };
 
+  // Lint the exported file against its format and keep the pass/fail summary
+  const handleValidate = async (dataset) => {
+    try {
+      setValidatingId(dataset.id);
+      const token = await user.getIdToken();
+      const response = await fetch("/api/datasets/validate", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ id: dataset.id }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || "Validation failed");
+      }
+
+      const validation = {
+        valid: result.valid,
+        format: result.format,
+        examples: result.examples,
+        errorCount: result.errorCount,
+        warningCount: result.warningCount,
+        firstIssues: result.issues.slice(0, 5),
+      };
+      setDatasets(current => current.map(d => d.id === dataset.id ? { ...d, validation } : d));
+    } catch (err) {
+      console.error("Error validating dataset:", err);
+      setError(`Failed to validate ${dataset.name || "dataset"}: ${err.message}`);
+    } finally {
+      setValidatingId(null);
+    }
+  };
+
+  const validationTitle = (validation) => {
+    const lines = [`${validation.examples} examples, ${validation.errorCount} errors, ${validation.warningCount} warnings`];
+    for (const issue of validation.firstIssues || []) {
+      lines.push(`Line ${issue.line}: ${issue.message}`);
+    }
+    return lines.join("\n");
+  };
+
   if (loading) {
     return (
       <div className="space-y-6">
@@ -186,6 +231,7 @@ export default function DatasetsPage() {
                 <TableHead>Entries</TableHead>
                 <TableHead>Format</TableHead>
                 <TableHead>Date Created</TableHead>
+                <TableHead>Validation</TableHead>
                 <TableHead>Actions</TableHead>
               </TableRow>
             </TableHeader>
@@ -202,6 +248,28 @@ export default function DatasetsPage() {
                       "Date unavailable"}
                   </TableCell>
                   <TableCell>
+                    {dataset.validation ? (
+                      <Badge
+                        variant={dataset.validation.valid ? "outline" : "destructive"}
+                        className={dataset.validation.valid ? "border-green-300 bg-green-50 text-green-700" : ""}
+                        title={validationTitle(dataset.validation)}
+                      >
+                        {dataset.validation.valid ? "Pass" : `Fail (${dataset.validation.errorCount})`}
+                      </Badge>
+                    ) : (
+                      <Badge variant="outline" className="text-gray-500">Not checked</Badge>
+                    )}
+                  </TableCell>
+                  <TableCell className="space-x-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={validatingId === dataset.id}
+                      onClick={() => handleValidate(dataset)}
+                    >
+                      <ShieldCheck className="h-4 w-4 mr-2" />
+                      {validatingId === dataset.id ? "Validating..." : "Validate"}
+                    </Button>
                     {dataset.jsonlUrl ? (
                       <Button
                         variant="outline"
@@ -43,8 +43,8 @@ export default function ProcessDocumentPage() {
         // Create form data with parameters
         const formData = new FormData();
         formData.append("documentId", documentId);
-        formData.append("chunkSize", "1000");
-        formData.append("overlap", "100");
+        formData.append("chunkSize", "256");
+        formData.append("overlap", "32");
         formData.append("outputFormat", outputFormat);
         formData.append("tempJobId", tempJobId);
         formData.append("useCase", useCase);
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '../../../contexts/AuthContext';
 import { addDocument } from '../../../lib/firestoreService';
@@ -19,9 +19,52 @@ export default function UploadDocumentPage() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [estimate, setEstimate] = useState(null);
+  const [estimating, setEstimating] = useState(false);
   const router = useRouter();
   const { user } = useAuth();
 
+  // Estimate tokens, cost and credits for the selected file, shown before
+  // the user confirms the upload
+  useEffect(() => {
+    if (!file || !user) {
+      setEstimate(null);
+      return;
+    }
+
+    let cancelled = false;
+    const fetchEstimate = async () => {
+      try {
+        setEstimating(true);
+        const token = await user.getIdToken();
+        const formData = new FormData();
+        formData.append('file', file);
+        const response = await fetch('/api/estimate-cost', {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${token}` },
+          body: formData
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.error || 'Estimate failed');
+        }
+        if (!cancelled) setEstimate(result);
+      } catch (estimateError) {
+        console.error('Error estimating cost:', estimateError);
+        if (!cancelled) setEstimate({ error: estimateError.message });
+      } finally {
+        if (!cancelled) setEstimating(false);
+      }
+    };
+
+    fetchEstimate();
+    return () => {
+      cancelled = true;
+    };
+  }, [file, user]);
+
+  const formatCost = (cost) => (cost === null || cost === undefined ? 'n/a' : `$${cost.toFixed(cost < 1 ? 4 : 2)}`);
+
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
     
@@ -207,12 +250,85 @@ export default function UploadDocumentPage() {
               )}
             </div>
             
+            {file && (
+              <div className="border rounded-lg p-4 space-y-3">
+                <h3 className="font-medium">Estimated processing cost</h3>
+                {estimating ? (
+                  <p className="text-sm text-gray-500">Estimating...</p>
+                ) : estimate?.error ? (
+                  <p className="text-sm text-gray-500">Estimate unavailable: {estimate.error}</p>
+                ) : estimate?.estimate ? (
+                  <>
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+                      <div>
+                        <p className="text-gray-500">Cost</p>
+                        <p className="font-medium">{formatCost(estimate.estimate.totals.cost)}</p>
+                      </div>
+                      <div>
+                        <p className="text-gray-500">Credits</p>
+                        <p className="font-medium">
+                          {estimate.estimate.credits.toLocaleString()}
+                          {estimate.availableCredits !== null && ` of ${estimate.availableCredits.toLocaleString()}`}
+                        </p>
+                      </div>
+                      <div>
+                        <p className="text-gray-500">Model calls</p>
+                        <p className="font-medium">{estimate.estimate.totals.calls.toLocaleString()}</p>
+                      </div>
+                      <div>
+                        <p className="text-gray-500">Tokens (in / out)</p>
+                        <p className="font-medium">
+                          {estimate.estimate.totals.inputTokens.toLocaleString()} / {estimate.estimate.totals.outputTokens.toLocaleString()}
+                        </p>
+                      </div>
+                    </div>
+                    <table className="w-full text-xs text-gray-600">
+                      <thead>
+                        <tr className="text-left">
+                          <th className="font-medium">Stage</th>
+                          <th className="font-medium">Model</th>
+                          <th className="font-medium text-right">Calls</th>
+                          <th className="font-medium text-right">Cost</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(estimate.estimate.stages).map(([stage, tally]) => (
+                          <tr key={stage}>
+                            <td>{stage}</td>
+                            <td className="truncate max-w-[160px]">{tally.model}</td>
+                            <td className="text-right">{tally.calls.toLocaleString()}</td>
+                            <td className="text-right">{formatCost(tally.cost)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {estimate.ocrPages > 0 && (
+                      <p className="text-xs text-gray-500">
+                        Not included: {estimate.ocrPages.toLocaleString()} scanned page(s), read by OCR when the document is processed.
+                      </p>
+                    )}
+                    {estimate.sufficientCredits === false && (
+                      <Alert variant="destructive">
+                        <AlertDescription>
+                          This document needs more credits than you have available.
+                        </AlertDescription>
+                      </Alert>
+                    )}
+                  </>
+                ) : estimate?.ocrPages > 0 ? (
+                  <p className="text-sm text-gray-500">
+                    This document is scanned: its {estimate.ocrPages.toLocaleString()} page(s) are read by OCR when it is processed, so the cost is known then.
+                  </p>
+                ) : null}
+              </div>
+            )}
+
             <Button 
               type="submit" 
               className="w-full" 
-              disabled={loading || !file}
+              disabled={loading || !file || estimating}
             >
-              {loading ? 'Uploading...' : 'Upload Document'}
+              {loading ? 'Uploading...' : estimate?.estimate ? 'Confirm and Upload' : 'Upload Document'}
             </Button>
           </form>
         </CardContent>
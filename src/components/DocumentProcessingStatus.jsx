@@ -1,10 +1,13 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { watchJobProgress } from '@/lib/api/jobEvents';
+import { useAuth } from '@/contexts/AuthContext';
 
 /**
  * Component to display the status of a document processing job
  * Shows progress, memory usage, and queue position
  */
 export default function DocumentProcessingStatus({ jobId, onComplete }) {
+  const { user } = useAuth();
   const [status, setStatus] = useState({
     status: 'initializing',
     progress: 0,
@@ -14,69 +17,54 @@ export default function DocumentProcessingStatus({ jobId, onComplete }) {
     error: null
   });
   
-  const [pollingInterval, setPollingInterval] = useState(2000);
+  // Callers often pass a new callback on every render; keep the stream open
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
   
   useEffect(() => {
     if (!jobId) return;
     
-    let timeoutId;
-    let isMounted = true;
-    
-    const fetchStatus = async () => {
-      try {
-        const response = await fetch(`/api/process-document?jobId=${jobId}`);
-        
-        if (!response.ok) {
-          throw new Error(`Failed to fetch status: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        
-        if (!isMounted) return;
-        
-        setStatus(data);
-        
-        // Adjust polling frequency based on status
-        if (data.status === 'completed' || data.status === 'failed') {
-          if (data.status === 'completed' && onComplete) {
-            onComplete(data.result);
-          }
-          
-          // Stop polling when done
-          return;
-        } else if (data.status === 'queued') {
-          // Poll slower if queued
-          setPollingInterval(5000);
-        } else if (data.status === 'processing') {
-          // Poll faster during processing
-          setPollingInterval(1500);
+    // Live events from the job's progress stream; polls the status check
+    // only when the stream is unavailable. Both only show the user's own jobs.
+    const getToken = async () => (user ? user.getIdToken() : null);
+    return watchJobProgress(jobId, {
+      onUpdate: (update) => {
+        setStatus(prev => ({
+          ...prev,
+          ...update,
+          error: null
+        }));
+      },
+      onFinish: (finalStatus) => {
+        setStatus(prev => ({
+          ...prev,
+          ...finalStatus,
+          error: finalStatus.status === 'failed'
+            ? finalStatus.lastError?.message || 'Processing failed'
+            : null
+        }));
+        if (finalStatus.status === 'completed' && onCompleteRef.current) {
+          onCompleteRef.current(finalStatus.result);
         }
+      },
+      poll: async () => {
+        const token = await getToken();
+        const response = await fetch(`/api/process-document?jobId=${jobId}`, {
+          headers: token ? { Authorization: `Bearer ${token}` } : undefined
+        });
         
-        // Schedule next poll
-        timeoutId = setTimeout(fetchStatus, pollingInterval);
-      } catch (error) {
-        console.error('Error fetching job status:', error);
-        if (isMounted) {
-          setStatus(prev => ({
-            ...prev,
-            error: error.message
-          }));
+        if (!response.ok) {
+          const error = new Error(response.status === 404 ? 'Job not found' : `Failed to fetch status: ${response.statusText}`);
+          error.status = response.status;
+          throw error;
         }
         
-        // Retry on error, but with a delay
-        timeoutId = setTimeout(fetchStatus, 5000);
-      }
-    };
-    
-    // Initial fetch
-    fetchStatus();
-    
-    // Clean up on unmount
-    return () => {
-      isMounted = false;
-      clearTimeout(timeoutId);
-    };
-  }, [jobId, pollingInterval, onComplete]);
+        return response.json();
+      },
+      authToken: getToken,
+      pollIntervalMs: 2000
+    });
+  }, [jobId, user]);
   
   // Helper to format memory usage
   const formatMemoryUsage = (percent) => {
@@ -153,9 +141,46 @@ export default function DocumentProcessingStatus({ jobId, onComplete }) {
         </div>
       )}
       
-      {status.currentOperation && (
+      {(status.message || status.currentOperation) && (
+        <div className="text-sm text-gray-500 mb-2">
+          {status.message || status.currentOperation}
+        </div>
+      )}
+      
+      {status.status === 'processing' && status.currentChunk && (
         <div className="text-sm text-gray-500 mb-2">
-          {status.currentOperation}
+          Chunk {status.currentChunk}{status.totalChunks ? ` of ${status.totalChunks}` : ''}
+          {status.processingStats && (
+            <> · {status.processingStats.extractedClauses || 0} clauses extracted, {status.processingStats.classifiedClauses || 0} classified, {status.processingStats.generatedVariants || 0} variants</>
+          )}
+        </div>
+      )}
+      
+      {status.processingStats?.chunking?.tokensPerChunk && (
+        <div className="text-sm text-gray-500 mb-2">
+          {status.processingStats.chunking.tokensPerChunk.length} chunks of {status.processingStats.chunking.averageTokens} tokens on average
+          ({status.processingStats.chunking.minTokens}–{status.processingStats.chunking.maxTokens}, budget {status.processingStats.chunking.tokenBudget})
+        </div>
+      )}
+      
+      {status.ocr && (
+        <div className={`text-sm mb-2 ${status.ocr.lowConfidencePages?.length ? 'text-amber-600' : 'text-gray-500'}`}>
+          OCR: {status.ocr.processedPages} of {status.ocr.pageCount} pages, {status.ocr.averageConfidence}% average confidence
+          {status.ocr.lowConfidencePages?.length > 0 && (
+            <> · low confidence on page{status.ocr.lowConfidencePages.length > 1 ? 's' : ''} {status.ocr.lowConfidencePages.join(', ')}</>
+          )}
+        </div>
+      )}
+
+      {status.language && (
+        <div className="text-sm text-gray-500 mb-2">
+          Language: {status.language.name}{status.language.source === 'override' ? ' (chosen)' : status.language.source === 'default' ? ' (default)' : ''}
+        </div>
+      )}
+
+      {status.lastChunkError && (
+        <div className="text-sm text-amber-600 mb-2">
+          Chunk {status.lastChunkError.chunk} failed: {status.lastChunkError.message}
         </div>
       )}
       
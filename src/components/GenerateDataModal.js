@@ -71,8 +71,8 @@ export default function GenerateDataModal({
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="rewriter-legal">Rewriter for Legal</SelectItem>
-                <SelectItem value="qa-sops" disabled className="text-gray-400">Q&A for SOPs (Coming Soon)</SelectItem>
-                <SelectItem value="math-finance" disabled className="text-gray-400">Math for Finance (Coming Soon)</SelectItem>
+                <SelectItem value="qa-sops">Q&A for SOPs</SelectItem>
+                <SelectItem value="math-finance">Math for Finance</SelectItem>
               </SelectContent>
             </Select>
           </div>
@@ -3,6 +3,7 @@
 import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { getUserProcessingJobs, cancelProcessingJob } from '../../lib/firestoreService';
+import { watchJobProgress } from '../../lib/api/jobEvents';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
@@ -39,14 +40,40 @@ export default function ProcessingJobs() {
   const [lastRefreshed, setLastRefreshed] = useState(new Date());
   const [jobUpdates, setJobUpdates] = useState({});
   const [cancellingJob, setCancellingJob] = useState(null);
+  // Progress streams of the active jobs, by job id
+  const streamsRef = useRef({});
+  // Active jobs whose stream is unavailable, followed by polling instead
+  const [pollingJobs, setPollingJobs] = useState({});
+  const loadJobsRef = useRef(null);
   const { toast } = useToast();
 
+  const isActiveJob = (job) => job.status === 'processing' || job.status === 'uploading';
+
   // Check if there are any active jobs that need polling
   const checkForActiveJobs = (jobsArray) => {
-    return jobsArray.some(job => 
-      job.status === 'processing' || 
-      job.status === 'uploading'
-    );
+    return jobsArray.some(job => isActiveJob(job) && pollingJobs[job.id]);
+  };
+
+  // Merge a live progress event into a job's row
+  const applyProgress = (jobRowId, update) => {
+    setJobs(prev => prev.map(job => job.id === jobRowId ? {
+      ...job,
+      progress: update.progress ?? job.progress,
+      message: update.message || job.message,
+      stage: update.stage || job.stage,
+      currentChunk: update.currentChunk ?? job.currentChunk,
+      totalChunks: update.totalChunks || job.totalChunks,
+      processingStats: update.processingStats || job.processingStats
+    } : job));
+    setJobUpdates(prev => ({
+      ...prev,
+      [jobRowId]: {
+        ...prev[jobRowId],
+        lastStatusChange: new Date(),
+        progress: update.progress ?? prev[jobRowId]?.progress ?? 0
+      }
+    }));
+    setLastRefreshed(new Date());
   };
 
   // Load jobs from Firestore
@@ -132,6 +159,7 @@ export default function ProcessingJobs() {
       setCancellingJob(null);
     }
   };
+  loadJobsRef.current = loadJobs;
 
   // Initial load of jobs
   useEffect(() => {
@@ -143,7 +171,40 @@ export default function ProcessingJobs() {
     }
   }, [user]);
 
-  // Set up polling interval for active jobs
+  // Follow each active job through its progress stream; jobs without one
+  // (not queued, or no SSE support) fall back to polling
+  useEffect(() => {
+    const streams = streamsRef.current;
+    const activeIds = new Set(jobs.filter(isActiveJob).map(job => job.id));
+
+    jobs.filter(job => activeIds.has(job.id) && !streams[job.id]).forEach(job => {
+      streams[job.id] = watchJobProgress(job.jobId || job.id, {
+        onUpdate: (update) => applyProgress(job.id, update),
+        // The job record has the final status and results
+        onFinish: () => loadJobsRef.current(false),
+        onFallback: () => setPollingJobs(prev => ({ ...prev, [job.id]: true })),
+        authToken: () => user.getIdToken()
+      });
+    });
+
+    Object.keys(streams).filter(id => !activeIds.has(id)).forEach(id => {
+      streams[id]();
+      delete streams[id];
+    });
+  }, [jobs, user]);
+
+  // Close the streams on unmount
+  useEffect(() => {
+    const streams = streamsRef.current;
+    return () => {
+      Object.values(streams).forEach(stop => stop());
+    };
+  }, []);
+
+  // Set up polling interval for active jobs without a stream. Streamed
+  // progress changes the jobs often, so only a change in whether polling is
+  // needed resets the interval.
+  const needsPolling = Boolean(user) && checkForActiveJobs(jobs);
   useEffect(() => {
     // Clear any existing interval first
     if (intervalRef.current) {
@@ -152,10 +213,10 @@ export default function ProcessingJobs() {
     }
 
     // Only set up interval if we have a user and active jobs
-    if (user && checkForActiveJobs(jobs)) {
+    if (needsPolling) {
       console.log('Setting up refresh interval for jobs');
       intervalRef.current = setInterval(() => {
-        loadJobs(false);
+        loadJobsRef.current(false);
       }, 10000); // Refresh every 10 seconds
     }
 
@@ -167,7 +228,7 @@ export default function ProcessingJobs() {
         intervalRef.current = null;
       }
     };
-  }, [user, jobs]);
+  }, [needsPolling]);
 
   // Helper to format time since last update
   const getTimeSince = (date) => {
@@ -334,6 +395,11 @@ export default function ProcessingJobs() {
                       <span>{Math.round(job.progress || 0)}%</span>
                     </div>
                     <Progress value={job.progress || 0} className="h-2" />
+                    {job.message && (
+                      <div className="text-xs text-muted-foreground mt-1">
+                        {job.message}
+                      </div>
+                    )}
                   </div>
                 ) : (job.status === 'failed' || job.status === 'error') ? (
                   <div className="mt-2 text-sm text-red-600">
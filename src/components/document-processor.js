@@ -74,8 +74,10 @@ const DocumentProcessor = forwardRef(({
     initialDocument?.description || ""
   );
   const [file, setFile] = useState(null);
-  const [chunkSize, setChunkSize] = useState(1000);
-  const [overlap, setOverlap] = useState(100);
+  // Chunk size and overlap are token counts
+  const [chunkSize, setChunkSize] = useState(256);
+  const [overlap, setOverlap] = useState(32);
+  const [chunkingStrategy, setChunkingStrategy] = useState("structure");
   const [outputFormat, setOutputFormat] = useState(initialOutputFormat);
   const [classFilter, setClassFilter] = useState("all");
   const [loading, setLoading] = useState(false);
@@ -94,9 +96,6 @@ const DocumentProcessor = forwardRef(({
     Important: 0,
     Standard: 0,
   });
-  const [lastProgressUpdate, setLastProgressUpdate] = useState(new Date());
-  const [isProcessingActive, setIsProcessingActive] = useState(true);
-  const [lastPollingTime, setLastPollingTime] = useState(null);
   const [currentStage, setCurrentStage] = useState("");
   const [processingStats, setProcessingStats] = useState({
     totalChunks: 0,
@@ -116,6 +115,8 @@ const DocumentProcessor = forwardRef(({
   const [batchDocuments, setBatchDocuments] = useState([]);
   const [useCase, setUseCase] = useState(initialUseCase);
   const [useTextract, setUseTextract] = useState(true);
+  // On by default, as in the API; see the PII redaction section of the README
+  const [redactPii, setRedactPii] = useState(true);
   const [componentMounted, setComponentMounted] = useState(false);
 
   // Expose functions to parent components via ref
@@ -128,7 +129,7 @@ const DocumentProcessor = forwardRef(({
       setProcessingState(state);
       if (newJobId) {
         setJobId(newJobId);
-        startPollingStatus(newJobId);
+        trackJobProgress(newJobId);
       } else if (state === "processing" && initialDocument) {
         // If setting to processing without a job ID, create one
         const tempJobId = `temp-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
@@ -165,23 +166,23 @@ const DocumentProcessor = forwardRef(({
         setActiveTab("upload");
       }
       
-      // If we have a job ID, start polling for status
+      // If we have a job ID, follow its progress
       if (initialJobId) {
-        console.log(`Starting polling for job ID: ${initialJobId}`);
-        startPollingStatus(initialJobId);
+        console.log(`Following progress of job ID: ${initialJobId}`);
+        trackJobProgress(initialJobId);
       }
     }
   }, [initialJobId, initialDocument, autoShowProcessing, componentMounted]);
 
-  // Function to start polling for a job status
-  const startPollingStatus = (jobIdToUse) => {
-    console.log(`Starting status polling for job: ${jobIdToUse}`);
+  // Function to start following a job's progress
+  const trackJobProgress = (jobIdToUse) => {
+    console.log(`Following progress of job: ${jobIdToUse}`);
     
     // Set initial processing state
     setProcessingState("processing");
     setProgress(10); // Start with some progress
     
-    // NOTE: We don't need to manually poll for status now - the DocumentProcessingStatus component will handle that
+    // NOTE: The DocumentProcessingStatus component subscribes to the job's progress stream
     // Set the jobId to make the component work
     setJobId(jobIdToUse);
   };
@@ -436,6 +437,7 @@ const DocumentProcessor = forwardRef(({
         processingOptions: {
           chunkSize,
           overlap,
+          chunkingStrategy,
           outputFormat,
           classFilter,
         },
@@ -458,12 +460,14 @@ const DocumentProcessor = forwardRef(({
       formData.append("userId", user.uid);
       formData.append("chunkSize", chunkSize);
       formData.append("overlap", overlap);
+      formData.append("chunkingStrategy", chunkingStrategy);
       formData.append("outputFormat", outputFormat);
       formData.append("classFilter", classFilter);
       formData.append("prioritizeImportant", prioritizeImportant);
       formData.append("jobId", newJobId); // Add job ID to form data
       formData.append("useCase", useCase); // Add use case to form data
       formData.append("useTextract", useTextract);
+      formData.append("redactPii", redactPii);
 
       // Add timeout configurations for document processing
       formData.append("documentTimeout", "600000"); // 10 minutes overall timeout
@@ -477,6 +481,10 @@ const DocumentProcessor = forwardRef(({
         formData.append("authToken", authToken);
       }
 
+      // Follow the job's progress while the request runs; it answers only
+      // once the job has finished or been queued for a while
+      trackJobProgress(newJobId);
+
       // Upload and process document
       const response = await fetch("/api/process-document", {
         method: "POST",
@@ -556,9 +564,6 @@ const DocumentProcessor = forwardRef(({
       if (response.ok) {
         const responseData = await response.json();
 
-        // Set processing state to processing
-        setProcessingState("processing");
-
         // Update job status in Firestore
         await saveProcessingJob(user.uid, {
           ...jobData,
@@ -567,9 +572,6 @@ const DocumentProcessor = forwardRef(({
           documentId: responseData.documentId,
           updatedAt: new Date().toISOString(),
         });
-
-        // Start polling for status
-        startPollingStatus(newJobId);
       }
     } catch (error) {
       console.error("Error processing document:", error);
@@ -1040,24 +1042,27 @@ const DocumentProcessor = forwardRef(({
             <CardContent>
               <pre className="bg-gray-50 p-4 rounded-md text-xs overflow-auto">
                 {outputFormat === "mistral" &&
-                  `Write a clause similar to this: ${
-                    previewData[0]?.input || "Example input clause"
-                  } 
-                  ${
-                    previewData[0]?.output || "Example output clause"
-                  } `}
+                  JSON.stringify({
+                    messages: [
+                      { role: "user", content: previewData[0]?.input || "Example input clause" },
+                      { role: "assistant", content: previewData[0]?.output || "Example output clause" },
+                    ],
+                  })}
                 {outputFormat === "falcon" &&
-                  `Human: Rewrite this clause: ${
-                    previewData[0]?.input || "Example input clause"
-                  }\n\nAssistant: ${
-                    previewData[0]?.output || "Example output clause"
-                  }`}
+                  JSON.stringify({
+                    text: `User: ${
+                      previewData[0]?.input || "Example input clause"
+                    }\nFalcon: ${
+                      previewData[0]?.output || "Example output clause"
+                    }`,
+                  })}
                 {outputFormat === "claude" &&
-                  `Human: ${
-                    previewData[0]?.input || "Example input clause"
-                  }\n\nAssistant: ${
-                    previewData[0]?.output || "Example output clause"
-                  }`}
+                  JSON.stringify({
+                    messages: [
+                      { role: "user", content: previewData[0]?.input || "Example input clause" },
+                      { role: "assistant", content: previewData[0]?.output || "Example output clause" },
+                    ],
+                  })}
                 {outputFormat === "csv" &&
                   `"${previewData[0]?.input || "Example input clause"}","${
                     previewData[0]?.classification || "Critical"
@@ -1193,9 +1198,13 @@ const DocumentProcessor = forwardRef(({
           formData.append('documentId', doc.id);
           formData.append('chunkSize', chunkSize);
           formData.append('overlap', overlap);
+          formData.append('chunkingStrategy', chunkingStrategy);
           formData.append('outputFormat', outputFormat);
           formData.append('classFilter', classFilter);
           formData.append('prioritizeImportant', prioritizeImportant);
+          formData.append('redactPii', redactPii);
+          // Queued behind other users' single documents
+          formData.append('priority', 'batch');
           
           if (authToken) {
             formData.append('authToken', authToken);
@@ -1414,22 +1423,26 @@ const DocumentProcessor = forwardRef(({
                                 <SelectValue placeholder="Select chunk size" />
                               </SelectTrigger>
                               <SelectContent>
-                                <SelectItem value="500">
-                                  500 characters
+                                <SelectItem value="128">
+                                  128 tokens
+                                </SelectItem>
+                                <SelectItem value="256">
+                                  256 tokens (Default)
                                 </SelectItem>
-                                <SelectItem value="1000">
-                                  1000 characters (Default)
+                                <SelectItem value="512">
+                                  512 tokens
                                 </SelectItem>
-                                <SelectItem value="1500">
-                                  1500 characters
+                                <SelectItem value="1024">
+                                  1024 tokens
                                 </SelectItem>
-                                <SelectItem value="2000">
-                                  2000 characters
+                                <SelectItem value="2048">
+                                  2048 tokens
                                 </SelectItem>
                               </SelectContent>
                             </Select>
                             <p className="text-xs text-gray-500">
-                              Length of text chunks to process
+                              Token budget per chunk, counted with the
+                              extraction model&apos;s tokenizer
                             </p>
                           </div>
 
@@ -1440,25 +1453,52 @@ const DocumentProcessor = forwardRef(({
                               onValueChange={(value) =>
                                 setOverlap(parseInt(value, 10))
                               }
+                              disabled={chunkingStrategy === "structure"}
                             >
                               <SelectTrigger>
                                 <SelectValue placeholder="Select overlap size" />
                               </SelectTrigger>
                               <SelectContent>
                                 <SelectItem value="0">No overlap</SelectItem>
-                                <SelectItem value="50">
-                                  50 characters
+                                <SelectItem value="16">
+                                  16 tokens
                                 </SelectItem>
-                                <SelectItem value="100">
-                                  100 characters (Default)
+                                <SelectItem value="32">
+                                  32 tokens (Default)
                                 </SelectItem>
-                                <SelectItem value="200">
-                                  200 characters
+                                <SelectItem value="64">
+                                  64 tokens
+                                </SelectItem>
+                                <SelectItem value="128">
+                                  128 tokens
                                 </SelectItem>
                               </SelectContent>
                             </Select>
                             <p className="text-xs text-gray-500">
-                              Amount of text to overlap between chunks
+                              Tokens repeated between fixed-size chunks
+                            </p>
+                          </div>
+
+                          <div className="space-y-2">
+                            <Label htmlFor="chunkingStrategy">Chunk Boundaries</Label>
+                            <Select
+                              value={chunkingStrategy}
+                              onValueChange={setChunkingStrategy}
+                            >
+                              <SelectTrigger>
+                                <SelectValue placeholder="Select chunk boundaries" />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="structure">
+                                  Headings and clauses (Default)
+                                </SelectItem>
+                                <SelectItem value="length">
+                                  Fixed-size with overlap
+                                </SelectItem>
+                              </SelectContent>
+                            </Select>
+                            <p className="text-xs text-gray-500">
+                              Headings keep numbered clauses such as 7.2(b) whole
                             </p>
                           </div>
                         </div>
@@ -1532,8 +1572,8 @@ const DocumentProcessor = forwardRef(({
                             </SelectTrigger>
                             <SelectContent>
                               <SelectItem value="rewriter-legal">Rewriter for Legal</SelectItem>
-                              <SelectItem value="qa-sops" disabled className="text-gray-400">Q&A for SOPs (Coming Soon)</SelectItem>
-                              <SelectItem value="math-finance" disabled className="text-gray-400">Math for Finance (Coming Soon)</SelectItem>
+                              <SelectItem value="qa-sops">Q&A for SOPs</SelectItem>
+                              <SelectItem value="math-finance">Math for Finance</SelectItem>
                             </SelectContent>
                           </Select>
                           <p className="text-xs text-gray-500">Optimize extraction based on document content</p>
@@ -1576,6 +1616,25 @@ const DocumentProcessor = forwardRef(({
                             Improves text extraction quality especially for scanned documents and complex layouts
                           </p>
                         </div>
+
+                        <div className="space-y-2">
+                          <div className="flex items-center space-x-2">
+                            <Checkbox
+                              id="redactPii"
+                              checked={redactPii}
+                              onCheckedChange={setRedactPii}
+                            />
+                            <label
+                              htmlFor="redactPii"
+                              className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
+                            >
+                              Redact personal data
+                            </label>
+                          </div>
+                          <p className="text-xs text-gray-500 ml-6">
+                            On by default. Replaces names, emails, phone numbers, addresses and account numbers with placeholders before any text is sent to a model. Names are detected heuristically, so uncommon names can be missed
+                          </p>
+                        </div>
                       </div>
                     )}
                   </div>
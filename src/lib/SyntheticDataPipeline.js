@@ -1,6 +1,43 @@
 // src/lib/SyntheticDataPipeline.js
-// Use dynamic import for ESM compatibility in Next.js
-const { getOpenAI } = require('./openai');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const BatchProcessor = require('../../lib/BatchProcessor');
+const { resolveStageProviders } = require('./providers');
+const { PromptRegistry, getDefaultRegistry, DEFAULT_USE_CASE } = require('./prompts');
+const { getUseCase } = require('./useCases');
+const { getFormatter, formatRecords, formatSplits, parseSplitRatios } = require('./formatters');
+const { DEFAULT_TAXONOMY, normalizeTaxonomy, formatTaxonomy, findLabel, parseConfidence } = require('./taxonomy');
+const { Deduplicator, createEmbedder } = require('./dedup');
+const { DEFAULT_FIDELITY, extractFacts, checkVariant, parseJudgement } = require('./fidelity');
+const { Redactor, DEFAULT_REDACTION } = require('./redaction');
+const { ESTIMATE_ASSUMPTIONS, segmentClauses, createStageTally, tokenPrefixLength, CHARS_PER_TOKEN } = require('./costs');
+const { DEFAULT_CHUNKING, createChunker, chunkDocument, sectionPathFor } = require('./chunking');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('./language');
+
+// Fine-tuned default model per stage when the OpenAI provider is used
+const DEFAULT_MODELS = {
+  extractor: 'ft:gpt-4o-mini-2024-07-18:personal:clause-extractor:BJoJl5pB',
+  classifier: 'ft:gpt-4o-mini-2024-07-18:personal:classifier:BKXRNBJy',
+  duplicator: 'ft:gpt-4o-mini-2024-07-18:personal:clause-duplicator:BK81g7rc',
+};
+
+// Size limits that keep a single model request bounded; chunks are bounded
+// by the chunking token budget (see _fitChunk)
+const MAX_CLAUSE_LENGTH = 500;
+const MAX_VARIANT_LENGTH = 1000;
+
+// String input is fed to the streaming chunker in slices of this size
+const STRING_SOURCE_SLICE = 64 * 1024;
+
+// Judge model for the fidelity gate when the duplicator runs on OpenAI,
+// whose default duplicator model is fine-tuned to rewrite rather than review
+const DEFAULT_JUDGE_MODEL = 'gpt-4o-mini';
+
+// Rejected variants listed individually in stats.fidelity before the rest are only counted
+const MAX_REPORTED_REJECTIONS = 20;
+
+// Dropped duplicates listed individually in stats.duplicates before the rest are only counted
+const MAX_REPORTED_DUPLICATES = 20;
 
 // Utility function to create a promise that times out
 function withTimeout(promise, timeoutMs, operation = 'operation') {
@@ -19,616 +56,1159 @@ function withTimeout(promise, timeoutMs, operation = 'operation') {
   });
 }
 
-// SyntheticDataPipeline class for server usage
+// Run `fn` over items in batches of `limit` concurrent calls, keeping order
+async function mapInBatches(items, limit, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += limit) {
+    const batch = items.slice(i, i + limit);
+    const batchResults = await Promise.all(batch.map((item, j) => fn(item, i + j)));
+    results.push(...batchResults);
+  }
+  return results;
+}
+
+// Content hash identifying a chunk in checkpoints
+function hashChunk(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Normalize a string, iterable or async iterable of text/Buffers into an
+// async iterator of strings
+async function* toTextStream(source) {
+  if (typeof source === 'string') {
+    for (let i = 0; i < source.length; i += STRING_SOURCE_SLICE) {
+      yield source.substring(i, i + STRING_SOURCE_SLICE);
+    }
+    return;
+  }
+
+  // Decode Buffers incrementally so multi-byte characters split across
+  // reads stay intact
+  const decoder = new StringDecoder('utf8');
+  for await (const piece of source) {
+    if (piece === null || piece === undefined) continue;
+    yield typeof piece === 'string' ? piece : decoder.write(piece);
+  }
+  const rest = decoder.end();
+  if (rest) yield rest;
+}
+
+/**
+ * Synthetic data pipeline: chunk -> extract -> dedupe -> classify -> filter ->
+ * generate variants -> dedupe -> format.
+ *
+ * This is the single engine behind all entry points:
+ *   - processStream(source, options), an async generator that yields each
+ *     clause record as soon as its variants are ready
+ *   - processDocument(text, options), used by the API routes, which collects
+ *     the stream into one result
+ *   - process(text), kept for scripts written against lib/SyntheticDataPipeline
+ *
+ * Input is chunked lazily and each chunk flows through every stage, so
+ * memory stays bounded by the chunk size and there is no cap on document
+ * length. Each stage runs on the provider resolved for it (see ./providers).
+ */
 class SyntheticDataPipeline {
   constructor(options = {}) {
     // Store configuration options
     this.options = {
-      outputFormat: options.outputFormat || 'jsonl',
-      maxClausesToProcess: options.maxClausesToProcess || 0,
-      maxVariantsPerClause: options.maxVariantsPerClause || 3,
-      includeOriginal: options.includeOriginal || false,
-      filterClassifications: options.filterClassifications || [],
-      minLength: options.minLength || 50,
-      // Add timeout configurations
-      timeouts: {
-        documentProcessing: options.timeouts?.documentProcessing || 600000, // 10 minutes
-        chunkProcessing: options.timeouts?.chunkProcessing || 120000,      // 2 minutes
-        clauseExtraction: options.timeouts?.clauseExtraction || 30000,     // 30 seconds
-        clauseClassification: options.timeouts?.clauseClassification || 15000, // 15 seconds
-        variantGeneration: options.timeouts?.variantGeneration || 20000,   // 20 seconds per variant
+      // Token budget per chunk, and the tokens repeated between chunks with
+      // the "length" chunking strategy, counted with the extraction model's tokenizer
+      chunkSize: 256,
+      overlap: options.chunkOverlap || 32,
+      outputFormat: 'jsonl',
+      // Train/validation/test ratios ("80/10/10") and the seed that fixes the assignment
+      split: null,
+      splitSeed: undefined,
+      classFilter: 'all',
+      filterClassifications: [],
+      prioritizeImportant: false,
+      maxClausesToProcess: 0,
+      maxVariantsPerClause: 3,
+      includeOriginal: false,
+      minLength: 50,
+      // Near-duplicate filtering of clauses and generated outputs (see ./dedup):
+      // MinHash/LSH threshold, plus an optional embedder for paraphrases. The
+      // indexes hold a signature per text kept in the run and stay fast at
+      // 100k records.
+      dedup: { threshold: 0.85, embedder: null, embeddingThreshold: 0.95 },
+      // Quality gate for generated variants (see ./fidelity)
+      fidelity: { ...DEFAULT_FIDELITY },
+      // PII redaction before text is chunked and sent to a model (see
+      // ./redaction); checkpoints keep the placeholders
+      redaction: { ...DEFAULT_REDACTION },
+      // How text is cut into chunks (see ./chunking): along its structure
+      // (headings, sections, numbered clauses), recording each clause's
+      // section path, or in overlapping windows of the budget
+      chunking: { ...DEFAULT_CHUNKING },
+      // Prompt templates: use case, pinned versions per stage, and template variables
+      useCase: DEFAULT_USE_CASE,
+      promptVersions: {},
+      promptVariables: {},
+      // Document language (code or name, see ./language) outputs are written
+      // in; null detects it from the text
+      language: null,
+      ...options,
+      // Chunks processed in parallel, and concurrent model calls per stage.
+      // The chunk limit backs off when a provider reports rate limiting
+      // (429s or low headroom in its rate-limit headers) and recovers after
+      // a run of successes.
+      concurrency: {
+        chunks: 3,
+        extraction: 5,
+        classification: 5,
+        generation: 3,
+        ...options.concurrency
       },
-      ...options
+      // Timeouts for the whole document and for each model call
+      timeouts: {
+        documentProcessing: 600000,    // 10 minutes
+        clauseExtraction: 30000,       // 30 seconds per chunk
+        clauseClassification: 15000,   // 15 seconds per clause
+        variantGeneration: 20000,      // 20 seconds per clause
+        ...options.timeouts
+      }
     };
-    
-    console.log('SyntheticDataPipeline initialized with options:', this.options);
+
+    // Use case decides how stage output is parsed and exported, and which
+    // OpenAI models the stages default to
+    this.useCase = getUseCase(this.options.useCase);
+
+    // Resolve the LLM provider and model for each stage
+    this.stages = resolveStageProviders(this.options, this.useCase.defaultModels || DEFAULT_MODELS);
+    this.models = {
+      extractor: this.stages.extractor.model,
+      classifier: this.stages.classifier.model,
+      duplicator: this.stages.duplicator.model,
+    };
+
+    // Prompt templates, with any per-pipeline templates layered on top
+    this.prompts = options.promptRegistry || getDefaultRegistry();
+    if (options.promptTemplates) {
+      this.prompts = this.prompts.extend(options.promptTemplates);
+    }
+
+    this.onProgress = options.onProgress || null;
+    this._progressCallback = options.progressCallback || null;
+    this._batcher = null;
+    this._resetRunState();
+  }
+
+  // Compatibility entry point for lib/SyntheticDataPipeline callers
+  async process(text, options = {}) {
+    return this.processDocument(text, options);
   }
-  
-  // Main method for processing a document - simpler implementation for compatibility
+
+  // Process a whole document and return every record in one result. A run
+  // that fails or times out returns the records finished so far as partial
+  // results.
   async processDocument(text, options = {}) {
     console.log("SyntheticDataPipeline.processDocument starting");
     const startTime = Date.now();
-    
-    const opts = { ...this.options, ...options };
-    console.log(`Pipeline options: ${JSON.stringify(opts, null, 2)}`);
-    
+    const opts = this._resolveOptions(options);
+    const records = [];
+
+    const collect = async () => {
+      for await (const record of this.processStream(text || '', options)) {
+        records.push(record);
+      }
+    };
+
     try {
-        // Apply timeout to the overall process
-        return await withTimeout(this._processDocumentWithoutTimeout(text, opts), 
-                               600000, // 10 minute timeout for the entire process
-                               'document processing');
+      // Apply timeout to the overall process
+      await withTimeout(collect(), opts.timeouts.documentProcessing, 'document processing');
+      return this._buildResult(records, opts, { success: true });
     } catch (error) {
-        console.error("Pipeline processing error:", error);
-        // If we have partial results, return those instead of failing completely
-        if (this._partialResults && this._partialResults.length > 0) {
-            console.log(`Returning ${this._partialResults.length} partial results due to timeout`);
-            return {
-                success: false,
-                error: error.message,
-                partialResults: true,
-                clauses: this._partialResults,
-                stats: {
-                    totalChunks: this._chunksProcessed || 0,
-                    processedChunks: this._chunksProcessed || 0,
-                    failedChunks: this._chunksFailed || 0,
-                    processingTimeMs: Date.now() - startTime
-                }
-            };
-        }
-        throw error;
-    }
-  }
-  
-  // Private method to extract simple clauses from text
-  _extractSimpleClauses(text) {
-    // Simple approach: split by sentences
-    const sentences = text.match(/[^.!?]+[.!?]+/g) || [];
-    return sentences
-      .map(s => s.trim())
-      .filter(s => s.length > 10); // Filter out very short sentences
-  }
-  
-  // Private method to process clauses
-  async _processClauses(clauses, openai, options) {
-    const processed = [];
-    const maxToProcess = options.maxClausesToProcess > 0 
-      ? Math.min(clauses.length, options.maxClausesToProcess)
-      : clauses.length;
-    
-    for (let i = 0; i < maxToProcess; i++) {
-      try {
-        const result = {
-          input: clauses[i],
-          classification: this._classifyClause(clauses[i]),
-          output: await this._generateVariant(clauses[i], openai)
-        };
-        processed.push(result);
-      } catch (error) {
-        console.error(`Error processing clause ${i}:`, error);
+      console.error("Pipeline processing error:", error);
+      // Stop the abandoned run from starting chunks or making model calls
+      this._cancelled = true;
+      if (this._batcher) this._batcher.stop();
+
+      // If we have partial results, return those instead of failing completely
+      if (records.length > 0) {
+        console.log(`Returning ${records.length} partial results due to error`);
+        this._finalizeStats(startTime);
+        return this._buildResult([...records], opts, {
+          success: false,
+          error: error.message,
+          partialResults: true
+        });
       }
+      throw error;
     }
-    
-    return processed;
   }
-  
-  // Private method to classify a clause (simplified version)
-  _classifyClause(clause) {
-    // Simple classification based on keywords/length
-    if (clause.toLowerCase().includes('must') || 
-        clause.toLowerCase().includes('shall') || 
-        clause.toLowerCase().includes('required')) {
-      return 'Critical';
-    } else if (clause.toLowerCase().includes('should') || 
-               clause.toLowerCase().includes('recommend') || 
-               clause.length > 100) {
-      return 'Important';
-    } else {
-      return 'Standard';
-    }
-  }
-  
-  // Private method to generate a variant of a clause
-  async _generateVariant(clause, openai) {
+
+  /**
+   * Stream records from a document as soon as each one is ready.
+   *
+   * `source` can be a string or any (async) iterable of strings or Buffers,
+   * such as a file read stream. Chunks are cut as text arrives, and each
+   * chunk is extracted, classified, filtered and expanded into variants,
+   * several chunks at a time. Records are yielded in document order. When
+   * iteration finishes, getStats() returns the job summary including
+   * coverage.
+   *
+   * Checkpointing: `onCheckpoint(checkpoint)` is awaited after every chunk
+   * that completes without errors, with { chunkIndex, chunkHash, start, end,
+   * clauses, records }. Passing those checkpoints back as `checkpoints`
+   * resumes a run: a chunk whose index and content hash match a checkpoint
+   * replays its records without any model calls, and every other chunk is
+   * processed normally. Chunk boundaries depend on chunking, chunkSize and
+   * overlap, so resume with the same values.
+   *
+   * @param {string|AsyncIterable|Iterable} source - Document text
+   * @param {Object} options - Per-run options (same keys as the constructor,
+   *   plus onCheckpoint and checkpoints)
+   * @yields {Object} { text, classification, variants, chunkIndex, promptTemplates, error? }
+   */
+  async *processStream(source, options = {}) {
+    const startTime = Date.now();
+    const opts = this._resolveOptions(options);
+
+    this._resetRunState();
+    this._jobId = opts.jobId || null;
+    if (opts.progressCallback) {
+      this._progressCallback = opts.progressCallback;
+    }
+
+    const stats = this._stats;
+    this._useCase = getUseCase(opts.useCase);
+    // Fail fast on an unknown output format or malformed split ratios
+    getFormatter(opts.outputFormat);
+    parseSplitRatios(opts.split);
+    this._taxonomy = normalizeTaxonomy(opts.taxonomy || this._useCase.taxonomy || DEFAULT_TAXONOMY);
+    stats.classificationCounts = Object.fromEntries(this._taxonomy.map(({ label }) => [label, 0]));
+    this._templates = this._resolveTemplates(opts);
+    this._fidelity = { ...DEFAULT_FIDELITY, ...opts.fidelity };
+    if (this._fidelity.enabled && this._fidelity.judge) {
+      this._judge = this._judgeStage(this._fidelity);
+      this._templates.judge = this.prompts.resolve(opts.useCase || DEFAULT_USE_CASE, 'judge', opts.promptVersions?.judge);
+      this._tokenUsage.judge = { requests: 0, promptTokens: 0, completionTokens: 0 };
+    }
+    stats.promptTemplates = Object.fromEntries(
+      Object.entries(this._templates).map(([stage, template]) => [stage, PromptRegistry.templateId(template)])
+    );
+
+    // A stream's language is detected from its first chunk instead
+    if (opts.language || typeof source === 'string') {
+      this._setLanguage(resolveLanguage(typeof source === 'string' ? source : '', opts.language));
+    }
+
+    // Extracted clauses and generated outputs are each checked against
+    // everything kept earlier in the run
+    const dedupOptions = { ...opts.dedup, embedder: createEmbedder(opts.dedup && opts.dedup.embedder) };
+    this._clauseDedup = new Deduplicator(dedupOptions);
+    this._outputDedup = new Deduplicator(dedupOptions);
+
+    // Personal data is replaced with placeholders before chunking, so no
+    // model call or checkpoint sees the original values
+    const redaction = { ...DEFAULT_REDACTION, ...opts.redaction };
+    this._redactor = redaction.enabled ? new Redactor(redaction) : null;
+    this._rehydrate = Boolean(this._redactor && redaction.rehydrate);
+    if (this._redactor) {
+      source = typeof source === 'string'
+        ? this._redactor.redact(source)
+        : this._redactor.redactStream(toTextStream(source));
+    }
+
+    const chunking = this._resolveChunking(opts);
+    const chunker = createChunker(chunking);
+    stats.chunking = { strategy: chunking.strategy, tokenBudget: chunking.maxTokens, overlapTokens: chunking.overlapTokens, model: chunking.model };
+    if (typeof source === 'string') {
+      stats.textLength = source.length;
+      stats.estimatedChunks = Math.ceil(source.length / (Math.max(chunking.maxTokens - chunking.overlapTokens, 1) * CHARS_PER_TOKEN));
+      console.log(`Processing document with length: ${source.length} characters`);
+    }
+    this._reportProgress('initializing');
+
+    let remaining = opts.maxClausesToProcess > 0 ? opts.maxClausesToProcess : Infinity;
+    const checkpoints = new Map((opts.checkpoints || []).map(c => [c.chunkIndex, c]));
+
+    // Process up to concurrency.chunks chunks at once. The limit drops when
+    // a provider reports rate limiting and recovers after a run of successes.
+    const batcher = new BatchProcessor({ concurrency: Math.max(opts.concurrency.chunks || 1, 1) });
+    const stopWatching = this._watchRateLimits(batcher);
+
+    const processOne = async (chunk, chunkIndex, { signal }) => {
+      if (this._cancelled || signal.aborted || remaining <= 0) {
+        return { chunk, records: [], skipped: true };
+      }
+      stats.totalChunks++;
+      this._chunkTokens[chunkIndex] = chunk.tokens;
+      if (!this._language) {
+        this._setLanguage(resolveLanguage(chunk.text));
+      }
+
+      const chunkHash = hashChunk(chunk.text);
+      const saved = checkpoints.get(chunkIndex);
+      if (saved && saved.chunkHash === chunkHash) {
+        return { chunk, records: await this._replayChunk(saved) };
+      }
+
+      const processed = await this._processChunk(chunk, chunkIndex, opts, remaining);
+      if (!processed) {
+        return { chunk, records: [], failed: true };
+      }
+
+      // Only checkpoint chunks that completed cleanly so resume retries the rest
+      if (opts.onCheckpoint && !this._cancelled && !processed.records.some(r => r.error)) {
+        await this._saveCheckpoint(opts.onCheckpoint, {
+          chunkIndex,
+          chunkHash,
+          start: chunk.start,
+          end: chunk.end,
+          clauses: processed.clauses,
+          records: processed.records
+        });
+      }
+      batcher.reportSuccess();
+      return { chunk, records: processed.records };
+    };
+
     try {
-      // Attempt to use OpenAI with a timeout of 30 seconds
-      const responsePromise = openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          { role: 'system', content: 'Rewrite the following sentence with similar meaning but different wording:' },
-          { role: 'user', content: clause }
-        ],
-        max_tokens: 150
-      });
-      
-      // Add timeout to prevent API call from hanging
-      const response = await withTimeout(
-        responsePromise,
-        30000,
-        'OpenAI API request timed out after 30 seconds'
-      );
-      
-      if (response.choices && response.choices.length > 0) {
-        return response.choices[0].message.content.trim();
+      // Results arrive in document order, so coverage and the clause limit
+      // are applied here rather than in the workers
+      for await (const { index: chunkIndex, result: outcome, error } of batcher.processInOrder(this._chunkSource(source, chunker), processOne)) {
+        if (this._cancelled) return;
+        if (error) {
+          // A chunk whose processing threw is counted like one whose
+          // extraction failed; its text is left out of the coverage
+          console.error(`Error processing chunk ${chunkIndex}:`, error.message);
+          stats.failedChunks++;
+          this._reportProgress('error', { currentChunk: chunkIndex + 1, error: error.message });
+          continue;
+        }
+        if (outcome.skipped) continue;
+        if (!outcome.failed) {
+          this._markChunkProcessed(outcome.chunk);
+        }
+
+        const records = outcome.records.slice(0, remaining);
+        remaining -= records.length;
+        for (const record of records) {
+          if (this._cancelled) return;
+          stats.processedClauses++;
+          stats.generatedVariants += this._useCase.countOutputs(record);
+          stats.rejectedOutputs += this._useCase.countRejected(record);
+          // Surrogates go into the output only; checkpoints keep placeholders
+          yield this._rehydrate ? this._redactor.rehydrate(record) : record;
+        }
+        if (remaining <= 0) break;
       }
-      
-      throw new Error('No variant generated from API');
-    } catch (error) {
-      console.error('Error generating variant:', error.message);
-      
-      // Provide better fallback mechanism
-      // Basic text alternation for a fallback
-      const simpleFallback = clause
-        .replace(/\b(the|a|an)\b/g, 'this')
-        .replace(/\b(is|are)\b/g, 'will be')
-        .replace(/\b(should|must|may)\b/g, 'needs to');
-      
-      // Only use simple fallback if it's actually different
-      if (simpleFallback !== clause) {
-        return simpleFallback;
+    } finally {
+      stopWatching();
+    }
+
+    this._finalizeStats(startTime);
+    console.log(`Processed ${stats.processedClauses} clauses from ${stats.processedChunks} chunks (${stats.failedChunks} failed, ${stats.resumedChunks} resumed), coverage ${stats.coverage.percent}%`);
+    this._reportProgress('completed');
+  }
+
+  // Summary of the current or most recent run
+  getStats() {
+    return this._stats;
+  }
+
+  /**
+   * Estimate the model calls, tokens and cost of processing a text, without
+   * calling any model.
+   *
+   * The text is chunked as a run would chunk it, and every prompt is
+   * rendered from the run's templates and counted with each stage model's
+   * tokenizer. Model output cannot be counted ahead, so extraction replies
+   * are sized from the clauses the text is expected to yield and generation
+   * replies from the clause length times the variant count (see
+   * ESTIMATE_ASSUMPTIONS). Classification filters, the clause limit, fidelity
+   * regenerations and the judge are included.
+   *
+   * @param {string} text - Document text
+   * @param {Object} options - Per-run options, as for processStream
+   * @returns {Object} { chunks, clauses, generatedClauses, expectedOutputs,
+   *   stages: { extractor, classifier, duplicator, judge? }, totals, credits, assumptions }
+   */
+  estimateCost(text, options = {}) {
+    const opts = this._resolveOptions(options);
+    const useCase = getUseCase(opts.useCase);
+    const taxonomy = normalizeTaxonomy(opts.taxonomy || useCase.taxonomy || DEFAULT_TAXONOMY);
+    const templates = this._resolveTemplates(opts);
+    const fidelity = { ...DEFAULT_FIDELITY, ...opts.fidelity };
+    const redaction = { ...DEFAULT_REDACTION, ...opts.redaction };
+    const source = redaction.enabled ? new Redactor(redaction).redact(text || '') : (text || '');
+    const messages = (stage, variables) => this._buildMessages(stage, opts, variables, templates);
+
+    const tallies = {
+      extractor: createStageTally(this.stages.extractor),
+      classifier: createStageTally(this.stages.classifier),
+      duplicator: createStageTally(this.stages.duplicator)
+    };
+    const paraphrase = Boolean(useCase.outputs?.paraphrase && fidelity.enabled);
+    if (paraphrase && fidelity.judge) {
+      templates.judge = this.prompts.resolve(opts.useCase || DEFAULT_USE_CASE, 'judge', opts.promptVersions?.judge);
+      tallies.judge = createStageTally(this._judgeStage(fidelity));
+    }
+
+    // Clauses repeated by chunk overlap are dropped before classification,
+    // and only the share of labels the filters keep is generated
+    let clauses = [...new Set(segmentClauses(source))];
+    const keptShare = this._filterClauses(taxonomy.map(({ label }) => ({ classification: label })), opts, taxonomy).length / taxonomy.length;
+    let chunks = chunkDocument(source, this._resolveChunking(opts)).map(chunk => chunk.text);
+    const totalChunks = chunks.length;
+
+    // The run stops reading once the clause limit is reached
+    if (opts.maxClausesToProcess > 0 && clauses.length * keptShare > opts.maxClausesToProcess) {
+      const share = opts.maxClausesToProcess / (clauses.length * keptShare);
+      clauses = clauses.slice(0, Math.ceil(clauses.length * share));
+      chunks = chunks.slice(0, Math.ceil(chunks.length * share));
+    }
+
+    let truncatedChunks = 0;
+    for (const chunk of chunks) {
+      const extracted = segmentClauses(chunk).reduce(
+        (sum, clause) => sum + tallies.extractor.countTokens(clause) + ESTIMATE_ASSUMPTIONS.extractionOverheadTokens, 0
+      );
+      const fitted = this._fitChunk(chunk, opts);
+      if (fitted.truncated) truncatedChunks++;
+      tallies.extractor.addCall(messages('extractor', {
+        ...useCase.extractionVariables(chunk),
+        text: fitted.text
+      }), extracted);
+    }
+
+    const labels = formatTaxonomy(taxonomy);
+    const classifierOutput = ESTIMATE_ASSUMPTIONS.classificationOutputTokens[templates.classifier.json ? 'json' : 'text'];
+    const maxVariants = Math.min(opts.maxVariantsPerClause || 3, 5);
+    const regenerations = paraphrase && fidelity.maxRetries > 0 ? ESTIMATE_ASSUMPTIONS.regenerationRate : 0;
+
+    for (const clause of clauses) {
+      const text = clause.substring(0, MAX_CLAUSE_LENGTH);
+      tallies.classifier.addCall(messages('classifier', { text, labels }), classifierOutput);
+
+      // Each clause counts for the share of it that passes the filters
+      const itemTokens = tallies.duplicator.countTokens(text) * ESTIMATE_ASSUMPTIONS.outputToClauseRatio + ESTIMATE_ASSUMPTIONS.outputOverheadTokens;
+      const generated = Math.min(itemTokens * maxVariants, useCase.generation.maxTokens || Infinity);
+      tallies.duplicator.addCall(messages('duplicator', {
+        ...useCase.generationVariables({ text }),
+        text,
+        count: maxVariants
+      }), generated, keptShare * (1 + regenerations));
+
+      if (tallies.judge) {
+        // The variants are about as long as the clause
+        tallies.judge.addCall(messages('judge', {
+          text,
+          variants: Array.from({ length: maxVariants }, (_, i) => `${i + 1}. ${text}`).join('\n')
+        }), ESTIMATE_ASSUMPTIONS.judgeTokensPerVariant * maxVariants, keptShare * (1 + regenerations));
       }
-      
-      // Last resort fallback
-      return `Alternative version: ${clause}`;
-    }
-  }
-  
-  // Private method to format output
-  _formatOutput(processedClauses, format) {
-    switch (format.toLowerCase()) {
-      case 'jsonl':
-        return processedClauses.map(c => JSON.stringify(c)).join('\n');
-      case 'csv':
-        return `input,classification,output\n` + 
-          processedClauses.map(c => 
-            `"${c.input.replace(/"/g, '""')}","${c.classification}","${c.output.replace(/"/g, '""')}"`
-          ).join('\n');
-      default:
-        return JSON.stringify(processedClauses, null, 2);
-    }
-  }
-  
-  // Private method to simulate processing (for testing)
-  _simulateProcessing(text, options) {
-    console.log('Simulating document processing...');
-    
-    // Create some simulated clauses
-    const simulatedClauses = [
-      {
-        input: text.substring(0, 100).trim() + '...',
-        classification: 'Critical',
-        output: 'This is a simulated rewrite of the first section of text.'
-      },
-      {
-        input: text.substring(100, 200).trim() + '...',
-        classification: 'Important',
-        output: 'Here is another simulated rewrite with different wording.'
+    }
+
+    const stages = Object.fromEntries(Object.entries(tallies).map(([stage, tally]) => [stage, tally.summary()]));
+    const summaries = Object.values(stages);
+    const priced = summaries.filter(stage => stage.cost !== null);
+    const expectedOutputs = Math.round(clauses.length * keptShare * maxVariants);
+
+    return {
+      useCase: useCase.id,
+      textLength: source.length,
+      chunks: chunks.length,
+      totalChunks,
+      // Chunks over the token budget, cut before extraction
+      truncatedChunks,
+      clauses: clauses.length,
+      generatedClauses: Math.round(clauses.length * keptShare),
+      expectedOutputs,
+      stages,
+      totals: {
+        calls: summaries.reduce((sum, stage) => sum + stage.calls, 0),
+        inputTokens: summaries.reduce((sum, stage) => sum + stage.inputTokens, 0),
+        outputTokens: summaries.reduce((sum, stage) => sum + stage.outputTokens, 0),
+        cost: priced.length > 0 ? Math.round(priced.reduce((sum, stage) => sum + stage.cost, 0) * 1e6) / 1e6 : null,
+        currency: 'USD',
+        // Stages on mock or unknown models, left out of the cost
+        unpricedStages: Object.keys(stages).filter(stage => stages[stage].cost === null)
       },
-      {
-        input: text.substring(200, 300).trim() + '...',
-        classification: 'Standard',
-        output: 'A third section is rewritten in this simulated output.'
-      }
-    ];
-    
-    // Format output
-    const formattedOutput = this._formatOutput(simulatedClauses, options.outputFormat);
-    
-    // Return simulated data
+      // One credit per generated variant, Q&A pair or problem
+      credits: expectedOutputs,
+      assumptions: { ...ESTIMATE_ASSUMPTIONS, keptShare, maxVariants }
+    };
+  }
+
+  // Merge per-run options over the constructor options
+  _resolveOptions(options = {}) {
     return {
-      data: formattedOutput,
-      stats: {
-        totalClauses: 3,
-        processedClauses: 3,
-        processedTokens: this._estimateTokens(text),
-        format: options.outputFormat,
-        simulation: true
-      }
+      ...this.options,
+      ...options,
+      concurrency: { ...this.options.concurrency, ...options.concurrency },
+      timeouts: { ...this.options.timeouts, ...options.timeouts }
     };
   }
-  
-  // Private method to estimate tokens (rough approximation)
-  _estimateTokens(text) {
-    return Math.ceil(text.length / 4); // Rough estimate: ~4 chars per token
+
+  _buildResult(records, opts, fields) {
+    const output = this._formatOutput(records, opts.outputFormat);
+    const result = {
+      ...fields,
+      output,
+      data: output,
+      clauses: records,
+      format: opts.outputFormat,
+      stats: this._stats
+    };
+
+    // Train/validation/test files, stratified by classification with every
+    // output of a clause kept in the same split
+    const ratios = parseSplitRatios(opts.split);
+    if (ratios) {
+      result.splits = formatSplits(records, opts.outputFormat, this._useCase || this.useCase, ratios, { seed: opts.splitSeed });
+      this._stats.splits = Object.fromEntries(Object.entries(result.splits).map(([name, split]) => [name, {
+        records: split.recordCount,
+        lines: split.lineCount,
+        classificationCounts: split.classificationCounts
+      }]));
+    }
+    return result;
   }
 
-  // Add a new method to contain the existing process logic
-  async _processDocumentWithoutTimeout(text, opts) {
-    const startTime = Date.now();
-    this._chunksProcessed = 0;
-    this._chunksFailed = 0;
-    this._partialResults = [];
-    
-    // Store the progress callback if provided in options
-    this._progressCallback = opts.progressCallback || null;
-    this._jobId = opts.jobId || null;
-    
-    console.log(`Processing document with length: ${text.length} characters`);
-    
-    // Report initial progress
-    this._reportProgress({
-        stage: 'initializing',
-        totalChunks: 0,
-        currentChunk: 0,
-        processedClauses: 0
-    });
-    
-    // Chunk the text
-    const chunks = this._chunkText(text, opts.chunkSize || 1000, opts.overlap || 100);
-    console.log(`Document chunked into ${chunks.length} segments`);
-    
-    // Report chunking progress
-    this._reportProgress({
-        stage: 'chunking',
-        totalChunks: chunks.length,
-        currentChunk: 0,
-        processedClauses: 0
-    });
-    
-    // Set up OpenAI
-    const openai = getOpenAI(opts.apiKey || this.options.apiKey);
-    if (!openai) {
-      throw new Error('Failed to initialize OpenAI API client');
+  // Run a chat completion for a pipeline stage and record its token usage
+  async _callModel(stage, params) {
+    if (this._cancelled) {
+      throw new Error('Pipeline run was cancelled');
+    }
+    // The run stopped reading chunk results (e.g. the clause limit was hit)
+    if (this._batcher && this._batcher.signal && this._batcher.signal.aborted) {
+      throw new Error('Pipeline run was stopped');
     }
     
-    // Process each chunk with timeout
-    let allClauses = [];
-    for (let i = 0; i < chunks.length; i++) {
-      try {
-        // Report progress for this chunk
-        this._reportProgress({
-          stage: 'processing',
-          totalChunks: chunks.length,
-          currentChunk: i,
-          processedClauses: allClauses.length
-        });
-        
-        // Process the chunk with a timeout
-        const chunkClauses = await withTimeout(
-          this._processChunk(chunks[i], i, openai, opts),
-          this.options.timeouts.chunkProcessing,
-          `processing chunk ${i+1}/${chunks.length}`
-        );
-        
-        if (chunkClauses && chunkClauses.length > 0) {
-          allClauses = [...allClauses, ...chunkClauses];
-          this._partialResults = [...this._partialResults, ...chunkClauses];
-        }
-        
-        this._chunksProcessed++;
-      } catch (error) {
-        console.error(`Error processing chunk ${i}:`, error);
-        this._chunksFailed++;
-        
-        // Report error in progress
-        this._reportProgress({
-          stage: 'error',
-          totalChunks: chunks.length,
-          currentChunk: i,
-          processedClauses: allClauses.length,
-          error: error.message
-        });
+    const { provider, model } = stage === 'judge' ? this._judge : this.stages[stage];
+    let result;
+    try {
+      result = await provider.complete({
+        ...params,
+        stage,
+        model: params.model || model
+      });
+    } catch (error) {
+      // 429s that outlast the client's retries, or come from providers
+      // without a ModelApiClient, surface as errors
+      if (error.status === 429 && this._batcher) {
+        this._batcher.reportRateLimit({ type: 'throttled', retryAfterMs: error.retryAfterMs });
       }
+      throw error;
     }
-    
-    console.log(`Processed ${allClauses.length} clauses from ${this._chunksProcessed} chunks (${this._chunksFailed} failed)`);
-    
-    // Report final processing stats
-    this._reportProgress({
-      stage: 'completed',
-      totalChunks: chunks.length,
-      processedChunks: this._chunksProcessed,
-      failedChunks: this._chunksFailed,
-      processedClauses: allClauses.length
+
+    const usage = this._tokenUsage[stage];
+    usage.requests++;
+    usage.promptTokens += result.usage.promptTokens || 0;
+    usage.completionTokens += result.usage.completionTokens || 0;
+    usage.provider = result.provider;
+    usage.model = result.model || params.model || model;
+
+    return result;
+  }
+
+  _resetRunState() {
+    this._cancelled = false;
+    this._coveredTo = 0;
+    this._chunkTokens = [];
+    this._language = null;
+    this._stats = {
+      textLength: null,
+      charactersRead: 0,
+      charactersProcessed: 0,
+      estimatedChunks: null,
+      // Chunking strategy and token budget; tokens per chunk once the run ends
+      chunking: null,
+      // Language outputs are generated in: { code, name, confidence, source }
+      language: null,
+      totalChunks: 0,
+      processedChunks: 0,
+      failedChunks: 0,
+      resumedChunks: 0,
+      // Chunks over the token budget, cut before extraction
+      truncatedChunks: 0,
+      extractedClauses: 0,
+      classifiedClauses: 0,
+      filteredClauses: 0,
+      processedClauses: 0,
+      generatedVariants: 0,
+      rejectedOutputs: 0,
+      classificationFallbacks: 0,
+      classificationCounts: Object.fromEntries(DEFAULT_TAXONOMY.map(({ label }) => [label, 0])),
+      // Redaction report when PII redaction is on: placeholders and counts only
+      redaction: null,
+      // Variants checked by the fidelity gate, and why rejected ones failed
+      fidelity: {
+        checked: 0,
+        passed: 0,
+        rejected: 0,
+        regenerations: 0,
+        judgeErrors: 0,
+        reasons: {},
+        examples: []
+      },
+      // Near-duplicates dropped, by stage and by the check that caught them
+      duplicates: {
+        clauses: { exact: 0, minhash: 0, embedding: 0 },
+        outputs: { exact: 0, minhash: 0, embedding: 0 },
+        embeddingErrors: 0,
+        examples: []
+      }
+    };
+    this._tokenUsage = {};
+    for (const stage of Object.keys(this.stages)) {
+      this._tokenUsage[stage] = { requests: 0, promptTokens: 0, completionTokens: 0 };
+    }
+  }
+
+  // Run one chunk through extract -> classify -> filter -> generate
+  async _processChunk(chunk, chunkIndex, opts, remaining) {
+    const stats = this._stats;
+    this._reportProgress('extraction', { currentChunk: chunkIndex + 1, chunkTokens: chunk.tokens });
+
+    let clauses;
+    try {
+      clauses = await this._extractClauses(chunk.text, chunkIndex, opts);
+    } catch (error) {
+      if (this._batcher && this._batcher.signal && this._batcher.signal.aborted) {
+        return null;
+      }
+      console.error(`Error extracting clauses from chunk ${chunkIndex}:`, error.message);
+      stats.failedChunks++;
+      this._reportProgress('error', { currentChunk: chunkIndex + 1, error: error.message });
+      return null;
+    }
+
+    // Drop repeats from the overlap with earlier chunks and near-duplicates
+    // of clauses kept before, and note the chunk each remaining clause came from
+    const { kept, dropped } = await this._clauseDedup.filter(clauses, clause => clause.text);
+    this._recordDuplicates('clauses', dropped);
+    const newClauses = kept.map(clause => {
+      const sectionPath = chunk.sections ? sectionPathFor(chunk, clause.text) : null;
+      return { ...clause, sectionPath, source: { chunkIndex, start: chunk.start, end: chunk.end, sectionPath } };
     });
-    
-    // Format the results
-    const formattedOutput = this._formatOutput(allClauses, opts.outputFormat || this.options.outputFormat);
-    
-    return {
-      success: true,
-      data: formattedOutput,
-      clauses: allClauses,
-      stats: {
-        totalChunks: chunks.length,
-        processedChunks: this._chunksProcessed,
-        failedChunks: this._chunksFailed,
-        processedClauses: allClauses.length,
-        processingTimeMs: Date.now() - startTime
+    stats.extractedClauses += newClauses.length;
+
+    const classifiedClauses = await this._classifyClauses(newClauses, opts);
+    stats.classifiedClauses += classifiedClauses.length;
+    this._reportProgress('classification', { currentChunk: chunkIndex + 1 });
+
+    const filteredClauses = this._filterClauses(classifiedClauses, opts).slice(0, remaining);
+    stats.filteredClauses += filteredClauses.length;
+
+    const records = await this._generateVariants(filteredClauses, opts);
+    for (const record of records) {
+      record.chunkIndex = chunkIndex;
+    }
+    await this._dedupeOutputs(records);
+    this._reportProgress('generation', { currentChunk: chunkIndex + 1 });
+
+    return { clauses: newClauses.map(clause => clause.text), records };
+  }
+
+  // Restore a checkpointed chunk's records and stats without model calls
+  async _replayChunk(checkpoint) {
+    const stats = this._stats;
+    stats.resumedChunks++;
+
+    await this._clauseDedup.addAll(checkpoint.clauses || []);
+    stats.extractedClauses += (checkpoint.clauses || []).length;
+    stats.classifiedClauses += (checkpoint.clauses || []).length;
+
+    const records = (checkpoint.records || []).map(record => ({ ...record }));
+    const { field, text } = this._useCase.outputs || {};
+    if (field) {
+      await this._outputDedup.addAll(records.flatMap(record => (record[field] || []).map(text)));
+    }
+    stats.filteredClauses += records.length;
+    for (const record of records) {
+      if (stats.classificationCounts[record.classification] !== undefined) {
+        stats.classificationCounts[record.classification]++;
       }
+    }
+    this._reportProgress('generation', { currentChunk: checkpoint.chunkIndex + 1, resumed: true });
+
+    return records;
+  }
+
+  // Forward rate-limit events from the stage providers' HTTP clients to the
+  // chunk batcher; returns a function that stops listening
+  _watchRateLimits(batcher) {
+    this._batcher = batcher;
+    const clients = new Set(Object.values(this.stages)
+      .map(({ provider }) => provider.client)
+      .filter(client => client && typeof client.onRateLimit === 'function'));
+    const unsubscribers = [...clients].map(client => client.onRateLimit(event => batcher.reportRateLimit(event)));
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      this._batcher = null;
     };
   }
 
-  // Add a new method for chunk processing with timeouts
-  async _processChunk(chunk, chunkIndex, openai, opts) {
-    console.log(`Processing chunk ${chunkIndex}, length: ${chunk.length} characters`);
-    
+  // Checkpoint failures are logged rather than failing the run
+  async _saveCheckpoint(onCheckpoint, checkpoint) {
     try {
-      // Extract clauses with timeout
-      const clauses = await withTimeout(
-        this._extractClauses(chunk, chunkIndex, opts.extractorModel),
-        this.options.timeouts.clauseExtraction,
-        `extracting clauses from chunk ${chunkIndex+1}`
-      );
-      
-      if (!clauses || clauses.length === 0) {
-        console.log(`No clauses extracted from chunk ${chunkIndex}`);
-        return [];
+      await onCheckpoint(checkpoint);
+    } catch (error) {
+      console.error(`Error saving checkpoint for chunk ${checkpoint.chunkIndex}:`, error.message);
+    }
+  }
+
+  // Count a chunk as processed and add the characters it covers, excluding overlap
+  _markChunkProcessed(chunk) {
+    this._stats.processedChunks++;
+    this._stats.charactersProcessed += Math.max(chunk.end - Math.max(chunk.start, this._coveredTo), 0);
+    this._coveredTo = Math.max(this._coveredTo, chunk.end);
+  }
+
+  // Drop generated outputs that repeat one kept earlier in the run; the use
+  // case names the record field holding them and the text to compare
+  async _dedupeOutputs(records) {
+    const { field, text } = this._useCase.outputs || {};
+    if (!field) return;
+
+    for (const record of records) {
+      if (!Array.isArray(record[field]) || record[field].length === 0) continue;
+      const { kept, dropped } = await this._outputDedup.filter(record[field], text);
+      record[field] = kept;
+      this._recordDuplicates('outputs', dropped);
+    }
+  }
+
+  // Count dropped duplicates and keep the first few as examples
+  _recordDuplicates(stage, dropped) {
+    const duplicates = this._stats.duplicates;
+    for (const { text, duplicateOf, similarity, method } of dropped) {
+      duplicates[stage][method]++;
+      if (duplicates.examples.length < MAX_REPORTED_DUPLICATES) {
+        duplicates.examples.push({ stage, text, duplicateOf, similarity, method });
       }
-      
-      console.log(`Extracted ${clauses.length} clauses from chunk ${chunkIndex}`);
-      
-      // Classify clauses with timeout
-      const classifiedClauses = await withTimeout(
-        this._classifyClauses(clauses, opts.classifierModel),
-        this.options.timeouts.clauseClassification,
-        `classifying clauses from chunk ${chunkIndex+1}`
-      );
-      
-      // Filter clauses by classification if needed
-      let finalClauses = classifiedClauses;
-      if (opts.classFilter && opts.classFilter !== 'all') {
-        const classFilters = opts.classFilter.split(',').map(c => c.trim());
-        finalClauses = classifiedClauses.filter(c => 
-          classFilters.includes(c.classification.toLowerCase())
+    }
+  }
+
+  // Record timing, token usage and coverage on the run stats
+  _finalizeStats(startTime) {
+    const stats = this._stats;
+    const totalCharacters = stats.textLength !== null ? stats.textLength : stats.charactersRead;
+
+    stats.processingTimeMs = Date.now() - startTime;
+    stats.tokenUsage = this._tokenUsage;
+    stats.duplicates.embeddingErrors = [this._clauseDedup, this._outputDedup]
+      .reduce((sum, dedup) => sum + (dedup ? dedup.embeddingErrors : 0), 0);
+    if (this._redactor) {
+      stats.redaction = { ...this._redactor.report(), rehydrated: this._rehydrate };
+    }
+    stats.coverage = {
+      totalCharacters,
+      processedCharacters: stats.charactersProcessed,
+      percent: totalCharacters > 0
+        ? Math.round((stats.charactersProcessed / totalCharacters) * 1000) / 10
+        : 100,
+      totalChunks: stats.totalChunks,
+      processedChunks: stats.processedChunks,
+      failedChunks: stats.failedChunks,
+      resumedChunks: stats.resumedChunks
+    };
+    if (stats.chunking) {
+      const tokens = this._chunkTokens.filter(count => count !== undefined);
+      stats.chunking = {
+        ...stats.chunking,
+        tokensPerChunk: tokens,
+        minTokens: tokens.length > 0 ? tokens.reduce((min, count) => Math.min(min, count)) : 0,
+        maxTokens: tokens.reduce((max, count) => Math.max(max, count), 0),
+        averageTokens: tokens.length > 0 ? Math.round(tokens.reduce((sum, count) => sum + count, 0) / tokens.length) : 0
+      };
+    }
+    return stats;
+  }
+
+  // Pick the template for each stage from the use case and pinned versions
+  _resolveTemplates(opts) {
+    const templates = {};
+    for (const stage of Object.keys(this.stages)) {
+      templates[stage] = this.prompts.resolve(opts.useCase || DEFAULT_USE_CASE, stage, opts.promptVersions?.[stage]);
+    }
+    return templates;
+  }
+
+  // Record the document language; templates get {{language}} only for
+  // other languages, so English documents keep their original prompts
+  _setLanguage(language) {
+    this._language = language;
+    this._stats.language = { code: language.code, name: language.name, confidence: language.confidence, source: language.source };
+    if (language.code !== DEFAULT_LANGUAGE) {
+      console.log(`Generating outputs in ${language.name} (${language.source})`);
+    }
+  }
+
+  // Render a stage's template into chat messages
+  _buildMessages(stage, opts, variables, templates = this._templates) {
+    const language = this._language && this._language.code !== DEFAULT_LANGUAGE ? this._language.name : undefined;
+    const { system, user } = this.prompts.render(templates[stage], {
+      language,
+      ...opts.promptVariables,
+      ...variables
+    });
+    return [
+      { role: 'system', content: system },
+      { role: 'user', content: user }
+    ];
+  }
+
+  // Extract clauses from one chunk with the extractor model
+  async _extractClauses(text, chunkIndex, opts) {
+    const fitted = this._fitChunk(text, opts);
+    if (fitted.truncated) {
+      this._stats.truncatedChunks++;
+      console.warn(`Chunk ${chunkIndex + 1} is over the ${this._resolveChunking(opts).maxTokens}-token budget; extracting from its first ${fitted.text.length} of ${text.length} characters`);
+    }
+
+    const response = await withTimeout(
+      this._callModel('extractor', {
+        messages: this._buildMessages('extractor', opts, {
+          ...this._useCase.extractionVariables(text),
+          text: fitted.text
+        }),
+        // Set a max token limit to prevent too large responses
+        maxTokens: 1024,
+        temperature: 0.3
+      }),
+      opts.timeouts.clauseExtraction,
+      `extracting clauses from chunk ${chunkIndex + 1}`
+    );
+
+    // Deduplicated within the chunk
+    const seen = new Set();
+    return this._useCase.parseExtraction(response.content, MAX_CLAUSE_LENGTH).filter(clause => {
+      if (seen.has(clause.text)) return false;
+      seen.add(clause.text);
+      return true;
+    });
+  }
+
+  // Classify each clause with the classifier model into one of the
+  // taxonomy's labels with a confidence score, falling back to keywords
+  async _classifyClauses(clauses, opts) {
+    const template = this._templates.classifier;
+    const labels = formatTaxonomy(this._taxonomy);
+
+    return mapInBatches(clauses, opts.concurrency.classification, async (clause) => {
+      const { text } = clause;
+      let result;
+      try {
+        const response = await withTimeout(
+          this._callModel('classifier', {
+            messages: this._buildMessages('classifier', opts, { text: text.substring(0, MAX_CLAUSE_LENGTH), labels }),
+            temperature: 0.3,
+            maxTokens: template.json ? 256 : 128,
+            json: Boolean(template.json)
+          }),
+          opts.timeouts.clauseClassification,
+          'classifying clause'
         );
-        console.log(`Filtered from ${classifiedClauses.length} to ${finalClauses.length} clauses by classification`);
-      }
-      
-      // Process each clause to generate variants
-      const processedClauses = [];
-      for (const clause of finalClauses) {
-        try {
-          // Generate variants with a timeout
-          const variants = await withTimeout(
-            this._generateVariants(
-              clause.text, 
-              Math.min(opts.maxVariantsPerClause || 3, 5),
-              opts.duplicatorModel
-            ),
-            this.options.timeouts.variantGeneration,
-            `generating variants for clause`
-          );
-          
-          processedClauses.push({
-            ...clause,
-            variants: variants
-          });
-        } catch (error) {
-          console.error(`Error generating variants for clause: ${error.message}`);
-          // Add the clause with a fallback variant
-          processedClauses.push({
-            ...clause,
-            variants: [`[Error generating variants: ${error.message}]`],
-            error: error.message
-          });
+        result = this._parseClassification(response);
+        if (!result) {
+          throw new Error('Classifier response did not name a known label');
         }
+      } catch (error) {
+        console.error('Error classifying clause, using keyword rules:', error.message);
+        this._stats.classificationFallbacks++;
+        result = { classification: this._classifyClause(text), confidence: null, source: 'keyword-fallback' };
       }
-      
-      return processedClauses;
-    } catch (error) {
-      console.error(`Error in chunk ${chunkIndex} processing:`, error);
-      throw error; // Let the parent function handle this
+
+      const counts = this._stats.classificationCounts;
+      counts[result.classification] = (counts[result.classification] || 0) + 1;
+      return {
+        ...clause,
+        classification: result.classification,
+        classificationConfidence: result.confidence,
+        classificationSource: result.source
+      };
+    });
+  }
+
+  // Read the label and confidence from the classifier's response: JSON
+  // { label, confidence } or, for plain-text templates, the first taxonomy
+  // label mentioned. Returns null when no known label is found.
+  _parseClassification(response) {
+    const data = response.json;
+    if (data && typeof data === 'object') {
+      const label = findLabel(this._taxonomy, data.label || data.classification);
+      return label ? { classification: label, confidence: parseConfidence(data.confidence), source: 'model' } : null;
     }
+
+    const content = response.content || '';
+    const match = this._taxonomy.find(({ label }) => content.includes(label));
+    if (!match) return null;
+    const stated = content.match(/confidence\W{0,3}(\d*\.?\d+\s*%?)/i);
+    return { classification: match.label, confidence: stated ? parseConfidence(stated[1]) : null, source: 'model' };
   }
 
-  // Update the _extractClauses method to handle timeouts better
-  async _extractClauses(text, chunkIndex, extractorModel) {
-    console.log(`Extracting clauses from chunk ${chunkIndex}, length: ${text.length}`);
-    
-    if (!text || text.trim().length === 0) {
-      console.log(`Empty text in chunk ${chunkIndex}, skipping extraction`);
-      return [];
+  // Keyword classification used when the classifier model is unavailable.
+  // Its three levels map onto the taxonomy by rank: first label, second
+  // label, last label.
+  _classifyClause(clause) {
+    const labels = (this._taxonomy || DEFAULT_TAXONOMY).map(({ label }) => label);
+    const lower = clause.toLowerCase();
+    if (lower.includes('must') || lower.includes('shall') || lower.includes('required')) {
+      return labels[0];
+    } else if (lower.includes('should') || lower.includes('recommend') || clause.length > 100) {
+      return labels[Math.min(1, labels.length - 1)];
     }
-    
-    try {
-      const openai = getOpenAI(this.options.apiKey);
-      
-      // Use a timeout for the API call
-      const response = await withTimeout(
-        openai.chat.completions.create({
-          model: extractorModel || 'gpt-3.5-turbo',
-          messages: [
-            { 
-              role: 'system', 
-              content: 'Extract distinct, meaningful clauses from the following text. Return ONLY a JSON array of objects with "text" property for each clause. Do not include any other text in your response.' 
-            },
-            { role: 'user', content: text }
-          ],
-          temperature: 0.1,
-          response_format: { type: "json_object" }
-        }),
-        this.options.timeouts.clauseExtraction,
-        'extracting clauses with OpenAI'
+    return labels[labels.length - 1];
+  }
+
+  // Apply classFilter / filterClassifications and priority order within a
+  // chunk. critical_only keeps the taxonomy's top label and important_plus
+  // its top two.
+  _filterClauses(clauses, opts, taxonomy = this._taxonomy) {
+    let eligible = clauses;
+    const labels = taxonomy.map(({ label }) => label);
+
+    const classFilter = opts.classFilter || 'all';
+    if (classFilter === 'critical_only') {
+      eligible = eligible.filter(c => c.classification === labels[0]);
+    } else if (classFilter === 'important_plus') {
+      eligible = eligible.filter(c => labels.slice(0, 2).includes(c.classification));
+    } else if (classFilter !== 'all') {
+      // Comma separated list of classifications, e.g. "critical,important"
+      const allowed = classFilter.split(',').map(c => c.trim().toLowerCase());
+      eligible = eligible.filter(c => allowed.includes(c.classification.toLowerCase()));
+    }
+
+    if (opts.filterClassifications && opts.filterClassifications.length > 0) {
+      const allowed = opts.filterClassifications.map(c => c.toLowerCase());
+      eligible = eligible.filter(c => allowed.includes(c.classification.toLowerCase()));
+    }
+
+    if (opts.prioritizeImportant) {
+      // Earlier taxonomy labels rank higher
+      eligible = [...eligible].sort(
+        (a, b) => labels.indexOf(a.classification) - labels.indexOf(b.classification)
       );
-      
+    }
+
+    return eligible;
+  }
+
+  // Generate the use case's output (variants, Q&A pairs, ...) for each
+  // clause with the duplicator stage model
+  async _generateVariants(clauses, opts) {
+    const maxVariants = Math.min(opts.maxVariantsPerClause || 3, 5); // Cap at 5 variants max
+    const useCase = this._useCase;
+    const { temperature, maxTokens, json } = useCase.generation;
+
+    return mapInBatches(clauses, opts.concurrency.generation, async (clause) => {
+      const generate = async () => {
+        const response = await withTimeout(
+          this._callModel('duplicator', {
+            messages: this._buildMessages('duplicator', opts, {
+              ...useCase.generationVariables(clause),
+              text: clause.text.substring(0, MAX_CLAUSE_LENGTH),
+              count: maxVariants
+            }),
+            temperature,
+            maxTokens,
+            json
+          }),
+          opts.timeouts.variantGeneration,
+          'generating variants'
+        );
+        return useCase.parseGeneration(response, clause, { count: maxVariants, maxLength: MAX_VARIANT_LENGTH });
+      };
+
+      let processed;
       try {
-        const content = response.choices[0].message.content;
-        const parsed = JSON.parse(content);
-        
-        if (Array.isArray(parsed.clauses)) {
-          return parsed.clauses;
-        } else {
-          console.warn(`Unexpected format from extractor model:`, parsed);
-          
-          // Attempt to intelligently find an array in the response
-          for (const key in parsed) {
-            if (Array.isArray(parsed[key])) {
-              console.log(`Found array in response under key ${key}, using it instead`);
-              return parsed[key];
-            }
-          }
-          
-          return [];
+        let outputs = await generate();
+        if (useCase.outputs?.paraphrase && this._fidelity.enabled) {
+          outputs = await this._gateVariants(clause, outputs, maxVariants, opts, generate);
         }
-      } catch (parseError) {
-        console.error('Error parsing extractor response:', parseError);
-        return [];
+        processed = { ...clause, ...outputs, promptTemplates: this._stats.promptTemplates };
+      } catch (error) {
+        console.error('Error generating variants:', error.message);
+        processed = { ...clause, variants: [], promptTemplates: this._stats.promptTemplates, error: error.message };
       }
-    } catch (error) {
-      console.error(`Error in _extractClauses:`, error);
-      return []; // Return empty array to allow processing to continue
-    }
+
+      return processed;
+    });
   }
 
-  // Enhance the variant generation with better error handling and timeouts
-  async _generateVariants(clause, numVariants = 3, duplicatorModel) {
-    if (!clause || typeof clause !== 'string' || clause.trim().length === 0) {
-      return ["[No valid clause provided]"];
+  /**
+   * Keep only variants that pass the fidelity checks (see ./fidelity), and
+   * the judge when enabled. While fewer than `count` pass, the clause is
+   * regenerated up to fidelity.maxRetries times; variants that still fail
+   * are dropped into `rejectedVariants` with their reasons.
+   */
+  async _gateVariants(clause, outputs, count, opts, regenerate) {
+    const { field } = this._useCase.outputs;
+    const settings = this._fidelity;
+    const stats = this._stats.fidelity;
+    const facts = extractFacts(clause.text);
+    const accepted = [];
+    const rejected = [];
+    const seen = new Set();
+    let candidates = outputs[field] || [];
+
+    for (let attempt = 0; ; attempt++) {
+      const fresh = candidates.filter(variant => !seen.has(variant));
+      fresh.forEach(variant => seen.add(variant));
+
+      const checked = fresh.map(variant => ({ variant, ...checkVariant(clause.text, variant, settings, facts) }));
+      const passing = checked.filter(result => result.passed);
+      if (settings.judge && passing.length > 0) {
+        await this._judgeVariants(clause, passing, opts);
+      }
+
+      for (const result of checked) {
+        stats.checked++;
+        if (result.passed && accepted.length < count) {
+          stats.passed++;
+          accepted.push(result.variant);
+        } else if (!result.passed) {
+          rejected.push({ variant: result.variant, reasons: result.reasons, details: result.details });
+          this._recordRejection(clause, result);
+        }
+      }
+
+      if (accepted.length >= count || rejected.length === 0 || attempt >= settings.maxRetries) break;
+      stats.regenerations++;
+      try {
+        candidates = (await regenerate())[field] || [];
+      } catch (error) {
+        console.error('Error regenerating variants:', error.message);
+        break;
+      }
     }
-    
-    const maxVariants = Math.min(numVariants, 5); // Cap at 5 variants max
-    
+
+    return { ...outputs, [field]: accepted, rejectedVariants: rejected };
+  }
+
+  // The judge runs on the duplicator's provider, with fidelity.judgeModel
+  // or a small OpenAI model
+  _judgeStage(fidelity) {
+    const { provider, model } = this.stages.duplicator;
+    return {
+      provider,
+      model: fidelity.judgeModel || (provider.name === 'openai' ? DEFAULT_JUDGE_MODEL : model)
+    };
+  }
+
+  // Ask the judge model whether each variant keeps the clause's meaning;
+  // variants it calls unfaithful fail with reason "judge". A failed call
+  // leaves the rule-based checks as the verdict.
+  async _judgeVariants(clause, results, opts) {
     try {
-      const openai = getOpenAI(this.options.apiKey);
-      
-      // Add a timeout for the API call
       const response = await withTimeout(
-        openai.chat.completions.create({
-          model: duplicatorModel || 'gpt-3.5-turbo',
-          messages: [
-            { 
-              role: 'system', 
-              content: `Generate ${maxVariants} different ways to express the same meaning as the provided clause. Be creative with sentence structure and vocabulary, but preserve the exact meaning and legal implications. Return ONLY a JSON array of strings, each containing one rewrite. Do not include any other text in your response.` 
-            },
-            { role: 'user', content: clause }
-          ],
-          temperature: 0.7,
-          response_format: { type: "json_object" }
+        this._callModel('judge', {
+          messages: this._buildMessages('judge', opts, {
+            text: clause.text.substring(0, MAX_CLAUSE_LENGTH),
+            variants: results.map((result, i) => `${i + 1}. ${result.variant}`).join('\n')
+          }),
+          temperature: 0,
+          maxTokens: 512,
+          json: true
         }),
-        this.options.timeouts.variantGeneration,
-        'generating variants with OpenAI'
+        opts.timeouts.variantGeneration,
+        'judging variants'
       );
-      
-      try {
-        const content = response.choices[0].message.content;
-        const parsed = JSON.parse(content);
-        
-        // Try to handle various potential response formats
-        if (Array.isArray(parsed.variants)) {
-          return parsed.variants;
-        } else if (Array.isArray(parsed.rewrites)) {
-          return parsed.rewrites;
-        } else if (Array.isArray(parsed.content)) {
-          return parsed.content;
-        } else if (Array.isArray(parsed)) {
-          return parsed;
-        }
-        
-        // Attempt to intelligently find an array in the response
-        for (const key in parsed) {
-          if (Array.isArray(parsed[key])) {
-            return parsed[key];
-          }
+
+      parseJudgement(response.json, results.length).forEach((verdict, i) => {
+        if (verdict && !verdict.faithful) {
+          results[i].passed = false;
+          results[i].reasons.push('judge');
+          results[i].details.judge = verdict.reason;
         }
-        
-        console.warn('Unexpected variant format, could not extract array:', parsed);
-        return [`Alternative: ${clause}`]; // Fallback
-      } catch (parseError) {
-        console.error('Error parsing variant response:', parseError);
-        return [`Parsing error: ${clause}`];
-      }
+      });
     } catch (error) {
-      console.error(`Error generating variants:`, error);
-      return [`Generation error: ${clause}`];
+      console.error('Error judging variants:', error.message);
+      this._stats.fidelity.judgeErrors++;
     }
   }
 
-  // Add a new helper method to report progress
-  _reportProgress(progressData) {
-    if (!this._progressCallback) return;
+  // Count a rejected variant by reason and keep the first few as examples
+  _recordRejection(clause, result) {
+    const stats = this._stats.fidelity;
+    stats.rejected++;
+    for (const reason of result.reasons) {
+      stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+    }
+    if (stats.examples.length < MAX_REPORTED_REJECTIONS) {
+      stats.examples.push({ clause: clause.text, variant: result.variant, reasons: result.reasons, details: result.details });
+    }
+  }
+
+  // Format records for the output target (see ./formatters); the use case
+  // shapes each record and lines failing the target's schema are dropped
+  _formatOutput(clauses, format = 'jsonl') {
+    const { output, lineCount, invalidLines, errors } = formatRecords(clauses, format, this._useCase || this.useCase);
+    Object.assign(this._stats, { outputLines: lineCount, invalidOutputLines: invalidLines, outputErrors: errors });
+    return output;
+  }
+
+  // Report progress to onProgress(stage, stats) and progressCallback(info)
+  _reportProgress(stage, details = {}) {
+    if (this._cancelled) return;
     
+    const stats = this._stats;
+    const progressInfo = {
+      stage,
+      ...stats,
+      // Only known when the whole document length is known up front
+      percentComplete: stats.textLength
+        ? Math.min(Math.round((stats.charactersProcessed / stats.textLength) * 100), 100)
+        : null,
+      ...details,
+      timestamp: new Date().toISOString(),
+      jobId: this._jobId
+    };
+
     try {
-        // Add timestamp
-        const progressInfo = {
-            ...progressData,
-            timestamp: new Date().toISOString(),
-            jobId: this._jobId
-        };
-        
-        // Call the progress callback with the data
+      if (this.onProgress) {
+        this.onProgress(stage, progressInfo);
+      }
+      if (this._progressCallback) {
         this._progressCallback(progressInfo);
+      }
     } catch (error) {
-        console.error('Error reporting progress:', error);
+      console.error('Error reporting progress:', error);
     }
   }
 
-  // Implement _chunkText method if it doesn't exist
-  _chunkText(text, maxLength = 1000, overlap = 100) {
-    if (!text) return [];
-    
-    // Use reasonable defaults
-    maxLength = maxLength || 1000;
-    overlap = overlap || 100;
-    
-    // Simple chunking approach
-    const chunks = [];
-    let startPos = 0;
-    
-    while (startPos < text.length) {
-        // Calculate end position
-        let endPos = startPos + maxLength;
-        
-        // Adjust end position to avoid cutting words
-        if (endPos < text.length) {
-            // Look for natural break points (periods, new lines, etc.)
-            const breakPoints = ['. ', '! ', '? ', '\n\n', '\r\n\r\n'];
-            
-            // Look for a natural break within the last 20% of the chunk
-            const lookbackStart = Math.max(startPos, endPos - Math.floor(maxLength * 0.2));
-            
-            let foundBreak = false;
-            for (const breakPoint of breakPoints) {
-                const breakPos = text.indexOf(breakPoint, lookbackStart);
-                if (breakPos > 0 && breakPos <= endPos) {
-                    endPos = breakPos + breakPoint.length;
-                    foundBreak = true;
-                    break;
-                }
-            }
-            
-            // If no natural break was found, look for a space
-            if (!foundBreak) {
-                const lastSpace = text.lastIndexOf(' ', endPos);
-                if (lastSpace > startPos) {
-                    endPos = lastSpace + 1;
-                }
-            }
-        } else {
-            endPos = text.length;
-        }
-        
-        // Extract the chunk
-        const chunk = text.substring(startPos, endPos).trim();
-        if (chunk) {
-            chunks.push(chunk);
-        }
-        
-        // Move start position, accounting for overlap
-        startPos = endPos - overlap;
-        if (startPos <= 0 || startPos >= text.length) break;
-    }
-    
-    return chunks;
+  // A chunk cut to the chunking token budget. The built-in chunkers keep to
+  // it, so only chunks from a registered chunker that overshoots are cut.
+  _fitChunk(text, opts) {
+    const { maxTokens, model } = this._resolveChunking(opts);
+    const length = tokenPrefixLength(text, maxTokens, model);
+    return { text: text.substring(0, length), truncated: length < text.length };
   }
 
-  // Add placeholder implementations for internal methods if they aren't defined elsewhere
-  // These will be overridden by real implementations if they exist
-  async _classifyClauses(clauses, classifierModel) {
-    // Placeholder implementation - derived classes should override
-    if (!this._classifyClause) {
-        return clauses.map(clause => ({
-            ...clause,
-            classification: 'Standard'
-        }));
+  // Chunking settings of a run: chunkSize is the token budget, and overlap
+  // applies to the "length" strategy only
+  _resolveChunking(opts) {
+    const chunking = { ...DEFAULT_CHUNKING, ...opts.chunking };
+    return {
+      ...chunking,
+      maxTokens: Math.max(opts.chunkSize || 256, 1),
+      overlapTokens: chunking.strategy === 'length' ? opts.overlap || 0 : 0,
+      model: chunking.model || this.stages.extractor.model
+    };
+  }
+
+  /**
+   * Chunk a text stream lazily with the run's chunker (see ./chunking).
+   *
+   * Only the unchunked tail of the input is buffered, so memory stays
+   * bounded by the chunk size however long the document is.
+   *
+   * @yields {Object} { text, start, end, tokens } with character offsets
+   *   into the document, plus sectionPath and sections with structure chunking
+   */
+  async *_chunkSource(source, chunker) {
+    for await (const piece of toTextStream(source)) {
+      if (this._cancelled) return;
+      this._stats.charactersRead += piece.length;
+      yield* chunker.push(piece);
     }
-    
-    // Use the defined implementation
-    return clauses.map(clause => ({
-        ...clause,
-        classification: this._classifyClause(clause.text)
-    }));
+    yield* chunker.end();
   }
 }
 
-// Change the export statement to use CommonJS module.exports
-module.exports = { SyntheticDataPipeline }; 
\ No newline at end of file
+module.exports = { SyntheticDataPipeline, DEFAULT_MODELS, withTimeout };
@@ -0,0 +1,148 @@
+const FINISHED_STATUSES = ['completed', 'failed'];
+// Polled status codes that end the watch: the job is unknown or not the
+// user's. A 404 right after subscribing is retried for NOT_FOUND_GRACE_MS,
+// as the request that creates the job may still be on its way.
+const FATAL_POLL_STATUSES = [401, 403, 404];
+const NOT_FOUND_GRACE_MS = 10000;
+
+/**
+ * Follow the progress of a job through the Server-Sent Events stream at
+ * /api/jobs/<jobId>/events. When the browser has no EventSource or the
+ * stream cannot be opened, it falls back to polling. It can start before
+ * the request that creates the job has been sent.
+ *
+ * @param {string} jobId - The job
+ * @param {Object} handlers
+ * @param {Function} handlers.onUpdate - (update, eventType) for each status,
+ *   progress or retrying event, and for each polled status
+ * @param {Function} [handlers.onFinish] - (finalStatus) once the job has
+ *   completed or failed, or polling found it unknown or not the user's
+ *   (status "failed" with the reason in lastError)
+ * @param {Function} [handlers.onFallback] - Called when switching to polling
+ * @param {Function} [handlers.poll] - async () => status, for polling; without
+ *   it, the caller does its own polling from onFallback. Errors with the
+ *   response's `status` 401, 403 or 404 stop it.
+ * @param {Function} [handlers.authToken] - async () => the user's ID token.
+ *   The stream only shows users their own jobs; the ID token is exchanged
+ *   for a short-lived stream token for this job, which goes in the stream's
+ *   URL in its place.
+ * @param {number} [handlers.pollIntervalMs=2000] - Polling interval
+ * @returns {Function} Stop following the job
+ */
+export function watchJobProgress(jobId, {
+  onUpdate,
+  onFinish,
+  onFallback,
+  poll,
+  pollIntervalMs = 2000,
+  authToken,
+}) {
+  const startedAt = Date.now();
+  let stopped = false;
+  let source = null;
+  let timeoutId = null;
+
+  const stop = () => {
+    stopped = true;
+    if (source) source.close();
+    clearTimeout(timeoutId);
+  };
+
+  const finish = (status) => {
+    stop();
+    if (onFinish) onFinish(status);
+  };
+
+  const startPolling = () => {
+    if (stopped) return;
+    if (onFallback) onFallback();
+    if (!poll) return;
+
+    const pollOnce = async () => {
+      if (stopped) return;
+      try {
+        const status = await poll();
+        if (stopped) return;
+        if (FINISHED_STATUSES.includes(status.status)) {
+          finish(status);
+          return;
+        }
+        onUpdate(status, 'status');
+        timeoutId = setTimeout(pollOnce, pollIntervalMs);
+      } catch (error) {
+        if (stopped) return;
+        const fatal = FATAL_POLL_STATUSES.includes(error.status) &&
+          (error.status !== 404 || Date.now() - startedAt > NOT_FOUND_GRACE_MS);
+        if (fatal) {
+          finish({ jobId, status: 'failed', lastError: { message: error.message } });
+          return;
+        }
+        console.error(`Error polling status for job ${jobId}:`, error);
+        // Retry on error, but with a delay
+        timeoutId = setTimeout(pollOnce, Math.max(pollIntervalMs, 5000));
+      }
+    };
+    pollOnce();
+  };
+
+  // A stream token for the job, or null to open the stream without one
+  const fetchStreamToken = async () => {
+    const idToken = authToken ? await authToken() : null;
+    if (!idToken) return null;
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/stream-token`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${idToken}` }
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to get a stream token: ${response.statusText}`);
+    }
+    return (await response.json()).streamToken;
+  };
+
+  const openStream = async () => {
+    let token = null;
+    try {
+      token = await fetchStreamToken();
+    } catch (error) {
+      console.error(`Could not get a token for the progress of job ${jobId}:`, error);
+      if (!stopped) startPolling();
+      return;
+    }
+    if (stopped) return;
+
+    let received = false;
+    const query = token ? `?streamToken=${encodeURIComponent(token)}` : '';
+    source = new EventSource(`/api/jobs/${encodeURIComponent(jobId)}/events${query}`);
+
+    const listen = (type, handler) => source.addEventListener(type, (event) => {
+      received = true;
+      try {
+        handler(JSON.parse(event.data));
+      } catch (error) {
+        console.error(`Invalid ${type} event for job ${jobId}:`, error);
+      }
+    });
+
+    ['status', 'progress', 'retrying'].forEach(type => listen(type, data => onUpdate(data, type)));
+    FINISHED_STATUSES.forEach(type => listen(type, finish));
+
+    source.onerror = () => {
+      if (stopped) return;
+      // A stream that was working reconnects by itself. One that never
+      // delivered an event (unknown job, no SSE on the way) is given up.
+      if (!received || source.readyState === EventSource.CLOSED) {
+        source.close();
+        source = null;
+        startPolling();
+      }
+    };
+  };
+
+  if (typeof window === 'undefined' || typeof window.EventSource === 'undefined') {
+    startPolling();
+    return stop;
+  }
+
+  openStream();
+  return stop;
+}
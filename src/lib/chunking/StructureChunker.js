@@ -0,0 +1,297 @@
+// src/lib/chunking/StructureChunker.js
+const { countTokens, CHARS_PER_TOKEN } = require('../costs');
+const { HeadingTracker, MAJOR_RANK } = require('./headings');
+
+// A chunk that is at least this full ends before a major section
+const MAJOR_BREAK_FILL = 0.5;
+
+// Sentence and line ends, where an oversized section is split
+const SPLIT_POINTS = /[.!?;:](?=\s)|\n/g;
+
+/**
+ * Cuts a document into chunks along its structure: headings, sections and
+ * numbered clauses (Article IV, 7.2, (b)) are never split, and consecutive
+ * sections are packed into a chunk up to a token budget. A chunk that is
+ * half full ends before the next article or top-level section. Only a
+ * section over the budget on its own is split, at sentence ends.
+ *
+ * Chunks do not overlap: every cut is at a heading or a sentence end, so no
+ * clause needs the repeat to be seen whole.
+ *
+ * Text is pushed in pieces and chunks come out as soon as they are
+ * complete, so a document of any length is chunked with memory bounded by
+ * the budget. Each chunk is { text, start, end, tokens, sectionPath,
+ * sections }, where start and end are document offsets, sectionPath is the
+ * path of the section the chunk starts in ("Article 7 > 7.2"), and sections
+ * lists every section in it with offsets into the chunk text.
+ */
+class StructureChunker {
+  /**
+   * @param {Object} options - { maxTokens, model, structure }
+   */
+  constructor(options = {}) {
+    this.maxTokens = Math.max(options.maxTokens || 256, 1);
+    this.model = options.model || null;
+    this._headings = new HeadingTracker(options.structure);
+
+    this._buffer = '';
+    this._offset = 0; // Document offset of _buffer[0]
+    this._scanned = 0; // Document offset of the next line to read
+    this._unit = { start: 0, path: null, rank: Infinity };
+    this._pending = [];
+    this._pendingTokens = 0;
+    // Heading lines waiting for the text under them
+    this._lead = [];
+    this._chunks = [];
+  }
+
+  /**
+   * Add text
+   * @param {string} text - The next piece of the document
+   * @returns {Array<Object>} Chunks completed by it
+   */
+  push(text) {
+    this._buffer += text;
+
+    // A stretch without line breaks longer than the limit is read up to a
+    // sentence end, so the cut does not depend on how the text arrives
+    const limit = this.maxTokens * CHARS_PER_TOKEN * 2;
+    for (;;) {
+      const newline = this._buffer.indexOf('\n', this._scanned - this._offset);
+      if (newline !== -1 && this._offset + newline - this._scanned < limit) {
+        this._readLine(this._offset + newline + 1);
+      } else if (this._bufferEnd() - this._scanned > limit) {
+        this._readLine(this._scanned + this._softLineLength(limit));
+      } else {
+        break;
+      }
+    }
+
+    this._release();
+    return this._take();
+  }
+
+  /**
+   * Finish the document
+   * @returns {Array<Object>} The remaining chunks
+   */
+  end() {
+    if (this._scanned < this._bufferEnd()) {
+      this._readLine(this._bufferEnd());
+    }
+    this._closeUnit(this._bufferEnd(), null);
+    this._pack(null);
+    this._flush();
+    return this._take();
+  }
+
+  // Read the line ending at `lineEnd`; a heading starts a new section
+  _readLine(lineEnd) {
+    const lineStart = this._scanned;
+    this._scanned = lineEnd;
+
+    const heading = this._headings.detect(this._text(lineStart, lineEnd));
+    if (heading) {
+      this._closeUnit(lineStart, heading);
+    } else if (lineEnd - this._unit.start > this.maxTokens * CHARS_PER_TOKEN * 2) {
+      // Keep a section without headings from growing without bound
+      this._closeUnit(lineEnd, null);
+    }
+  }
+
+  // End the open section at `end`; the next one starts under `heading`, or
+  // continues the same section when there is none
+  _closeUnit(end, heading) {
+    const unit = this._unit;
+    if (end > unit.start) {
+      // A heading line straight above a heading nested under it ("ARTICLE V",
+      // then "8. Notice") goes with the text that follows
+      const lead = Boolean(heading) && heading.rank > unit.rank && !this._text(unit.start, end).trim().includes('\n');
+      this._addUnit({ start: unit.start, end, path: unit.path, rank: unit.rank }, lead);
+    }
+
+    if (heading) {
+      this._headings.enter(heading);
+      this._unit = { start: end, path: this._headings.path(), rank: heading.rank };
+    } else {
+      this._unit = { start: end, path: unit.path, rank: Infinity };
+    }
+  }
+
+  // Length of a line cut from a long stretch: up to its last sentence end,
+  // else its last space
+  _softLineLength(limit) {
+    const text = this._text(this._scanned, this._scanned + limit);
+    let cut = 0;
+    for (const match of text.matchAll(SPLIT_POINTS)) {
+      cut = match.index + 1;
+    }
+    return cut || text.lastIndexOf(' ') + 1 || limit;
+  }
+
+  // Pack a finished section into the pending chunk
+  _addUnit(unit, lead = false) {
+    const text = this._text(unit.start, unit.end);
+    if (!text.trim()) {
+      // Blank lines join whatever comes before
+      const previous = this._lead[this._lead.length - 1] || this._pending[this._pending.length - 1];
+      if (previous) previous.end = unit.end;
+      else this._unit.start = unit.start;
+      return;
+    }
+    unit.tokens = countTokens(text, this.model);
+
+    if (lead) {
+      this._lead.push(unit);
+      return;
+    }
+    this._pack(unit);
+  }
+
+  // Add a section, and the headings before it, to the pending chunk
+  _pack(unit) {
+    const units = unit ? [...this._lead, unit] : this._lead;
+    this._lead = [];
+    if (units.length === 0) return;
+
+    const tokens = units.reduce((sum, { tokens }) => sum + tokens, 0);
+    const rank = Math.min(...units.map(({ rank }) => rank));
+    const fill = this._pendingTokens / this.maxTokens;
+    if (this._pending.length > 0 &&
+        (this._pendingTokens + tokens > this.maxTokens || (rank <= MAJOR_RANK && fill >= MAJOR_BREAK_FILL))) {
+      this._flush();
+    }
+
+    for (let next of units) {
+      if (this._pendingTokens + next.tokens > this.maxTokens) {
+        this._flush();
+      }
+      if (next.tokens > this.maxTokens) {
+        const pieces = this._split(next);
+        pieces.slice(0, -1).forEach(piece => this._emit([piece]));
+        next = pieces[pieces.length - 1];
+      }
+      this._pending.push(next);
+      this._pendingTokens += next.tokens;
+    }
+  }
+
+  // Split a section over the budget at sentence ends, hard-cutting
+  // sentences that are over it themselves
+  _split(unit) {
+    const text = this._text(unit.start, unit.end);
+    const ends = [...text.matchAll(SPLIT_POINTS)].map(match => match.index + 1);
+    const sentences = [];
+    let from = 0;
+    for (const end of [...ends, text.length]) {
+      if (end > from) {
+        sentences.push(...this._hardSplit(from, end, text));
+        from = end;
+      }
+    }
+
+    const pieces = [];
+    let piece = null;
+    for (const sentence of sentences) {
+      if (piece && piece.tokens + sentence.tokens <= this.maxTokens) {
+        piece.end = unit.start + sentence.end;
+        piece.tokens += sentence.tokens;
+      } else {
+        piece = { start: unit.start + sentence.start, end: unit.start + sentence.end, path: unit.path, rank: Infinity, tokens: sentence.tokens };
+        pieces.push(piece);
+      }
+    }
+    // The first piece still starts the section
+    pieces[0].rank = unit.rank;
+    return pieces;
+  }
+
+  _hardSplit(start, end, text) {
+    const tokens = countTokens(text.substring(start, end), this.model);
+    if (tokens <= this.maxTokens || end - start < 2) {
+      return [{ start, end, tokens }];
+    }
+    // Halve at a space near the middle
+    const middle = start + Math.floor((end - start) / 2);
+    const space = text.lastIndexOf(' ', middle);
+    const cut = space > start ? space + 1 : middle;
+    return [...this._hardSplit(start, cut, text), ...this._hardSplit(cut, end, text)];
+  }
+
+  _flush() {
+    if (this._pending.length > 0) {
+      this._emit(this._pending);
+    }
+    this._pending = [];
+    this._pendingTokens = 0;
+  }
+
+  _emit(units) {
+    const start = units[0].start;
+    const end = units[units.length - 1].end;
+    const raw = this._text(start, end);
+    const text = raw.trim();
+    const lead = raw.length - raw.trimStart().length;
+
+    // Consecutive pieces of the same section are listed once
+    const sections = [];
+    for (const unit of units) {
+      const from = Math.max(unit.start - start - lead, 0);
+      const to = Math.min(unit.end - start - lead, text.length);
+      const last = sections[sections.length - 1];
+      if (last && last.path === unit.path) last.to = to;
+      else sections.push({ path: unit.path, from, to });
+    }
+
+    this._chunks.push({
+      text,
+      start,
+      end,
+      tokens: countTokens(text, this.model),
+      sectionPath: units[0].path,
+      sections
+    });
+  }
+
+  _take() {
+    const chunks = this._chunks;
+    this._chunks = [];
+    return chunks;
+  }
+
+  // Drop text no pending or later chunk can reach
+  _release() {
+    const first = this._pending[0] || this._lead[0] || this._unit;
+    const keepFrom = first.start;
+    if (keepFrom > this._offset) {
+      this._buffer = this._buffer.substring(keepFrom - this._offset);
+      this._offset = keepFrom;
+    }
+  }
+
+  _text(start, end) {
+    return this._buffer.substring(start - this._offset, end - this._offset);
+  }
+
+  _bufferEnd() {
+    return this._offset + this._buffer.length;
+  }
+}
+
+/**
+ * The section a passage of a chunk belongs to
+ * @param {Object} chunk - A chunk from StructureChunker
+ * @param {string} passage - Text from the chunk, e.g. an extracted clause
+ * @returns {string|null} Its section path, or the chunk's when the passage
+ *   is not found verbatim
+ */
+function sectionPathFor(chunk, passage) {
+  if (!chunk.sections || chunk.sections.length <= 1) return chunk.sectionPath || null;
+
+  const index = chunk.text.indexOf(String(passage || '').trim().substring(0, 60));
+  if (index === -1) return chunk.sectionPath || null;
+  const section = chunk.sections.find(({ from, to }) => index >= from && index < to);
+  return section ? section.path : chunk.sectionPath || null;
+}
+
+module.exports = { StructureChunker, sectionPathFor };
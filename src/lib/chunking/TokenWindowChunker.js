@@ -0,0 +1,126 @@
+// src/lib/chunking/TokenWindowChunker.js
+const { countTokens, tokenPrefixLength, tokenSuffixLength, CHARS_PER_TOKEN } = require('../costs');
+
+// Natural break points, best first, looked for in the last 20% of a window
+const BREAK_POINTS = ['. ', '! ', '? ', '\n\n', '\r\n\r\n'];
+const LOOKBACK = 0.2;
+
+/**
+ * Cuts a document into windows of a token budget that overlap by a number
+ * of tokens, ending each window at a sentence or paragraph break when one
+ * is close to the budget, else between words. Used by the "length"
+ * strategy, for text without usable structure.
+ *
+ * Same interface as StructureChunker: push() text as it arrives, end() for
+ * the rest. Chunks are { text, start, end, tokens }.
+ */
+class TokenWindowChunker {
+  /**
+   * @param {Object} options - { maxTokens, overlapTokens, model }
+   */
+  constructor(options = {}) {
+    this.maxTokens = Math.max(options.maxTokens || 256, 1);
+    // Overlap below the budget, so every window moves forward
+    this.overlapTokens = Math.min(Math.max(options.overlapTokens || 0, 0), Math.floor(this.maxTokens / 2));
+    this.model = options.model || null;
+
+    this._buffer = '';
+    this._offset = 0; // Document offset of _buffer[0]
+    this._start = 0; // Next window start within the buffer
+    this._chunks = [];
+  }
+
+  /**
+   * Add text
+   * @param {string} text - The next piece of the document
+   * @returns {Array<Object>} Chunks completed by it
+   */
+  push(text) {
+    this._buffer += text;
+
+    // Only cut once the budget is reached inside the buffer, so the cut is
+    // the same however the text arrives
+    let end;
+    while ((end = this._windowEnd(false)) !== null) {
+      this._cut(end);
+    }
+
+    // Drop text no later window can reach
+    this._buffer = this._buffer.substring(this._start);
+    this._offset += this._start;
+    this._start = 0;
+    return this._take();
+  }
+
+  /**
+   * Finish the document
+   * @returns {Array<Object>} The remaining chunks
+   */
+  end() {
+    while (this._start < this._buffer.length) {
+      const end = this._windowEnd(true);
+      this._cut(end);
+      if (end >= this._buffer.length) break;
+    }
+    return this._take();
+  }
+
+  // End of the window at _start, or null when the buffer does not reach
+  // the budget yet and more text may follow
+  _windowEnd(final) {
+    // Counted from the first word, as the chunk text is trimmed: " accrue"
+    // is one token, "accrue" two
+    const leading = this._buffer.substring(this._start).search(/\S/);
+    const from = leading === -1 ? this._buffer.length : this._start + leading;
+    let span = this.maxTokens * CHARS_PER_TOKEN * 2;
+    for (;;) {
+      const window = this._buffer.substring(from, from + span);
+      const length = tokenPrefixLength(window, this.maxTokens, this.model);
+      if (length < window.length) {
+        return this._breakBefore(from + Math.max(length, 1));
+      }
+      if (from + span >= this._buffer.length) {
+        return final ? this._buffer.length : null;
+      }
+      span *= 2;
+    }
+  }
+
+  // The best break at or before `limit`
+  _breakBefore(limit) {
+    const lookbackStart = Math.max(this._start, limit - Math.floor((limit - this._start) * LOOKBACK));
+    for (const breakPoint of BREAK_POINTS) {
+      const breakPos = this._buffer.lastIndexOf(breakPoint, limit - breakPoint.length);
+      if (breakPos >= lookbackStart) {
+        return breakPos + breakPoint.length;
+      }
+    }
+
+    // If no natural break was found, end between words
+    const lastSpace = this._buffer.lastIndexOf(' ', limit - 1);
+    return lastSpace > this._start ? lastSpace + 1 : limit;
+  }
+
+  _cut(end) {
+    const raw = this._buffer.substring(this._start, end);
+    const text = raw.trim();
+    if (text) {
+      this._chunks.push({
+        text,
+        start: this._offset + this._start,
+        end: this._offset + end,
+        tokens: countTokens(text, this.model)
+      });
+    }
+    // The next window starts overlapTokens before this one ended
+    this._start = Math.max(end - tokenSuffixLength(raw, this.overlapTokens, this.model), this._start + 1);
+  }
+
+  _take() {
+    const chunks = this._chunks;
+    this._chunks = [];
+    return chunks;
+  }
+}
+
+module.exports = { TokenWindowChunker };
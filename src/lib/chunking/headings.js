@@ -0,0 +1,140 @@
+// src/lib/chunking/headings.js
+
+// Heading ranks: a heading closes every open heading of the same or a
+// deeper rank. Articles hold sections, decimal numbers nest by their parts
+// (7 > 7.2 > 7.2.1), and lettered and roman items nest below them.
+const RANK = {
+  article: 1,
+  decimal: 1, // Plus the number of parts: "7." is 2, "7.2" is 3
+  lower: 10, // (a)
+  roman: 11, // (i)
+  upper: 12, // (A)
+  number: 13 // (1)
+};
+
+// Deepest rank that starts a major section, where a chunk prefers to end
+const MAJOR_RANK = 2;
+
+// The title after a number must be set off by punctuation or start like a
+// title, so a wrapped line of running text ("Article 7 of this Agreement",
+// "1.5 million", "10 days") is not taken for a heading. "7. Term" needs
+// the dot; "7.2 Term" does not.
+const TITLE = '(?:$|\\s*[.:–—-]\\s*(.*)$|\\s+([A-Z“"(].*)$)';
+const ARTICLE_PATTERN = new RegExp(`^(ARTICLE|Article|PART|Part|CHAPTER|Chapter|SCHEDULE|Schedule|EXHIBIT|Exhibit|ANNEX|Annex)\\s+([IVXLCDM]+|\\d+|[A-Z])\\b${TITLE}`);
+const SECTION_PATTERN = new RegExp(`^(?:SECTION|Section|Sec\\.|§)\\s*(\\d{1,3}(?:\\.\\d{1,3})*)${TITLE}`);
+const DECIMAL_PATTERN = /^(\d{1,3}(?:\.\d{1,3})+|\d{1,3}\.)\.?\s+([A-Z(“"].*)$/;
+const ENUMERATION_PATTERN = /^\(([a-z]{1,2}|[ivxlc]{1,6}|[A-Z]|\d{1,2})\)\s+(\S.*)$/;
+const ROMAN_PATTERN = /^[ivxlc]+$/;
+
+// Longest line matched against the PDF headers
+const MAX_HINT_LENGTH = 200;
+
+function normalizeLine(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+// "(i)" is roman unless it continues a lettered list at (h); likewise v and x
+function enumerationRank(token, previousLower) {
+  if (/^\d+$/.test(token)) return RANK.number;
+  if (/^[A-Z]$/.test(token)) return RANK.upper;
+  if (ROMAN_PATTERN.test(token)) {
+    const follows = token.length === 1 && previousLower &&
+      previousLower.length === 1 && previousLower.charCodeAt(0) + 1 === token.charCodeAt(0);
+    return follows ? RANK.lower : RANK.roman;
+  }
+  return RANK.lower;
+}
+
+/**
+ * Tracks the open headings of a document as its lines are read, and
+ * recognizes heading lines: legal numbering (Article IV, Section 7, 7.,
+ * 7.2, (a), (iv)) and the headers found by PDF extraction.
+ */
+class HeadingTracker {
+  /**
+   * @param {Object} structure - Optional `structure` from extractPdfData:
+   *   { sections: [{ title }], headers: [{ text, level }] }
+   */
+  constructor(structure = null) {
+    this._stack = [];
+    this._lastLower = null;
+    // Known header lines -> rank
+    this._hints = new Map();
+    for (const header of structure?.headers || []) {
+      if (header?.text) this._hints.set(normalizeLine(header.text), Math.max(1, header.level || 1));
+    }
+    for (const section of structure?.sections || []) {
+      const key = normalizeLine(section?.title);
+      if (key && !this._hints.has(key)) this._hints.set(key, 1);
+    }
+  }
+
+  /**
+   * The heading a line starts, or null
+   * @param {string} line - One line of the document
+   * @returns {Object|null} { label, title, rank }
+   */
+  detect(line) {
+    // A numbered clause is often one long line (a paragraph without line
+    // breaks), so only the headers from PDF extraction are limited in length
+    const text = String(line || '').trim();
+    if (!text) return null;
+
+    let match = text.match(ARTICLE_PATTERN);
+    if (match) {
+      return { label: `${capitalize(match[1])} ${match[2]}`, title: (match[3] || match[4] || '').trim(), rank: RANK.article };
+    }
+
+    match = text.match(SECTION_PATTERN);
+    if (match) {
+      return { label: `Section ${match[1]}`, number: match[1], title: (match[2] || match[3] || '').trim(), rank: RANK.decimal + match[1].split('.').length };
+    }
+
+    match = text.match(DECIMAL_PATTERN);
+    if (match) {
+      const number = match[1].replace(/\.$/, '');
+      return { label: number, number, title: match[2].trim(), rank: RANK.decimal + number.split('.').length };
+    }
+
+    match = text.match(ENUMERATION_PATTERN);
+    if (match) {
+      return { label: `(${match[1]})`, title: match[2].trim(), rank: enumerationRank(match[1], this._lastLower) };
+    }
+
+    const hinted = text.length <= MAX_HINT_LENGTH && this._hints.get(normalizeLine(text));
+    if (hinted) {
+      return { label: text.length > 60 ? `${text.substring(0, 57)}...` : text, title: text, rank: hinted };
+    }
+    return null;
+  }
+
+  /**
+   * Open a heading, closing the ones at its rank or deeper, and numbered
+   * ones it does not continue (9.1 closes 8)
+   * @param {Object} heading - From detect()
+   */
+  enter(heading) {
+    const closes = (open) => open.rank >= heading.rank ||
+      (heading.number && open.number && !heading.number.startsWith(`${open.number}.`));
+    while (this._stack.length > 0 && closes(this._stack[this._stack.length - 1])) {
+      this._stack.pop();
+    }
+    this._stack.push(heading);
+    if (heading.rank === RANK.lower) {
+      this._lastLower = heading.label.slice(1, -1);
+    } else if (heading.rank < RANK.lower) {
+      this._lastLower = null;
+    }
+  }
+
+  // "Article 7 > 7.2 > (b)", or null before the first heading
+  path() {
+    return this._stack.length > 0 ? this._stack.map(heading => heading.label).join(' > ') : null;
+  }
+}
+
+module.exports = { HeadingTracker, RANK, MAJOR_RANK };
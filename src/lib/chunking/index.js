@@ -0,0 +1,71 @@
+// src/lib/chunking/index.js
+const { StructureChunker, sectionPathFor } = require('./StructureChunker');
+const { TokenWindowChunker } = require('./TokenWindowChunker');
+const { HeadingTracker, RANK, MAJOR_RANK } = require('./headings');
+
+// Chunking defaults (the pipeline's `chunking` option). The token budget and
+// overlap are the pipeline's chunkSize and overlap.
+const DEFAULT_CHUNKING = {
+  // "structure" cuts at headings and numbered clauses, without overlap;
+  // "length" cuts windows of the budget that overlap
+  strategy: 'structure',
+  // `structure` from extractPdfData ({ sections, headers }), whose headers
+  // are used as headings too
+  structure: null,
+  // Model whose tokenizer counts tokens; the pipeline uses its extraction model
+  model: null
+};
+
+// Chunkers by strategy
+const chunkerRegistry = {
+  structure: StructureChunker,
+  length: TokenWindowChunker
+};
+
+/**
+ * Register an additional chunking strategy
+ * @param {string} strategy - Name used in the `chunking` option
+ * @param {Function} ChunkerClass - Class with push(text) and end(), each
+ *   returning chunks { text, start, end, tokens }
+ */
+function registerChunker(strategy, ChunkerClass) {
+  chunkerRegistry[strategy] = ChunkerClass;
+}
+
+/**
+ * Create the chunker for a strategy
+ * @param {Object} options - { strategy, maxTokens, overlapTokens, model, structure }
+ * @returns {Object} The chunker
+ */
+function createChunker(options = {}) {
+  const strategy = options.strategy || DEFAULT_CHUNKING.strategy;
+  const ChunkerClass = chunkerRegistry[strategy];
+  if (!ChunkerClass) {
+    throw new Error(`Unknown chunking strategy "${strategy}". Available: ${Object.keys(chunkerRegistry).join(', ')}`);
+  }
+  return new ChunkerClass(options);
+}
+
+/**
+ * Chunk a whole text
+ * @param {string} text - Document text
+ * @param {Object} options - As for createChunker
+ * @returns {Array<Object>} Chunks { text, start, end, tokens, ... }
+ */
+function chunkDocument(text, options = {}) {
+  const chunker = createChunker(options);
+  return [...chunker.push(text || ''), ...chunker.end()];
+}
+
+module.exports = {
+  DEFAULT_CHUNKING,
+  registerChunker,
+  createChunker,
+  chunkDocument,
+  sectionPathFor,
+  StructureChunker,
+  TokenWindowChunker,
+  HeadingTracker,
+  RANK,
+  MAJOR_RANK
+};
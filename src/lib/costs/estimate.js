@@ -0,0 +1,75 @@
+// src/lib/costs/estimate.js
+const { encodingForModel, countTokens, countMessageTokens } = require('./tokenizers');
+const { priceFor } = require('./pricing');
+
+// What the estimate assumes about model output, which cannot be counted
+// before the models run
+const ESTIMATE_ASSUMPTIONS = {
+  // Clauses shorter than this are not expected to be extracted
+  minClauseLength: 20,
+  // JSON wrapping per extracted clause, beyond the clause text
+  extractionOverheadTokens: 12,
+  // Classifier reply: a JSON label with confidence, or a bare label
+  classificationOutputTokens: { json: 24, text: 6 },
+  // A generated item (variant, Q&A pair, problem) is about as long as its
+  // clause, plus JSON wrapping
+  outputToClauseRatio: 1,
+  outputOverheadTokens: 12,
+  // Share of clauses the fidelity gate sends back for one regeneration
+  regenerationRate: 0.1,
+  // Judge reply per variant
+  judgeTokensPerVariant: 25
+};
+
+/**
+ * Clauses the extractor is expected to find: sentences and list items of
+ * at least minClauseLength characters
+ * @param {string} text - Chunk or document text
+ * @returns {Array<string>} Clause texts
+ */
+function segmentClauses(text) {
+  return String(text || '')
+    .split(/(?<=[.!?;])\s+|\n+/)
+    .map(part => part.trim())
+    .filter(part => part.length >= ESTIMATE_ASSUMPTIONS.minClauseLength);
+}
+
+/**
+ * Running token and call counts for one pipeline stage
+ * @param {Object} stage - { provider, model } from resolveStageProviders
+ * @returns {Object} Tally with addCall(messages, outputTokens, times) and summary()
+ */
+function createStageTally({ provider, model }) {
+  const { encoding, exact } = encodingForModel(model);
+  let calls = 0;
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  return {
+    model,
+    countTokens: text => countTokens(text, model),
+
+    // `times` scales a representative call, e.g. for expected regenerations
+    addCall(messages, output, times = 1) {
+      calls += times;
+      inputTokens += countMessageTokens(messages, model) * times;
+      outputTokens += output * times;
+    },
+
+    summary() {
+      const price = provider && provider.name === 'mock' ? null : priceFor(model);
+      const rounded = { calls: Math.round(calls), inputTokens: Math.round(inputTokens), outputTokens: Math.round(outputTokens) };
+      return {
+        provider: provider ? provider.name : null,
+        model,
+        encoding,
+        exactTokenizer: exact,
+        ...rounded,
+        price,
+        cost: price ? (rounded.inputTokens * price.input + rounded.outputTokens * price.output) / 1e6 : null
+      };
+    }
+  };
+}
+
+module.exports = { ESTIMATE_ASSUMPTIONS, segmentClauses, createStageTally };
@@ -0,0 +1,19 @@
+// src/lib/costs/index.js
+const { encodingForModel, countTokens, countMessageTokens, tokenPrefixLength, tokenSuffixLength, CHARS_PER_TOKEN } = require('./tokenizers');
+const { MODEL_PRICING, registerModelPricing, priceFor } = require('./pricing');
+const { ESTIMATE_ASSUMPTIONS, segmentClauses, createStageTally } = require('./estimate');
+
+module.exports = {
+  encodingForModel,
+  countTokens,
+  countMessageTokens,
+  tokenPrefixLength,
+  tokenSuffixLength,
+  CHARS_PER_TOKEN,
+  MODEL_PRICING,
+  registerModelPricing,
+  priceFor,
+  ESTIMATE_ASSUMPTIONS,
+  segmentClauses,
+  createStageTally
+};
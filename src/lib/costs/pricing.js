@@ -0,0 +1,49 @@
+// src/lib/costs/pricing.js
+const { baseModel } = require('./tokenizers');
+
+// USD per million tokens, matched on the longest model ID prefix. Fine-tuned
+// OpenAI models are billed at their own rate (`fineTuned`).
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6, fineTuned: { input: 0.3, output: 1.2 } },
+  'gpt-4o': { input: 2.5, output: 10, fineTuned: { input: 3.75, output: 15 } },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4, fineTuned: { input: 0.2, output: 0.8 } },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6, fineTuned: { input: 0.8, output: 3.2 } },
+  'gpt-4.1': { input: 2, output: 8, fineTuned: { input: 3, output: 12 } },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5, fineTuned: { input: 3, output: 6 } },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'mistral-small': { input: 0.2, output: 0.6 },
+  'mistral-large': { input: 2, output: 6 },
+  'open-mistral-nemo': { input: 0.15, output: 0.15 }
+};
+
+/**
+ * Add or override the price of a model family
+ * @param {string} prefix - Model ID prefix, e.g. "gpt-4o-mini"
+ * @param {Object} price - { input, output, fineTuned? } in USD per million tokens
+ */
+function registerModelPricing(prefix, price) {
+  MODEL_PRICING[prefix] = price;
+}
+
+/**
+ * Price of a model
+ * @param {string} model - Model ID, fine-tunes included
+ * @returns {Object|null} { input, output } in USD per million tokens, or
+ *   null when the model is unknown (mock and local models)
+ */
+function priceFor(model) {
+  const id = String(model || '');
+  const base = baseModel(id);
+  const prefix = Object.keys(MODEL_PRICING)
+    .filter(key => base.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) return null;
+
+  const price = MODEL_PRICING[prefix];
+  return id.startsWith('ft:') && price.fineTuned ? price.fineTuned : { input: price.input, output: price.output };
+}
+
+module.exports = { MODEL_PRICING, registerModelPricing, priceFor };
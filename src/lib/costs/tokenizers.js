@@ -0,0 +1,117 @@
+// src/lib/costs/tokenizers.js
+const { Tiktoken } = require('js-tiktoken/lite');
+
+// Encoding per OpenAI model family, matched on the model ID prefix (the
+// base model for fine-tunes, "ft:gpt-4o-mini-2024-07-18:org:name:id")
+const MODEL_ENCODINGS = [
+  { prefix: 'gpt-4o', encoding: 'o200k_base' },
+  { prefix: 'gpt-4.1', encoding: 'o200k_base' },
+  { prefix: 'gpt-4.5', encoding: 'o200k_base' },
+  { prefix: 'o1', encoding: 'o200k_base' },
+  { prefix: 'o3', encoding: 'o200k_base' },
+  { prefix: 'o4', encoding: 'o200k_base' },
+  { prefix: 'gpt-4', encoding: 'cl100k_base' },
+  { prefix: 'gpt-3.5', encoding: 'cl100k_base' },
+  { prefix: 'text-embedding-3', encoding: 'cl100k_base' },
+  { prefix: 'text-embedding-ada', encoding: 'cl100k_base' }
+];
+
+// Models without a public tokenizer (Claude, Mistral, local models) are
+// counted with this one, which is close for English text
+const FALLBACK_ENCODING = 'o200k_base';
+
+// Chat formatting tokens: each message carries its role and separators, and
+// every reply is primed with the assistant role
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+// Rough characters per token of English text, for sizing text before it is
+// counted
+const CHARS_PER_TOKEN = 4;
+
+// Ranks are large, so each encoding is loaded once and only when used
+const RANKS = {
+  o200k_base: () => require('js-tiktoken/ranks/o200k_base'),
+  cl100k_base: () => require('js-tiktoken/ranks/cl100k_base')
+};
+const encoders = new Map();
+
+function getEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, new Tiktoken(RANKS[encoding]()));
+  }
+  return encoders.get(encoding);
+}
+
+// Base model of a fine-tune ID, or the ID itself
+function baseModel(model) {
+  const id = String(model || '');
+  return id.startsWith('ft:') ? id.split(':')[1] : id;
+}
+
+/**
+ * Tokenizer used for a model
+ * @param {string} model - Model ID
+ * @returns {Object} { encoding, exact } where exact is false for models
+ *   counted with the fallback encoding
+ */
+function encodingForModel(model) {
+  const base = baseModel(model);
+  const match = MODEL_ENCODINGS.find(({ prefix }) => base.startsWith(prefix));
+  return match ? { encoding: match.encoding, exact: true } : { encoding: FALLBACK_ENCODING, exact: false };
+}
+
+/**
+ * Count the tokens of a text with the model's tokenizer
+ * @param {string} text - Text to count
+ * @param {string} model - Model ID
+ * @returns {number} Token count
+ */
+function countTokens(text, model) {
+  if (!text) return 0;
+  return getEncoder(encodingForModel(model).encoding).encode(String(text)).length;
+}
+
+/**
+ * Count the prompt tokens of a chat request, formatting included
+ * @param {Array} messages - [{ role, content }]
+ * @param {string} model - Model ID
+ * @returns {number} Token count
+ */
+function countMessageTokens(messages, model) {
+  return messages.reduce(
+    (sum, message) => sum + TOKENS_PER_MESSAGE + countTokens(message.content, model),
+    TOKENS_PER_REPLY
+  );
+}
+
+/**
+ * Length of the longest start of a text that fits a token budget
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Token budget
+ * @param {string} model - Model ID
+ * @returns {number} Characters within the budget (the whole text if it fits)
+ */
+function tokenPrefixLength(text, maxTokens, model) {
+  const encoder = getEncoder(encodingForModel(model).encoding);
+  const tokens = encoder.encode(String(text || ''));
+  if (tokens.length <= maxTokens) return String(text || '').length;
+  return Math.min(encoder.decode(tokens.slice(0, Math.max(maxTokens, 0))).length, text.length);
+}
+
+/**
+ * Length of the last `count` tokens of a text
+ * @param {string} text - Text to measure
+ * @param {number} count - Token count
+ * @param {string} model - Model ID
+ * @returns {number} Characters in those tokens (the whole text if shorter)
+ */
+function tokenSuffixLength(text, count, model) {
+  if (!text || count <= 0) return 0;
+  const encoder = getEncoder(encodingForModel(model).encoding);
+  const tokens = encoder.encode(String(text));
+  if (tokens.length <= count) return text.length;
+  return Math.min(encoder.decode(tokens.slice(-count)).length, text.length);
+}
+
+module.exports = { encodingForModel, countTokens, countMessageTokens, tokenPrefixLength, tokenSuffixLength, baseModel, CHARS_PER_TOKEN };
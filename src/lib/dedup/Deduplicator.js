@@ -0,0 +1,136 @@
+// src/lib/dedup/Deduplicator.js
+const { MinHashIndex } = require('./MinHashIndex');
+const { EmbeddingIndex } = require('./EmbeddingIndex');
+const { createEmbedder } = require('./embedders');
+
+/**
+ * Near-duplicate filter with two layers: MinHash/LSH for lexical
+ * near-duplicates (always on), then embedding cosine similarity for
+ * paraphrases when an embedder is configured.
+ *
+ * The filter is stateful: every text it keeps is remembered, so later calls
+ * are checked against everything kept so far. The first occurrence wins.
+ */
+class Deduplicator {
+  /**
+   * @param {Object} options
+   * @param {number} options.threshold - Minimum estimated Jaccard similarity of word shingles (default 0.85)
+   * @param {number} options.shingleSize - Words per shingle (default 3)
+   * @param {number} options.numHashes - MinHash signature length (default 128)
+   * @param {number} options.bands - LSH bands (default 16)
+   * @param {string|Object} options.embedder - Embedder config for the semantic layer (see ./embedders)
+   * @param {number} options.embeddingThreshold - Minimum cosine similarity (default 0.95)
+   */
+  constructor(options = {}) {
+    this.lexical = new MinHashIndex(options);
+    this.embedder = createEmbedder(options.embedder);
+    this.semantic = this.embedder
+      ? new EmbeddingIndex({ threshold: options.embeddingThreshold, seed: options.seed })
+      : null;
+    this.embeddingErrors = 0;
+    this._texts = [];
+  }
+
+  get size() {
+    return this.lexical.size;
+  }
+
+  /**
+   * Drop items that duplicate an earlier item or anything kept before.
+   * @param {Array} items - Items to check, in priority order
+   * @param {Function} getText - Text of an item (default: the item itself)
+   * @returns {Promise<Object>} { kept, dropped } where each dropped entry is
+   *   { item, text, duplicateOf, similarity, method } and method is
+   *   "exact", "minhash" or "embedding"
+   */
+  async filter(items, getText = item => item) {
+    const dropped = [];
+    const candidates = [];
+
+    for (const item of items) {
+      const text = String(getText(item) || '');
+      const hashed = this.lexical.signature(text);
+      const match = this.lexical.query(hashed);
+      if (match) {
+        dropped.push(this._describe(item, text, match));
+        continue;
+      }
+      const id = this._remember(text);
+      this.lexical.add(hashed, id);
+      candidates.push({ item, text, id });
+    }
+
+    if (!this.semantic || candidates.length === 0) {
+      return { kept: candidates.map(c => c.item), dropped };
+    }
+
+    const vectors = await this._embed(candidates.map(c => c.text));
+    if (!vectors) {
+      return { kept: candidates.map(c => c.item), dropped };
+    }
+
+    const kept = [];
+    candidates.forEach((candidate, i) => {
+      const prepared = this.semantic.prepare(vectors[i]);
+      const match = this.semantic.query(prepared);
+      if (match) {
+        this.lexical.remove(candidate.id);
+        dropped.push(this._describe(candidate.item, candidate.text, match));
+        return;
+      }
+      this.semantic.add(prepared, candidate.id);
+      kept.push(candidate.item);
+    });
+    return { kept, dropped };
+  }
+
+  /**
+   * Remember texts as kept without checking them, e.g. when a resumed run
+   * replays records accepted earlier
+   * @param {Array<string>} texts - Texts to remember
+   */
+  async addAll(texts) {
+    const ids = texts.map(text => {
+      const id = this._remember(text);
+      this.lexical.add(this.lexical.signature(text), id);
+      return id;
+    });
+
+    const vectors = this.semantic && texts.length > 0 ? await this._embed(texts) : null;
+    if (vectors) {
+      vectors.forEach((vector, i) => this.semantic.add(this.semantic.prepare(vector), ids[i]));
+    }
+  }
+
+  _remember(text) {
+    this._texts.push(text);
+    return this._texts.length - 1;
+  }
+
+  _describe(item, text, match) {
+    return {
+      item,
+      text,
+      duplicateOf: this._texts[match.id],
+      similarity: Math.round(match.similarity * 1000) / 1000,
+      method: match.method
+    };
+  }
+
+  // A failed embedding call leaves the batch to the lexical layer alone
+  async _embed(texts) {
+    try {
+      const vectors = await this.embedder.embed(texts);
+      if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+        throw new Error(`expected ${texts.length} embeddings, got ${vectors ? vectors.length : 0}`);
+      }
+      return vectors;
+    } catch (error) {
+      this.embeddingErrors++;
+      console.warn(`Embedding dedup skipped for ${texts.length} text(s): ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = { Deduplicator };
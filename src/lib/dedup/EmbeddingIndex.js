@@ -0,0 +1,112 @@
+// src/lib/dedup/EmbeddingIndex.js
+const { createRandom } = require('./hashing');
+
+/**
+ * Semantic near-duplicate index over embedding vectors, matched by cosine
+ * similarity.
+ *
+ * Vectors are bucketed with random-hyperplane LSH: each bit is the sign of
+ * a sparse random projection, and vectors that share every bit of a band
+ * become candidates. Only candidates get an exact cosine comparison, so the
+ * index scales to 100k vectors. With the default 24 bands of 16 bits, pairs
+ * at 0.95 cosine become candidates over 99% of the time, and unrelated
+ * pairs almost never do.
+ */
+class EmbeddingIndex {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? 0.95;
+    this.bands = options.bands || 24;
+    this.rows = Math.min(options.rows || 16, 30);
+    this.projectionSize = options.projectionSize || 32;
+    this._random = createRandom(options.seed ?? 'embedding');
+
+    this._vectors = new Map();
+    this._buckets = Array.from({ length: this.bands }, () => new Map());
+    this._projections = null;
+    this.dimensions = null;
+  }
+
+  get size() {
+    return this._vectors.size;
+  }
+
+  /**
+   * Normalize a vector and compute its band keys
+   * @param {Array<number>} vector - Embedding
+   * @returns {Object} { vector, keys }
+   */
+  prepare(vector) {
+    if (!this._projections) {
+      this._initProjections(vector.length);
+    } else if (vector.length !== this.dimensions) {
+      throw new Error(`Embedding has ${vector.length} dimensions, expected ${this.dimensions}`);
+    }
+
+    const normalized = Float32Array.from(vector);
+    const norm = Math.sqrt(normalized.reduce((sum, value) => sum + value * value, 0)) || 1;
+    for (let i = 0; i < normalized.length; i++) normalized[i] /= norm;
+
+    const keys = this._projections.map(band => band.reduce((key, { indices, signs }, bit) => {
+      let dot = 0;
+      for (let i = 0; i < indices.length; i++) dot += normalized[indices[i]] * signs[i];
+      return dot >= 0 ? key | (1 << bit) : key;
+    }, 0));
+
+    return { vector: normalized, keys };
+  }
+
+  /**
+   * Find the most similar indexed vector at or above the threshold
+   * @param {Object} prepared - Result of prepare()
+   * @returns {Object|null} { id, similarity, method: "embedding" }
+   */
+  query(prepared) {
+    let best = null;
+    const compared = new Set();
+    prepared.keys.forEach((key, band) => {
+      for (const id of this._buckets[band].get(key) || []) {
+        if (compared.has(id)) continue;
+        compared.add(id);
+
+        const similarity = cosine(prepared.vector, this._vectors.get(id).vector);
+        if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+          best = { id, similarity, method: 'embedding' };
+        }
+      }
+    });
+    return best;
+  }
+
+  add(prepared, id) {
+    this._vectors.set(id, prepared);
+    prepared.keys.forEach((key, band) => {
+      const bucket = this._buckets[band].get(key);
+      if (bucket) {
+        bucket.push(id);
+      } else {
+        this._buckets[band].set(key, [id]);
+      }
+    });
+  }
+
+  // Each bit projects onto a few random coordinates with random signs
+  _initProjections(dimensions) {
+    this.dimensions = dimensions;
+    const size = Math.min(this.projectionSize, dimensions);
+    this._projections = Array.from({ length: this.bands }, () =>
+      Array.from({ length: this.rows }, () => ({
+        indices: Uint32Array.from({ length: size }, () => this._random() % dimensions),
+        signs: Int8Array.from({ length: size }, () => (this._random() & 1 ? 1 : -1))
+      }))
+    );
+  }
+}
+
+// Both vectors are already unit length
+function cosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+module.exports = { EmbeddingIndex };
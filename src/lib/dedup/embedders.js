@@ -0,0 +1,111 @@
+// src/lib/dedup/embedders.js
+const ModelApiClient = require('../../../lib/ModelApiClient');
+const { hashString, normalizeText } = require('./hashing');
+
+/**
+ * Embeddings from the OpenAI API (or an OpenAI-compatible server), sent in
+ * batches through ModelApiClient for the same retries and rate limiting as
+ * chat requests.
+ */
+class OpenAIEmbedder {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseUrl = options.baseUrl || 'https://api.openai.com/v1';
+    this.batchSize = options.batchSize || 256;
+    this.client = options.client || new ModelApiClient({ apiKey: this.apiKey });
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+   */
+  async embed(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const data = await this.client.send({
+        url: `${this.baseUrl.replace(/\/$/, '')}/embeddings`,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: { model: this.model, input: texts.slice(i, i + this.batchSize) }
+      });
+      const batch = [...(data.data || [])].sort((a, b) => a.index - b.index);
+      vectors.push(...batch.map(item => item.embedding));
+    }
+    return vectors;
+  }
+}
+
+// Dimensions each hashed feature is spread over, so vectors are dense like
+// real embeddings rather than one-hot
+const MOCK_FEATURE_SPREAD = 4;
+
+/**
+ * Offline embedder for development and tests: hashed word and word-pair
+ * features. Texts that share most of their wording score high; it does not
+ * know synonyms.
+ */
+class MockEmbedder {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.dimensions = options.dimensions || 256;
+  }
+
+  async embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(this.dimensions).fill(0);
+      const addFeature = (feature, weight) => {
+        for (let k = 0; k < MOCK_FEATURE_SPREAD; k++) {
+          const hash = hashString(feature, 0x811c9dc5 + k);
+          vector[hash % this.dimensions] += hash >>> 31 ? weight : -weight;
+        }
+      };
+
+      const words = normalizeText(text).split(' ').filter(Boolean);
+      words.forEach((word, i) => {
+        addFeature(word, 1);
+        if (i > 0) addFeature(`${words[i - 1]} ${word}`, 0.5);
+      });
+      return vector;
+    });
+  }
+}
+
+// Embedders available to the `dedup.embedder` option
+const embedderRegistry = {
+  openai: OpenAIEmbedder,
+  mock: MockEmbedder
+};
+
+/**
+ * Register an additional embedder type
+ * @param {string} type - Name used in configuration
+ * @param {Function} EmbedderClass - Class with an async embed(texts) method
+ */
+function registerEmbedder(type, EmbedderClass) {
+  embedderRegistry[type] = EmbedderClass;
+}
+
+/**
+ * Create an embedder from configuration
+ * @param {string|Object|null} config - Embedder type, { type, ...options },
+ *   or any object with an async embed(texts) method
+ * @returns {Object|null} The embedder, or null when embeddings are off
+ */
+function createEmbedder(config) {
+  if (!config) return null;
+  if (typeof config.embed === 'function') return config;
+
+  const { type = 'openai', ...options } = typeof config === 'string' ? { type: config } : config;
+  const EmbedderClass = embedderRegistry[type];
+  if (!EmbedderClass) {
+    throw new Error(`Unknown embedder "${type}". Available: ${Object.keys(embedderRegistry).join(', ')}`);
+  }
+  return new EmbedderClass(options);
+}
+
+module.exports = { OpenAIEmbedder, MockEmbedder, embedderRegistry, registerEmbedder, createEmbedder };
@@ -0,0 +1,45 @@
+// src/lib/dedup/hashing.js
+
+// 32-bit FNV-1a hash of a string
+function hashString(text, seed = 0x811c9dc5) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3 finalizer: spreads the bits of a 32-bit value
+function mix32(value) {
+  let hash = value >>> 0;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+// Deterministic 32-bit generator (xorshift32), so indexes built with the
+// same seed hash the same way across runs
+function createRandom(seed) {
+  let state = mix32(hashString(String(seed))) || 0x9e3779b9;
+  return () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return state >>> 0;
+  };
+}
+
+// Lowercase, drop punctuation and collapse whitespace
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { hashString, mix32, createRandom, normalizeText };
@@ -0,0 +1,18 @@
+// src/lib/dedup/index.js
+const { Deduplicator } = require('./Deduplicator');
+const { MinHashIndex } = require('./MinHashIndex');
+const { EmbeddingIndex } = require('./EmbeddingIndex');
+const { OpenAIEmbedder, MockEmbedder, embedderRegistry, registerEmbedder, createEmbedder } = require('./embedders');
+const { normalizeText } = require('./hashing');
+
+module.exports = {
+  Deduplicator,
+  MinHashIndex,
+  EmbeddingIndex,
+  OpenAIEmbedder,
+  MockEmbedder,
+  embedderRegistry,
+  registerEmbedder,
+  createEmbedder,
+  normalizeText
+};
@@ -0,0 +1,187 @@
+// src/lib/fidelity.js
+
+// Quality gate defaults for generated variants (the `fidelity` option)
+const DEFAULT_FIDELITY = {
+  enabled: true,
+  // Variant length over clause length, in characters
+  minLengthRatio: 0.5,
+  maxLengthRatio: 2,
+  // Word-set Jaccard overlap with the clause: below the floor the variant
+  // is unrelated, above the ceiling it is a copy
+  minOverlap: 0.2,
+  maxOverlap: 0.9,
+  // Extra generation calls for a clause when variants were rejected
+  maxRetries: 1,
+  // Ask a model whether each variant keeps the clause's meaning
+  judge: false,
+  judgeModel: null
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+
+const DATE_PATTERNS = [
+  // 2024-01-31
+  { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, parts: m => [m[1], m[2], m[3]] },
+  // 01/31/2024 or 31.01.2024 (kept as written; day/month order is ambiguous)
+  { pattern: /\b(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})\b/g, parts: m => [m[0]] },
+  // January 31, 2024
+  { pattern: new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], month(m[1]), m[2]] },
+  // 31 January 2024
+  { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?${MONTH_PATTERN},?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], month(m[2]), m[1]] }
+];
+
+const NUMBER_PATTERN = /\d[\d,]*(?:\.\d+)?/g;
+const NEGATION_PATTERN = /\b(not|no|never|neither|nor|none|nothing|cannot|without)\b|n't\b/i;
+// Comparatives that read as "no" without negating anything ("no later than")
+const COMPARATIVE_PATTERN = /\bno (later|earlier|sooner|less|more|fewer|greater) than\b/gi;
+
+function isNegated(text) {
+  return NEGATION_PATTERN.test(text.replace(COMPARATIVE_PATTERN, ''));
+}
+
+// Capitalized words that start sentences or are too common to be defined terms
+const COMMON_CAPITALIZED = new Set(['I', 'A', 'An', 'The', 'This', 'That', 'These', 'Those', 'Each', 'Any', 'All', 'If', 'In', 'On', 'Of', 'For', 'To', 'By', 'No']);
+
+function month(name) {
+  const index = MONTHS.findIndex(m => m.startsWith(name.toLowerCase().replace('.', '').slice(0, 3)));
+  return String(index + 1);
+}
+
+// Canonical "y-m-d" form of every date in the text
+function findDates(text) {
+  const dates = new Set();
+  for (const { pattern, parts } of DATE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      dates.add(parts(match).map(part => String(Number(part) || part)).join('-'));
+    }
+  }
+  return [...dates];
+}
+
+function findNumbers(text) {
+  return [...new Set((text.match(NUMBER_PATTERN) || []).map(n => n.replace(/,/g, '').replace(/\.0+$/, '')))];
+}
+
+/**
+ * Defined terms: quoted terms ("Agreement") and capitalized words or
+ * acronyms inside a sentence (the Tenant, the LLC)
+ * @param {string} text - Clause text
+ * @returns {Array<string>} Terms, lowercased
+ */
+function findDefinedTerms(text) {
+  const terms = new Set();
+  for (const match of text.matchAll(/["“]([^"”]{2,60})["”]/g)) {
+    terms.add(match[1].trim().toLowerCase());
+  }
+  for (const match of text.matchAll(/(^|[.!?:;]\s+|\s)([A-Z][A-Za-z]+)\b/g)) {
+    const sentenceStart = match.index === 0 || /[.!?:;]/.test(match[1]);
+    // Month names are covered by the date check
+    if (sentenceStart || COMMON_CAPITALIZED.has(match[2]) || MONTHS.includes(match[2].toLowerCase())) continue;
+    terms.add(match[2].toLowerCase());
+  }
+  return [...terms];
+}
+
+function words(text) {
+  return new Set(text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+}
+
+/**
+ * Facts a faithful variant has to keep
+ * @param {string} text - Clause text
+ * @returns {Object} { numbers, dates, definedTerms, negated }
+ */
+function extractFacts(text) {
+  return {
+    numbers: findNumbers(text),
+    dates: findDates(text),
+    definedTerms: findDefinedTerms(text),
+    negated: isNegated(text)
+  };
+}
+
+/**
+ * Check a variant against its clause.
+ *
+ * Reasons: length_ratio, unrelated (overlap below the floor), too_similar
+ * (overlap above the ceiling), numbers, dates, defined_terms (missing from
+ * the variant) and negation (negated in one text but not the other).
+ *
+ * @param {string} clause - Original clause
+ * @param {string} variant - Generated variant
+ * @param {Object} options - Thresholds, see DEFAULT_FIDELITY
+ * @param {Object} facts - extractFacts(clause), when already computed
+ * @returns {Object} { passed, reasons, details }
+ */
+function checkVariant(clause, variant, options = {}, facts = extractFacts(clause)) {
+  const settings = { ...DEFAULT_FIDELITY, ...options };
+  const reasons = [];
+  const details = {};
+
+  details.lengthRatio = Math.round((variant.length / Math.max(clause.length, 1)) * 100) / 100;
+  if (details.lengthRatio < settings.minLengthRatio || details.lengthRatio > settings.maxLengthRatio) {
+    reasons.push('length_ratio');
+  }
+
+  const clauseWords = words(clause);
+  const variantWords = words(variant);
+  const shared = [...variantWords].filter(word => clauseWords.has(word)).length;
+  const union = new Set([...clauseWords, ...variantWords]).size;
+  details.overlap = union > 0 ? Math.round((shared / union) * 100) / 100 : 0;
+  if (details.overlap < settings.minOverlap) reasons.push('unrelated');
+  if (details.overlap > settings.maxOverlap) reasons.push('too_similar');
+
+  const variantNumbers = new Set(findNumbers(variant));
+  const missingNumbers = facts.numbers.filter(n => !variantNumbers.has(n));
+  if (missingNumbers.length > 0) {
+    reasons.push('numbers');
+    details.missingNumbers = missingNumbers;
+  }
+
+  const variantDates = new Set(findDates(variant));
+  const missingDates = facts.dates.filter(d => !variantDates.has(d));
+  if (missingDates.length > 0) {
+    reasons.push('dates');
+    details.missingDates = missingDates;
+  }
+
+  const lowerVariant = variant.toLowerCase();
+  const missingTerms = facts.definedTerms.filter(term => !new RegExp(`\\b${escapeRegExp(term)}`).test(lowerVariant));
+  if (missingTerms.length > 0) {
+    reasons.push('defined_terms');
+    details.missingTerms = missingTerms;
+  }
+
+  if (facts.negated !== isNegated(variant)) {
+    reasons.push('negation');
+  }
+
+  return { passed: reasons.length === 0, reasons, details };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse the judge's answer: { "results": [{ "index", "faithful", "reason" }] }
+ * with 1-based indexes into the variants it was shown
+ * @param {Object} json - Parsed JSON response
+ * @param {number} count - Number of variants judged
+ * @returns {Array<Object|null>} { faithful, reason } per variant, null when not judged
+ */
+function parseJudgement(json, count) {
+  const results = Array.isArray(json) ? json : (json && json.results) || [];
+  const verdicts = new Array(count).fill(null);
+  results.forEach((result, i) => {
+    if (!result || typeof result.faithful !== 'boolean') return;
+    const index = Number.isInteger(result.index) ? result.index - 1 : i;
+    if (index >= 0 && index < count) {
+      verdicts[index] = { faithful: result.faithful, reason: String(result.reason || '').trim() };
+    }
+  });
+  return verdicts;
+}
+
+module.exports = { DEFAULT_FIDELITY, extractFacts, checkVariant, parseJudgement };
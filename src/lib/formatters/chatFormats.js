@@ -0,0 +1,165 @@
+// src/lib/formatters/chatFormats.js
+
+// Every line of a fine-tuning file is one conversation built from the use
+// case's training examples ({ messages: [system, user, assistant] })
+function serializeLines(entries) {
+  return entries.map(entry => JSON.stringify(entry)).join('\n');
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Check a chat message list against a target's rules
+ * @param {Array} messages - Chat messages
+ * @param {Object} rules - { roles, systemFirstOnly, alternate }
+ * @returns {Array<string>} Schema errors, empty when valid
+ */
+function checkMessages(messages, { roles, systemFirstOnly = false, alternate = false }) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return ['messages must be a non-empty array'];
+  }
+
+  const errors = [];
+  messages.forEach((message, i) => {
+    if (!message || !roles.includes(message.role)) {
+      errors.push(`messages[${i}].role must be one of ${roles.join(', ')}`);
+    }
+    if (!message || !isText(message.content)) {
+      errors.push(`messages[${i}].content must be a non-empty string`);
+    }
+    if (systemFirstOnly && message && message.role === 'system' && i > 0) {
+      errors.push(`messages[${i}]: a system message is only allowed first`);
+    }
+  });
+
+  const turns = messages.filter(m => m && m.role !== 'system');
+  if (alternate) {
+    turns.forEach((message, i) => {
+      const expected = i % 2 === 0 ? 'user' : 'assistant';
+      if (message.role !== expected) {
+        errors.push(`turn ${i + 1} must be from ${expected}, got ${message.role}`);
+      }
+    });
+  }
+  if (turns.length === 0 || turns[turns.length - 1].role !== 'assistant') {
+    errors.push('the last message must be from the assistant');
+  }
+  return errors;
+}
+
+/**
+ * OpenAI chat fine-tuning: { messages: [{ role, content }] } with system,
+ * user and assistant roles.
+ */
+const openaiFormat = {
+  id: 'openai-jsonl',
+  aliases: ['openai'],
+  extension: 'jsonl',
+
+  entries(record, useCase) {
+    return useCase.toTrainingExamples(record);
+  },
+
+  validate(entry) {
+    return checkMessages(entry && entry.messages, { roles: ['system', 'user', 'assistant'] });
+  },
+
+  serialize: serializeLines
+};
+
+/**
+ * Mistral fine-tuning (La Plateforme and mistral-finetune instruct data):
+ * { messages } where an optional system message comes first, the rest
+ * alternate user/assistant starting with the user, and the last message is
+ * the assistant's.
+ */
+const mistralFormat = {
+  id: 'mistral',
+  aliases: ['mistral-jsonl'],
+  extension: 'jsonl',
+
+  entries(record, useCase) {
+    return useCase.toTrainingExamples(record).map(example => ({ messages: example.messages }));
+  },
+
+  validate(entry) {
+    return checkMessages(entry && entry.messages, {
+      roles: ['system', 'user', 'assistant'],
+      systemFirstOnly: true,
+      alternate: true
+    });
+  },
+
+  serialize: serializeLines
+};
+
+/**
+ * Claude fine-tuning (Amazon Bedrock): { system, messages } with the system
+ * prompt as a top-level string and only user/assistant turns, alternating
+ * and starting with the user.
+ */
+const claudeFormat = {
+  id: 'claude',
+  aliases: ['claude-jsonl', 'anthropic'],
+  extension: 'jsonl',
+
+  entries(record, useCase) {
+    return useCase.toTrainingExamples(record).map(({ messages }) => {
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const entry = { messages: messages.filter(m => m.role !== 'system') };
+      return system ? { system, ...entry } : entry;
+    });
+  },
+
+  validate(entry) {
+    if (!entry) return ['entry is empty'];
+    const errors = [];
+    if (entry.system !== undefined && !isText(entry.system)) {
+      errors.push('system must be a non-empty string when present');
+    }
+    return errors.concat(checkMessages(entry.messages, { roles: ['user', 'assistant'], alternate: true }));
+  },
+
+  serialize: serializeLines
+};
+
+// Falcon instruct chat template: "System: ...\nUser: ...\nFalcon: ..."
+const FALCON_ROLE_PREFIX = { system: 'System', user: 'User', assistant: 'Falcon' };
+
+/**
+ * Falcon instruct models: { text } with the conversation rendered through
+ * the Falcon chat template, ready for supervised fine-tuning on the text
+ * field.
+ */
+const falconFormat = {
+  id: 'falcon',
+  aliases: ['falcon-jsonl'],
+  extension: 'jsonl',
+
+  entries(record, useCase) {
+    return useCase.toTrainingExamples(record).map(({ messages }) => ({
+      text: messages.map(m => `${FALCON_ROLE_PREFIX[m.role]}: ${m.content}`).join('\n')
+    }));
+  },
+
+  validate(entry) {
+    if (!entry || !isText(entry.text)) {
+      return ['text must be a non-empty string'];
+    }
+    const errors = [];
+    if (!/^User: \S/m.test(entry.text)) {
+      errors.push('text must contain a "User:" turn');
+    }
+    const lastTurn = entry.text.split(/\n(?=(?:System|User|Falcon): )/).pop();
+    if (!/^Falcon: \S/.test(lastTurn)) {
+      errors.push('text must end with a non-empty "Falcon:" turn');
+    }
+    return errors;
+  },
+
+  serialize: serializeLines
+};
+
+module.exports = { openaiFormat, mistralFormat, claudeFormat, falconFormat, checkMessages };
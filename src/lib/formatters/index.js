@@ -0,0 +1,125 @@
+// src/lib/formatters/index.js
+const { jsonlFormat, csvFormat, jsonFormat } = require('./recordFormats');
+const { openaiFormat, mistralFormat, claudeFormat, falconFormat } = require('./chatFormats');
+const { parseSplitRatios, splitRecords, SPLIT_NAMES } = require('./splits');
+const { lintDataset, DEFAULT_MAX_TOKENS } = require('./validation');
+
+// Output formats selectable through the `outputFormat` processing option
+const formatterRegistry = {};
+
+// Invalid lines reported individually before the rest are only counted
+const MAX_REPORTED_ERRORS = 5;
+
+/**
+ * Register an output format under its ID and aliases
+ * @param {Object} formatter - { id, aliases, extension, entries(record, useCase), validate?(entry), serialize(entries) }
+ */
+function registerFormatter(formatter) {
+  for (const name of [formatter.id, ...(formatter.aliases || [])]) {
+    formatterRegistry[name.toLowerCase()] = formatter;
+  }
+}
+
+[jsonlFormat, jsonFormat, csvFormat, openaiFormat, mistralFormat, claudeFormat, falconFormat].forEach(registerFormatter);
+
+/**
+ * Look up an output format
+ * @param {string} format - Format ID or alias, e.g. "openai" or "mistral"
+ * @returns {Object} The formatter
+ * @throws {Error} For unknown formats, rather than writing a file no trainer accepts
+ */
+function getFormatter(format = 'jsonl') {
+  const formatter = formatterRegistry[String(format).toLowerCase()];
+  if (!formatter) {
+    const available = [...new Set(Object.values(formatterRegistry).map(f => f.id))].join(', ');
+    throw new Error(`Unknown output format "${format}". Available formats: ${available}`);
+  }
+  return formatter;
+}
+
+/**
+ * Format pipeline records for a target, validating every line.
+ *
+ * Lines that do not match the target's schema are left out of the output
+ * and counted, so a file that is written can be used for fine-tuning as is.
+ *
+ * @param {Array} records - Pipeline records
+ * @param {string} format - Format ID or alias
+ * @param {Object} useCase - Use case that shapes each record
+ * @returns {Object} { output, lineCount, invalidLines, errors }
+ */
+function formatRecords(records, format, useCase) {
+  const formatter = getFormatter(format);
+  const entries = [];
+  const errors = [];
+  let invalidLines = 0;
+
+  for (const record of records) {
+    for (const entry of formatter.entries(record, useCase)) {
+      const problems = formatter.validate ? formatter.validate(entry) : [];
+      if (problems.length === 0) {
+        entries.push(entry);
+        continue;
+      }
+      invalidLines++;
+      if (errors.length < MAX_REPORTED_ERRORS) {
+        errors.push(`${formatter.id}: ${problems.join('; ')}`);
+      }
+    }
+  }
+
+  if (invalidLines > 0) {
+    console.warn(`Dropped ${invalidLines} ${formatter.id} line(s) that failed schema validation: ${errors[0]}`);
+  }
+
+  return { output: formatter.serialize(entries), lineCount: entries.length, invalidLines, errors };
+}
+
+/**
+ * Split records into train/validation/test sets (see ./splits) and format
+ * each one
+ * @param {Array} records - Pipeline records
+ * @param {string} format - Format ID or alias
+ * @param {Object} useCase - Use case that shapes each record
+ * @param {Object} ratios - Normalized ratios from parseSplitRatios
+ * @param {Object} options - splitRecords options ({ seed })
+ * @returns {Object} { train: { output, lineCount, invalidLines, errors, recordCount, classificationCounts }, ... }
+ */
+function formatSplits(records, format, useCase, ratios, options = {}) {
+  const splits = splitRecords(records, ratios, options);
+  return Object.fromEntries(Object.entries(splits).map(([name, members]) => {
+    const classificationCounts = {};
+    for (const record of members) {
+      classificationCounts[record.classification] = (classificationCounts[record.classification] || 0) + 1;
+    }
+    return [name, {
+      ...formatRecords(members, format, useCase),
+      recordCount: members.length,
+      classificationCounts
+    }];
+  }));
+}
+
+/**
+ * Validate an exported dataset file against its format (see ./validation)
+ * @param {string} content - File content
+ * @param {string} format - Format ID or alias
+ * @param {Object} options - { maxTokens, maxIssues, model }
+ * @returns {Object} { valid, errorCount, warningCount, issues, stats, ... }
+ */
+function validateDataset(content, format, options = {}) {
+  return lintDataset(content, getFormatter(format), options);
+}
+
+module.exports = {
+  getFormatter,
+  registerFormatter,
+  formatRecords,
+  formatSplits,
+  validateDataset,
+  DEFAULT_MAX_TOKENS,
+  formatterRegistry,
+  parseSplitRatios,
+  splitRecords,
+  SPLIT_NAMES
+};
@@ -0,0 +1,60 @@
+// src/lib/formatters/recordFormats.js
+
+/**
+ * The use case's own JSONL record (clause and variants, Q&A pair, word
+ * problem, ...), one object per line.
+ */
+const jsonlFormat = {
+  id: 'jsonl',
+  aliases: [],
+  extension: 'jsonl',
+
+  entries(record, useCase) {
+    return useCase.toJsonl(record);
+  },
+
+  serialize(entries) {
+    return entries.map(entry => JSON.stringify(entry)).join('\n');
+  }
+};
+
+/**
+ * input, classification, output rows with a header line
+ */
+const csvFormat = {
+  id: 'csv',
+  aliases: [],
+  extension: 'csv',
+
+  entries(record, useCase) {
+    return useCase.toCsvRows(record);
+  },
+
+  validate(row) {
+    return Array.isArray(row) && row.length === 3 ? [] : ['row must have input, classification and output'];
+  },
+
+  serialize(rows) {
+    const escape = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    return ['input,classification,output', ...rows.map(row => row.map(escape).join(','))].join('\n');
+  }
+};
+
+/**
+ * The pipeline records as a pretty-printed JSON array
+ */
+const jsonFormat = {
+  id: 'json',
+  aliases: [],
+  extension: 'json',
+
+  entries(record) {
+    return [record];
+  },
+
+  serialize(entries) {
+    return JSON.stringify(entries, null, 2);
+  }
+};
+
+module.exports = { jsonlFormat, csvFormat, jsonFormat };
@@ -0,0 +1,111 @@
+// src/lib/formatters/splits.js
+const crypto = require('crypto');
+
+// Split names in the order ratios are given ("80/10/10")
+const SPLIT_NAMES = ['train', 'validation', 'test'];
+
+/**
+ * Parse split ratios. Accepts "80/10/10", [0.8, 0.1, 0.1] or
+ * { train, validation, test }; two values in a string or array give
+ * train/validation only. Ratios are normalized to sum to 1.
+ * @param {string|Array|Object} value - Requested ratios
+ * @returns {Object|null} { train, validation, test? }, or null when no split is requested
+ * @throws {Error} On malformed ratios
+ */
+function parseSplitRatios(value) {
+  if (value === undefined || value === null || value === '' || value === false) return null;
+
+  let entries;
+  if (typeof value === 'string') {
+    entries = value.split(/[/,:\s]+/).filter(Boolean).map((part, i) => [SPLIT_NAMES[i], Number(part)]);
+  } else if (Array.isArray(value)) {
+    entries = value.map((part, i) => [SPLIT_NAMES[i], Number(part)]);
+  } else if (typeof value === 'object') {
+    entries = SPLIT_NAMES.filter(name => value[name] !== undefined).map(name => [name, Number(value[name])]);
+  }
+
+  const total = (entries || []).reduce((sum, [, part]) => sum + part, 0);
+  if (!entries || entries.length < 2 || entries.length > 3 || entries.some(([, part]) => !Number.isFinite(part) || part < 0) || total <= 0) {
+    throw new Error(`Invalid split ratios ${JSON.stringify(value)}; use e.g. "80/10/10"`);
+  }
+
+  return Object.fromEntries(entries.map(([name, part]) => [name, part / total]));
+}
+
+// Records derived from the same original text belong to one group
+function groupKey(record) {
+  return String(record.text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Stable pseudo-random order for a group, so splits are repeatable
+function groupRank(key, seed) {
+  return crypto.createHash('sha256').update(`${seed}:${key}`).digest('hex');
+}
+
+// Largest-remainder allocation of `count` items over the ratios
+function allocate(count, ratios) {
+  const names = Object.keys(ratios);
+  const exact = names.map(name => count * ratios[name]);
+  const sizes = exact.map(Math.floor);
+  let remaining = count - sizes.reduce((sum, size) => sum + size, 0);
+
+  const byRemainder = names
+    .map((name, i) => ({ i, remainder: exact[i] - sizes[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+  for (const { i } of byRemainder) {
+    if (remaining <= 0) break;
+    sizes[i]++;
+    remaining--;
+  }
+  return Object.fromEntries(names.map((name, i) => [name, sizes[i]]));
+}
+
+/**
+ * Split records into train/validation/test sets.
+ *
+ * Every record derived from the same original text (a clause and all of its
+ * variants, Q&A pairs or problems) is kept in one split, so paraphrases never
+ * leak across splits. Groups are stratified by classification: each
+ * classification is divided by the ratios on its own. Assignment is
+ * deterministic for a given seed.
+ *
+ * @param {Array} records - Pipeline records
+ * @param {Object} ratios - Normalized ratios from parseSplitRatios
+ * @param {Object} options - { seed, groupBy(record) } where groupBy returns
+ *   the key of the group a record belongs to (default: its normalized text)
+ * @returns {Object} { train: [...], validation: [...], test?: [...] }, each in
+ *   the records' original order
+ */
+function splitRecords(records, ratios, { seed = 'synthetic-data', groupBy = groupKey } = {}) {
+  const groups = new Map();
+  const keys = records.map(record => {
+    const key = groupBy(record);
+    if (!groups.has(key)) {
+      groups.set(key, { key, classification: record.classification || 'Unclassified', split: null });
+    }
+    return key;
+  });
+
+  const strata = new Map();
+  for (const group of groups.values()) {
+    if (!strata.has(group.classification)) strata.set(group.classification, []);
+    strata.get(group.classification).push(group);
+  }
+
+  for (const stratum of strata.values()) {
+    stratum.sort((a, b) => (groupRank(a.key, seed) < groupRank(b.key, seed) ? -1 : 1));
+    const sizes = allocate(stratum.length, ratios);
+
+    let offset = 0;
+    for (const name of Object.keys(ratios)) {
+      stratum.slice(offset, offset + sizes[name]).forEach(group => { group.split = name; });
+      offset += sizes[name];
+    }
+  }
+
+  const splits = Object.fromEntries(Object.keys(ratios).map(name => [name, []]));
+  records.forEach((record, i) => splits[groups.get(keys[i]).split].push(record));
+  return splits;
+}
+
+module.exports = { parseSplitRatios, splitRecords, SPLIT_NAMES };
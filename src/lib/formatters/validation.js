@@ -0,0 +1,239 @@
+// src/lib/formatters/validation.js
+const { checkMessages } = require('./chatFormats');
+const { countTokens } = require('../costs');
+
+// Longest training example, in tokens, each target accepts by default
+const DEFAULT_MAX_TOKENS = {
+  'openai-jsonl': 65536,
+  mistral: 32768,
+  claude: 32000,
+  falcon: 2048
+};
+const FALLBACK_MAX_TOKENS = 32768;
+
+// Issues listed individually; the rest are only counted
+const DEFAULT_MAX_ISSUES = 200;
+
+// Tokens per chat message for the role and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Tokens of an example, counted with the model's tokenizer (see ../costs);
+// models without a public one are counted with a close stand-in
+function exampleTokens(entry, model) {
+  const tokens = text => countTokens(typeof text === 'string' ? text : '', model);
+  if (entry && Array.isArray(entry.messages)) {
+    const system = typeof entry.system === 'string' ? tokens(entry.system) + MESSAGE_OVERHEAD_TOKENS : 0;
+    return entry.messages.reduce(
+      (sum, message) => sum + MESSAGE_OVERHEAD_TOKENS + tokens(message && message.content),
+      system
+    );
+  }
+  if (entry && typeof entry.text === 'string') return tokens(entry.text);
+  return tokens(Array.isArray(entry) ? entry.join(' ') : JSON.stringify(entry));
+}
+
+// JSONL lines with their 1-based line numbers
+function parseJsonLines(content, addIssue) {
+  const entries = [];
+  const lines = content.split(/\r?\n/);
+  lines.forEach((line, i) => {
+    if (!line.trim()) {
+      // A single trailing newline is fine
+      if (i < lines.length - 1 || line.length > 0) {
+        addIssue(i + 1, 'warning', 'blank_line', 'blank line');
+      }
+      return;
+    }
+    try {
+      entries.push({ line: i + 1, raw: line.trim(), entry: JSON.parse(line) });
+    } catch (error) {
+      addIssue(i + 1, 'error', 'invalid_json', `invalid JSON: ${error.message}`);
+    }
+  });
+  return entries;
+}
+
+// CSV rows (quoted fields may span lines) with the line each row starts on
+function parseCsv(content, addIssue) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim()) {
+      rows.push({ line: rowLine, raw: row.join('\u0000'), entry: row });
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+      line++;
+      rowLine = line;
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (quoted) addIssue(rowLine, 'error', 'invalid_csv', 'unterminated quoted field');
+  endRow();
+
+  const header = rows.shift();
+  if (!header || header.entry.join(',') !== 'input,classification,output') {
+    addIssue(header ? header.line : 1, 'error', 'invalid_csv', 'header must be "input,classification,output"');
+  }
+  return rows;
+}
+
+function parseJsonArray(content, addIssue) {
+  let records;
+  try {
+    records = JSON.parse(content);
+  } catch (error) {
+    addIssue(1, 'error', 'invalid_json', `invalid JSON: ${error.message}`);
+    return [];
+  }
+  if (!Array.isArray(records)) {
+    addIssue(1, 'error', 'invalid_json', 'the file must be a JSON array of records');
+    return [];
+  }
+  // Line numbers are the record's position in the array
+  return records.map((entry, i) => ({ line: i + 1, raw: JSON.stringify(entry), entry }));
+}
+
+// Empty string fields in a use case's own JSONL record
+function emptyFields(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['each line must be a JSON object'];
+  }
+  return Object.entries(entry)
+    .filter(([, value]) => typeof value === 'string' && !value.trim())
+    .map(([key]) => `${key} is empty`);
+}
+
+/**
+ * Lint an exported dataset file before it is uploaded for fine-tuning.
+ *
+ * Every example is checked against the format's schema (the same rules
+ * formatRecords applies when writing the file: roles and their order, empty
+ * content, the Falcon template, CSV columns), against a token limit per
+ * example, and for exact duplicate lines. Chat files are also checked for
+ * turn order the target does not enforce itself, reported as warnings.
+ *
+ * @param {string} content - File content
+ * @param {Object} formatter - The file's formatter (see getFormatter)
+ * @param {Object} options - { maxTokens, maxIssues, model: the model to be
+ *   fine-tuned, whose tokenizer counts the tokens }
+ * @returns {Object} { valid, format, lineCount, examples, validExamples,
+ *   errorCount, warningCount, issues: [{ line, severity, code, message }],
+ *   truncated, stats }
+ */
+function lintDataset(content, formatter, options = {}) {
+  const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS[formatter.id] || FALLBACK_MAX_TOKENS;
+  const maxIssues = options.maxIssues || DEFAULT_MAX_ISSUES;
+  const text = String(content || '');
+
+  const issues = [];
+  const issueCounts = {};
+  let errorCount = 0;
+  let warningCount = 0;
+  const addIssue = (line, severity, code, message) => {
+    if (severity === 'error') errorCount++; else warningCount++;
+    issueCounts[code] = (issueCounts[code] || 0) + 1;
+    if (issues.length < maxIssues) issues.push({ line, severity, code, message });
+  };
+
+  const parse = formatter.extension === 'csv' ? parseCsv : formatter.extension === 'json' ? parseJsonArray : parseJsonLines;
+  const examples = text.trim() ? parse(text, addIssue) : [];
+  if (examples.length === 0) {
+    addIssue(1, 'error', 'empty_file', 'the file has no examples');
+  }
+
+  const seen = new Map();
+  const tokenCounts = [];
+  const roleCounts = {};
+  let invalidExamples = 0;
+
+  for (const { line, raw, entry } of examples) {
+    const errorsBefore = errorCount;
+
+    const schemaProblems = formatter.validate ? formatter.validate(entry) : emptyFields(entry);
+    schemaProblems.forEach(problem => addIssue(line, 'error', 'schema', problem));
+
+    // Turn order the target accepts but that usually means a broken example
+    if (entry && Array.isArray(entry.messages)) {
+      entry.messages.forEach(message => {
+        if (message && message.role) roleCounts[message.role] = (roleCounts[message.role] || 0) + 1;
+      });
+      if (schemaProblems.length === 0) {
+        checkMessages(entry.messages, { roles: ['system', 'user', 'assistant'], systemFirstOnly: true, alternate: true })
+          .forEach(problem => addIssue(line, 'warning', 'role_order', problem));
+      }
+    }
+
+    const tokens = exampleTokens(entry, options.model);
+    tokenCounts.push(tokens);
+    if (tokens > maxTokens) {
+      addIssue(line, 'error', 'too_long', `about ${tokens} tokens, over the ${maxTokens} token limit`);
+    }
+
+    if (seen.has(raw)) {
+      addIssue(line, 'warning', 'duplicate', `duplicate of line ${seen.get(raw)}`);
+    } else {
+      seen.set(raw, line);
+    }
+
+    if (errorCount > errorsBefore) invalidExamples++;
+  }
+
+  // Parse issues are found before the per-example checks
+  issues.sort((a, b) => a.line - b.line);
+
+  const totalTokens = tokenCounts.reduce((sum, tokens) => sum + tokens, 0);
+  return {
+    valid: errorCount === 0,
+    format: formatter.id,
+    lineCount: text ? text.split(/\r?\n/).length : 0,
+    examples: examples.length,
+    validExamples: examples.length - invalidExamples,
+    errorCount,
+    warningCount,
+    issues,
+    truncated: errorCount + warningCount > issues.length,
+    stats: {
+      issueCounts,
+      duplicateLines: issueCounts.duplicate || 0,
+      roleCounts,
+      tokens: {
+        limit: maxTokens,
+        total: totalTokens,
+        max: tokenCounts.reduce((max, tokens) => Math.max(max, tokens), 0),
+        mean: tokenCounts.length > 0 ? Math.round(totalTokens / tokenCounts.length) : 0,
+        overLimit: issueCounts.too_long || 0
+      }
+    }
+  };
+}
+
+module.exports = { lintDataset, DEFAULT_MAX_TOKENS };
@@ -0,0 +1,128 @@
+// src/lib/language.js
+
+// Document languages we extract and generate in. `tesseract` is the
+// traineddata file OCR loads for the language; `stopwords` are common words
+// of the language that are rare in the others, used to detect it.
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    tesseract: 'eng',
+    stopwords: ['the', 'and', 'of', 'to', 'is', 'that', 'for', 'with', 'shall', 'be', 'by', 'this', 'are', 'or', 'any', 'such', 'which', 'will', 'not', 'from', 'have', 'has', 'been', 'its', 'their']
+  },
+  es: {
+    name: 'Spanish',
+    tesseract: 'spa',
+    stopwords: ['el', 'los', 'las', 'del', 'y', 'por', 'para', 'con', 'una', 'su', 'sus', 'como', 'al', 'lo', 'este', 'esta', 'será', 'deberá', 'cualquier', 'entre', 'sin', 'o', 'más', 'dicho', 'cada']
+  },
+  fr: {
+    name: 'French',
+    tesseract: 'fra',
+    stopwords: ['le', 'les', 'des', 'du', 'et', 'est', 'une', 'dans', 'pour', 'par', 'avec', 'sur', 'qui', 'ne', 'pas', 'au', 'aux', 'ce', 'cette', 'sont', 'être', 'sera', 'doit', 'ou', 'leur']
+  }
+};
+
+// Used when a text has too few stopwords to tell
+const DEFAULT_LANGUAGE = 'en';
+
+// Characters read to detect a language, and the stopwords needed to trust it
+const DETECTION_SAMPLE = 20000;
+const MIN_STOPWORDS = 5;
+
+const STOPWORDS = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([code, { stopwords }]) => [code, new Set(stopwords)])
+);
+
+function describe(code, fields) {
+  const { name, tesseract } = LANGUAGES[code];
+  return { code, name, tesseract, ...fields };
+}
+
+/**
+ * Look up a language by code ("es"), name ("Spanish") or tesseract code ("spa")
+ * @param {string} value - Language to look up
+ * @returns {Object} { code, name, tesseract }
+ * @throws {Error} When the language is not supported
+ */
+function getLanguage(value) {
+  const wanted = String(value || '').trim().toLowerCase();
+  const code = Object.keys(LANGUAGES).find(key =>
+    key === wanted ||
+    LANGUAGES[key].name.toLowerCase() === wanted ||
+    LANGUAGES[key].tesseract === wanted
+  );
+  if (!code) {
+    throw new Error(`Unknown language "${value}". Available: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  return describe(code);
+}
+
+/**
+ * Detect the language of a text by counting each language's stopwords in
+ * its first DETECTION_SAMPLE characters
+ * @param {string} text - Text to detect
+ * @returns {Object} { code, name, tesseract, confidence, detected }:
+ *   confidence is the winner's share of the stopwords found, 0-1; detected
+ *   is false when there were too few to tell and the default was used
+ */
+function detectLanguage(text) {
+  const words = String(text || '').slice(0, DETECTION_SAMPLE).toLowerCase().match(/\p{L}+/gu) || [];
+  const hits = Object.fromEntries(Object.keys(LANGUAGES).map(code => [code, 0]));
+  for (const word of words) {
+    for (const code of Object.keys(STOPWORDS)) {
+      if (STOPWORDS[code].has(word)) hits[code]++;
+    }
+  }
+
+  const total = Object.values(hits).reduce((sum, count) => sum + count, 0);
+  const [best, count] = Object.entries(hits).sort((a, b) => b[1] - a[1])[0];
+  if (count < MIN_STOPWORDS) {
+    return describe(DEFAULT_LANGUAGE, { confidence: 0, detected: false });
+  }
+  return describe(best, { confidence: Math.round(count / total * 100) / 100, detected: true });
+}
+
+/**
+ * The language of a document: the override when given, else detected
+ * @param {string} text - Document text
+ * @param {string} [override] - Language chosen by the user (see getLanguage)
+ * @returns {Object} { code, name, tesseract, confidence, source }, source
+ *   being "override", "detected" or "default"
+ */
+function resolveLanguage(text, override) {
+  if (override) {
+    return { ...getLanguage(override), confidence: 1, source: 'override' };
+  }
+  const { detected, ...language } = detectLanguage(text);
+  return { ...language, source: detected ? 'detected' : 'default' };
+}
+
+/**
+ * The fields stored on a document record for its language
+ * @param {Object} language - From resolveLanguage
+ * @returns {Object} { language: code, languageDetection: { name,
+ *   confidence, source } }
+ */
+function languageFields(language) {
+  const { code, name, confidence, source } = language;
+  return { language: code, languageDetection: { name, confidence, source } };
+}
+
+/**
+ * Tesseract language string for OCR: the given languages, or every
+ * supported one ("eng+spa+fra") when the document language is not known yet
+ * @param {Array<string>} [codes] - Language codes
+ * @returns {string}
+ */
+function tesseractLanguages(codes = Object.keys(LANGUAGES)) {
+  return codes.map(code => getLanguage(code).tesseract).join('+');
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getLanguage,
+  detectLanguage,
+  resolveLanguage,
+  languageFields,
+  tesseractLanguages
+};
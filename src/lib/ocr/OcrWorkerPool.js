@@ -0,0 +1,86 @@
+// src/lib/ocr/OcrWorkerPool.js
+const { traineddataOptions } = require('./traineddata');
+
+/**
+ * A fixed number of tesseract workers behind a tesseract scheduler, which
+ * hands each recognize() to the next idle worker. Workers are started all
+ * at once, by start() or the first recognize(), since loading the language
+ * data is the slow part.
+ */
+class OcrWorkerPool {
+  /**
+   * @param {Object} options - { size, language }, language being one or
+   *   more tesseract languages, e.g. "spa" or "eng+spa+fra"
+   */
+  constructor(options = {}) {
+    this.size = Math.max(options.size || 1, 1);
+    this.language = options.language || 'eng';
+    this._starting = null;
+  }
+
+  /**
+   * Recognize the text of an image
+   * @param {Buffer} image - PNG of a rendered page
+   * @returns {Promise<Object>} { text, confidence }, confidence being
+   *   tesseract's mean word confidence, 0-100
+   */
+  async recognize(image) {
+    const scheduler = await this.start();
+    const { data } = await scheduler.addJob('recognize', image);
+    return {
+      text: data.text || '',
+      confidence: typeof data.confidence === 'number' ? data.confidence : 0
+    };
+  }
+
+  /**
+   * Stop the workers; safe to call when none were started
+   */
+  async terminate() {
+    const starting = this._starting;
+    this._starting = null;
+    if (!starting) return;
+
+    // Workers that failed to start were stopped by start()
+    const scheduler = await starting.catch(() => null);
+    if (!scheduler) return;
+    try {
+      await scheduler.terminate();
+    } catch (error) {
+      console.warn('Error terminating OCR workers:', error.message);
+    }
+  }
+
+  /**
+   * Start the workers, if not started yet
+   * @returns {Promise<Object>} The tesseract scheduler
+   */
+  start() {
+    if (!this._starting) {
+      // Loaded here so the module can be required where tesseract is missing
+      const { createScheduler, createWorker } = require('tesseract.js');
+      this._starting = (async () => {
+        // Checked before any worker starts, so missing language data fails once
+        const workerOptions = traineddataOptions(this.language);
+        const scheduler = createScheduler();
+        const started = await Promise.allSettled(
+          Array.from({ length: this.size }, () => createWorker(this.language, 1, workerOptions))
+        );
+        const failed = started.find(result => result.status === 'rejected');
+        if (failed) {
+          // Stop the workers that did start before giving up
+          await Promise.all(started
+            .filter(result => result.status === 'fulfilled')
+            .map(result => result.value.terminate().catch(() => {})));
+          throw failed.reason;
+        }
+        started.forEach(result => scheduler.addWorker(result.value));
+        console.log(`Started ${this.size} OCR worker(s) for "${this.language}"`);
+        return scheduler;
+      })();
+    }
+    return this._starting;
+  }
+}
+
+module.exports = { OcrWorkerPool };
@@ -0,0 +1,241 @@
+// src/lib/ocr/hybrid.js
+const { ocrPdfPages, summarizeOcr, loadPdfjs } = require('./pdfOcr');
+const { getLanguage, detectLanguage, resolveLanguage } = require('../language');
+
+// A page's text layer is used when it passes these checks, the per-page
+// version of validateExtractedText: enough characters, mostly words or
+// numbers, few stray symbols and no long runs of one letter
+const PAGE_QUALITY = {
+  minCharacters: 25,
+  maxSymbolRatio: 0.1,
+  minWordRatio: 0.5
+};
+
+// Characters expected in text; anything else counts as a stray symbol.
+// Letters of any script count, so French and Spanish pages pass.
+const SYMBOL_PATTERN = /[^\p{L}\p{N}\s.,;:?!'"’“”()[\]\-–—§$%&/_*]/gu;
+const REPEATED_LETTER_PATTERN = /([\p{L}\p{N}])\1{5,}/u;
+// A token counts as a word with two letters in a row or a digit
+const WORD_PATTERN = /\p{L}{2}|\p{N}/u;
+
+/**
+ * Check whether a page's text layer is usable
+ * @param {string} text - Text extracted from the page
+ * @param {Object} options - PAGE_QUALITY overrides
+ * @returns {Object} { usable, reason }: reason is "no_text" or
+ *   "garbage_text" when it is not
+ */
+function assessPageText(text, options = {}) {
+  const { minCharacters, maxSymbolRatio, minWordRatio } = { ...PAGE_QUALITY, ...options };
+  const content = String(text || '').replace(/\s+/g, ' ').trim();
+
+  if (content.replace(/ /g, '').length < minCharacters) {
+    return { usable: false, reason: 'no_text' };
+  }
+
+  // Text with a broken font encoding comes out as symbols, replacement
+  // characters or unbroken runs of letters
+  const symbols = (content.match(SYMBOL_PATTERN) || []).length;
+  const tokens = content.split(' ');
+  const words = tokens.filter(token => WORD_PATTERN.test(token)).length;
+  if (symbols > content.length * maxSymbolRatio ||
+      words < tokens.length * minWordRatio ||
+      REPEATED_LETTER_PATTERN.test(content)) {
+    return { usable: false, reason: 'garbage_text' };
+  }
+
+  return { usable: true, reason: null };
+}
+
+/**
+ * Whether a page draws any image, i.e. may hold scanned text
+ * @param {Object} page - A pdf.js page
+ * @param {Object} pdfjs - The pdf.js module
+ * @returns {Promise<boolean>}
+ */
+async function pageHasImages(page, pdfjs) {
+  const imageOps = new Set(
+    ['paintImageXObject', 'paintInlineImageXObject', 'paintImageMaskXObject', 'paintJpegXObject', 'paintImageXObjectRepeat']
+      .map(name => pdfjs.OPS[name])
+      .filter(op => op !== undefined)
+  );
+  const { fnArray } = await page.getOperatorList();
+  return fnArray.some(op => imageOps.has(op));
+}
+
+// Tesseract language(s) for the weak pages of a document: the chosen
+// language, else the one its readable pages are in, else all of them
+function ocrLanguageFor(pages, options) {
+  if (options.ocr && options.ocr.language) return options.ocr.language;
+  if (options.language) return getLanguage(options.language).tesseract;
+
+  const readable = pages.filter(page => !page.reason).map(page => page.text).join('\n');
+  const detected = detectLanguage(readable);
+  return detected.detected ? detected.tesseract : null;
+}
+
+/**
+ * OCR the pages whose text layer is not usable: those with garbage text,
+ * and those with too little text but an image, which may be a scan. Other
+ * pages, and pages OCR does not read, keep their text layer. OCR reads the
+ * language of the readable pages, or every supported language when there
+ * are none to tell.
+ *
+ * @param {Buffer} pdfBuffer - The PDF file
+ * @param {Array<Object>} pages - The text layer of each page:
+ *   [{ page, text, hasImages }]
+ * @param {Object} options - { ocr: options of ocrPdfPages, or false to
+ *   never OCR, quality: PAGE_QUALITY overrides, language: the document's
+ *   language when known (code or name, see lib/language) }
+ * @returns {Promise<Object>} { pages: [{ page, text, method, characters,
+ *   reason, confidence, lowConfidence, ocrSkipped, ocrError }], methods,
+ *   ocr }, where method is "pdfjs", "ocr" or "none" (no text), reason is
+ *   why the text layer was not usable, and ocr is the summary of the OCR
+ *   run, or null
+ */
+async function ocrWeakPages(pdfBuffer, pages, options = {}) {
+  const { ocr = {}, quality = {} } = options;
+
+  const merged = pages.map(({ page, text = '', hasImages }) => {
+    const { usable, reason } = assessPageText(text, quality);
+    return {
+      page,
+      text,
+      method: text.trim() ? 'pdfjs' : 'none',
+      reason,
+      ocrNeeded: !usable && (reason === 'garbage_text' || Boolean(hasImages))
+    };
+  });
+
+  const weakPages = merged.filter(page => page.ocrNeeded).map(page => page.page);
+  let ocrResult = null;
+  if (weakPages.length > 0 && ocr !== false) {
+    console.log(`OCR needed for ${weakPages.length} of ${pages.length} pages: ${weakPages.join(', ')}`);
+    const language = ocrLanguageFor(merged, options);
+    try {
+      ocrResult = await ocrPdfPages(pdfBuffer, { ...ocr, language, pages: weakPages });
+    } catch (error) {
+      // Without OCR the weak pages keep whatever text they have
+      console.warn('OCR of weak pages failed, keeping their text layer:', error.message);
+    }
+  }
+
+  const recognized = new Map((ocrResult?.pages || []).map(page => [page.page, page]));
+  for (const page of merged) {
+    if (!page.ocrNeeded) continue;
+    const result = recognized.get(page.page);
+    if (result && !result.error && result.characters > 0) {
+      page.text = result.text;
+      page.method = 'ocr';
+      page.confidence = result.confidence;
+      page.lowConfidence = result.lowConfidence;
+    } else if (result) {
+      // OCR found nothing either; the text layer is kept as a last resort
+      if (result.error) page.ocrError = result.error;
+    } else {
+      // Past the plan's page limit, or OCR is off or failed
+      page.ocrSkipped = true;
+    }
+  }
+
+  const methods = { pdfjs: 0, ocr: 0, none: 0 };
+  const results = merged.map(({ ocrNeeded, ...page }) => {
+    methods[page.method]++;
+    return { ...page, characters: page.text.trim().length };
+  });
+
+  return { pages: results, methods, ocr: summarizeOcr(ocrResult) };
+}
+
+// Text layer of a page, a line per baseline
+async function readTextLayer(page) {
+  const textContent = await page.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY !== item.transform[5] && text.length > 0) {
+      text += '\n';
+    }
+    text += item.str;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * Extract the text of a PDF page by page, from the text layer where it is
+ * usable and by OCR where it is not (scanned pages, broken encodings), so
+ * a digital contract with scanned exhibits is read whole. The document's
+ * language is detected from the extracted text unless `language` is given.
+ *
+ * @param {Buffer} pdfBuffer - The PDF file
+ * @param {Object} options - Options of ocrWeakPages
+ * @returns {Promise<Object>} { text, pageCount, pages, methods, ocr,
+ *   language } with pages, methods and ocr as from ocrWeakPages and
+ *   language as from resolveLanguage
+ */
+async function extractPdfPages(pdfBuffer, options = {}) {
+  const pdfjs = loadPdfjs();
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(pdfBuffer),
+    disableFontFace: true,
+    ignoreErrors: true
+  }).promise;
+
+  const layers = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      try {
+        const text = await readTextLayer(page);
+        // Images only matter when the text layer is not usable
+        const hasImages = assessPageText(text, options.quality).usable ? false : await pageHasImages(page, pdfjs);
+        layers.push({ page: pageNumber, text, hasImages });
+      } catch (pageError) {
+        console.error(`Error reading the text layer of page ${pageNumber}:`, pageError.message);
+        layers.push({ page: pageNumber, text: '', hasImages: true });
+      } finally {
+        page.cleanup();
+      }
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  const result = await ocrWeakPages(pdfBuffer, layers, options);
+  console.log(`Extracted ${layers.length} pages: ${result.methods.pdfjs} from the text layer, ${result.methods.ocr} by OCR, ${result.methods.none} blank`);
+
+  const text = result.pages.map(page => page.text.trim()).filter(Boolean).join('\n\n');
+  const language = resolveLanguage(text, options.language);
+  console.log(`Document language: ${language.name} (${language.source})`);
+
+  return {
+    text,
+    pageCount: layers.length,
+    ...result,
+    language
+  };
+}
+
+/**
+ * A page-by-page extraction without page text, for job and document records
+ * @param {Object} result - From extractPdfPages
+ * @returns {Object} { pageCount, methods, pages, ocr, language }
+ */
+function summarizeExtraction(result) {
+  if (!result) return null;
+  const { text, pages, ...summary } = result;
+  return {
+    ...summary,
+    pages: pages.map(({ text: pageText, ...page }) => page)
+  };
+}
+
+module.exports = {
+  PAGE_QUALITY,
+  assessPageText,
+  pageHasImages,
+  ocrWeakPages,
+  extractPdfPages,
+  summarizeExtraction
+};
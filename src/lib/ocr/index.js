@@ -0,0 +1,17 @@
+// src/lib/ocr/index.js
+const { DEFAULT_OCR, ocrPdfPages, summarizeOcr } = require('./pdfOcr');
+const { PAGE_QUALITY, assessPageText, pageHasImages, ocrWeakPages, extractPdfPages, summarizeExtraction } = require('./hybrid');
+const { OcrWorkerPool } = require('./OcrWorkerPool');
+
+module.exports = {
+  DEFAULT_OCR,
+  ocrPdfPages,
+  summarizeOcr,
+  PAGE_QUALITY,
+  assessPageText,
+  pageHasImages,
+  ocrWeakPages,
+  extractPdfPages,
+  summarizeExtraction,
+  OcrWorkerPool
+};
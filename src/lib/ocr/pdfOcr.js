@@ -0,0 +1,183 @@
+// src/lib/ocr/pdfOcr.js
+const os = require('os');
+const { OcrWorkerPool } = require('./OcrWorkerPool');
+const { tesseractLanguages } = require('../language');
+
+// OCR defaults (options of ocrPdfPages)
+const DEFAULT_OCR = {
+  // Tesseract language(s), e.g. "spa" or "eng+fra"; null reads all the
+  // supported languages, for documents whose language is not known yet
+  language: null,
+  // Pages rendered and recognized at once; each holds one page image, so
+  // this also bounds memory. OCR_WORKERS overrides the default.
+  workers: null,
+  // Render scale: 2 is about 144 dpi for a PDF's 72 dpi user space
+  scale: 2,
+  // Pages recognized with a lower mean confidence (0-100) are flagged
+  minConfidence: 60,
+  // Most pages to OCR, null for all; the rest are skipped and reported
+  maxPages: null
+};
+
+function defaultWorkerCount() {
+  const configured = parseInt(process.env.OCR_WORKERS, 10);
+  if (configured > 0) return configured;
+  // Leave a core for the server itself
+  return Math.max(Math.min(os.cpus().length - 1, 4), 1);
+}
+
+function loadPdfjs() {
+  const pdfjs = require('pdfjs-dist/legacy/build/pdf');
+  if (typeof window === 'undefined' && typeof pdfjs.GlobalWorkerOptions.workerSrc !== 'string') {
+    // Node runs the worker in-process, loaded from this path
+    pdfjs.GlobalWorkerOptions.workerSrc = require.resolve('pdfjs-dist/legacy/build/pdf.worker.js');
+  }
+  return pdfjs;
+}
+
+// Render one page to a PNG
+async function renderPage(pdf, pageNumber, scale, createCanvas) {
+  const page = await pdf.getPage(pageNumber);
+  try {
+    const viewport = page.getViewport({ scale });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    page.cleanup();
+  }
+}
+
+/**
+ * OCR the pages of a PDF on a pool of tesseract workers. Each worker takes
+ * the next page, renders it, recognizes it and drops the image before
+ * taking another, so at most `workers` page images exist at a time
+ * however long the document is.
+ *
+ * @param {Buffer} pdfBuffer - The PDF file
+ * @param {Object} options - DEFAULT_OCR options, plus `pages` (page numbers
+ *   to OCR, default all) and `onPage(page, { processed, total })`, called
+ *   as each page finishes, in completion order
+ * @returns {Promise<Object>} { text, pageCount, processedPages,
+ *   skippedPages, language, pages: [{ page, text, confidence, characters,
+ *   lowConfidence, error }], averageConfidence, lowConfidencePages },
+ *   language being the tesseract language(s) read
+ */
+async function ocrPdfPages(pdfBuffer, options = {}) {
+  const settings = { ...DEFAULT_OCR, ...options };
+  const { scale, minConfidence, maxPages, onPage } = settings;
+
+  // Loaded first, so a missing canvas fails before any worker starts
+  const { createCanvas } = require('canvas');
+  const pdfjs = loadPdfjs();
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(pdfBuffer),
+    disableFontFace: true,
+    ignoreErrors: true
+  }).promise;
+
+  const pageCount = pdf.numPages;
+  let pageNumbers = Array.isArray(settings.pages)
+    ? [...new Set(settings.pages)].filter(page => page >= 1 && page <= pageCount).sort((a, b) => a - b)
+    : Array.from({ length: pageCount }, (_, index) => index + 1);
+  const requested = pageNumbers.length;
+  if (maxPages && pageNumbers.length > maxPages) {
+    pageNumbers = pageNumbers.slice(0, maxPages);
+  }
+  const total = pageNumbers.length;
+  const language = settings.language || tesseractLanguages();
+
+  const pool = new OcrWorkerPool({
+    size: Math.min(settings.workers || defaultWorkerCount(), Math.max(total, 1)),
+    language
+  });
+  console.log(`OCR processing ${total} of ${pageCount} pages with ${pool.size} worker(s)`);
+
+  const results = new Array(total);
+  let next = 0;
+  let processed = 0;
+
+  const runner = async () => {
+    while (next < total) {
+      const index = next++;
+      const page = pageNumbers[index];
+      let result;
+      try {
+        const image = await renderPage(pdf, page, scale, createCanvas);
+        const { text, confidence } = await pool.recognize(image);
+        result = {
+          page,
+          text: text.trim(),
+          confidence: Math.round(confidence * 10) / 10,
+          characters: text.trim().length
+        };
+      } catch (error) {
+        // A page that fails to render or recognize is recorded, not fatal
+        console.error(`Error processing page ${page} with OCR:`, error.message);
+        result = { page, text: '', confidence: 0, characters: 0, error: error.message };
+      }
+      result.lowConfidence = result.confidence < minConfidence;
+      results[index] = result;
+      processed++;
+
+      if (onPage) {
+        try {
+          await onPage(result, { processed, total });
+        } catch (callbackError) {
+          console.warn(`OCR progress callback failed for page ${page}:`, callbackError.message);
+        }
+      }
+    }
+  };
+
+  try {
+    if (total > 0) {
+      // Workers that fail to start fail the whole run
+      await pool.start();
+      await Promise.all(Array.from({ length: pool.size }, runner));
+    }
+  } finally {
+    await pool.terminate();
+    await pdf.destroy();
+  }
+
+  const recognized = results.filter(result => !result.error);
+  const averageConfidence = recognized.length
+    ? Math.round(recognized.reduce((sum, result) => sum + result.confidence, 0) / recognized.length * 10) / 10
+    : 0;
+  const lowConfidencePages = results.filter(result => result.lowConfidence).map(result => result.page);
+
+  console.log(`OCR extraction completed: ${total} pages, average confidence ${averageConfidence}%, ${lowConfidencePages.length} low-confidence page(s)`);
+
+  return {
+    text: results.map(result => result.text).filter(Boolean).join('\n\n'),
+    pageCount,
+    processedPages: total,
+    skippedPages: requested - total,
+    language,
+    pages: results,
+    averageConfidence,
+    lowConfidencePages
+  };
+}
+
+/**
+ * The OCR result without page text, for job and document records
+ * @param {Object} result - From ocrPdfPages
+ * @returns {Object} Everything but `text` and each page's text
+ */
+function summarizeOcr(result) {
+  if (!result) return null;
+  const { text, pages, ...summary } = result;
+  return {
+    ...summary,
+    pages: pages.map(({ text: pageText, ...page }) => page)
+  };
+}
+
+module.exports = {
+  DEFAULT_OCR,
+  ocrPdfPages,
+  summarizeOcr,
+  loadPdfjs
+};
@@ -0,0 +1,43 @@
+// src/lib/ocr/traineddata.js
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding <lang>.traineddata(.gz) files; TESSERACT_LANG_PATH
+// overrides it
+function traineddataPath() {
+  return process.env.TESSERACT_LANG_PATH || path.join(process.cwd(), 'tessdata');
+}
+
+/**
+ * createWorker options that load the traineddata for `language` from the
+ * local directory. Nothing is downloaded: a language missing from the
+ * directory is an error naming the file to add.
+ *
+ * @param {string} language - Tesseract language(s), e.g. "spa" or "eng+fra"
+ * @returns {Object} { langPath, gzip, cacheMethod }
+ * @throws {Error} When the directory lacks a language, or mixes compressed
+ *   and uncompressed files
+ */
+function traineddataOptions(language) {
+  const langPath = traineddataPath();
+  const files = language.split('+').map(lang => {
+    if (fs.existsSync(path.join(langPath, `${lang}.traineddata.gz`))) return { lang, gzip: true };
+    if (fs.existsSync(path.join(langPath, `${lang}.traineddata`))) return { lang, gzip: false };
+    return { lang, gzip: null };
+  });
+
+  const missing = files.filter(file => file.gzip === null).map(file => file.lang);
+  if (missing.length > 0) {
+    const hint = process.env.TESSERACT_LANG_PATH ? '' : ', or set TESSERACT_LANG_PATH to the directory that has it';
+    throw new Error(`No traineddata for "${missing.join('", "')}" in ${langPath}. Add ${missing[0]}.traineddata or ${missing[0]}.traineddata.gz${hint}`);
+  }
+
+  // tesseract.js takes one gzip setting for all the languages of a worker
+  if (new Set(files.map(file => file.gzip)).size > 1) {
+    throw new Error(`Traineddata in ${langPath} mixes .traineddata and .traineddata.gz files for "${language}"; use one format`);
+  }
+  // Read straight from the directory; there is no download to cache
+  return { langPath, gzip: files[0].gzip, cacheMethod: 'none' };
+}
+
+module.exports = { traineddataPath, traineddataOptions };
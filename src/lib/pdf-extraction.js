@@ -1,12 +1,14 @@
 const pdfjs = require('pdfjs-dist/legacy/build/pdf');
 const { PDFExtract } = require('pdf.js-extract');
 const pdfParse = require('pdf-parse');
+const { detectTablesInText } = require('./tableDetection');
+const { assessPageText, pageHasImages, ocrWeakPages } = require('./ocr');
+const { resolveLanguage } = require('./language');
 
 // Configure PDF.js worker
 if (typeof window === 'undefined') {
-  // Node.js environment
-  const pdfjsWorker = require('pdfjs-dist/legacy/build/pdf.worker.js');
-  pdfjs.GlobalWorkerOptions.workerSrc = pdfjsWorker;
+  // Node.js environment: the worker runs in-process, loaded from this path
+  pdfjs.GlobalWorkerOptions.workerSrc = require.resolve('pdfjs-dist/legacy/build/pdf.worker.js');
 }
 
 /**
@@ -21,7 +23,9 @@ async function extractPdfData(pdfBuffer, options = {}) {
     logProgress = false,
     detectTables = true,
     extractForms = true,
-    extractImages = false // Images require additional processing and storage
+    extractImages = false, // Images require additional processing and storage
+    ocr = {}, // OCR options for pages without a usable text layer, false to never OCR
+    language = null // Document language (code or name); detected from the text when null
   } = options;
 
   // Tracking for extraction methods and their results
@@ -79,7 +83,6 @@ async function extractPdfData(pdfBuffer, options = {}) {
       extractedData.pageCount = pdf.numPages;
       
       // Extract text from each page
-      let allPageTexts = [];
       const pages = [];
       
       for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
@@ -188,8 +191,12 @@ async function extractPdfData(pdfBuffer, options = {}) {
             headers: headers
           };
           
+          // A page without a usable text layer may be a scan to OCR
+          if (ocr !== false && !assessPageText(pageData.text).usable) {
+            pageData.hasImages = await pageHasImages(page, pdfjs);
+          }
+          
           pages.push(pageData);
-          allPageTexts.push(pageData.text);
           
           if (pageNum % 10 === 0 || pageNum === pdf.numPages) {
             log(`Processed ${pageNum}/${pdf.numPages} pages with PDF.js position-aware method`);
@@ -199,20 +206,45 @@ async function extractPdfData(pdfBuffer, options = {}) {
         }
       }
       
+      // OCR the scanned and garbled pages, and record how each page was read
+      const hybrid = await ocrWeakPages(
+        pdfBuffer,
+        pages.map(pageData => ({ page: pageData.number, text: pageData.text, hasImages: pageData.hasImages })),
+        { ocr, language }
+      );
+      pages.forEach((pageData, index) => {
+        const result = hybrid.pages[index];
+        delete pageData.hasImages;
+        pageData.method = result.method;
+        if (result.method === 'ocr') {
+          pageData.text = result.text;
+          pageData.lines = result.text.split('\n').filter(line => line.trim()).map(text => ({ text }));
+          pageData.headers = [];
+          pageData.ocrConfidence = result.confidence;
+        }
+      });
+      if (hybrid.methods.ocr > 0) {
+        log(`OCR read ${hybrid.methods.ocr} of ${pages.length} pages`);
+      }
+      
       // Combine all page texts
-      const combinedText = allPageTexts.join('\n\n');
+      const combinedText = pages.map(pageData => pageData.text).join('\n\n');
       
       extractionResults.push({
         method: 'pdfjs-position',
         text: combinedText,
         length: combinedText.length,
-        pages: pages
+        pages: pages,
+        pageMethods: hybrid.methods,
+        ocr: hybrid.ocr
       });
       
       // Use this result if it's good enough
       if (!attemptAllMethods && combinedText.length > 200) {
         extractedData.textContent = combinedText;
         extractedData.pages = pages;
+        extractedData.pageMethods = hybrid.methods;
+        extractedData.ocr = hybrid.ocr;
         extractedData.structure.headers = 
           pages.flatMap(page => page.headers || []);
       }
@@ -244,6 +276,7 @@ async function extractPdfData(pdfBuffer, options = {}) {
           
           allTexts.push(pageText);
           extractPages.push({
+            method: 'pdf.js-extract',
             number: page.pageInfo.num,
             width: page.pageInfo.width,
             height: page.pageInfo.height,
@@ -287,8 +320,10 @@ async function extractPdfData(pdfBuffer, options = {}) {
     
     // Choose the best extraction based on results
     if (extractionResults.length > 0) {
-      // Sort by text length (descending)
-      extractionResults.sort((a, b) => b.length - a.length);
+      // Sort by text length (descending); only the position-aware result
+      // has the OCR text of scanned pages, so it goes first when it has any
+      extractionResults.sort((a, b) =>
+        Boolean(b.pageMethods?.ocr) - Boolean(a.pageMethods?.ocr) || b.length - a.length);
       
       // If we attempted all methods, use the best one
       if (attemptAllMethods || !extractedData.textContent) {
@@ -301,6 +336,11 @@ async function extractPdfData(pdfBuffer, options = {}) {
           extractedData.pages = bestResult.pages;
         }
         
+        if (bestResult.pageMethods) {
+          extractedData.pageMethods = bestResult.pageMethods;
+          extractedData.ocr = bestResult.ocr;
+        }
+        
         if (bestResult.metadata) {
           extractedData.metadata = {
             ...extractedData.metadata,
@@ -318,6 +358,9 @@ async function extractPdfData(pdfBuffer, options = {}) {
       }
     }
     
+    extractedData.language = resolveLanguage(extractedData.textContent, language);
+    log(`Document language: ${extractedData.language.name} (${extractedData.language.source})`);
+    
     // Extract structured data if content was found
     if (extractedData.textContent && extractedData.textContent.length > 50) {
       // Attempt table detection if requested
@@ -382,128 +425,6 @@ function estimateHeaderLevel(line, lines, index) {
   return 3;  // Longer line - likely sub-subheader
 }
 
-/**
- * Detect tables in the extracted text
- */
-function detectTablesInText(extractedData) {
-  const tables = [];
-  const { pages, textContent } = extractedData;
-  
-  // Basic table detection based on alignment patterns
-  if (!pages || pages.length === 0) return tables;
-  
-  // Looking for consistent alignment patterns that suggest tables
-  for (const page of pages) {
-    if (!page.lines || page.lines.length === 0) continue;
-    
-    let potentialTableLines = [];
-    let inPotentialTable = false;
-    
-    for (let i = 0; i < page.lines.length; i++) {
-      const line = page.lines[i];
-      
-      // Skip very short lines
-      if (line.text.trim().length < 5) continue;
-      
-      // Look for lines with multiple spaces or tab-like separations
-      const hasTabulatedData = 
-        (line.text.includes('  ') && line.text.split('  ').length >= 3) ||
-        line.text.includes('\t') ||
-        (line.items && line.items.length >= 3 && 
-         areItemsAligned(line.items));
-      
-      if (hasTabulatedData) {
-        if (!inPotentialTable) {
-          inPotentialTable = true;
-          potentialTableLines = [];
-        }
-        potentialTableLines.push(line);
-      } else if (inPotentialTable) {
-        // End of potential table
-        if (potentialTableLines.length >= 3) {
-          // We found enough lines to consider it a table
-          tables.push(processTableLines(potentialTableLines, page.number));
-        }
-        inPotentialTable = false;
-      }
-    }
-    
-    // Check for table at end of page
-    if (inPotentialTable && potentialTableLines.length >= 3) {
-      tables.push(processTableLines(potentialTableLines, page.number));
-    }
-  }
-  
-  return tables;
-}
-
-/**
- * Check if text items in a line are aligned in a way that suggests columns
- */
-function areItemsAligned(items) {
-  // If we have very few items, it's not a table
-  if (items.length < 3) return false;
-  
-  // Check if items are spaced out horizontally
-  const xPositions = items.map(item => item.x);
-  
-  // Check average distance between items
-  let totalDistance = 0;
-  for (let i = 1; i < xPositions.length; i++) {
-    totalDistance += xPositions[i] - xPositions[i-1];
-  }
-  
-  const avgDistance = totalDistance / (xPositions.length - 1);
-  
-  // Check if consistent spacing exists
-  let consistentSpacing = true;
-  for (let i = 1; i < xPositions.length; i++) {
-    const distance = xPositions[i] - xPositions[i-1];
-    if (Math.abs(distance - avgDistance) > avgDistance * 0.5) {
-      consistentSpacing = false;
-      break;
-    }
-  }
-  
-  return consistentSpacing;
-}
-
-/**
- * Process lines that are likely a table
- */
-function processTableLines(lines, pageNumber) {
-  // Extract header row (first line)
-  const headerText = lines[0].text;
-  
-  // Process columns based on spaces and item positions
-  const columns = [];
-  const rows = [];
-  
-  // Try to detect columns based on consistent spaces
-  for (const line of lines) {
-    const row = [];
-    if (line.items && line.items.length > 2) {
-      // Use item positions to determine columns
-      const sortedItems = [...line.items].sort((a, b) => a.x - b.x);
-      for (const item of sortedItems) {
-        row.push(item.text);
-      }
-    } else {
-      // Split by double spaces
-      const cells = line.text.split(/\s{2,}/g).filter(cell => cell.trim().length > 0);
-      row.push(...cells);
-    }
-    rows.push(row);
-  }
-  
-  return {
-    pageNumber,
-    rows,
-    headerRow: rows[0] || [],
-    text: lines.map(l => l.text).join('\n')
-  };
-}
-
 /**
  * Enrich the extracted data with additional structural information
  */
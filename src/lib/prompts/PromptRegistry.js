@@ -0,0 +1,127 @@
+// src/lib/prompts/PromptRegistry.js
+const fs = require('fs');
+const { DEFAULT_USE_CASE } = require('./templates');
+
+// Compare dotted version strings numerically ("1.10" > "1.9")
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Render a template string.
+ * {{name}} is replaced by the variable; {{#name}}...{{/name}} is kept only
+ * when the variable is set. Unknown variables render as empty strings.
+ * @param {string} text - Template text
+ * @param {Object} variables - Variable values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(text = '', variables = {}) {
+  const isSet = value => value !== undefined && value !== null && value !== '' && value !== false;
+
+  return text
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, body) => (isSet(variables[name]) ? body : ''))
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => (isSet(variables[name]) ? String(variables[name]) : ''));
+}
+
+/**
+ * Versioned prompt templates keyed by use case and pipeline stage.
+ *
+ * The highest registered version of a template is used unless a version is
+ * pinned. When a use case has no template for a stage, the default use
+ * case's template is used instead.
+ */
+class PromptRegistry {
+  constructor(templates = []) {
+    this.templates = new Map();
+    templates.forEach(template => this.register(template));
+  }
+
+  /**
+   * Add a template, replacing any with the same use case, stage and version
+   * @param {Object} template - { useCase, stage, version, system, user, variables }
+   */
+  register(template) {
+    const { useCase, stage, version, system } = template || {};
+    if (!useCase || !stage || version === undefined || typeof system !== 'string') {
+      throw new Error('Prompt templates need useCase, stage, version and system');
+    }
+
+    const key = `${useCase}/${stage}`;
+    const versions = (this.templates.get(key) || []).filter(t => String(t.version) !== String(version));
+    versions.push({ user: '{{text}}', variables: {}, ...template, version: String(version) });
+    versions.sort((a, b) => compareVersions(b.version, a.version));
+    this.templates.set(key, versions);
+  }
+
+  /**
+   * Load templates from a JSON file (an array, or { templates: [...] })
+   * @param {string} filePath - Path to the JSON file
+   * @returns {number} Number of templates loaded
+   */
+  loadFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const templates = Array.isArray(data) ? data : data.templates || [];
+    templates.forEach(template => this.register(template));
+    return templates.length;
+  }
+
+  // Copy of this registry with extra templates registered on top
+  extend(templates = []) {
+    const registry = new PromptRegistry(this.list());
+    templates.forEach(template => registry.register(template));
+    return registry;
+  }
+
+  /**
+   * Find the template for a use case and stage
+   * @param {string} useCase - Use case, e.g. "rewriter-legal"
+   * @param {string} stage - extractor, classifier or duplicator
+   * @param {string} version - Pinned version (defaults to the highest)
+   * @returns {Object} The template
+   */
+  resolve(useCase, stage, version) {
+    const candidates = this.templates.get(`${useCase}/${stage}`)
+      || this.templates.get(`${DEFAULT_USE_CASE}/${stage}`)
+      || [];
+    const template = version === undefined || version === null
+      ? candidates[0]
+      : candidates.find(t => t.version === String(version));
+
+    if (!template) {
+      throw new Error(`No prompt template for ${useCase}/${stage}${version ? ` version ${version}` : ''}`);
+    }
+    return template;
+  }
+
+  /**
+   * Render the system and user messages for a template
+   * @param {Object} template - Template from resolve()
+   * @param {Object} variables - Variables, applied over the template defaults
+   * @returns {Object} { system, user }
+   */
+  render(template, variables = {}) {
+    const values = { ...template.variables, ...variables };
+    return {
+      system: renderTemplate(template.system, values),
+      user: renderTemplate(template.user, values)
+    };
+  }
+
+  // All registered templates
+  list() {
+    return [...this.templates.values()].flat();
+  }
+
+  // Identifier recorded on generated data, e.g. "rewriter-legal/duplicator@1"
+  static templateId(template) {
+    return `${template.useCase}/${template.stage}@${template.version}`;
+  }
+}
+
+module.exports = { PromptRegistry, renderTemplate, compareVersions };
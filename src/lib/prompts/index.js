@@ -0,0 +1,61 @@
+// src/lib/prompts/index.js
+const fs = require('fs');
+const { PromptRegistry, renderTemplate, compareVersions } = require('./PromptRegistry');
+const { DEFAULT_TEMPLATES, DEFAULT_USE_CASE } = require('./templates');
+
+let defaultRegistry = null;
+let loadedFile = null;
+
+/**
+ * Registry with the built-in templates plus any from PROMPT_TEMPLATES_FILE.
+ *
+ * The file is re-read whenever it changes, so prompts can be tuned on a
+ * running server without a deploy. A file that fails to load is logged and
+ * the previous templates stay in use.
+ *
+ * @returns {PromptRegistry} The shared registry
+ */
+function getDefaultRegistry() {
+  const filePath = process.env.PROMPT_TEMPLATES_FILE || null;
+
+  let mtime = null;
+  if (filePath) {
+    try {
+      mtime = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      console.error(`Prompt templates file ${filePath} not found:`, error.message);
+    }
+  }
+
+  const fileKey = filePath && mtime !== null ? `${filePath}:${mtime}` : null;
+  if (defaultRegistry && fileKey === loadedFile) {
+    return defaultRegistry;
+  }
+
+  const registry = new PromptRegistry(DEFAULT_TEMPLATES);
+  if (fileKey) {
+    try {
+      const count = registry.loadFile(filePath);
+      console.log(`Loaded ${count} prompt templates from ${filePath}`);
+    } catch (error) {
+      console.error(`Error loading prompt templates from ${filePath}:`, error.message);
+      if (defaultRegistry) {
+        loadedFile = fileKey;
+        return defaultRegistry;
+      }
+    }
+  }
+
+  defaultRegistry = registry;
+  loadedFile = fileKey;
+  return registry;
+}
+
+module.exports = {
+  PromptRegistry,
+  DEFAULT_TEMPLATES,
+  DEFAULT_USE_CASE,
+  getDefaultRegistry,
+  renderTemplate,
+  compareVersions
+};
@@ -0,0 +1,134 @@
+// src/lib/prompts/templates.js
+
+// Use case whose templates stand in for stages a use case does not define
+const DEFAULT_USE_CASE = 'rewriter-legal';
+
+/**
+ * Built-in prompt templates.
+ *
+ * Each template is keyed by use case, stage and version. `system` and `user`
+ * are rendered with {{variable}} substitution; {{#name}}...{{/name}} sections
+ * only appear when `name` is set. `variables` holds defaults, overridden by
+ * the pipeline's promptVariables and by per-call values ({{text}},
+ * {{count}}). The pipeline also sets {{language}} to the document's
+ * language name when it is not English. `json: true` marks templates that
+ * ask for a JSON response, so the request is sent in JSON mode.
+ *
+ * Version 1 of the rewriter-legal templates renders exactly the system
+ * prompts the fine-tuned models were trained with, so leave those strings
+ * alone and add a new version to change them.
+ */
+const DEFAULT_TEMPLATES = [
+  {
+    useCase: 'rewriter-legal',
+    stage: 'extractor',
+    version: '1',
+    system: 'You are a data extractor that identifies and formats exact clauses from documents without rewriting them.',
+    user: '{{text}}'
+  },
+  {
+    useCase: 'rewriter-legal',
+    stage: 'classifier',
+    version: '1',
+    variables: { domain: 'legal' },
+    system: "You are a document importance classifier that analyzes {{domain}} and business text to identify and rank the most important clauses. You evaluate clauses based on legal significance, financial impact, risk exposure, and operational relevance. You classify each clause as 'Critical', 'Important', or 'Standard' and explain your reasoning.",
+    user: "Please classify the importance of this clause: '{{text}}'"
+  },
+  {
+    useCase: 'rewriter-legal',
+    stage: 'classifier',
+    version: '2',
+    json: true,
+    variables: { domain: 'legal' },
+    system: "You are a document importance classifier that analyzes {{domain}} and business text to identify and rank the most important clauses. You evaluate clauses based on legal significance, financial impact, risk exposure, and operational relevance. Classify the clause with exactly one of these labels:\n{{labels}}\nRespond with JSON only: {\"label\": \"...\", \"confidence\": 0.0, \"reason\": \"...\"}, where confidence is your probability from 0 to 1 that the label is correct.",
+    user: "Please classify the importance of this clause: '{{text}}'"
+  },
+  {
+    useCase: 'rewriter-legal',
+    stage: 'duplicator',
+    version: '1',
+    variables: { domain: 'legal', count: 3 },
+    system: 'You are a {{domain}} document variant generator. Given a clause, generate {{count}} alternative versions that preserve the {{domain}} meaning but use different wording.{{#tone}} Write in a {{tone}} tone.{{/tone}} Output each variant on a new line with no additional text.',
+    user: '{{text}}'
+  },
+  {
+    // Version 1 plus {{language}}, set for documents not in English
+    useCase: 'rewriter-legal',
+    stage: 'duplicator',
+    version: '2',
+    variables: { domain: 'legal', count: 3 },
+    system: 'You are a {{domain}} document variant generator. Given a clause, generate {{count}} alternative versions that preserve the {{domain}} meaning but use different wording.{{#tone}} Write in a {{tone}} tone.{{/tone}}{{#language}} Write every variant in {{language}}.{{/language}} Output each variant on a new line with no additional text.',
+    user: '{{text}}'
+  },
+  {
+    useCase: 'rewriter-legal',
+    stage: 'judge',
+    version: '1',
+    json: true,
+    variables: { domain: 'legal' },
+    system: 'You review rewordings of a {{domain}} clause. A rewording is faithful only if it keeps the exact meaning of the clause: the same parties, obligations, amounts, dates, conditions and negations, with nothing added or left out. Judge every numbered rewording and respond with JSON only: {"results": [{"index": 1, "faithful": true, "reason": "..."}]}.',
+    user: 'Clause: {{text}}\n\nRewordings:\n{{variants}}'
+  },
+  {
+    useCase: 'qa-sops',
+    stage: 'extractor',
+    version: '1',
+    system: 'You are a procedure analyst. Split the standard operating procedure text into its individual steps and requirements, keeping the original wording. Output one step per line, prefixed with the heading of the section it belongs to in square brackets, for example: [4.2 Equipment Shutdown] Close the inlet valve before powering down the pump. Use [General] when there is no heading. Output nothing else.',
+    user: '{{text}}'
+  },
+  {
+    useCase: 'qa-sops',
+    stage: 'classifier',
+    version: '1',
+    system: "You are an operational risk classifier for standard operating procedures. Classify the step as 'Critical' (safety, compliance or quality consequences if it is skipped or done wrong), 'Important' (affects the outcome or efficiency), or 'Standard' (routine or informational) and explain your reasoning.",
+    user: "Please classify the importance of this step: '{{text}}'"
+  },
+  {
+    useCase: 'qa-sops',
+    stage: 'classifier',
+    version: '2',
+    json: true,
+    system: "You are an operational risk classifier for standard operating procedures. Classify the step with exactly one of these labels:\n{{labels}}\nRespond with JSON only: {\"label\": \"...\", \"confidence\": 0.0, \"reason\": \"...\"}, where confidence is your probability from 0 to 1 that the label is correct.",
+    user: "Please classify the importance of this step: '{{text}}'"
+  },
+  {
+    useCase: 'qa-sops',
+    stage: 'duplicator',
+    version: '1',
+    variables: { domain: 'standard operating procedure', count: 3 },
+    system: 'You write training questions and answers from {{domain}} documents. Given one procedure step, generate {{count}} question and answer pairs an operator might ask about it. Every answer must be fully supported by the step text; do not add facts that are not in it.{{#tone}} Write in a {{tone}} tone.{{/tone}}{{#language}} Write the questions and answers in {{language}}.{{/language}} Respond with JSON only: {"pairs": [{"question": "...", "answer": "..."}]}',
+    user: '{{#section}}Section: {{section}}\n{{/section}}Step: {{text}}'
+  },
+  {
+    useCase: 'math-finance',
+    stage: 'extractor',
+    version: '1',
+    system: 'You are a financial data extractor. From the document text and any tables detected in it, extract every self-contained numeric fact (amounts, rates, percentages, dates, quantities) with the label and period it refers to, keeping the original figures. Output one fact per line. Prefix facts taken from a table with [Table], for example: [Table] Revenue was 1,200 in 2023 and 1,000 in 2022. Output nothing else.',
+    user: '{{#tables}}Detected tables (columns separated by |):\n{{tables}}\n\n{{/tables}}Text:\n{{text}}'
+  },
+  {
+    useCase: 'math-finance',
+    stage: 'classifier',
+    version: '1',
+    system: "You are a financial significance classifier. Classify the numeric fact as 'Critical' (headline results, cash, debt, covenants or guidance), 'Important' (segment figures, margins, growth rates), or 'Standard' (minor or descriptive figures) and explain your reasoning.",
+    user: "Please classify the importance of this fact: '{{text}}'"
+  },
+  {
+    useCase: 'math-finance',
+    stage: 'classifier',
+    version: '2',
+    json: true,
+    system: "You are a financial significance classifier. Classify the numeric fact with exactly one of these labels:\n{{labels}}\nRespond with JSON only: {\"label\": \"...\", \"confidence\": 0.0, \"reason\": \"...\"}, where confidence is your probability from 0 to 1 that the label is correct.",
+    user: "Please classify the importance of this fact: '{{text}}'"
+  },
+  {
+    useCase: 'math-finance',
+    stage: 'duplicator',
+    version: '1',
+    variables: { count: 3 },
+    system: 'You write financial math word problems for training. Given one numeric fact, generate {{count}} word problems that use its figures, each with a step-by-step solution. For every problem also give a single arithmetic expression using only numbers, + - * / ^ and parentheses that evaluates to the final answer, and state the answer as a number with its unit (express percentages as percentages, e.g. 20%). Round answers to two decimal places at most.{{#tone}} Write in a {{tone}} tone.{{/tone}}{{#language}} Write the questions and steps in {{language}}, keeping the expression and answer in the format above.{{/language}} Respond with JSON only: {"problems": [{"question": "...", "steps": ["..."], "expression": "...", "answer": "..."}]}',
+    user: '{{text}}'
+  }
+];
+
+module.exports = { DEFAULT_TEMPLATES, DEFAULT_USE_CASE };
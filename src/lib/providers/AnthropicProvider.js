@@ -0,0 +1,80 @@
+// src/lib/providers/AnthropicProvider.js
+const { BaseProvider } = require('./BaseProvider');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Provider for the Anthropic Messages API.
+ *
+ * System messages are moved to the top-level `system` field. Anthropic has no
+ * JSON response mode, so JSON requests add an instruction to the system
+ * prompt and prefill the assistant turn with "{" to keep the output parseable.
+ */
+class AnthropicProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      name: 'anthropic',
+      ...options,
+      apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY,
+      baseUrl: options.baseUrl || 'https://api.anthropic.com/v1',
+      model: options.model || 'claude-3-5-haiku-latest'
+    });
+
+    // The Messages API requires max_tokens on every request
+    this.defaultMaxTokens = options.defaultMaxTokens || 1024;
+  }
+
+  buildRequest({ model, messages, temperature, max_tokens, json }) {
+    const systemParts = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content);
+    const conversation = messages
+      .filter(m => m.role !== 'system')
+      .map(m => ({ role: m.role, content: m.content }));
+
+    if (json) {
+      systemParts.push('Respond with a single valid JSON object only, with no other text.');
+      conversation.push({ role: 'assistant', content: '{' });
+    }
+
+    return {
+      url: `${this.baseUrl.replace(/\/$/, '')}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: this._compact({
+        model,
+        system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+        messages: conversation,
+        temperature,
+        max_tokens: max_tokens || this.defaultMaxTokens
+      }),
+      prefill: json ? '{' : ''
+    };
+  }
+
+  parseResponse(data, request = {}) {
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      // Restore the prefilled opening brace
+      content: `${request.prefill || ''}${text}`,
+      usage: this.parseUsage(data),
+      model: data.model
+    };
+  }
+
+  parseUsage(data) {
+    return {
+      promptTokens: data.usage?.input_tokens || 0,
+      completionTokens: data.usage?.output_tokens || 0
+    };
+  }
+}
+
+module.exports = { AnthropicProvider };
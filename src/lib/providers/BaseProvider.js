@@ -0,0 +1,164 @@
+// src/lib/providers/BaseProvider.js
+const ModelApiClient = require('../../../lib/ModelApiClient');
+
+/**
+ * Parse a model response that is expected to contain JSON.
+ * Handles markdown code fences and leading/trailing prose that models
+ * without a native JSON mode tend to add.
+ * @param {string} content - Raw model output
+ * @returns {Object|Array} The parsed JSON value
+ */
+function parseJsonContent(content) {
+  if (typeof content !== 'string') {
+    throw new Error('Model response is not a string');
+  }
+
+  let text = content.trim();
+
+  // Strip ```json ... ``` fences
+  const fenceMatch = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  if (fenceMatch) {
+    text = fenceMatch[1];
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // Fall back to the outermost object or array in the text
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      return JSON.parse(text.substring(start, end + 1));
+    }
+    throw new Error(`Model response is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Base class for LLM providers used by the synthetic data pipeline.
+ *
+ * A provider turns an OpenAI-style chat request ({ model, messages,
+ * temperature, max_tokens, json }) into its own API shape, parses the
+ * response back into { content, json, usage, model } and keeps a running
+ * token count. Network I/O goes through ModelApiClient so retries and rate
+ * limiting behave the same for every backend.
+ */
+class BaseProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+    this.apiKey = options.apiKey || null;
+    this.baseUrl = options.baseUrl || null;
+    this.defaultModel = options.model || options.defaultModel || null;
+
+    this.client = options.client || new ModelApiClient({
+      apiKey: this.apiKey,
+      provider: this,
+      maxRetries: options.maxRetries,
+      retryDelay: options.retryDelay,
+      requestsPerMinute: options.requestsPerMinute,
+      tokensPerMinute: options.tokensPerMinute
+    });
+
+    this.usage = {
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0
+    };
+  }
+
+  /**
+   * Run a chat completion against this provider
+   * @param {Object} params - Request parameters
+   * @param {string} params.model - Model ID (falls back to the provider default)
+   * @param {Array} params.messages - Chat messages ({ role, content })
+   * @param {number} params.temperature - Sampling temperature
+   * @param {number} params.maxTokens - Maximum completion tokens
+   * @param {boolean} params.json - Request a JSON response and parse it
+   * @returns {Promise<Object>} { content, json, usage, model, provider }
+   */
+  async complete(params = {}) {
+    const { model, messages, temperature, maxTokens, json = false } = params;
+    const modelId = model || this.defaultModel;
+
+    if (!modelId) {
+      throw new Error(`No model configured for provider "${this.name}"`);
+    }
+
+    const result = await this.client.makeRequest(modelId, messages, {
+      temperature,
+      max_tokens: maxTokens,
+      json
+    });
+
+    return this._finalizeResult(result, json);
+  }
+
+  /**
+   * Build the HTTP request for this provider's API
+   * @returns {Object} { url, headers, body }
+   */
+  buildRequest(payload) {
+    throw new Error(`buildRequest() not implemented for provider "${this.name}"`);
+  }
+
+  /**
+   * Extract the completion text and usage from a raw API response
+   * @returns {Object} { content, usage, model }
+   */
+  parseResponse(data, request) {
+    throw new Error(`parseResponse() not implemented for provider "${this.name}"`);
+  }
+
+  /**
+   * Extract token usage from a raw API response
+   * @returns {Object} { promptTokens, completionTokens }
+   */
+  parseUsage(data) {
+    return { promptTokens: 0, completionTokens: 0 };
+  }
+
+  /**
+   * Get the accumulated token usage for this provider instance
+   */
+  getUsage() {
+    return { provider: this.name, ...this.usage };
+  }
+
+  // Record usage and parse JSON output when requested
+  _finalizeResult(result, json) {
+    const usage = result.usage || { promptTokens: 0, completionTokens: 0 };
+    const totalTokens = (usage.promptTokens || 0) + (usage.completionTokens || 0);
+
+    this.usage.requests++;
+    this.usage.promptTokens += usage.promptTokens || 0;
+    this.usage.completionTokens += usage.completionTokens || 0;
+    this.usage.totalTokens += totalTokens;
+
+    const finalized = {
+      content: result.content || '',
+      usage: { ...usage, totalTokens },
+      model: result.model,
+      provider: this.name
+    };
+
+    if (json) {
+      finalized.json = parseJsonContent(finalized.content);
+    }
+
+    return finalized;
+  }
+
+  // Drop undefined fields so APIs don't reject the payload
+  _compact(body) {
+    const compacted = {};
+    Object.entries(body).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        compacted[key] = value;
+      }
+    });
+    return compacted;
+  }
+}
+
+module.exports = { BaseProvider, parseJsonContent };
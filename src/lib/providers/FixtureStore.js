@@ -0,0 +1,63 @@
+// src/lib/providers/FixtureStore.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Recorded model responses stored as a JSON file.
+ *
+ * Responses are keyed by a hash of the stage, messages and JSON flag. The
+ * model ID is left out of the key so a recording made against the OpenAI
+ * fine-tuned models replays under the mock provider.
+ */
+class FixtureStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.entries = {};
+
+    if (fs.existsSync(this.filePath)) {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+  }
+
+  /**
+   * Build the lookup key for a completion request
+   * @param {Object} params - Completion params ({ stage, messages, json })
+   * @returns {string} Hex digest
+   */
+  static key({ stage = null, messages = [], json = false }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ stage, messages, json: !!json }))
+      .digest('hex');
+  }
+
+  /**
+   * Get the recorded content for a request
+   * @param {Object} params - Completion params
+   * @returns {string|undefined} Recorded content, if any
+   */
+  get(params) {
+    return this.entries[FixtureStore.key(params)]?.content;
+  }
+
+  /**
+   * Record the content for a request and write the file
+   * @param {Object} params - Completion params
+   * @param {string} content - Model response content
+   */
+  set(params, content) {
+    this.entries[FixtureStore.key(params)] = {
+      stage: params.stage || null,
+      content
+    };
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.entries, null, 2));
+  }
+}
+
+module.exports = { FixtureStore };
@@ -0,0 +1,62 @@
+// src/lib/providers/MockProvider.js
+const { BaseProvider } = require('./BaseProvider');
+const { FixtureStore } = require('./FixtureStore');
+const { ruleBasedResponder } = require('./mockResponder');
+
+/**
+ * Deterministic provider that never touches the network.
+ *
+ * Each request is answered from, in order:
+ *   1. recorded fixtures (`fixtures` option or LLM_MOCK_FIXTURES), when set
+ *   2. a custom `responder(params)` function, when given
+ *   3. the rule-based responder, which produces stage-appropriate output
+ *
+ * With `strict` (or LLM_MOCK_STRICT=true) a fixture miss throws instead of
+ * falling through, so replay tests fail loudly when prompts change. Token
+ * usage is estimated at ~4 characters per token so accounting code paths
+ * still run.
+ */
+class MockProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      name: 'mock',
+      ...options,
+      model: options.model || 'mock-model'
+    });
+
+    const fixtures = options.fixtures || process.env.LLM_MOCK_FIXTURES;
+    this.fixtures = typeof fixtures === 'string' ? new FixtureStore(fixtures) : fixtures || null;
+    this.strict = options.strict ?? process.env.LLM_MOCK_STRICT === 'true';
+    this.responder = options.responder || ruleBasedResponder;
+    this.calls = [];
+  }
+
+  async complete(params = {}) {
+    const { stage = null, messages = [], json = false } = params;
+    const model = params.model || this.defaultModel;
+
+    this.calls.push({ stage, model, messages, json });
+
+    let content = this.fixtures ? this.fixtures.get(params) : undefined;
+    if (content === undefined) {
+      if (this.fixtures && this.strict) {
+        throw new Error(`No recorded response for ${stage || 'unknown'} stage request (${FixtureStore.key(params)})`);
+      }
+      const response = await this.responder({ ...params, model });
+      content = typeof response === 'string' ? response : JSON.stringify(response);
+    }
+
+    const promptText = messages.map(m => m.content || '').join('\n');
+
+    return this._finalizeResult({
+      content,
+      model,
+      usage: {
+        promptTokens: Math.ceil(promptText.length / 4),
+        completionTokens: Math.ceil(content.length / 4)
+      }
+    }, json);
+  }
+}
+
+module.exports = { MockProvider };
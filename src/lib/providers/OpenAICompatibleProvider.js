@@ -0,0 +1,27 @@
+// src/lib/providers/OpenAICompatibleProvider.js
+const { OpenAIProvider } = require('./OpenAIProvider');
+
+/**
+ * Provider for local or self-hosted servers that expose the OpenAI chat
+ * completions API (Ollama, vLLM, LM Studio, llama.cpp server).
+ *
+ * The API key is optional. Servers that reject response_format can set
+ * supportsJsonMode: false (or LLM_JSON_MODE=false), in which case the JSON
+ * instruction is added to the system prompt instead.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'openai-compatible',
+      apiKey: options.apiKey || process.env.LLM_API_KEY || 'not-needed',
+      baseUrl: options.baseUrl || process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+      model: options.model || process.env.LLM_MODEL,
+      supportsJsonMode: options.supportsJsonMode !== undefined
+        ? options.supportsJsonMode
+        : process.env.LLM_JSON_MODE !== 'false'
+    });
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
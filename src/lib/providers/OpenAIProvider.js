@@ -0,0 +1,84 @@
+// src/lib/providers/OpenAIProvider.js
+const { BaseProvider } = require('./BaseProvider');
+
+/**
+ * Provider for the OpenAI chat completions API, including fine-tuned models.
+ * Also serves as the base for OpenAI-compatible servers.
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      name: 'openai',
+      ...options,
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      baseUrl: options.baseUrl || 'https://api.openai.com/v1'
+    });
+
+    // Whether the server understands response_format: { type: 'json_object' }
+    this.supportsJsonMode = options.supportsJsonMode !== false;
+  }
+
+  buildRequest({ model, messages, temperature, max_tokens, json }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    let requestMessages = messages;
+    let responseFormat;
+
+    if (json) {
+      if (this.supportsJsonMode) {
+        responseFormat = { type: 'json_object' };
+      } else {
+        requestMessages = appendJsonInstruction(messages);
+      }
+    }
+
+    return {
+      url: `${this.baseUrl.replace(/\/$/, '')}/chat/completions`,
+      headers,
+      body: this._compact({
+        model,
+        messages: requestMessages,
+        temperature,
+        max_tokens,
+        response_format: responseFormat
+      })
+    };
+  }
+
+  parseResponse(data) {
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      usage: this.parseUsage(data),
+      model: data.model
+    };
+  }
+
+  parseUsage(data) {
+    return {
+      promptTokens: data.usage?.prompt_tokens || 0,
+      completionTokens: data.usage?.completion_tokens || 0
+    };
+  }
+}
+
+/**
+ * Add a JSON-only instruction to the system prompt for servers without a
+ * native JSON mode
+ */
+function appendJsonInstruction(messages) {
+  const instruction = 'Respond with valid JSON only. Do not wrap it in markdown or add any other text.';
+  const hasSystem = messages.some(m => m.role === 'system');
+
+  if (!hasSystem) {
+    return [{ role: 'system', content: instruction }, ...messages];
+  }
+
+  return messages.map(m =>
+    m.role === 'system' ? { ...m, content: `${m.content}\n\n${instruction}` } : m
+  );
+}
+
+module.exports = { OpenAIProvider, appendJsonInstruction };
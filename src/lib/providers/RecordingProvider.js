@@ -0,0 +1,50 @@
+// src/lib/providers/RecordingProvider.js
+const { BaseProvider } = require('./BaseProvider');
+const { FixtureStore } = require('./FixtureStore');
+
+/**
+ * Wraps a real provider and records every response to a fixture file that
+ * MockProvider can replay offline.
+ *
+ * The wrapped provider comes from the `target` option, LLM_RECORD_PROVIDER,
+ * or "openai". The fixture file comes from `fixtures` or LLM_MOCK_FIXTURES.
+ */
+class RecordingProvider extends BaseProvider {
+  constructor(options = {}) {
+    // Loaded here to avoid a circular import with the registry
+    const { createProvider } = require('./index');
+
+    const { target, fixtures, ...targetOptions } = options;
+    const targetConfig = target || process.env.LLM_RECORD_PROVIDER || 'openai';
+    const provider = createProvider(
+      typeof targetConfig === 'string' ? { type: targetConfig, ...targetOptions } : targetConfig
+    );
+
+    // Report the wrapped provider's name so stage model defaults still apply
+    super({
+      name: provider.name,
+      model: provider.defaultModel,
+      client: provider.client
+    });
+
+    const fixturePath = fixtures || process.env.LLM_MOCK_FIXTURES;
+    if (!fixturePath) {
+      throw new Error('RecordingProvider requires a fixture file (fixtures option or LLM_MOCK_FIXTURES)');
+    }
+
+    this.target = provider;
+    this.fixtures = typeof fixturePath === 'string' ? new FixtureStore(fixturePath) : fixturePath;
+  }
+
+  async complete(params = {}) {
+    const result = await this.target.complete(params);
+    this.fixtures.set(params, result.content);
+    return result;
+  }
+
+  getUsage() {
+    return this.target.getUsage();
+  }
+}
+
+module.exports = { RecordingProvider };
@@ -0,0 +1,126 @@
+// src/lib/providers/index.js
+const { BaseProvider, parseJsonContent } = require('./BaseProvider');
+const { OpenAIProvider } = require('./OpenAIProvider');
+const { OpenAICompatibleProvider } = require('./OpenAICompatibleProvider');
+const { AnthropicProvider } = require('./AnthropicProvider');
+const { MockProvider } = require('./MockProvider');
+const { RecordingProvider } = require('./RecordingProvider');
+const { FixtureStore } = require('./FixtureStore');
+
+// Pipeline stages that each resolve their own provider and model
+const PIPELINE_STAGES = ['extractor', 'classifier', 'duplicator'];
+
+// Provider types available to pipeline configuration
+const providerRegistry = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  local: OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  mock: MockProvider,
+  record: RecordingProvider
+};
+
+/**
+ * Register an additional provider type
+ * @param {string} type - Name used in configuration (e.g. "azure")
+ * @param {Function} ProviderClass - Class extending BaseProvider
+ */
+function registerProvider(type, ProviderClass) {
+  providerRegistry[type] = ProviderClass;
+}
+
+/**
+ * Create a provider from configuration
+ * @param {string|Object|BaseProvider} config - Provider type, { type, ...options }, or an instance
+ * @returns {BaseProvider} The provider instance
+ */
+function createProvider(config = {}) {
+  if (config instanceof BaseProvider) {
+    return config;
+  }
+
+  const { type = 'openai', ...options } = typeof config === 'string' ? { type: config } : config;
+  const ProviderClass = providerRegistry[type];
+
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider "${type}". Available: ${Object.keys(providerRegistry).join(', ')}`);
+  }
+
+  return new ProviderClass(options);
+}
+
+/**
+ * Resolve the provider and model for every pipeline stage.
+ *
+ * Per stage, the first match wins:
+ *   1. options.providers[stage]  (type string, config object or instance)
+ *   2. options.provider          (shared default for all stages)
+ *   3. LLM_<STAGE>_PROVIDER, then LLM_PROVIDER environment variables
+ *   4. "openai"
+ *
+ * The model comes from the stage config, options.<stage>Model,
+ * LLM_<STAGE>_MODEL, then `defaultModels[stage]` for OpenAI or the
+ * provider's own default model for other backends.
+ *
+ * @param {Object} options - Pipeline options
+ * @param {Object} defaultModels - Default OpenAI model IDs keyed by stage
+ * @returns {Object} { extractor: { provider, model }, classifier: ..., duplicator: ... }
+ */
+function resolveStageProviders(options = {}, defaultModels = {}) {
+  const instances = new Map();
+  const stages = {};
+
+  for (const stage of PIPELINE_STAGES) {
+    const envPrefix = `LLM_${stage.toUpperCase()}`;
+    let config = options.providers?.[stage]
+      || options.provider
+      || process.env[`${envPrefix}_PROVIDER`]
+      || process.env.LLM_PROVIDER
+      || 'openai';
+
+    if (typeof config === 'string') {
+      config = { type: config };
+    }
+
+    let provider;
+    if (config instanceof BaseProvider) {
+      provider = config;
+    } else {
+      // Stages with identical config share one provider instance
+      const { model, ...providerConfig } = config;
+      if (options.apiKey && !providerConfig.apiKey && (providerConfig.type || 'openai') === 'openai') {
+        providerConfig.apiKey = options.apiKey;
+      }
+      const key = JSON.stringify(providerConfig);
+      if (!instances.has(key)) {
+        instances.set(key, createProvider(providerConfig));
+      }
+      provider = instances.get(key);
+    }
+
+    const model = config.model
+      || options[`${stage}Model`]
+      || process.env[`${envPrefix}_MODEL`]
+      || (provider.name === 'openai' ? defaultModels[stage] : null)
+      || provider.defaultModel;
+
+    stages[stage] = { provider, model };
+  }
+
+  return stages;
+}
+
+module.exports = {
+  BaseProvider,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  MockProvider,
+  RecordingProvider,
+  FixtureStore,
+  PIPELINE_STAGES,
+  createProvider,
+  registerProvider,
+  resolveStageProviders,
+  parseJsonContent
+};
@@ -0,0 +1,309 @@
+// src/lib/providers/mockResponder.js
+
+// Keyword rules used by the mock classifier, checked in order
+const CLASSIFICATION_RULES = [
+  { label: 'Critical', pattern: /\b(shall|must|required|terminat\w*|liab\w*|indemn\w*|breach|penalt\w*|governed by)\b/i },
+  { label: 'Important', pattern: /\b(should|may|payment|invoice|fee\w*|notice|deadline|within \d+ days)\b/i }
+];
+
+// Word substitutions used by the mock duplicator to produce rewrites
+const SYNONYMS = {
+  shall: 'will',
+  must: 'is required to',
+  submit: 'provide',
+  within: 'no later than',
+  agreement: 'contract',
+  payment: 'remittance',
+  terminate: 'end',
+  required: 'necessary',
+  documentation: 'paperwork',
+  days: 'calendar days'
+};
+
+// Sentence frames applied on top of the substitutions, one per variant
+const VARIANT_FRAMES = [
+  text => text,
+  text => `For the avoidance of doubt, ${lowerFirst(text)}`,
+  text => `Under the terms set out here, ${lowerFirst(text)}`,
+  text => `It is agreed that ${lowerFirst(text)}`,
+  text => `As a matter of record, ${lowerFirst(text)}`
+];
+
+// Question frames used by the mock Q&A generator
+const QUESTION_FRAMES = [
+  section => `What does the procedure require${section ? ` in ${section}` : ''}?`,
+  () => 'What step does the procedure describe here?',
+  () => 'According to the procedure, what must be done?',
+  section => `Which instruction applies${section ? ` under ${section}` : ''}?`,
+  () => 'What is the documented requirement for this step?'
+];
+
+// Word problem frames used by the mock math generator; `b` is only set
+// when the fact has a second figure
+const PROBLEM_FRAMES = [
+  ({ a, b }) => b !== undefined && {
+    question: `By how much does ${a} exceed ${b}?`,
+    steps: [`Subtract ${b} from ${a}.`],
+    expression: `${a} - ${b}`,
+    value: a - b
+  },
+  ({ a, b }) => b !== undefined && b !== 0 && {
+    question: `What is the percentage change from ${b} to ${a}?`,
+    steps: [`Find the change: ${a} - ${b}.`, `Divide the change by ${b} and multiply by 100.`],
+    expression: `(${a} - ${b}) / ${b} * 100`,
+    value: (a - b) / b * 100,
+    unit: '%'
+  },
+  ({ a, b }) => b !== undefined && {
+    question: `What is the combined total of ${a} and ${b}?`,
+    steps: [`Add ${a} and ${b}.`],
+    expression: `${a} + ${b}`,
+    value: a + b
+  },
+  ({ a }) => ({
+    question: `If ${a} grows by 10%, what is the new value?`,
+    steps: [`A 10% increase multiplies the value by 1.1.`, `Multiply ${a} by 1.1.`],
+    expression: `${a} * 1.1`,
+    value: a * 1.1
+  }),
+  ({ a }) => ({
+    question: `If ${a} is spread evenly over 4 quarters, how much is each quarter?`,
+    steps: [`Divide ${a} by 4.`],
+    expression: `${a} / 4`,
+    value: a / 4
+  })
+];
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+/**
+ * Work out which pipeline stage a request belongs to from its system prompt
+ * @param {Array} messages - Chat messages
+ * @returns {string|null} extractor, classifier, duplicator, judge or null
+ */
+function detectStage(messages = []) {
+  const system = messages
+    .filter(m => m.role === 'system')
+    .map(m => m.content || '')
+    .join(' ')
+    .toLowerCase();
+
+  if (/classif/.test(system)) return 'classifier';
+  if (/faithful/.test(system)) return 'judge';
+  if (/variant|rewrite|alternative|express the same meaning|question and answer|word problem/.test(system)) return 'duplicator';
+  if (/extract/.test(system)) return 'extractor';
+  return null;
+}
+
+/**
+ * Split text into sentence-like clauses
+ * @param {string} text - Source text
+ * @returns {Array<string>} Clauses of at least 20 characters
+ */
+function splitClauses(text) {
+  return (text.match(/[^.!?\n]+[.!?]?/g) || [])
+    .map(s => s.trim())
+    .filter(s => s.length >= 20);
+}
+
+/**
+ * Classify a clause with the keyword rules
+ * @param {string} clause - Clause text
+ * @returns {string} Critical, Important or Standard
+ */
+function classifyClause(clause) {
+  const rule = CLASSIFICATION_RULES.find(r => r.pattern.test(clause));
+  return rule ? rule.label : 'Standard';
+}
+
+/**
+ * Build deterministic rewrites of a clause
+ * @param {string} clause - Clause text
+ * @param {number} count - Number of variants
+ * @returns {Array<string>} Variants, all different from the clause
+ */
+function rewriteClause(clause, count = 3) {
+  const substituted = clause.replace(/\b\w+\b/g, word => {
+    const replacement = SYNONYMS[word.toLowerCase()];
+    if (!replacement) return word;
+    return /^[A-Z]/.test(word)
+      ? replacement.charAt(0).toUpperCase() + replacement.slice(1)
+      : replacement;
+  });
+
+  const variants = [];
+  for (let i = 0; variants.length < count && i < VARIANT_FRAMES.length; i++) {
+    const variant = VARIANT_FRAMES[i](substituted);
+    if (variant !== clause && !variants.includes(variant)) {
+      variants.push(variant);
+    }
+  }
+  return variants;
+}
+
+/**
+ * Build deterministic question/answer pairs grounded in a procedure step
+ * @param {string} step - Step text (the answer)
+ * @param {string} section - Section heading, if any
+ * @param {number} count - Number of pairs
+ * @returns {Array<Object>} { question, answer } pairs
+ */
+function questionPairs(step, section, count = 3) {
+  return QUESTION_FRAMES
+    .slice(0, count)
+    .map(frame => ({ question: frame(section), answer: step }));
+}
+
+/**
+ * Pick out numeric facts from a math-finance extractor request: one line per
+ * detected table row (prefixed with [Table]) and each sentence of the text
+ * that contains a figure
+ * @param {string} input - Extractor user message
+ * @returns {Array<string>} Fact lines
+ */
+function numericFacts(input) {
+  const [tablePart, textPart] = input.includes('Text:\n')
+    ? [input.slice(0, input.lastIndexOf('Text:\n')), input.slice(input.lastIndexOf('Text:\n') + 6)]
+    : ['', input];
+
+  // The row after each "Table N:" label is the header
+  const tableLines = tablePart.split('\n');
+  const tableFacts = tableLines
+    .filter((line, i) => line.includes('|') && /\d/.test(line) && !/^Table \d+:$/.test(tableLines[i - 1] || ''))
+    .map(line => `[Table] ${line.trim()}`);
+
+  // Tabular lines in the text are already covered by the table rows
+  const textFacts = textPart
+    .split('\n')
+    .filter(line => !/\t|\S {2,}\S/.test(line))
+    .flatMap(line => splitClauses(line))
+    .filter(clause => /\d/.test(clause));
+
+  return [...tableFacts, ...textFacts];
+}
+
+/**
+ * Build deterministic word problems with correct answers from a fact's
+ * first two figures (years are skipped when there are other figures)
+ * @param {string} fact - Numeric fact
+ * @param {number} count - Number of problems
+ * @returns {Array<Object>} { question, steps, expression, answer } problems
+ */
+function wordProblems(fact, count = 3) {
+  const figures = (fact.match(/\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?/g) || [])
+    .map(figure => parseFloat(figure.replace(/,/g, '')));
+  const amounts = figures.filter(n => !(Number.isInteger(n) && n >= 1900 && n <= 2100));
+  const [a, b] = amounts.length > 0 ? amounts : figures;
+  if (a === undefined) return [];
+
+  return PROBLEM_FRAMES
+    .map(frame => frame({ a, b }))
+    .filter(Boolean)
+    .slice(0, count)
+    .map(({ unit = '', value, ...problem }) => {
+      const answer = `${Math.round(value * 100) / 100}${unit}`;
+      return { ...problem, steps: [...problem.steps, `The result is ${answer}.`], answer };
+    });
+}
+
+/**
+ * Rule-based responder for MockProvider.
+ *
+ * Produces stage-appropriate output in the plain-text formats the pipeline
+ * parses (or as JSON when the request asks for it), so every stage runs for
+ * real without network access. Output depends only on the request, which
+ * keeps test runs repeatable.
+ *
+ * @param {Object} params - Completion params ({ stage, messages, json })
+ * @returns {string} Model response content
+ */
+function ruleBasedResponder({ stage, messages = [], json = false }) {
+  const resolvedStage = stage || detectStage(messages);
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const input = lastUser ? lastUser.content || '' : '';
+
+  switch (resolvedStage) {
+    case 'extractor': {
+      const system = messages.find(m => m.role === 'system')?.content || '';
+      const clauses = /numeric fact/i.test(system) ? numericFacts(input) : splitClauses(input);
+      return json
+        ? JSON.stringify({ clauses: clauses.map(text => ({ text })) })
+        : clauses.join('\n');
+    }
+    case 'classifier': {
+      // The classifier prompt wraps the clause in single quotes
+      const quoted = input.match(/'([\s\S]*)'/);
+      const clause = quoted ? quoted[1] : input;
+      const classification = classifyClause(clause);
+      if (!json) {
+        return `${classification} - classified by keyword rules`;
+      }
+
+      // Map the keyword level onto the "- Label: description" list in the
+      // prompt by rank (first, second, last)
+      const system = messages.find(m => m.role === 'system')?.content || '';
+      const labels = [...system.matchAll(/^- ([^:\n]+)/gm)].map(m => m[1].trim());
+      const rank = ['Critical', 'Important', 'Standard'].indexOf(classification);
+      const label = labels.length > 0
+        ? labels[rank === 2 ? labels.length - 1 : Math.min(rank, labels.length - 1)]
+        : classification;
+      const matched = CLASSIFICATION_RULES.some(rule => rule.pattern.test(clause));
+      return JSON.stringify({ label, confidence: matched ? 0.9 : 0.6, reason: 'classified by keyword rules' });
+    }
+    case 'duplicator': {
+      const system = messages.find(m => m.role === 'system')?.content || '';
+      const requested = system.match(/\b(?:generate|Generate)\s+(\d+)/);
+      const count = requested ? parseInt(requested[1], 10) : 3;
+
+      // Q&A generation: the user message is "Section: ...\nStep: ..."
+      if (/question and answer/i.test(system)) {
+        const section = input.match(/^Section:\s*(.+)$/m);
+        const step = input.match(/^Step:\s*([\s\S]+)$/m);
+        const pairs = questionPairs(step ? step[1].trim() : input.trim(), section ? section[1].trim() : null, count);
+        return json
+          ? JSON.stringify({ pairs })
+          : pairs.map(p => `Q: ${p.question} A: ${p.answer}`).join('\n');
+      }
+
+      // Financial word problems: the user message is the fact
+      if (/word problem/i.test(system)) {
+        const problems = wordProblems(input.trim(), count);
+        return json
+          ? JSON.stringify({ problems })
+          : problems.map(p => `Q: ${p.question} A: ${p.answer}`).join('\n');
+      }
+
+      const variants = rewriteClause(input.trim(), count);
+      return json ? JSON.stringify({ variants }) : variants.join('\n');
+    }
+    case 'judge': {
+      // The user message is "Clause: ...\n\nRewordings:\n1. ...\n2. ..."
+      const clause = (input.match(/^Clause:\s*(.+)$/m) || [])[1] || '';
+      const negated = text => /\b(not|never)\b|n't\b|\bno\b(?! (later|earlier|less|more|fewer) than)/i.test(text);
+      const results = [...input.matchAll(/^(\d+)\.\s+(.+)$/gm)].map(match => {
+        const faithful = negated(match[2]) === negated(clause);
+        return {
+          index: parseInt(match[1], 10),
+          faithful,
+          reason: faithful ? 'keeps the meaning of the clause' : 'changes whether the clause is negated'
+        };
+      });
+      return JSON.stringify({ results });
+    }
+    default:
+      return json ? '{}' : input;
+  }
+}
+
+module.exports = {
+  ruleBasedResponder,
+  detectStage,
+  splitClauses,
+  classifyClause,
+  rewriteClause,
+  questionPairs,
+  numericFacts,
+  wordProblems
+};
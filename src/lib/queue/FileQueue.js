@@ -0,0 +1,243 @@
+// src/lib/queue/FileQueue.js
+const fs = require('fs').promises;
+const path = require('path');
+const { JobQueue, JOB_STATUS, userKey } = require('./JobQueue');
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10000;
+// A lock file older than this was left by a crashed process
+const LOCK_STALE_MS = 30000;
+
+/**
+ * Local queue driver backed by files, shared by every process on the
+ * machine (the Next.js server and standalone workers).
+ *
+ * The job index (jobs.json) holds the job metadata and is rewritten under a
+ * lock file; payloads and results are kept in their own files so large
+ * documents are not rewritten on every progress update.
+ */
+class FileQueue extends JobQueue {
+  /**
+   * @param {Object} options - Queue options, plus `dir` (default QUEUE_DIR or
+   *   .queue in the working directory)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.dir = path.resolve(options.dir || process.env.QUEUE_DIR || path.join(process.cwd(), '.queue'));
+    this.indexPath = path.join(this.dir, 'jobs.json');
+    this.lockPath = path.join(this.dir, 'jobs.lock');
+    // Index updates from this process run one at a time; the lock file
+    // serializes them with other processes
+    this._pending = Promise.resolve();
+  }
+
+  async enqueue(type, payload, options = {}) {
+    const job = this._createJob(type, payload, options);
+
+    await this._withIndex(async index => {
+      const existing = index[job.id];
+      if (existing && !this._canReplace(existing, options)) {
+        throw new Error(`Job ${job.id} already exists`);
+      }
+      // Written under the lock so a job that is still running keeps its payload
+      await this._writeJson(this._payloadPath(job.id), job.payload);
+      if (existing) {
+        await fs.unlink(this._resultPath(job.id)).catch(() => {});
+      }
+      index[job.id] = this._summary(job);
+    });
+    return job;
+  }
+
+  async lease(workerId, options = {}) {
+    const now = Date.now();
+    const leased = await this._withIndex(index => {
+      const jobs = Object.values(index);
+      // Users' turns come from the lease times of the jobs still in the
+      // index (finished jobs are kept for the retention period)
+      const lastLeasedAt = {};
+      for (const job of jobs) {
+        if (job.leasedAt > (lastLeasedAt[userKey(job)] || 0)) {
+          lastLeasedAt[userKey(job)] = job.leasedAt;
+        }
+      }
+      const candidates = this._schedule(jobs.filter(job => this._isLeasable(job, now, options.types)), jobs, lastLeasedAt);
+
+      for (const job of candidates) {
+        Object.assign(job, this._leaseFields(job, workerId, now));
+        if (this._holdsLease(job, workerId)) {
+          return { ...job };
+        }
+      }
+      return null;
+    });
+
+    return leased ? { ...leased, payload: await this._readJson(this._payloadPath(leased.id)) } : null;
+  }
+
+  async heartbeat(jobId, workerId) {
+    return this._withIndex(index => {
+      const job = index[jobId];
+      if (!this._holdsLease(job, workerId)) return false;
+      job.leaseExpiresAt = Date.now() + this.options.leaseMs;
+      return true;
+    });
+  }
+
+  async complete(jobId, workerId, result) {
+    const holds = await this._withIndex(index => this._holdsLease(index[jobId], workerId));
+    if (!holds) return false;
+
+    // The result is written before the job is marked complete, so a
+    // completed job always has its result
+    await this._writeJson(this._resultPath(jobId), result === undefined ? null : result);
+    return this._withIndex(index => {
+      const job = index[jobId];
+      if (!this._holdsLease(job, workerId)) return false;
+      // The index keeps metadata only
+      const fields = this._completeFields(result);
+      delete fields.result;
+      Object.assign(job, fields);
+      return true;
+    });
+  }
+
+  async fail(jobId, workerId, error) {
+    return this._withIndex(index => {
+      const job = index[jobId];
+      if (!this._holdsLease(job, workerId)) return null;
+      Object.assign(job, this._failFields(job, error));
+      return { ...job };
+    });
+  }
+
+  async updateProgress(jobId, progress) {
+    return this._withIndex(index => {
+      const job = index[jobId];
+      if (!job) return false;
+      job.progress = { ...job.progress, ...progress };
+      job.updatedAt = Date.now();
+      return true;
+    });
+  }
+
+  async retry(jobId) {
+    return this._withIndex(index => {
+      const job = index[jobId];
+      if (!job || job.status !== JOB_STATUS.DEAD) return null;
+      Object.assign(job, this._retryFields());
+      return { ...job };
+    });
+  }
+
+  async get(jobId) {
+    const index = await this._readIndex();
+    const job = index[jobId];
+    if (!job) return null;
+
+    const [payload, result] = await Promise.all([
+      this._readJson(this._payloadPath(jobId)),
+      job.status === JOB_STATUS.COMPLETED ? this._readJson(this._resultPath(jobId)) : null
+    ]);
+    return { ...job, payload, result };
+  }
+
+  async list(filter = {}) {
+    const jobs = Object.values(await this._readIndex())
+      .filter(job => !filter.status || job.status === filter.status)
+      .filter(job => !filter.userId || job.userId === filter.userId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    return filter.limit ? jobs.slice(-filter.limit) : jobs;
+  }
+
+  _payloadPath(jobId) {
+    return path.join(this.dir, 'payloads', `${encodeURIComponent(jobId)}.json`);
+  }
+
+  _resultPath(jobId) {
+    return path.join(this.dir, 'results', `${encodeURIComponent(jobId)}.json`);
+  }
+
+  async _readIndex() {
+    return (await this._readJson(this.indexPath)) || {};
+  }
+
+  /**
+   * Read, change and write the index under the lock. Jobs past their
+   * retention are pruned on the way.
+   * @param {Function} update - Called with the index, may change it in place
+   * @returns {Promise<*>} What update returned
+   */
+  _withIndex(update) {
+    const run = this._pending.then(() => this._updateIndex(update));
+    this._pending = run.catch(() => {});
+    return run;
+  }
+
+  async _updateIndex(update) {
+    await this._lock();
+    let pruned = [];
+    try {
+      const index = await this._readIndex();
+      const now = Date.now();
+      pruned = Object.keys(index).filter(id => this._isExpired(index[id], now));
+      pruned.forEach(id => delete index[id]);
+
+      const value = await update(index);
+      await this._writeJson(this.indexPath, index);
+      return value;
+    } finally {
+      await fs.unlink(this.lockPath).catch(() => {});
+      await Promise.all(pruned.flatMap(id => [
+        fs.unlink(this._payloadPath(id)).catch(() => {}),
+        fs.unlink(this._resultPath(id)).catch(() => {})
+      ]));
+    }
+  }
+
+  async _lock() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const started = Date.now();
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stat = await fs.stat(this.lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        console.warn(`Removing stale queue lock ${this.lockPath}`);
+        await fs.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() - started > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for queue lock ${this.lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  async _readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temporary file and rename, so readers never see a partial file
+  async _writeJson(filePath, value) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value));
+    await fs.rename(tempPath, filePath);
+  }
+}
+
+module.exports = { FileQueue };
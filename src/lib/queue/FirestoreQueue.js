@@ -0,0 +1,246 @@
+// src/lib/queue/FirestoreQueue.js
+const { JobQueue, JOB_STATUS, userKey } = require('./JobQueue');
+
+// Firestore rejects documents over 1 MiB; keep room for the job fields
+const MAX_DOCUMENT_BYTES = 900 * 1024;
+
+// Job fields read when listing and picking jobs: everything but payload and result
+const LIST_FIELDS = [
+  'id', 'type', 'userId', 'priority', 'maxConcurrent', 'status', 'attempts',
+  'maxAttempts', 'availableAt', 'leaseOwner', 'leaseExpiresAt', 'leasedAt',
+  'progress', 'lastError', 'errors', 'createdAt', 'updatedAt', 'completedAt'
+];
+
+// Firestore rejects undefined values, which JSON drops
+function toPlain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Queue driver backed by Firestore (Admin SDK), shared by every server
+ * instance and worker of a deployment.
+ *
+ * Leasing runs in a transaction, so two workers never take the same job,
+ * and a user's concurrency limit is checked against their leased jobs in
+ * the same transaction. Leasing queries need composite indexes on (status,
+ * availableAt), (status, leaseExpiresAt) and (status, userId). Each user's
+ * last lease time, for turn taking, is kept in the "<collection>Users"
+ * collection.
+ */
+class FirestoreQueue extends JobQueue {
+  /**
+   * @param {Object} options - Queue options, plus `collection` (default
+   *   "jobQueue") and `db` (default: the Admin SDK Firestore)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.collectionName = options.collection || 'jobQueue';
+    this.usersCollectionName = `${this.collectionName}Users`;
+    this._db = options.db || null;
+  }
+
+  async enqueue(type, payload, options = {}) {
+    const job = this._createJob(type, payload, options);
+    this._checkSize(job, 'payload');
+
+    const ref = (await this._collection()).doc(job.id);
+    if (!options.replace) {
+      // create() fails if the job ID is already taken
+      await ref.create(job);
+      return job;
+    }
+
+    await (await this._database()).runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      if (snapshot.exists && !this._canReplace(snapshot.data(), options)) {
+        throw new Error(`Job ${job.id} already exists`);
+      }
+      transaction.set(ref, job);
+    });
+    return job;
+  }
+
+  async lease(workerId, options = {}) {
+    const db = await this._database();
+    const collection = await this._collection();
+    // Candidates are read outside the transaction and re-checked inside it
+    const candidates = await this._leaseCandidates(collection, options.types);
+
+    for (const candidate of candidates) {
+      const ref = collection.doc(candidate.id);
+      const leased = await db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        const job = snapshot.exists ? snapshot.data() : null;
+        const now = Date.now();
+        if (!job || !this._isLeasable(job, now, options.types)) return null;
+        if (job.maxConcurrent && await this._activeLeases(transaction, collection, job, now) >= job.maxConcurrent) {
+          return null;
+        }
+
+        const fields = this._withExpiry(this._leaseFields(job, workerId, now));
+        transaction.update(ref, fields);
+        if (fields.status === JOB_STATUS.LEASED) {
+          transaction.set(db.collection(this.usersCollectionName).doc(userKey(job)), { lastLeasedAt: now }, { merge: true });
+        }
+        return { ...job, ...fields };
+      });
+
+      if (this._holdsLease(leased, workerId)) {
+        return leased;
+      }
+    }
+    return null;
+  }
+
+  async heartbeat(jobId, workerId) {
+    const job = await this._updateLeased(jobId, workerId, () => ({ leaseExpiresAt: Date.now() + this.options.leaseMs }));
+    return Boolean(job);
+  }
+
+  async complete(jobId, workerId, result) {
+    let fields = this._withExpiry(this._completeFields(toPlain(result)));
+    try {
+      this._checkSize(fields, 'result');
+    } catch (error) {
+      // Keep the stats of results too large for the job document; the full
+      // output is saved by the job handler (document results, datasets)
+      console.warn(`${error.message}; storing stats only for job ${jobId}`);
+      fields = { ...fields, result: { truncated: true, stats: result?.stats || null } };
+    }
+    return Boolean(await this._updateLeased(jobId, workerId, () => fields));
+  }
+
+  async fail(jobId, workerId, error) {
+    return this._updateLeased(jobId, workerId, job => this._withExpiry(this._failFields(job, error)));
+  }
+
+  async updateProgress(jobId, progress) {
+    // Field paths merge into the stored progress; update() fails for a job
+    // that does not exist instead of creating a partial one
+    const fields = Object.fromEntries(Object.entries(toPlain(progress)).map(([key, value]) => [`progress.${key}`, value]));
+    try {
+      await (await this._collection()).doc(jobId).update({ ...fields, updatedAt: Date.now() });
+      return true;
+    } catch (error) {
+      console.error(`Error updating progress for job ${jobId}:`, error.message);
+      return false;
+    }
+  }
+
+  async retry(jobId) {
+    const db = await this._database();
+    const ref = (await this._collection()).doc(jobId);
+    return db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const job = snapshot.exists ? snapshot.data() : null;
+      if (!job || job.status !== JOB_STATUS.DEAD) return null;
+
+      const fields = this._retryFields();
+      transaction.update(ref, fields);
+      return { ...job, ...fields };
+    });
+  }
+
+  async get(jobId) {
+    const snapshot = await (await this._collection()).doc(jobId).get();
+    return snapshot.exists ? snapshot.data() : null;
+  }
+
+  async list(filter = {}) {
+    let query = await this._collection();
+    if (filter.status) query = query.where('status', '==', filter.status);
+    if (filter.userId) query = query.where('userId', '==', filter.userId);
+    query = query.select(...LIST_FIELDS);
+    if (filter.limit) query = query.limit(filter.limit);
+
+    const snapshot = await query.get();
+    return snapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async _leaseCandidates(collection, types) {
+    const now = Date.now();
+    const [queued, leased] = await Promise.all([
+      collection.where('status', '==', JOB_STATUS.QUEUED).where('availableAt', '<=', now)
+        .orderBy('availableAt').limit(50).select(...LIST_FIELDS).get(),
+      collection.where('status', '==', JOB_STATUS.LEASED).select(...LIST_FIELDS).get()
+    ]);
+
+    const activeJobs = leased.docs.map(doc => doc.data());
+    const candidates = [...queued.docs.map(doc => doc.data()), ...activeJobs]
+      .filter(job => this._isLeasable(job, now, types));
+
+    return this._schedule(candidates, activeJobs, await this._lastLeasedAt(candidates));
+  }
+
+  // When each candidate's user last got a job
+  async _lastLeasedAt(candidates) {
+    const keys = [...new Set(candidates.map(userKey))];
+    if (keys.length === 0) return {};
+
+    const db = await this._database();
+    const snapshots = await db.getAll(...keys.map(key => db.collection(this.usersCollectionName).doc(key)));
+    return Object.fromEntries(snapshots
+      .filter(snapshot => snapshot.exists)
+      .map(snapshot => [snapshot.id, snapshot.data().lastLeasedAt || 0]));
+  }
+
+  // Unexpired leases of the job's user, read in the lease transaction
+  async _activeLeases(transaction, collection, job, now) {
+    const snapshot = await transaction.get(
+      collection.where('status', '==', JOB_STATUS.LEASED).where('userId', '==', job.userId)
+    );
+    return snapshot.docs.filter(doc => doc.data().leaseExpiresAt > now).length;
+  }
+
+  // Apply fields to a job in a transaction if the worker still holds its
+  // lease. Returns the updated job, or null.
+  async _updateLeased(jobId, workerId, fieldsFor) {
+    const db = await this._database();
+    const ref = (await this._collection()).doc(jobId);
+    return db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const job = snapshot.exists ? snapshot.data() : null;
+      if (!this._holdsLease(job, workerId)) return null;
+
+      const fields = fieldsFor(job);
+      transaction.update(ref, fields);
+      return { ...job, ...fields };
+    });
+  }
+
+  // Finished jobs get an expireAt date for a Firestore TTL policy, which
+  // prunes them after the retention period
+  _withExpiry(fields) {
+    return fields.completedAt
+      ? { ...fields, expireAt: new Date(fields.completedAt + this.options.retentionMs) }
+      : fields;
+  }
+
+  _checkSize(value, what) {
+    const bytes = Buffer.byteLength(JSON.stringify(value));
+    if (bytes > MAX_DOCUMENT_BYTES) {
+      const error = new Error(`Job ${what} is ${Math.round(bytes / 1024)} KB, over the ${MAX_DOCUMENT_BYTES / 1024} KB Firestore queue limit`);
+      error.retryable = false;
+      throw error;
+    }
+  }
+
+  async _database() {
+    if (!this._db) {
+      const { getAdminFirestore } = require('../firebase-admin');
+      this._db = await getAdminFirestore();
+      if (!this._db) {
+        throw new Error('Firestore admin is not available for the job queue');
+      }
+    }
+    return this._db;
+  }
+
+  async _collection() {
+    return (await this._database()).collection(this.collectionName);
+  }
+}
+
+module.exports = { FirestoreQueue };
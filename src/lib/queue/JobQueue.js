@@ -0,0 +1,319 @@
+// src/lib/queue/JobQueue.js
+const { randomUUID } = require('crypto');
+
+// Job lifecycle: queued -> leased -> completed, or back to queued with a
+// backoff after a failure, or dead once the attempts are used up
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  LEASED: 'leased',
+  COMPLETED: 'completed',
+  DEAD: 'dead'
+};
+
+// Named priorities; higher runs first. Interactive single documents go
+// ahead of batch jobs.
+const JOB_PRIORITY = {
+  interactive: 10,
+  normal: 5,
+  batch: 0
+};
+
+const DEFAULT_QUEUE_OPTIONS = {
+  maxAttempts: 3,
+  backoffMs: 5000, // Doubled after every failed attempt
+  maxBackoffMs: 10 * 60 * 1000,
+  leaseMs: 5 * 60 * 1000, // A worker that stops heartbeating loses the job after this
+  retentionMs: 24 * 60 * 60 * 1000 // Completed and dead jobs are pruned after this
+};
+
+/**
+ * Durable job queue. Drivers store the jobs; the lifecycle rules (leasing,
+ * retries with backoff, dead-lettering) are shared here so every driver
+ * behaves the same.
+ *
+ * Jobs are plain objects that survive a JSON round trip:
+ *   { id, type, payload, userId, priority, maxConcurrent, status, attempts,
+ *     maxAttempts, availableAt, leaseOwner, leaseExpiresAt, leasedAt,
+ *     progress, result, lastError, errors, createdAt, updatedAt, completedAt }
+ * Times are epoch milliseconds.
+ *
+ * Scheduling: the highest priority goes first; within a priority, users
+ * take turns (the user leased least recently goes first), then the oldest
+ * job. A job whose user already has maxConcurrent jobs leased waits.
+ */
+class JobQueue {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_QUEUE_OPTIONS, ...options };
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Add a job
+   * @param {string} type - Handler name, e.g. "process-text"
+   * @param {Object} payload - Handler input, JSON serializable
+   * @param {Object} options - { jobId, userId, priority (a JOB_PRIORITY name
+   *   or number), maxConcurrent (leased jobs allowed for the user at once),
+   *   maxAttempts, delayMs, replace (a completed or dead job with the same
+   *   ID is replaced, to run a job again under its ID) }
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue(type, payload, options = {}) {
+    throw new Error(`enqueue() not implemented for queue "${this.name}"`);
+  }
+
+  /**
+   * Take the next available job and lease it to a worker. Jobs whose lease
+   * expired (the worker died) are available again.
+   * @param {string} workerId - Lease owner
+   * @param {Object} options - { types } to only take some job types
+   * @returns {Promise<Object|null>} The leased job, or null if none is ready
+   */
+  async lease(workerId, options = {}) {
+    throw new Error(`lease() not implemented for queue "${this.name}"`);
+  }
+
+  /**
+   * Extend a lease while the job is running
+   * @returns {Promise<boolean>} False when the worker no longer holds the lease
+   */
+  async heartbeat(jobId, workerId) {
+    throw new Error(`heartbeat() not implemented for queue "${this.name}"`);
+  }
+
+  /**
+   * Mark a leased job as done
+   * @returns {Promise<boolean>} False when the worker no longer holds the lease
+   */
+  async complete(jobId, workerId, result) {
+    throw new Error(`complete() not implemented for queue "${this.name}"`);
+  }
+
+  /**
+   * Record a failed attempt: the job is queued again after a backoff, or
+   * dead-lettered when its attempts are used up or the error is not retryable
+   * @returns {Promise<Object|null>} The updated job
+   */
+  async fail(jobId, workerId, error) {
+    throw new Error(`fail() not implemented for queue "${this.name}"`);
+  }
+
+  /**
+   * Merge progress fields into a job (stage, message, percentage...)
+   */
+  async updateProgress(jobId, progress) {
+    throw new Error(`updateProgress() not implemented for queue "${this.name}"`);
+  }
+
+  /**
+   * Put a dead job back in the queue with fresh attempts
+   * @returns {Promise<Object|null>} The queued job, or null if it is not dead
+   */
+  async retry(jobId) {
+    throw new Error(`retry() not implemented for queue "${this.name}"`);
+  }
+
+  async get(jobId) {
+    throw new Error(`get() not implemented for queue "${this.name}"`);
+  }
+
+  /**
+   * @param {Object} filter - { status, userId, limit }
+   * @returns {Promise<Array>} Jobs without payload and result, oldest first
+   */
+  async list(filter = {}) {
+    throw new Error(`list() not implemented for queue "${this.name}"`);
+  }
+
+  /**
+   * Wait for a job to complete or be dead-lettered
+   * @param {string} jobId - Job to wait for
+   * @param {Object} options - { timeoutMs, pollIntervalMs }
+   * @returns {Promise<Object|null>} The finished job, or the job as it is at
+   *   the timeout (still queued or leased)
+   */
+  async waitFor(jobId, { timeoutMs = 10 * 60 * 1000, pollIntervalMs = 500 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (true) {
+      const job = await this.get(jobId);
+      if (!job || job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.DEAD || Date.now() >= deadline) {
+        return job;
+      }
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+  }
+
+  // Job counts per status
+  async counts() {
+    const jobs = await this.list();
+    return jobs.reduce((counts, job) => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+      return counts;
+    }, Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0])));
+  }
+
+  // Shared lifecycle rules, used by the drivers
+
+  _createJob(type, payload, options = {}, now = Date.now()) {
+    if (!type) {
+      throw new Error('Job type is required');
+    }
+    return {
+      id: options.jobId || randomUUID(),
+      type,
+      // Stored as JSON by every driver
+      payload: payload === undefined ? null : JSON.parse(JSON.stringify(payload)),
+      userId: options.userId || null,
+      priority: resolvePriority(options.priority),
+      maxConcurrent: options.maxConcurrent || null,
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.options.maxAttempts,
+      availableAt: now + (options.delayMs || 0),
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      leasedAt: null,
+      progress: {},
+      result: null,
+      lastError: null,
+      errors: [],
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+  }
+
+  // Whether a new job may take the ID of an existing one
+  _canReplace(existing, options = {}) {
+    return Boolean(options.replace) &&
+      (existing.status === JOB_STATUS.COMPLETED || existing.status === JOB_STATUS.DEAD);
+  }
+
+  // Whether a worker can lease the job now
+  _isLeasable(job, now = Date.now(), types = null) {
+    if (types && !types.includes(job.type)) return false;
+    if (job.status === JOB_STATUS.QUEUED) return job.availableAt <= now;
+    return job.status === JOB_STATUS.LEASED && job.leaseExpiresAt <= now;
+  }
+
+  /**
+   * Leasable jobs in the order they are handed out, without the jobs whose
+   * user is at their concurrency limit
+   * @param {Array} candidates - Leasable jobs
+   * @param {Array} activeJobs - Jobs currently leased, for per-user counts
+   * @param {Object} lastLeasedAt - userId -> when the user last got a job
+   * @returns {Array} Ordered jobs
+   */
+  _schedule(candidates, activeJobs = [], lastLeasedAt = {}) {
+    const now = Date.now();
+    const active = {};
+    for (const job of activeJobs) {
+      if (job.status === JOB_STATUS.LEASED && job.leaseExpiresAt > now) {
+        active[userKey(job)] = (active[userKey(job)] || 0) + 1;
+      }
+    }
+
+    return candidates
+      .filter(job => !job.maxConcurrent || (active[userKey(job)] || 0) < job.maxConcurrent)
+      .sort((a, b) =>
+        (b.priority || 0) - (a.priority || 0) ||
+        (lastLeasedAt[userKey(a)] || 0) - (lastLeasedAt[userKey(b)] || 0) ||
+        a.availableAt - b.availableAt ||
+        a.createdAt - b.createdAt
+      );
+  }
+
+  // Fields that lease a job to a worker. A job whose lease expired counts the
+  // lost run as a failed attempt, and is dead-lettered if it has none left.
+  _leaseFields(job, workerId, now = Date.now()) {
+    if (job.status === JOB_STATUS.LEASED && job.attempts >= job.maxAttempts) {
+      return this._failFields(job, { message: `Lease held by ${job.leaseOwner} expired` }, now);
+    }
+    return {
+      status: JOB_STATUS.LEASED,
+      attempts: job.attempts + 1,
+      leaseOwner: workerId,
+      leaseExpiresAt: now + this.options.leaseMs,
+      leasedAt: now,
+      updatedAt: now
+    };
+  }
+
+  _failFields(job, error, now = Date.now()) {
+    const lastError = {
+      message: error?.message || String(error),
+      attempt: job.attempts,
+      at: now
+    };
+    // Keep the last few errors for the dead-letter record
+    const errors = [...(job.errors || []), lastError].slice(-5);
+    const dead = job.attempts >= job.maxAttempts || error?.retryable === false;
+    const backoff = Math.min(this.options.maxBackoffMs, this.options.backoffMs * 2 ** Math.max(job.attempts - 1, 0));
+
+    return {
+      status: dead ? JOB_STATUS.DEAD : JOB_STATUS.QUEUED,
+      availableAt: dead ? job.availableAt : now + backoff,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      lastError,
+      errors,
+      updatedAt: now,
+      completedAt: dead ? now : null
+    };
+  }
+
+  _completeFields(result, now = Date.now()) {
+    return {
+      status: JOB_STATUS.COMPLETED,
+      result: result === undefined ? null : result,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      updatedAt: now,
+      completedAt: now
+    };
+  }
+
+  _retryFields(now = Date.now()) {
+    return {
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      availableAt: now,
+      lastError: null,
+      updatedAt: now,
+      completedAt: null
+    };
+  }
+
+  _holdsLease(job, workerId) {
+    return Boolean(job) && job.status === JOB_STATUS.LEASED && job.leaseOwner === workerId;
+  }
+
+  _isExpired(job, now = Date.now()) {
+    return (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.DEAD) &&
+      now - (job.completedAt || job.updatedAt) > this.options.retentionMs;
+  }
+
+  // Job as listed: without the payload and result, which can be large
+  _summary(job) {
+    const { payload, result, ...summary } = job;
+    return summary;
+  }
+}
+
+// Jobs without a user share one turn and one concurrency count
+function userKey(job) {
+  return job.userId || '_anonymous';
+}
+
+function resolvePriority(priority) {
+  if (typeof priority === 'number') return priority;
+  if (priority === undefined || priority === null) return JOB_PRIORITY.normal;
+  if (!(priority in JOB_PRIORITY)) {
+    throw new Error(`Unknown job priority "${priority}". Available: ${Object.keys(JOB_PRIORITY).join(', ')}`);
+  }
+  return JOB_PRIORITY[priority];
+}
+
+module.exports = { JobQueue, JOB_STATUS, JOB_PRIORITY, DEFAULT_QUEUE_OPTIONS, userKey };
@@ -0,0 +1,166 @@
+// src/lib/queue/QueueWorker.js
+const os = require('os');
+const { randomUUID } = require('crypto');
+const { JOB_STATUS } = require('./JobQueue');
+const { JOB_EVENT, publishJobEvent } = require('./events');
+
+/**
+ * Leases jobs from a queue and runs them with the handler for their type.
+ *
+ * While a job runs, its lease is extended every heartbeatMs and progress
+ * reports are written to the job at most every progressIntervalMs. Every
+ * report, and the outcome of the run, is also published right away to the
+ * job's event subscribers in this process (see ./events). A job that throws
+ * is handed back to the queue, which retries it with backoff or
+ * dead-letters it.
+ *
+ * Handlers are async functions (job, { reportProgress }) => result.
+ */
+class QueueWorker {
+  /**
+   * @param {JobQueue} queue - Queue to consume
+   * @param {Object} handlers - Job type -> handler
+   * @param {Object} options - { workerId, concurrency, pollIntervalMs,
+   *   heartbeatMs, progressIntervalMs }
+   */
+  constructor(queue, handlers, options = {}) {
+    this.queue = queue;
+    this.handlers = handlers;
+    this.options = {
+      workerId: `${os.hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`,
+      concurrency: 1,
+      pollIntervalMs: 2000,
+      heartbeatMs: Math.max(1000, Math.floor(queue.options.leaseMs / 3)),
+      progressIntervalMs: 1000,
+      ...options
+    };
+    this.workerId = this.options.workerId;
+    this.running = false;
+    this.activeJobs = new Set();
+    this._loops = [];
+    this._wakers = new Set();
+  }
+
+  // Start polling; concurrency loops each run one job at a time
+  start() {
+    if (this.running) return this;
+    this.running = true;
+    console.log(`Queue worker ${this.workerId} started on ${this.queue.name} (concurrency ${this.options.concurrency})`);
+    this._loops = Array.from({ length: this.options.concurrency }, () => this._loop());
+    return this;
+  }
+
+  // Stop leasing new jobs and wait for the running ones to finish
+  async stop() {
+    this.running = false;
+    this.wake();
+    await Promise.all(this._loops);
+    console.log(`Queue worker ${this.workerId} stopped`);
+  }
+
+  // Poll now instead of waiting for the interval, e.g. right after an enqueue
+  wake() {
+    this._wakers.forEach(resolve => resolve());
+    this._wakers.clear();
+  }
+
+  /**
+   * Lease and run one job
+   * @returns {Promise<boolean>} Whether a job was run
+   */
+  async runOnce() {
+    const job = await this.queue.lease(this.workerId, { types: Object.keys(this.handlers) });
+    if (!job) return false;
+
+    await this._execute(job);
+    return true;
+  }
+
+  async _loop() {
+    while (this.running) {
+      let ran = false;
+      try {
+        ran = await this.runOnce();
+      } catch (error) {
+        console.error(`Queue worker ${this.workerId} could not lease a job:`, error.message);
+      }
+      if (!ran && this.running) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, this.options.pollIntervalMs);
+          this._wakers.add(() => {
+            clearTimeout(timer);
+            resolve();
+          });
+        });
+      }
+    }
+  }
+
+  async _execute(job) {
+    const handler = this.handlers[job.type];
+    this.activeJobs.add(job.id);
+    console.log(`Running ${job.type} job ${job.id} (attempt ${job.attempts} of ${job.maxAttempts})`);
+
+    const heartbeat = setInterval(() => {
+      this.queue.heartbeat(job.id, this.workerId)
+        .then(held => {
+          if (!held) console.warn(`Lost the lease on job ${job.id}; its result will be discarded`);
+        })
+        .catch(error => console.error(`Heartbeat failed for job ${job.id}:`, error.message));
+    }, this.options.heartbeatMs);
+    const progress = this._progressReporter(job.id);
+
+    try {
+      const result = await handler(job, { reportProgress: progress.report });
+      await progress.flush();
+      const completed = await this.queue.complete(job.id, this.workerId, result);
+      if (completed) {
+        console.log(`Completed job ${job.id}`);
+        publishJobEvent(job.id, JOB_EVENT.COMPLETED);
+      }
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error.message);
+      await progress.flush();
+      const failed = await this.queue.fail(job.id, this.workerId, error)
+        .catch(failError => console.error(`Could not record the failure of job ${job.id}:`, failError.message));
+      if (failed?.status === JOB_STATUS.DEAD) {
+        console.error(`Job ${job.id} moved to the dead-letter state after ${failed.attempts} attempts`);
+        publishJobEvent(job.id, JOB_EVENT.FAILED, { error: error.message });
+      } else if (failed) {
+        publishJobEvent(job.id, JOB_EVENT.RETRYING, { error: error.message, availableAt: failed.availableAt });
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobs.delete(job.id);
+    }
+  }
+
+  // Throttled progress writes; the latest report is always written last
+  _progressReporter(jobId) {
+    let lastWrite = 0;
+    let pending = null;
+    let writing = Promise.resolve();
+
+    const write = (progress) => {
+      lastWrite = Date.now();
+      pending = null;
+      writing = writing
+        .then(() => this.queue.updateProgress(jobId, progress))
+        .catch(error => console.error(`Progress update failed for job ${jobId}:`, error.message));
+      return writing;
+    };
+
+    return {
+      report: (progress) => {
+        publishJobEvent(jobId, JOB_EVENT.PROGRESS, progress);
+        pending = { ...pending, ...progress };
+        if (Date.now() - lastWrite >= this.options.progressIntervalMs) {
+          write(pending);
+        }
+      },
+      flush: () => (pending ? write(pending) : writing)
+    };
+  }
+}
+
+module.exports = { QueueWorker };
@@ -0,0 +1,41 @@
+// src/lib/queue/events.js
+const { EventEmitter } = require('events');
+
+// Event types published for a job. Progress events carry the handler's
+// report as is; the others mark a finished attempt.
+const JOB_EVENT = {
+  PROGRESS: 'progress',
+  RETRYING: 'retrying',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// One bus per process. Next.js can load this module more than once (route
+// bundles, hot reload), so the emitter lives on the global object.
+const bus = global.__jobEventBus || (global.__jobEventBus = new EventEmitter());
+// Every open progress stream subscribes, so there is no useful limit
+bus.setMaxListeners(0);
+
+/**
+ * Publish an event for a job to the subscribers in this process. Workers in
+ * other processes are not reached; streams read the queue for those.
+ * @param {string} jobId - The job
+ * @param {string} type - A JOB_EVENT type
+ * @param {Object} data - Event fields
+ */
+function publishJobEvent(jobId, type, data = {}) {
+  bus.emit(jobId, { ...data, type, jobId, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Listen to a job's events
+ * @param {string} jobId - The job
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe
+ */
+function subscribeToJob(jobId, listener) {
+  bus.on(jobId, listener);
+  return () => bus.off(jobId, listener);
+}
+
+module.exports = { JOB_EVENT, publishJobEvent, subscribeToJob };
@@ -0,0 +1,44 @@
+// src/lib/queue/handlers.js
+const { SyntheticDataPipeline } = require('../SyntheticDataPipeline');
+
+/**
+ * Run the pipeline over a text job: payload { text, options }. Options are
+ * pipeline options; `checkpoints` from an earlier run resumes it, and
+ * simulation (NEXT_PUBLIC_USE_SIMULATION or options.useSimulation) runs on
+ * the mock backend.
+ */
+async function processTextJob(job, { reportProgress }) {
+  const { text, options = {} } = job.payload || {};
+  if (!text) {
+    const error = new Error(`Job ${job.id} has no text to process`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const { checkpoints, useSimulation, ...pipelineOptions } = options;
+  const simulated = process.env.NEXT_PUBLIC_USE_SIMULATION === 'true' || useSimulation === true;
+  const pipeline = new SyntheticDataPipeline(simulated ? { ...pipelineOptions, provider: 'mock' } : pipelineOptions);
+
+  const result = await pipeline.processDocument(text, {
+    jobId: job.id,
+    checkpoints,
+    progressCallback: progress => reportProgress({ status: 'processing', ...progress })
+  });
+  return simulated ? { ...result, simulatedResult: true } : result;
+}
+
+// Job type -> handler, as run by the standalone worker
+const jobHandlers = {
+  'process-text': processTextJob
+};
+
+/**
+ * Register an additional job type
+ * @param {string} type - Job type passed to enqueue()
+ * @param {Function} handler - async (job, { reportProgress }) => result
+ */
+function registerJobHandler(type, handler) {
+  jobHandlers[type] = handler;
+}
+
+module.exports = { processTextJob, jobHandlers, registerJobHandler };
@@ -0,0 +1,73 @@
+// src/lib/queue/index.js
+const { JobQueue, JOB_STATUS, JOB_PRIORITY, DEFAULT_QUEUE_OPTIONS } = require('./JobQueue');
+const { FileQueue } = require('./FileQueue');
+const { FirestoreQueue } = require('./FirestoreQueue');
+const { QueueWorker } = require('./QueueWorker');
+const { processTextJob, jobHandlers, registerJobHandler } = require('./handlers');
+const { JOB_EVENT, publishJobEvent, subscribeToJob } = require('./events');
+
+// Queue drivers available to configuration
+const queueRegistry = {
+  file: FileQueue,
+  firestore: FirestoreQueue
+};
+
+/**
+ * Register an additional queue driver
+ * @param {string} type - Name used in configuration
+ * @param {Function} QueueClass - Class extending JobQueue
+ */
+function registerQueueDriver(type, QueueClass) {
+  queueRegistry[type] = QueueClass;
+}
+
+/**
+ * Create a queue from configuration
+ * @param {string|Object|JobQueue} config - Driver type, { type, ...options },
+ *   or an instance. The type defaults to QUEUE_DRIVER, then "file".
+ * @returns {JobQueue} The queue
+ */
+function createQueue(config = {}) {
+  if (config instanceof JobQueue) {
+    return config;
+  }
+
+  const { type = process.env.QUEUE_DRIVER || 'file', ...options } = typeof config === 'string' ? { type: config } : config;
+  const QueueClass = queueRegistry[type];
+
+  if (!QueueClass) {
+    throw new Error(`Unknown queue driver "${type}". Available: ${Object.keys(queueRegistry).join(', ')}`);
+  }
+
+  return new QueueClass(options);
+}
+
+// One queue per process, configured from the environment
+let sharedQueue = null;
+
+function getQueue() {
+  if (!sharedQueue) {
+    sharedQueue = createQueue();
+  }
+  return sharedQueue;
+}
+
+module.exports = {
+  JobQueue,
+  JOB_STATUS,
+  JOB_PRIORITY,
+  DEFAULT_QUEUE_OPTIONS,
+  FileQueue,
+  FirestoreQueue,
+  QueueWorker,
+  processTextJob,
+  jobHandlers,
+  registerJobHandler,
+  JOB_EVENT,
+  publishJobEvent,
+  subscribeToJob,
+  queueRegistry,
+  registerQueueDriver,
+  createQueue,
+  getQueue
+};
@@ -0,0 +1,61 @@
+// src/lib/queue/worker.js
+//
+// Standalone queue worker, run as a long-lived process next to the Next.js
+// server: `npm run worker`. Configure with QUEUE_DRIVER (file or firestore),
+// QUEUE_DIR for the file driver and QUEUE_WORKER_CONCURRENCY. Run the
+// server with QUEUE_INLINE_WORKER=false to leave every job to the workers.
+const path = require('path');
+const { loadEnvConfig } = require('@next/env');
+const { createJiti } = require('jiti');
+const { getQueue, QueueWorker } = require('./index');
+
+const ROOT = path.join(__dirname, '..', '..', '..');
+
+/**
+ * The server's job handlers (text and stored-document jobs), from the
+ * process-document route's services. They are ES modules using the app's
+ * "@/" imports, loaded with jiti as Next.js would compile them.
+ * @returns {Promise<Object>} Job type -> handler
+ */
+async function loadServerJobHandlers() {
+  const jiti = createJiti(__filename, { alias: { '@': path.join(ROOT, 'src') } });
+  const { serverJobHandlers } = await jiti.import(
+    path.join(ROOT, 'src', 'app', 'api', 'process-document', 'services', 'jobQueue.js')
+  );
+  return serverJobHandlers;
+}
+
+async function main() {
+  // The same .env files the Next.js server reads (Firebase, model keys)
+  loadEnvConfig(ROOT);
+
+  const handlers = await loadServerJobHandlers();
+  console.log(`Queue worker handling: ${Object.keys(handlers).join(', ')}`);
+
+  const queue = getQueue();
+  const worker = new QueueWorker(queue, handlers, {
+    concurrency: parseInt(process.env.QUEUE_WORKER_CONCURRENCY, 10) || 1
+  }).start();
+
+  // Finish the running jobs before exiting; their leases would otherwise
+  // have to expire before another worker picks them up
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`${signal} received, waiting for ${worker.activeJobs.size} running job(s)`);
+    await worker.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Queue worker failed to start:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, loadServerJobHandlers };
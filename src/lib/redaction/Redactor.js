@@ -0,0 +1,212 @@
+// src/lib/redaction/Redactor.js
+const { RECOGNIZERS } = require('./recognizers');
+const { surrogateFor } = require('./surrogates');
+
+// Redaction defaults (the `redaction` option)
+const DEFAULT_REDACTION = {
+  enabled: false,
+  // Extra terms to redact: strings or { term, type }
+  dictionary: [],
+  // Recognizer types to apply (e.g. ["EMAIL", "PHONE"]), null for all
+  types: null,
+  // Replace placeholders in the output with synthetic surrogate values
+  rehydrate: false
+};
+
+// Type of dictionary terms given as plain strings
+const DEFAULT_DICTIONARY_TYPE = 'PARTY';
+const PLACEHOLDER_PATTERN = /\[([A-Z]+)_([A-Z]+)\]/g;
+
+// Streams are redacted in pieces cut at a line break, so an entity is never
+// split between two pieces; this much text is held back looking for one
+const STREAM_BUFFER_SIZE = 64 * 1024;
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function placeholderLetters(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function entityKey(type, value) {
+  return `${type}:${value.toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+/**
+ * Replaces personal data with consistent placeholders ([PARTY_A], [EMAIL_B])
+ * before text is sent to a model.
+ *
+ * Entities come from the pattern recognizers and from a dictionary of
+ * known terms. The same value always gets the same placeholder within a
+ * document, and names found by a recognizer (John Smith, Mr. Lee, Acme
+ * Corp ("Landlord")) are also redacted where they later appear on their own.
+ * Original values never leave the Redactor: the report only has
+ * placeholders, types and counts.
+ */
+class Redactor {
+  /**
+   * @param {Object} options
+   * @param {Array<string|Object>} options.dictionary - Terms to always redact,
+   *   as strings (typed PARTY) or { term, type }
+   * @param {Array<string>|null} options.types - Recognizer types to apply,
+   *   null for all
+   * @param {Array<Object>} options.recognizers - Replaces the built-in recognizers
+   */
+  constructor(options = {}) {
+    const types = options.types ? new Set(options.types.map(type => String(type).toUpperCase())) : null;
+    this.recognizers = (options.recognizers || RECOGNIZERS).filter(r => !types || types.has(r.type));
+
+    this._entities = new Map();
+    this._placeholders = new Map();
+    this._typeCounts = {};
+    this._terms = new Map();
+    this._termPattern = null;
+
+    for (const entry of options.dictionary || []) {
+      const { term, type } = typeof entry === 'string' ? { term: entry } : entry;
+      if (term && term.trim()) {
+        this._addTerm(term.trim(), (type || DEFAULT_DICTIONARY_TYPE).toUpperCase(), 'dictionary');
+      }
+    }
+  }
+
+  /**
+   * Redact a text
+   * @param {string} text - Text that may contain personal data
+   * @returns {string} Text with entities replaced by placeholders
+   */
+  redact(text) {
+    if (!text) return text;
+
+    const spans = [];
+    for (const recognizer of this.recognizers) {
+      for (const match of text.matchAll(recognizer.pattern)) {
+        const value = recognizer.group ? match[recognizer.group] : match[0];
+        if (!value || (recognizer.validate && !recognizer.validate(value))) continue;
+
+        const start = match.index + (recognizer.group ? match[0].indexOf(value) : 0);
+        spans.push({ start, end: start + value.length, value, type: recognizer.type, source: recognizer.name });
+        if (recognizer.learn) this._addTerm(value, recognizer.type, recognizer.name);
+      }
+    }
+
+    // Known terms, including names the recognizers just learned
+    if (this._termPattern) {
+      for (const match of text.matchAll(this._termPattern)) {
+        const term = this._terms.get(match[0].toLowerCase().replace(/\s+/g, ' '));
+        spans.push({ start: match.index, end: match.index + match[0].length, value: match[0], type: term.type, source: term.source });
+      }
+    }
+
+    // Earliest span first, the longest where several start together
+    spans.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+    let output = '';
+    let position = 0;
+    for (const span of spans) {
+      if (span.start < position) continue;
+      output += text.slice(position, span.start) + this._placeholderFor(span);
+      position = span.end;
+    }
+    return output + text.slice(position);
+  }
+
+  /**
+   * Redact a stream of text pieces, cutting at line breaks so entities are
+   * not split across pieces
+   * @param {AsyncIterable<string>} pieces - Text pieces
+   * @returns {AsyncGenerator<string>} Redacted pieces
+   */
+  async *redactStream(pieces) {
+    let buffer = '';
+    for await (const piece of pieces) {
+      buffer += piece;
+      if (buffer.length < STREAM_BUFFER_SIZE) continue;
+
+      let cut = buffer.lastIndexOf('\n') + 1;
+      if (cut === 0) cut = buffer.search(/\s\S*$/) + 1;
+      if (cut <= 0) cut = buffer.length;
+      yield this.redact(buffer.slice(0, cut));
+      buffer = buffer.slice(cut);
+    }
+    if (buffer) yield this.redact(buffer);
+  }
+
+  /**
+   * Replace placeholders with synthetic surrogate values, in a string or
+   * in every string of an object or array
+   * @param {*} value - Output to re-hydrate
+   * @returns {*} A copy with placeholders replaced
+   */
+  rehydrate(value) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, (placeholder) => {
+        const entity = this._placeholders.get(placeholder);
+        return entity ? entity.surrogate : placeholder;
+      });
+    }
+    if (Array.isArray(value)) return value.map(item => this.rehydrate(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.rehydrate(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Per-document redaction report, without the original values
+   * @returns {Object} { totalRedactions, byType, entities }
+   */
+  report() {
+    const entities = [...this._entities.values()]
+      .filter(entity => entity.occurrences > 0)
+      .map(({ placeholder, type, occurrences, source }) => ({ placeholder, type, occurrences, source }));
+    return {
+      totalRedactions: entities.reduce((sum, entity) => sum + entity.occurrences, 0),
+      byType: entities.reduce((counts, entity) => {
+        counts[entity.type] = (counts[entity.type] || 0) + entity.occurrences;
+        return counts;
+      }, {}),
+      entities
+    };
+  }
+
+  _placeholderFor(span) {
+    const key = entityKey(span.type, span.value);
+    let entity = this._entities.get(key);
+    if (!entity) {
+      const index = this._typeCounts[span.type] || 0;
+      this._typeCounts[span.type] = index + 1;
+      entity = {
+        placeholder: `[${span.type}_${placeholderLetters(index)}]`,
+        type: span.type,
+        occurrences: 0,
+        source: span.source,
+        surrogate: surrogateFor(span.type, index)
+      };
+      this._entities.set(key, entity);
+      this._placeholders.set(entity.placeholder, entity);
+    }
+    entity.occurrences++;
+    return entity.placeholder;
+  }
+
+  _addTerm(term, type, source) {
+    const key = term.toLowerCase().replace(/\s+/g, ' ');
+    if (this._terms.has(key)) return;
+    this._terms.set(key, { type, source });
+
+    // Longest terms first, so "Acme Holdings LLC" wins over "Acme Holdings"
+    const alternatives = [...this._terms.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(t => escapeRegExp(t).replace(/ /g, '\\s+'));
+    this._termPattern = new RegExp(`(?<![\\w-])(?:${alternatives.join('|')})(?![\\w-])`, 'gi');
+  }
+}
+
+module.exports = { Redactor, DEFAULT_REDACTION, placeholderLetters };
@@ -0,0 +1,14 @@
+// src/lib/redaction/index.js
+const { Redactor, DEFAULT_REDACTION, placeholderLetters } = require('./Redactor');
+const { RECOGNIZERS, luhnValid } = require('./recognizers');
+const { surrogateFor, SURROGATES } = require('./surrogates');
+
+module.exports = {
+  Redactor,
+  DEFAULT_REDACTION,
+  placeholderLetters,
+  RECOGNIZERS,
+  luhnValid,
+  surrogateFor,
+  SURROGATES
+};
@@ -0,0 +1,45 @@
+// src/lib/redaction/names.js
+
+// Common given names (English, Spanish and French, the document languages
+// in ../language) that start a person's name. Names that are also everyday
+// capitalized words or places ("May", "Will", "Grant", "Frank", "Virginia")
+// are left out, since "Will Tenant" or "May Include" would otherwise read as
+// a name.
+const GIVEN_NAMES = new Set([
+  // English
+  'Aaron', 'Abigail', 'Adam', 'Alan', 'Albert', 'Alexander', 'Alexandra', 'Alice', 'Alison', 'Amanda',
+  'Amber', 'Amy', 'Andrea', 'Andrew', 'Angela', 'Ann', 'Anna', 'Anne', 'Anthony', 'Arthur',
+  'Ashley', 'Barbara', 'Benjamin', 'Betty', 'Beverly', 'Brandon', 'Brenda', 'Brian', 'Bruce', 'Bryan',
+  'Carl', 'Carol', 'Caroline', 'Catherine', 'Charles', 'Charlotte', 'Cheryl', 'Christina', 'Christine',
+  'Christopher', 'Cynthia', 'Daniel', 'Danielle', 'David', 'Deborah', 'Debra', 'Dennis', 'Diana', 'Diane',
+  'Donald', 'Donna', 'Dorothy', 'Douglas', 'Dylan', 'Edward', 'Elizabeth', 'Emily', 'Emma', 'Eric',
+  'Ethan', 'Evelyn', 'Frances', 'Gary', 'George', 'Gerald', 'Gloria', 'Gregory', 'Hannah',
+  'Harold', 'Heather', 'Helen', 'Henry', 'Isabella', 'Jack', 'Jacob', 'Jacqueline', 'James', 'Janet',
+  'Janice', 'Jason', 'Jean', 'Jeffrey', 'Jennifer', 'Jeremy', 'Jerry', 'Jessica', 'Joan', 'John',
+  'Jonathan', 'Jose', 'Joseph', 'Joshua', 'Joyce', 'Judith', 'Julia', 'Julie', 'Justin', 'Karen',
+  'Katherine', 'Kathleen', 'Kathryn', 'Keith', 'Kelly', 'Kenneth', 'Kevin', 'Kimberly', 'Kyle', 'Larry',
+  'Laura', 'Lauren', 'Lawrence', 'Linda', 'Lisa', 'Logan', 'Louis', 'Madison', 'Margaret', 'Maria',
+  'Marie', 'Marilyn', 'Martha', 'Mary', 'Matthew', 'Megan', 'Melissa', 'Michael', 'Michelle', 'Nancy',
+  'Natalie', 'Nathan', 'Nicholas', 'Nicole', 'Noah', 'Olivia', 'Pamela', 'Patricia', 'Patrick', 'Paul',
+  'Peter', 'Philip', 'Rachel', 'Ralph', 'Raymond', 'Rebecca', 'Richard', 'Robert', 'Roger', 'Ronald',
+  'Ruth', 'Ryan', 'Samantha', 'Samuel', 'Sandra', 'Sara', 'Sarah', 'Scott', 'Sean', 'Sharon',
+  'Shirley', 'Sophia', 'Stephanie', 'Stephen', 'Steven', 'Susan', 'Teresa', 'Theresa', 'Thomas', 'Timothy',
+  'Tyler', 'Victoria', 'Vincent', 'Walter', 'Wayne', 'William', 'Zachary',
+  // Spanish
+  'Alejandro', 'Ana', 'Antonio', 'Beatriz', 'Carlos', 'Carmen', 'Diego', 'Elena', 'Fernando', 'Francisco',
+  'Gabriel', 'Isabel', 'Javier', 'Jorge', 'Juan', 'Lucia', 'Luis', 'Manuel', 'Miguel',
+  'Pablo', 'Pedro', 'Pilar', 'Rafael', 'Ramon', 'Rosa', 'Sergio', 'Sofia',
+  // French
+  'Alain', 'Antoine', 'Camille', 'Claire', 'Francois', 'Isabelle', 'Jacques', 'Julien', 'Mathieu', 'Nathalie',
+  'Nicolas', 'Philippe', 'Pierre', 'Sophie', 'Sylvie', 'Thierry'
+]);
+
+// Words that end an organization or place name rather than a person's
+// ("Julia Smith Foundation" is not a person)
+const NON_PERSON_WORDS = new Set([
+  'Inc', 'LLC', 'Ltd', 'Corp', 'Corporation', 'Company', 'Co', 'Group', 'Holdings', 'Partners', 'Bank',
+  'Foundation', 'Trust', 'University', 'College', 'School', 'Hospital', 'Center', 'Institute', 'Association',
+  'County', 'City', 'State', 'Street', 'Avenue', 'Road', 'Park', 'River', 'Lake', 'Building', 'Hall'
+]);
+
+module.exports = { GIVEN_NAMES, NON_PERSON_WORDS };
@@ -0,0 +1,153 @@
+// src/lib/redaction/recognizers.js
+const { GIVEN_NAMES, NON_PERSON_WORDS } = require('./names');
+
+// A run of capitalized name words or initials ("John Q. Smith")
+const NAME = "(?:[A-Z][a-z'-]+|[A-Z]\\.)(?:[ \\t]+(?:[A-Z][a-z'-]+|[A-Z]\\.)){0,3}";
+
+const STREET_TYPES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Parkway|Pkwy|Highway|Hwy|Terrace|Circle|Cir';
+
+const HONORIFIC = '(?:Mr|Mrs|Ms|Miss|Dr|Prof)\\.?';
+
+// A known given name, an optional middle initial and one or two capitalized
+// surnames ("John Smith", "Mary J. O'Neil", "Juan Garcia Lopez")
+const GIVEN_NAME = `(?:${[...GIVEN_NAMES].join('|')})`;
+const SURNAME = "(?:Mc|Mac|O'|D')?[A-Z][a-z'-]+";
+const FULL_NAME = `${GIVEN_NAME}(?:[ \\t]+[A-Z]\\.)?(?:[ \\t]+${SURNAME}){1,2}`;
+
+// Roles that are followed by the name of the person holding them
+// ("the Employee Jane Doe", "tenant Pedro Alvarez")
+const PERSON_ROLES = ['employee', 'tenant', 'landlord', 'borrower', 'lender', 'buyer', 'seller', 'purchaser', 'guarantor', 'witness', 'notary', 'patient', 'client', 'contractor', 'consultant', 'executor', 'beneficiary', 'applicant', 'claimant', 'signatory']
+  .map(role => `[${role[0].toUpperCase()}${role[0]}]${role.slice(1)}`)
+  .join('|');
+
+// Words that show a defined term names the document or a thing, not a party
+// ('This Agreement ("Agreement")', 'Master Services Agreement (the "MSA")')
+const NON_PARTY_WORDS = new Set(['This', 'The', 'Such', 'Said', 'Each', 'Any', 'All']);
+const DOCUMENT_WORDS = new Set(['Agreement', 'Lease', 'Contract', 'Amendment', 'Addendum', 'Schedule', 'Exhibit', 'Date', 'Premises', 'Property', 'Term', 'Services', 'Policy', 'Plan', 'Act']);
+
+// The last word of a name is not an organization or place word
+function isPersonName(value) {
+  const words = value.split(/\s+/);
+  return !NON_PERSON_WORDS.has(words[words.length - 1].replace(/\.$/, '')) && !DOCUMENT_WORDS.has(words[words.length - 1]);
+}
+
+function isPartyName(value) {
+  const words = value.replace(/,/g, '').split(/\s+/);
+  return !NON_PARTY_WORDS.has(words[0]) && !DOCUMENT_WORDS.has(words[words.length - 1]);
+}
+
+// Luhn checksum, so only plausible card numbers are redacted
+function luhnValid(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Pattern recognizers, checked in order; where matches overlap the longer
+ * one wins. Each has { name, type, pattern, group?, validate?, learn? }:
+ * `group` redacts one capture group instead of the whole match, and `learn`
+ * marks names that are then also redacted wherever they appear alone.
+ */
+const RECOGNIZERS = [
+  {
+    name: 'email',
+    type: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    name: 'ssn',
+    type: 'SSN',
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g
+  },
+  {
+    name: 'card-number',
+    type: 'CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: luhnValid
+  },
+  {
+    name: 'iban',
+    type: 'ACCOUNT',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/g
+  },
+  {
+    name: 'account-number',
+    type: 'ACCOUNT',
+    pattern: /\b(?:account|acct|routing|a\/c)(?:\s+(?:number|no\.?|#))?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{2,18}\d)\b/gi,
+    group: 1,
+    validate: value => /\d{4}/.test(value)
+  },
+  {
+    name: 'phone',
+    type: 'PHONE',
+    pattern: /(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b/g
+  },
+  {
+    name: 'street-address',
+    type: 'ADDRESS',
+    pattern: new RegExp(
+      `\\b\\d{1,6}\\s+(?:[A-Z][a-z]+\\.?\\s+){1,4}(?:${STREET_TYPES})\\b\\.?` +
+      '(?:,?\\s+(?:Suite|Ste|Apt|Apartment|Unit|Floor|Fl)\\.?\\s*#?\\w+)?' +
+      '(?:,\\s*[A-Z][a-z]+(?:\\s[A-Z][a-z]+)*,\\s*[A-Z]{2}\\s+\\d{5}(?:-\\d{4})?)?',
+      'g'
+    )
+  },
+  {
+    name: 'honorific-name',
+    type: 'PERSON',
+    pattern: new RegExp(`\\b${HONORIFIC}\\s+(${NAME})`, 'g'),
+    group: 1,
+    learn: true
+  },
+  {
+    name: 'labeled-name',
+    type: 'PERSON',
+    pattern: new RegExp(`\\b(?:Name|Signed|Signature|By|Attn|Attention|Witness|Print Name)\\s*:\\s*(${NAME})`, 'g'),
+    group: 1,
+    learn: true
+  },
+  {
+    // Plain names that start with a known given name: "John Smith"
+    name: 'given-name',
+    type: 'PERSON',
+    pattern: new RegExp(`\\b${FULL_NAME}\\b`, 'g'),
+    validate: isPersonName,
+    learn: true
+  },
+  {
+    // Two or more capitalized words after a person's role, for names
+    // missing from the given-name list
+    name: 'role-name',
+    type: 'PERSON',
+    pattern: new RegExp(`\\b(?:${PERSON_ROLES}),?[ \\t]+([A-Z][a-z'-]+(?:[ \\t]+[A-Z]\\.)?(?:[ \\t]+${SURNAME}){1,2})\\b`, 'g'),
+    group: 1,
+    validate: isPersonName,
+    learn: true
+  },
+  {
+    // Acme Holdings, LLC ("Landlord") or John Smith (the "Tenant"); a
+    // leading honorific is skipped so the PERSON recognizer keeps the name
+    name: 'defined-party',
+    type: 'PARTY',
+    pattern: new RegExp(
+      `(?:\\b${HONORIFIC}[ \\t]+)?((?:[A-Z][A-Za-z&.'-]*,?[ \\t]+){0,5}[A-Z][A-Za-z&.'-]*)` +
+      '\\s*\\(\\s*(?:the\\s+|each\\s+a\\s+)?["“][A-Z][^"”]{1,40}["”]\\s*\\)',
+      'g'
+    ),
+    group: 1,
+    validate: isPartyName,
+    learn: true
+  }
+];
+
+module.exports = { RECOGNIZERS, luhnValid };
@@ -0,0 +1,40 @@
+// src/lib/redaction/surrogates.js
+
+// Fictional values substituted for placeholders when re-hydrating output.
+// Phone numbers use the 555-01xx fictional range, SSNs the never-issued 9xx
+// area, and email addresses the reserved example.com domain.
+const PEOPLE = ['Jordan Avery', 'Casey Morgan', 'Riley Parker', 'Taylor Quinn', 'Morgan Ellis', 'Avery Blake', 'Drew Sullivan', 'Jamie Collins'];
+const COMPANIES = ['Northwind Holdings LLC', 'Bluebird Ventures Inc.', 'Summit Trading Co.', 'Harbor Point Partners LP', 'Cedar Lane Properties LLC', 'Granite Peak Industries Inc.'];
+const STREETS = ['Maple Avenue', 'Oak Street', 'Cedar Lane', 'Pine Road', 'Elm Boulevard', 'Birch Drive'];
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+// Cycle through a list, numbering repeats so surrogates stay distinct
+function pick(list, index) {
+  const round = Math.floor(index / list.length);
+  return round === 0 ? list[index % list.length] : `${list[index % list.length]} ${round + 1}`;
+}
+
+const SURROGATES = {
+  PERSON: index => pick(PEOPLE, index),
+  PARTY: index => pick(COMPANIES, index),
+  EMAIL: index => `contact${index + 1}@example.com`,
+  SSN: index => `900-00-${pad(index + 1, 4)}`,
+  PHONE: index => `(202) 555-01${pad(index % 100, 2)}`,
+  ACCOUNT: index => `000000${pad(index + 1, 6)}`,
+  CARD: index => `4000 0000 0000 ${pad(index + 1, 4)}`,
+  ADDRESS: index => `${100 + index * 10} ${pick(STREETS, index)}, Springfield, IL 62701`
+};
+
+/**
+ * Synthetic value for a placeholder
+ * @param {string} type - Entity type, e.g. "PERSON"
+ * @param {number} index - 0-based index of the placeholder within its type
+ * @returns {string} Surrogate value
+ */
+function surrogateFor(type, index) {
+  const make = SURROGATES[type];
+  return make ? make(index) : `${type.charAt(0)}${type.slice(1).toLowerCase()} ${index + 1}`;
+}
+
+module.exports = { surrogateFor, SURROGATES };
@@ -0,0 +1,138 @@
+// src/lib/tableDetection.js
+
+/**
+ * Detect tables in the extracted text
+ */
+function detectTablesInText(extractedData) {
+  const tables = [];
+  const { pages, textContent } = extractedData;
+  
+  // Basic table detection based on alignment patterns
+  if (!pages || pages.length === 0) return tables;
+  
+  // Looking for consistent alignment patterns that suggest tables
+  for (const page of pages) {
+    if (!page.lines || page.lines.length === 0) continue;
+    
+    let potentialTableLines = [];
+    let inPotentialTable = false;
+    
+    for (let i = 0; i < page.lines.length; i++) {
+      const line = page.lines[i];
+      
+      // Skip very short lines
+      if (line.text.trim().length < 5) continue;
+      
+      // Look for lines with multiple spaces or tab-like separations
+      const hasTabulatedData = 
+        (line.text.includes('  ') && line.text.split('  ').length >= 3) ||
+        line.text.includes('\t') ||
+        (line.items && line.items.length >= 3 && 
+         areItemsAligned(line.items));
+      
+      if (hasTabulatedData) {
+        if (!inPotentialTable) {
+          inPotentialTable = true;
+          potentialTableLines = [];
+        }
+        potentialTableLines.push(line);
+      } else if (inPotentialTable) {
+        // End of potential table
+        if (potentialTableLines.length >= 3) {
+          // We found enough lines to consider it a table
+          tables.push(processTableLines(potentialTableLines, page.number));
+        }
+        inPotentialTable = false;
+      }
+    }
+    
+    // Check for table at end of page
+    if (inPotentialTable && potentialTableLines.length >= 3) {
+      tables.push(processTableLines(potentialTableLines, page.number));
+    }
+  }
+  
+  return tables;
+}
+
+/**
+ * Check if text items in a line are aligned in a way that suggests columns
+ */
+function areItemsAligned(items) {
+  // If we have very few items, it's not a table
+  if (items.length < 3) return false;
+  
+  // Check if items are spaced out horizontally
+  const xPositions = items.map(item => item.x);
+  
+  // Check average distance between items
+  let totalDistance = 0;
+  for (let i = 1; i < xPositions.length; i++) {
+    totalDistance += xPositions[i] - xPositions[i-1];
+  }
+  
+  const avgDistance = totalDistance / (xPositions.length - 1);
+  
+  // Check if consistent spacing exists
+  let consistentSpacing = true;
+  for (let i = 1; i < xPositions.length; i++) {
+    const distance = xPositions[i] - xPositions[i-1];
+    if (Math.abs(distance - avgDistance) > avgDistance * 0.5) {
+      consistentSpacing = false;
+      break;
+    }
+  }
+  
+  return consistentSpacing;
+}
+
+/**
+ * Process lines that are likely a table
+ */
+function processTableLines(lines, pageNumber) {
+  // Extract header row (first line)
+  const headerText = lines[0].text;
+  
+  // Process columns based on spaces and item positions
+  const columns = [];
+  const rows = [];
+  
+  // Try to detect columns based on consistent spaces
+  for (const line of lines) {
+    const row = [];
+    if (line.items && line.items.length > 2) {
+      // Use item positions to determine columns
+      const sortedItems = [...line.items].sort((a, b) => a.x - b.x);
+      for (const item of sortedItems) {
+        row.push(item.text);
+      }
+    } else {
+      // Split by double spaces
+      const cells = line.text.split(/\s{2,}/g).filter(cell => cell.trim().length > 0);
+      row.push(...cells);
+    }
+    rows.push(row);
+  }
+  
+  return {
+    pageNumber,
+    rows,
+    headerRow: rows[0] || [],
+    text: lines.map(l => l.text).join('\n')
+  };
+}
+
+/**
+ * Detect tables in plain text that has no layout information, such as a
+ * pipeline chunk. Each line is treated as a page line, so columns must be
+ * separated by tabs or runs of spaces.
+ */
+function detectTablesInPlainText(text, pageNumber = 1) {
+  const lines = String(text || '').split('\n').map(line => ({ text: line }));
+  return detectTablesInText({ pages: [{ number: pageNumber, lines }], textContent: text });
+}
+
+module.exports = {
+  detectTablesInText,
+  detectTablesInPlainText
+};
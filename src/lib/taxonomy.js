@@ -0,0 +1,80 @@
+// src/lib/taxonomy.js
+
+// Classification labels used when neither the pipeline nor the use case
+// configures any, most important first
+const DEFAULT_TAXONOMY = [
+  { label: 'Critical', description: 'significant legal or financial consequences, risk exposure, core obligations, liabilities, payment or termination terms' },
+  { label: 'Important', description: 'affects rights, costs, deadlines or operations but is not essential' },
+  { label: 'Standard', description: 'routine, boilerplate or informational text' }
+];
+
+/**
+ * Normalize a taxonomy config into an ordered list of labels.
+ *
+ * Accepts an array of label names or { label, description } objects, or an
+ * object with a `labels` array. Order sets priority: the first label is the
+ * most important, which is what classFilter and prioritizeImportant use.
+ *
+ * @param {Array|Object} config - Taxonomy config
+ * @returns {Array<Object>} [{ label, description }]
+ * @throws {Error} When there are no labels or a label repeats
+ */
+function normalizeTaxonomy(config = DEFAULT_TAXONOMY) {
+  const entries = Array.isArray(config) ? config : (config && config.labels) || [];
+  const taxonomy = entries
+    .map(entry => (typeof entry === 'string' ? { label: entry } : entry || {}))
+    .map(entry => ({ label: String(entry.label || entry.name || '').trim(), description: entry.description || '' }))
+    .filter(entry => entry.label);
+
+  if (taxonomy.length === 0) {
+    throw new Error('Classification taxonomy needs at least one label');
+  }
+  const seen = new Set();
+  for (const { label } of taxonomy) {
+    if (seen.has(label.toLowerCase())) {
+      throw new Error(`Classification label "${label}" is listed more than once`);
+    }
+    seen.add(label.toLowerCase());
+  }
+  return taxonomy;
+}
+
+/**
+ * Render the labels for a classifier prompt, one "- Label: description" line each
+ * @param {Array<Object>} taxonomy - Normalized taxonomy
+ * @returns {string} Label list
+ */
+function formatTaxonomy(taxonomy) {
+  return taxonomy
+    .map(({ label, description }) => (description ? `- ${label}: ${description}` : `- ${label}`))
+    .join('\n');
+}
+
+/**
+ * Match a model-returned label against the taxonomy, ignoring case
+ * @param {Array<Object>} taxonomy - Normalized taxonomy
+ * @param {string} value - Label from the model
+ * @returns {string|null} The taxonomy's spelling of the label, or null
+ */
+function findLabel(taxonomy, value) {
+  if (typeof value !== 'string') return null;
+  const wanted = value.trim().toLowerCase();
+  const match = taxonomy.find(({ label }) => label.toLowerCase() === wanted);
+  return match ? match.label : null;
+}
+
+/**
+ * Read a confidence score as a number from 0 to 1
+ * @param {number|string} value - e.g. 0.82, "0.82" or "82%"
+ * @returns {number|null} null when missing or not a number
+ */
+function parseConfidence(value) {
+  const number = typeof value === 'number' ? value : parseFloat(String(value ?? ''));
+  if (!Number.isFinite(number)) return null;
+
+  // Percentages ("82%" or 82) are scaled down
+  const scaled = number > 1 || /%/.test(String(value)) ? number / 100 : number;
+  return Math.min(Math.max(scaled, 0), 1);
+}
+
+module.exports = { DEFAULT_TAXONOMY, normalizeTaxonomy, formatTaxonomy, findLabel, parseConfidence };
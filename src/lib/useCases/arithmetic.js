@@ -0,0 +1,210 @@
+// src/lib/useCases/arithmetic.js
+
+// Numbers, operators and parentheses; anything else is rejected
+const TOKEN_PATTERN = /\s*(\d+(?:\.\d+)?|\.\d+|[-+*/^()])/y;
+
+// A number in an answer, with the sign, currency, accounting parentheses
+// and percent sign around it: "-$1,250.50", "$-500", "($500)", "12.5%"
+const ANSWER_NUMBER = /(\()?\s*([-\u2212]?)\s*([$\u20ac\u00a3\u00a5])?\s*([-\u2212]?)(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|\.\d+)\s*(\))?\s*(%)?/g;
+
+// Labels that introduce the final answer in free text ("Final answer: $500",
+// "Answer = 12%"); the text after the last one is read
+const ANSWER_LABEL = /\b(?:final\s+answer|answer|result)\s*(?:is|:|=)\s*/gi;
+
+// Bare four-digit numbers in this range are read as years, not amounts
+const YEAR_RANGE = [1900, 2100];
+
+function tokenize(expression) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new Error(`Unexpected character "${expression.slice(position).trim()[0]}" in expression`);
+    }
+    tokens.push(match[1]);
+    position = TOKEN_PATTERN.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression without eval().
+ *
+ * Supports numbers, + - * / ^, unary minus and parentheses, with the usual
+ * precedence (^ binds tightest and is right associative). Thousands
+ * separators are stripped first, so "1,200 * 3" works.
+ *
+ * @param {string} expression - e.g. "(1200 - 1000) / 1000 * 100"
+ * @returns {number} The result
+ * @throws {Error} On malformed input, division by zero or non-finite results
+ */
+function evaluateExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Expression is empty');
+  }
+
+  const tokens = tokenize(expression.replace(/(\d),(?=\d{3}\b)/g, '$1'));
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  // expression := term (("+" | "-") term)*
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+
+  // term := unary (("*" | "/") unary)*
+  function parseTerm() {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/') {
+      if (next() === '*') {
+        value *= parseUnary();
+      } else {
+        const divisor = parseUnary();
+        if (divisor === 0) throw new Error('Division by zero');
+        value /= divisor;
+      }
+    }
+    return value;
+  }
+
+  // unary := ("-" | "+") unary | power
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  // power := primary ("^" unary)?
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+
+  // primary := number | "(" expression ")"
+  function parsePrimary() {
+    const token = next();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+    if (token === '(') {
+      const value = parseExpression();
+      if (next() !== ')') throw new Error('Missing closing parenthesis');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return parseFloat(token);
+    throw new Error(`Unexpected "${token}" in expression`);
+  }
+
+  const result = parseExpression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index]}" in expression`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('Expression did not produce a finite number');
+  }
+  return result;
+}
+
+// Every number in a text with its sign and decimals, noting bare years
+function answerCandidates(text) {
+  const candidates = [];
+  for (const match of text.matchAll(ANSWER_NUMBER)) {
+    const [, open, signBefore, currency, signAfter, digits, close, percent] = match;
+    const number = digits.replace(/,/g, '');
+    // Accounting parentheses only mark amounts; "(2023)" is an aside
+    const negative = Boolean(signBefore || signAfter || (open && close && (currency || /[,.]/.test(digits))));
+    const fraction = number.split('.')[1];
+    const value = parseFloat(number);
+    candidates.push({
+      value: negative ? -value : value,
+      decimals: fraction ? fraction.length : 0,
+      year: !currency && !percent && !negative && /^\d{4}$/.test(digits) && value >= YEAR_RANGE[0] && value < YEAR_RANGE[1]
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Read the numeric value from a model-stated answer.
+ *
+ * When the text labels its final answer ("... so the final answer is
+ * -$500"), only the text after the last label is read. Bare years
+ * ("in 2023") are skipped while any other number is present. An unlabelled
+ * answer must contain one number; "$500 a month for 12 months" is ambiguous
+ * and reads as no value.
+ *
+ * @param {string|number} answer - e.g. "$1,250.50", "-$500", "12.5%" or 42
+ * @returns {{ value: number, decimals: number }|null} null when there is no
+ *   single number to read
+ */
+function parseAnswer(answer) {
+  if (typeof answer === 'number') {
+    if (!Number.isFinite(answer)) return null;
+    const fraction = String(answer).split('.')[1];
+    return { value: answer, decimals: fraction ? fraction.length : 0 };
+  }
+
+  const text = String(answer ?? '');
+  const labels = [...text.matchAll(ANSWER_LABEL)];
+  const labelled = labels.length > 0;
+  const finalText = labelled ? text.slice(labels.at(-1).index + labels.at(-1)[0].length) : text;
+
+  const candidates = answerCandidates(finalText);
+  const amounts = candidates.filter(candidate => !candidate.year);
+  const pool = amounts.length > 0 ? amounts : candidates;
+  if (pool.length === 0 || (!labelled && pool.length > 1)) return null;
+
+  // A labelled answer starts right after its label
+  const { value, decimals } = pool[0];
+  return { value, decimals };
+}
+
+/**
+ * Check a stated answer against the value of its expression.
+ *
+ * The answer may be rounded: it is accepted when the computed value rounds
+ * to it at the precision it was written with ("33.33" matches 33.3333...,
+ * "33.3" does not match 33.36).
+ *
+ * @param {string} expression - Arithmetic expression for the answer
+ * @param {string|number} answer - The answer as stated by the model
+ * @returns {{ verified: boolean, computed: number|null, stated: number|null, reason?: string }}
+ */
+function verifyAnswer(expression, answer) {
+  let computed;
+  try {
+    computed = evaluateExpression(expression);
+  } catch (error) {
+    return { verified: false, computed: null, stated: null, reason: `Invalid expression: ${error.message}` };
+  }
+
+  const stated = parseAnswer(answer);
+  if (!stated) {
+    return { verified: false, computed, stated: null, reason: 'Answer has no single numeric value' };
+  }
+
+  const tolerance = 0.5 * Math.pow(10, -stated.decimals) + 1e-9 * Math.max(1, Math.abs(computed));
+  if (Math.abs(computed - stated.value) > tolerance) {
+    return { verified: false, computed, stated: stated.value, reason: `Stated answer ${stated.value} does not match computed ${computed}` };
+  }
+  return { verified: true, computed, stated: stated.value };
+}
+
+module.exports = { evaluateExpression, parseAnswer, verifyAnswer };
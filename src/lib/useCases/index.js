@@ -0,0 +1,36 @@
+// src/lib/useCases/index.js
+const { rewriterLegal } = require('./rewriterLegal');
+const { qaSops } = require('./qaSops');
+const { mathFinance } = require('./mathFinance');
+const { DEFAULT_USE_CASE } = require('../prompts');
+
+// Use cases selectable through the `useCase` processing option
+const useCaseRegistry = {
+  [rewriterLegal.id]: rewriterLegal,
+  [qaSops.id]: qaSops,
+  [mathFinance.id]: mathFinance
+};
+
+/**
+ * Register an additional use case
+ * @param {Object} useCase - Use case definition (see rewriterLegal.js for the shape)
+ */
+function registerUseCase(useCase) {
+  useCaseRegistry[useCase.id] = useCase;
+}
+
+/**
+ * Look up a use case, falling back to the default for unknown IDs
+ * @param {string} id - Use case ID, e.g. "qa-sops"
+ * @returns {Object} The use case definition
+ */
+function getUseCase(id) {
+  const useCase = useCaseRegistry[id || DEFAULT_USE_CASE];
+  if (!useCase) {
+    console.warn(`Unknown use case "${id}", using ${DEFAULT_USE_CASE}`);
+    return useCaseRegistry[DEFAULT_USE_CASE];
+  }
+  return useCase;
+}
+
+module.exports = { getUseCase, registerUseCase, useCaseRegistry };
@@ -0,0 +1,163 @@
+// src/lib/useCases/mathFinance.js
+const { splitLines } = require('./utils');
+const { verifyAnswer } = require('./arithmetic');
+const { detectTablesInPlainText } = require('../tableDetection');
+
+// System message for the exported fine-tuning examples
+const TRAINING_SYSTEM_MESSAGE = 'You are an assistant that solves financial word problems step by step and states the final answer.';
+
+// "[Table] Revenue 2023: 1,200; Revenue 2022: 1,000" -> table fact
+const TABLE_PREFIX = /^\[table\]\s*(.+)$/i;
+
+// Tables passed to the extractor; keeps large statements from crowding out the text
+const MAX_TABLES_PER_CHUNK = 5;
+
+// Render detected tables as pipe-separated rows for the extractor prompt
+function formatTables(tables) {
+  return tables
+    .slice(0, MAX_TABLES_PER_CHUNK)
+    .map((table, i) => `Table ${i + 1}:\n${table.rows.map(row => row.join(' | ')).join('\n')}`)
+    .join('\n\n');
+}
+
+// "Final answer: $500" as the last step, for models that leave out `answer`
+const FINAL_ANSWER_STEP = /^(?:final\s+)?answer\s*(?::|=|is)\s*(.+)$/i;
+
+function solutionText(problem) {
+  return [...problem.steps, `Answer: ${problem.answer}`].join('\n');
+}
+
+/**
+ * Math for finance: extracts numeric facts and table rows from financial
+ * documents and generates word problems with step-by-step solutions.
+ *
+ * Tables in each chunk are found with the same detector the PDF extractor
+ * uses and given to the extractor alongside the text. Every problem carries
+ * the arithmetic expression behind its answer; the expression is evaluated
+ * locally and problems whose stated answer disagrees, or states no single
+ * number, are moved to `rejectedProblems` and left out of every export, so
+ * the dataset never teaches wrong math.
+ */
+const mathFinance = {
+  id: 'math-finance',
+
+  defaultModels: {
+    extractor: 'gpt-4o-mini',
+    classifier: 'gpt-4o-mini',
+    duplicator: 'gpt-4o-mini'
+  },
+
+  taxonomy: [
+    { label: 'Critical', description: 'headline results, cash, debt, covenants or guidance' },
+    { label: 'Important', description: 'segment figures, margins or growth rates' },
+    { label: 'Standard', description: 'minor or descriptive figures' }
+  ],
+
+  extractionVariables(text) {
+    return { tables: formatTables(detectTablesInPlainText(text)) };
+  },
+
+  // One fact per line; facts read from a table are prefixed with [Table]
+  parseExtraction(content, maxLength) {
+    return splitLines(content, maxLength)
+      .map(line => {
+        const match = line.match(TABLE_PREFIX);
+        return match
+          ? { text: match[1].trim(), sourceType: 'table' }
+          : { text: line, sourceType: 'text' };
+      })
+      .filter(fact => /\d/.test(fact.text));
+  },
+
+  generation: { temperature: 0.3, maxTokens: 1536, json: true },
+
+  generationVariables() {
+    return {};
+  },
+
+  // JSON response: { "problems": [{ "question", "steps": [], "expression", "answer" }] }
+  parseGeneration(response, clause, { count, maxLength }) {
+    const data = response.json || {};
+    const problems = (Array.isArray(data) ? data : data.problems || [])
+      .filter(p => p && typeof p.question === 'string' && Array.isArray(p.steps) && p.expression !== undefined)
+      .map(p => {
+        let steps = p.steps.map(step => String(step).trim()).filter(Boolean);
+        let answer = String(p.answer ?? '').trim();
+        const finalStep = steps.length > 0 && steps[steps.length - 1].match(FINAL_ANSWER_STEP);
+        if (!answer && finalStep) {
+          // solutionText adds the answer line back
+          answer = finalStep[1].trim();
+          steps = steps.slice(0, -1);
+        }
+        return { question: p.question.trim(), steps, expression: String(p.expression).trim(), answer };
+      })
+      .filter(p => p.question && p.steps.length > 0 && p.answer && solutionText(p).length < maxLength)
+      .slice(0, count);
+
+    const verified = [];
+    const rejected = [];
+    for (const problem of problems) {
+      const check = verifyAnswer(problem.expression, problem.answer);
+      if (check.verified) {
+        verified.push({ ...problem, computed: check.computed });
+      } else {
+        rejected.push({ ...problem, computed: check.computed, reason: check.reason });
+      }
+    }
+
+    if (rejected.length > 0) {
+      console.warn(`Rejected ${rejected.length} problem(s) that failed arithmetic verification: ${rejected[0].reason}`);
+    }
+    if (problems.length === 0) {
+      throw new Error('Model returned no word problems');
+    }
+    // A fact whose problems all failed verification keeps an empty record;
+    // the rejections still count towards stats.rejectedOutputs
+    return { problems: verified, rejectedProblems: rejected };
+  },
+
+  outputs: { field: 'problems', text: problem => problem.question },
+
+  countOutputs(record) {
+    return (record.problems || []).length;
+  },
+
+  countRejected(record) {
+    return (record.rejectedProblems || []).length;
+  },
+
+  // One line per verified problem, with the fact it is based on and its citation
+  toJsonl(record) {
+    return (record.problems || []).map(problem => ({
+      question: problem.question,
+      steps: problem.steps,
+      answer: problem.answer,
+      expression: problem.expression,
+      context: record.text,
+      sourceType: record.sourceType,
+      sectionPath: record.sectionPath,
+      classification: record.classification,
+      classificationConfidence: record.classificationConfidence,
+      classificationSource: record.classificationSource,
+      citation: record.source,
+      promptTemplates: record.promptTemplates
+    }));
+  },
+
+  toTrainingExamples(record) {
+    return (record.problems || []).map(problem => ({
+      messages: [
+        { role: 'system', content: TRAINING_SYSTEM_MESSAGE },
+        { role: 'user', content: problem.question },
+        { role: 'assistant', content: solutionText(problem) }
+      ]
+    }));
+  },
+
+  // input (question), classification, output (worked solution)
+  toCsvRows(record) {
+    return (record.problems || []).map(problem => [problem.question, record.classification, solutionText(problem)]);
+  }
+};
+
+module.exports = { mathFinance };
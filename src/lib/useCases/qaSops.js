@@ -0,0 +1,113 @@
+// src/lib/useCases/qaSops.js
+const { splitLines } = require('./utils');
+
+// System message for the exported fine-tuning examples
+const TRAINING_SYSTEM_MESSAGE = 'You are an assistant that answers questions about standard operating procedures accurately and only from the documented procedure.';
+
+// "[4.2 Equipment Shutdown] Close the inlet valve ..." -> section + step
+const SECTION_PREFIX = /^\[([^\]]+)\]\s*(.+)$/;
+
+/**
+ * Q&A for SOPs: segments procedures into steps (keeping the section each
+ * step belongs to), classifies steps by operational risk and generates
+ * question/answer pairs grounded in each step. Every pair cites the source
+ * chunk it came from.
+ *
+ * There are no fine-tuned models for this use case, so the OpenAI stages
+ * default to a general model.
+ */
+const qaSops = {
+  id: 'qa-sops',
+
+  defaultModels: {
+    extractor: 'gpt-4o-mini',
+    classifier: 'gpt-4o-mini',
+    duplicator: 'gpt-4o-mini'
+  },
+
+  taxonomy: [
+    { label: 'Critical', description: 'safety, compliance or quality consequences if it is skipped or done wrong' },
+    { label: 'Important', description: 'affects the outcome or efficiency' },
+    { label: 'Standard', description: 'routine or informational' }
+  ],
+
+  extractionVariables() {
+    return {};
+  },
+
+  // One step per line, optionally prefixed with its [section]
+  parseExtraction(content, maxLength) {
+    return splitLines(content, maxLength).map(line => {
+      const match = line.match(SECTION_PREFIX);
+      if (!match) return { text: line, section: null };
+
+      const section = match[1].trim();
+      return { text: match[2].trim(), section: /^general$/i.test(section) ? null : section };
+    });
+  },
+
+  generation: { temperature: 0.4, maxTokens: 1024, json: true },
+
+  generationVariables(clause) {
+    return { section: clause.section || clause.sectionPath || '' };
+  },
+
+  // JSON response: { "pairs": [{ "question": "...", "answer": "..." }] }
+  parseGeneration(response, clause, { count, maxLength }) {
+    const data = response.json || {};
+    const pairs = (Array.isArray(data) ? data : data.pairs || data.qa || [])
+      .filter(pair => pair && typeof pair.question === 'string' && typeof pair.answer === 'string')
+      .map(pair => ({ question: pair.question.trim(), answer: pair.answer.trim() }))
+      .filter(pair => pair.question && pair.answer && pair.answer.length < maxLength)
+      .slice(0, count);
+
+    if (pairs.length === 0) {
+      throw new Error('Model returned no question/answer pairs');
+    }
+    return { qaPairs: pairs };
+  },
+
+  // Record field holding the generated pairs, and the text they are
+  // deduplicated on: generic questions repeat, so the answer counts too
+  outputs: { field: 'qaPairs', text: pair => `${pair.question}\n${pair.answer}` },
+
+  countOutputs(record) {
+    return (record.qaPairs || []).length;
+  },
+
+  countRejected() {
+    return 0;
+  },
+
+  // One line per pair, with the step it is grounded in and its citation
+  toJsonl(record) {
+    return (record.qaPairs || []).map(pair => ({
+      question: pair.question,
+      answer: pair.answer,
+      context: record.text,
+      section: record.section || record.sectionPath,
+      classification: record.classification,
+      classificationConfidence: record.classificationConfidence,
+      classificationSource: record.classificationSource,
+      citation: record.source,
+      promptTemplates: record.promptTemplates
+    }));
+  },
+
+  toTrainingExamples(record) {
+    return (record.qaPairs || []).map(pair => ({
+      messages: [
+        { role: 'system', content: TRAINING_SYSTEM_MESSAGE },
+        { role: 'user', content: pair.question },
+        { role: 'assistant', content: pair.answer }
+      ]
+    }));
+  },
+
+  // input (question), classification, output (answer)
+  toCsvRows(record) {
+    return (record.qaPairs || []).map(pair => [pair.question, record.classification, pair.answer]);
+  }
+};
+
+module.exports = { qaSops };
@@ -0,0 +1,84 @@
+// src/lib/useCases/rewriterLegal.js
+const { splitLines } = require('./utils');
+
+// System message for the exported fine-tuning examples
+const TRAINING_SYSTEM_MESSAGE = 'You are an assistant that helps rewrite text with the same meaning but different wording.';
+
+/**
+ * Legal clause rewriter: extracts clauses, classifies them and generates
+ * reworded variants. This is the pipeline's original behavior and the
+ * default use case; its stages run on the fine-tuned models.
+ */
+const rewriterLegal = {
+  id: 'rewriter-legal',
+
+  // null keeps the pipeline's fine-tuned defaults
+  defaultModels: null,
+
+  // null uses the default Critical/Important/Standard taxonomy
+  taxonomy: null,
+
+  extractionVariables() {
+    return {};
+  },
+
+  // One clause per line
+  parseExtraction(content, maxLength) {
+    return splitLines(content, maxLength).map(text => ({ text }));
+  },
+
+  generation: { temperature: 0.7, maxTokens: 1024, json: false },
+
+  generationVariables() {
+    return {};
+  },
+
+  // One variant per line
+  parseGeneration(response, clause, { count, maxLength }) {
+    return { variants: splitLines(response.content, maxLength).slice(0, count) };
+  },
+
+  // Record field holding the generated outputs, and the text they are
+  // deduplicated on across the run. Paraphrases of the clause go through
+  // the fidelity gate; the ones it rejects are kept in `rejectedVariants`.
+  outputs: { field: 'variants', text: variant => variant, paraphrase: true },
+
+  countOutputs(record) {
+    return (record.variants || []).length;
+  },
+
+  countRejected(record) {
+    return (record.rejectedVariants || []).length;
+  },
+
+  toJsonl(record) {
+    return [{
+      text: record.text,
+      sectionPath: record.sectionPath,
+      classification: record.classification,
+      classificationConfidence: record.classificationConfidence,
+      classificationSource: record.classificationSource,
+      variants: record.variants,
+      promptTemplates: record.promptTemplates
+    }];
+  },
+
+  // One fine-tuning example per variant
+  toTrainingExamples(record) {
+    return (record.variants || []).map(variant => ({
+      messages: [
+        { role: 'system', content: TRAINING_SYSTEM_MESSAGE },
+        { role: 'user', content: record.text },
+        { role: 'assistant', content: variant }
+      ]
+    }));
+  },
+
+  // input, classification, output
+  toCsvRows(record) {
+    const variants = record.variants && record.variants.length > 0 ? record.variants : [''];
+    return variants.map(variant => [record.text, record.classification, variant]);
+  }
+};
+
+module.exports = { rewriterLegal };
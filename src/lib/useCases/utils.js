@@ -0,0 +1,16 @@
+// src/lib/useCases/utils.js
+
+/**
+ * Split a plain-text model response into trimmed, non-empty lines
+ * @param {string} content - Model output
+ * @param {number} maxLength - Lines at or above this length are dropped
+ * @returns {Array<string>} Lines
+ */
+function splitLines(content = '', maxLength = Infinity) {
+  return content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && line.length < maxLength);
+}
+
+module.exports = { splitLines };
@@ -1,5 +1,23 @@
-import { getStorage, ref, uploadBytes, getDownloadURL } from 'firebase/storage';
-import { getFirestore, doc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { getStorage, ref, uploadBytes, getDownloadURL, getBytes } from 'firebase/storage';
+import { getFirestore, doc, updateDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+
+// Content types for the dataset file extensions
+const CONTENT_TYPES = {
+  jsonl: 'application/jsonl',
+  csv: 'text/csv',
+  json: 'application/json'
+};
+
+/**
+ * Storage file name of a dataset, or of one of its splits
+ * @param {string} datasetId - ID of the dataset
+ * @param {string} split - Split name (train, validation, test), if any
+ * @param {string} extension - File extension
+ * @returns {string} e.g. "dataset-abc-train.jsonl"
+ */
+export function datasetFileName(datasetId, split = null, extension = 'jsonl') {
+  return `dataset-${datasetId}${split ? `-${split}` : ''}.${extension}`;
+}
 
 /**
  * Save generated dataset as JSONL to Firebase Storage
@@ -56,16 +74,71 @@ export async function saveDatasetAsJsonl(datasetId, userId, records) {
   }
 }
 
+/**
+ * Save the train/validation/test splits of a dataset to Firebase Storage,
+ * one file per split, and record them on the dataset under `splits`
+ * @param {string} datasetId - ID of the dataset
+ * @param {string} userId - User ID
+ * @param {Object} splits - { train: { output, lineCount, recordCount, classificationCounts }, ... }
+ * @param {string} extension - File extension for the split files
+ * @returns {Promise<Object>} Split file info keyed by split name
+ */
+export async function saveDatasetSplits(datasetId, userId, splits, extension = 'jsonl') {
+  try {
+    const storage = getStorage();
+    const savedSplits = {};
+
+    for (const [split, data] of Object.entries(splits)) {
+      const fileName = datasetFileName(datasetId, split, extension);
+      const filePath = `datasets/${userId}/${fileName}`;
+      const fileRef = ref(storage, filePath);
+
+      await uploadBytes(fileRef, Buffer.from(data.output || '', 'utf-8'), {
+        contentType: CONTENT_TYPES[extension] || 'application/octet-stream',
+        customMetadata: {
+          'userId': userId,
+          'datasetId': datasetId,
+          'split': split,
+          'lineCount': String(data.lineCount || 0)
+        }
+      });
+
+      savedSplits[split] = {
+        fileName,
+        filePath,
+        downloadUrl: await getDownloadURL(fileRef),
+        lineCount: data.lineCount || 0,
+        recordCount: data.recordCount || 0,
+        classificationCounts: data.classificationCounts || {}
+      };
+    }
+
+    // Merge so datasets created by a processing job get the record too
+    const db = getFirestore();
+    await setDoc(doc(db, "datasets", datasetId), {
+      splits: savedSplits,
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return savedSplits;
+  } catch (error) {
+    console.error('Error saving dataset splits:', error);
+    throw error;
+  }
+}
+
 /**
  * Generate a temporary download URL for a dataset
  * @param {string} datasetId - ID of the dataset
  * @param {string} userId - User ID
+ * @param {string} split - Split name (train, validation, test), or null for the whole dataset
+ * @param {string} extension - File extension
  * @returns {Promise<string>} Download URL
  */
-export async function getDatasetDownloadUrl(datasetId, userId) {
+export async function getDatasetDownloadUrl(datasetId, userId, split = null, extension = 'jsonl') {
   try {
     const storage = getStorage();
-    const filePath = `datasets/${userId}/dataset-${datasetId}.jsonl`;
+    const filePath = `datasets/${userId}/${datasetFileName(datasetId, split, extension)}`;
     const fileRef = ref(storage, filePath);
     
     // Generate a URL that expires in 1 hour
@@ -76,4 +149,44 @@ export async function getDatasetDownloadUrl(datasetId, userId) {
     console.error('Error getting dataset download URL:', error);
     throw error;
   }
-} 
\ No newline at end of file
+} 
+/**
+ * Read a dataset file, or one of its splits, from Firebase Storage
+ * @param {string} datasetId - ID of the dataset
+ * @param {string} userId - User ID
+ * @param {string} split - Split name (train, validation, test), or null for the whole dataset
+ * @param {string} extension - File extension
+ * @returns {Promise<string>} File content
+ */
+export async function getDatasetContent(datasetId, userId, split = null, extension = 'jsonl') {
+  try {
+    const storage = getStorage();
+    const filePath = `datasets/${userId}/${datasetFileName(datasetId, split, extension)}`;
+    const bytes = await getBytes(ref(storage, filePath));
+    return Buffer.from(bytes).toString('utf-8');
+  } catch (error) {
+    console.error('Error reading dataset file:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the result of validating a dataset file on the dataset, under
+ * `validation` or, for a split, `splits.<split>.validation`
+ * @param {string} datasetId - ID of the dataset
+ * @param {Object} summary - { valid, format, examples, errorCount, warningCount }
+ * @param {string} split - Split name, or null for the whole dataset
+ * @returns {Promise<void>}
+ */
+export async function saveDatasetValidation(datasetId, summary, split = null) {
+  try {
+    const db = getFirestore();
+    await updateDoc(doc(db, "datasets", datasetId), {
+      [split ? `splits.${split}.validation` : 'validation']: summary,
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error saving dataset validation:', error);
+    throw error;
+  }
+}
@@ -16,6 +16,9 @@ try {
 // Load environment variables
 require('dotenv').config();
 
+// Set LLM_PROVIDER=mock to run every pipeline stage offline with the
+// rule-based mock model, e.g. `LLM_PROVIDER=mock node test-pipeline.js`
+
 // Function to extract text from PDF (simplified version)
 async function extractTextFromPdf(buffer) {
   try {
@@ -102,8 +105,8 @@ async function testPipelineWithSampleText() {
     console.log('Initializing synthetic data pipeline...');
     const pipeline = new SyntheticDataPipeline({
       apiKey: process.env.OPENAI_API_KEY,
-      chunkSize: 500,  // Smaller chunk size for sample
-      overlap: 50,
+      chunkSize: 128,  // Smaller token budget for sample
+      overlap: 16,
       outputFormat: 'jsonl',
       classFilter: 'all',
       onProgress: (stage, stats) => {
@@ -179,8 +182,8 @@ async function testPipeline() {
     console.log('Initializing synthetic data pipeline...');
     const pipeline = new SyntheticDataPipeline({
       apiKey: process.env.OPENAI_API_KEY,
-      chunkSize: 1000,
-      overlap: 100,
+      chunkSize: 256,
+      overlap: 32,
       outputFormat: 'jsonl',
       classFilter: 'all',
       onProgress: (stage, stats) => {
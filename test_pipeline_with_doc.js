@@ -5,104 +5,15 @@ const https = require('https');
 const { PDFDocument } = require('pdf-lib');
 require('dotenv').config();
 
-// Try to load the SyntheticDataPipeline
-let SyntheticDataPipeline;
-try {
-  // Try to import as CommonJS module
-  SyntheticDataPipeline = require('./src/lib/SyntheticDataPipeline').SyntheticDataPipeline;
-} catch (error) {
-  console.error('Failed to import SyntheticDataPipeline:', error);
-  // Simple mock for testing
-  console.log('Creating mock SyntheticDataPipeline for testing...');
-  SyntheticDataPipeline = class MockSyntheticDataPipeline {
-    constructor(options = {}) {
-      this.options = options;
-      console.log('Initialized MockSyntheticDataPipeline with options:', options);
-    }
-    
-    async process(text) {
-      console.log(`[MOCK] Processing ${text.length} characters of text...`);
-      
-      // Simulate different pipeline stages with mock data
-      const stages = ['extracting', 'classifying', 'generating', 'formatting'];
-      
-      // Simulate extracting clauses
-      if (this.options.onProgress) {
-        this.options.onProgress('extracting', {
-          totalChunks: 5,
-          extractedClauses: 0
-        });
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      const extractedClauses = Math.floor(text.length / 200);
-      
-      // Simulate clause classification
-      if (this.options.onProgress) {
-        this.options.onProgress('classifying', {
-          totalChunks: 5,
-          extractedClauses,
-          classifiedClauses: 0
-        });
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      const classifiedClauses = Math.floor(text.length / 250);
-      
-      // Simulate variant generation
-      if (this.options.onProgress) {
-        this.options.onProgress('generating', {
-          totalChunks: 5,
-          extractedClauses,
-          classifiedClauses,
-          generatedVariants: 0
-        });
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      const generatedVariants = Math.floor(text.length / 300);
-      
-      // Create a mock result
-      return {
-        stats: {
-          extractedClauses,
-          classifiedClauses,
-          generatedVariants
-        },
-        output: [
-          JSON.stringify({
-            messages: [
-              {
-                role: "system",
-                content: "You are an expert in this domain.",
-              },
-              { role: "user", content: "Sample contract clause from the document." },
-              { role: "assistant", content: "Alternative version of the contract clause." },
-            ],
-          }),
-          JSON.stringify({
-            messages: [
-              {
-                role: "system",
-                content: "You are an expert in this domain.",
-              },
-              { role: "user", content: "Another sample clause from the document." },
-              { role: "assistant", content: "Alternative version of this clause." },
-            ],
-          })
-        ].join('\n')
-      };
-    }
-  };
-}
+// Set LLM_PROVIDER=mock and TEST_PDF_PATH=<local pdf> to run fully offline:
+//   LLM_PROVIDER=mock TEST_PDF_PATH=test-sample.pdf node test_pipeline_with_doc.js
+const SyntheticDataPipeline = require('./lib/SyntheticDataPipeline');
 
 // Configuration
 const PDF_URL = 'https://www.africau.edu/images/default/sample.pdf';
 const OUTPUT_DIR = path.join(__dirname, 'test_output');
 const TEMP_FILE_PATH = path.join(OUTPUT_DIR, 'buffy_podcast.pdf');
+const LOCAL_PDF_PATH = process.env.TEST_PDF_PATH; // Skip the download when set
 const CHUNK_COUNT = 4; // Split into 4 parts for processing
 
 // Ensure output directory exists
@@ -114,6 +25,11 @@ async function ensureDirectories() {
 
 // Download the PDF file
 async function downloadPdf() {
+  if (LOCAL_PDF_PATH) {
+    console.log(`Using local PDF ${LOCAL_PDF_PATH}`);
+    return path.resolve(LOCAL_PDF_PATH);
+  }
+  
   console.log(`Downloading PDF from ${PDF_URL}`);
   
   return new Promise((resolve, reject) => {
@@ -325,7 +241,7 @@ async function processSplitDocuments(splitPaths) {
     // Initialize the pipeline with OpenAI output format
     const pipeline = new SyntheticDataPipeline({
       apiKey: process.env.OPENAI_API_KEY,
-      outputFormat: 'openai',
+      outputFormat: 'openai-jsonl',
       onProgress: (stage, stats) => {
         console.log(`Progress update - Stage: ${stage}, Stats:`, stats);
       }
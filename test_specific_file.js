@@ -54,8 +54,8 @@ const PROCESS_OPTIONS = {
   outputFormat: 'jsonl',  // Options: jsonl, openai, mistral, claude, csv
   industry: 'legal',      // Options: legal, sop, finance
   modelType: 'rewriter',  // Options based on industry: rewriter, analyzer, qa, etc.
-  chunkSize: 1000,
-  overlap: 100,
+  chunkSize: 256,         // Tokens per chunk
+  overlap: 32,
   classFilter: 'all',     // Options: all, critical, important, critical_important
   prioritizeImportant: false
 };
@@ -49,8 +49,8 @@ async function main() {
       formData.append('file', fs.createReadStream(pdfPath));
       formData.append('name', 'NFPA_70E_Standard');
       formData.append('description', 'Electrical Safety in the Workplace Standard');
-      formData.append('chunkSize', '1000');
-      formData.append('overlap', '100');
+      formData.append('chunkSize', '256');
+      formData.append('overlap', '32');
       formData.append('outputFormat', 'jsonl');
       formData.append('classFilter', 'all');
       formData.append('prioritizeImportant', 'false');
@@ -0,0 +1,81 @@
+// tests/unit/arithmetic.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateExpression, parseAnswer, verifyAnswer } = require('../../src/lib/useCases/arithmetic');
+const { mathFinance } = require('../../src/lib/useCases/mathFinance');
+
+test('evaluateExpression follows precedence without eval', () => {
+  assert.equal(evaluateExpression('(1,200 - 1000) / 1000 * 100'), 20);
+  assert.equal(evaluateExpression('2 ^ 3 ^ 2'), 512);
+  assert.equal(evaluateExpression('-3 + 5'), 2);
+  assert.throws(() => evaluateExpression('1 / 0'), /Division by zero/);
+  assert.throws(() => evaluateExpression('process.exit()'), /Unexpected character/);
+});
+
+test('parseAnswer reads signs, currency and accounting negatives', () => {
+  assert.deepEqual(parseAnswer('-$500'), { value: -500, decimals: 0 });
+  assert.deepEqual(parseAnswer('$-500'), { value: -500, decimals: 0 });
+  assert.deepEqual(parseAnswer('($1,200.00)'), { value: -1200, decimals: 2 });
+  assert.deepEqual(parseAnswer('12.5%'), { value: 12.5, decimals: 1 });
+  assert.deepEqual(parseAnswer(42), { value: 42, decimals: 0 });
+});
+
+test('parseAnswer skips years and reads the labelled final answer', () => {
+  assert.equal(parseAnswer('In 2023 revenue grew 20%').value, 20);
+  assert.equal(parseAnswer('Revenue was $500 (2023)').value, 500);
+  assert.equal(parseAnswer('From 2022 to 2023 it fell by $200, so the final answer is -$200').value, -200);
+  assert.equal(parseAnswer('Answer = 1,000 units').value, 1000);
+  assert.equal(parseAnswer('2023').value, 2023);
+});
+
+test('parseAnswer refuses ambiguous unlabelled answers', () => {
+  assert.equal(parseAnswer('$500 a month for 12 months'), null);
+  assert.equal(parseAnswer('no figure given'), null);
+});
+
+test('verifyAnswer accepts rounding at the stated precision only', () => {
+  assert.equal(verifyAnswer('100 / 3', '33.33').verified, true);
+  assert.equal(verifyAnswer('100 / 3', '33.4').verified, false);
+  assert.equal(verifyAnswer('1000 - 1500', '-$500').verified, true);
+  assert.equal(verifyAnswer('1000 - 1500', 'In 2023: -$500').verified, true);
+  assert.match(verifyAnswer('1 +', '1').reason, /Invalid expression/);
+});
+
+function generation(problems) {
+  return mathFinance.parseGeneration({ json: { problems } }, { text: 'fact' }, { count: 5, maxLength: 1000 });
+}
+
+test('parseGeneration keeps verified problems and rejects the rest', () => {
+  const { problems, rejectedProblems } = generation([
+    { question: 'Q1', steps: ['1200 - 1000'], expression: '1200 - 1000', answer: '$200' },
+    { question: 'Q2', steps: ['wrong'], expression: '2 + 2', answer: '5' }
+  ]);
+  assert.deepEqual(problems.map(p => p.question), ['Q1']);
+  assert.equal(problems[0].computed, 200);
+  assert.equal(rejectedProblems[0].question, 'Q2');
+  assert.match(rejectedProblems[0].reason, /does not match/);
+});
+
+test('parseGeneration returns an empty result when every problem is rejected', () => {
+  const result = generation([
+    { question: 'Q1', steps: ['s'], expression: '2 + 2', answer: '5' },
+    { question: 'Q2', steps: ['s'], expression: '1 + 1', answer: '$3 over 12 months' }
+  ]);
+  assert.deepEqual(result.problems, []);
+  assert.equal(result.rejectedProblems.length, 2);
+  assert.equal(mathFinance.countRejected(result), 2);
+  assert.deepEqual(mathFinance.toJsonl(result), []);
+});
+
+test('parseGeneration reads a labelled answer from the last step', () => {
+  const { problems } = generation([
+    { question: 'Q', steps: ['Costs rose from 2022 to 2023', 'Final answer: -$500'], expression: '1000 - 1500' }
+  ]);
+  assert.equal(problems[0].answer, '-$500');
+  assert.deepEqual(problems[0].steps, ['Costs rose from 2022 to 2023']);
+});
+
+test('parseGeneration still fails when the model returns no problems', () => {
+  assert.throws(() => generation([]), /no word problems/);
+});
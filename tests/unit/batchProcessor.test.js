@@ -0,0 +1,122 @@
+// tests/unit/batchProcessor.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BatchProcessor = require('../../lib/BatchProcessor');
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function collect(iterable) {
+  const outcomes = [];
+  for await (const outcome of iterable) outcomes.push(outcome);
+  return outcomes;
+}
+
+test('processInOrder yields outcomes in input order despite uneven durations', async () => {
+  const batcher = new BatchProcessor({ concurrency: 3 });
+  const outcomes = await collect(batcher.processInOrder([30, 5, 15, 1], async (ms, index) => {
+    await delay(ms);
+    return index;
+  }));
+  assert.deepEqual(outcomes.map(o => o.result), [0, 1, 2, 3]);
+  assert.deepEqual(outcomes.map(o => o.index), [0, 1, 2, 3]);
+});
+
+test('failed items are yielded with their error and counted', async () => {
+  const errors = [];
+  let completed;
+  const batcher = new BatchProcessor({
+    concurrency: 2,
+    onError: (error, item) => errors.push(item),
+    onComplete: (summary) => { completed = summary; }
+  });
+
+  const outcomes = await collect(batcher.processInOrder(['a', 'bad', 'c'], async (item) => {
+    if (item === 'bad') throw new Error('boom');
+    return item.toUpperCase();
+  }));
+
+  assert.equal(outcomes.length, 3);
+  assert.equal(outcomes[1].item, 'bad');
+  assert.equal(outcomes[1].error.message, 'boom');
+  assert.deepEqual(errors, ['bad']);
+  assert.deepEqual(completed, { processed: 3, failed: 1, stopped: false });
+});
+
+test('never runs more than the concurrency limit at once', async () => {
+  const batcher = new BatchProcessor({ concurrency: 2 });
+  let running = 0;
+  let peak = 0;
+  await collect(batcher.processInOrder([1, 2, 3, 4, 5, 6], async () => {
+    peak = Math.max(peak, ++running);
+    await delay(5);
+    running--;
+  }));
+  assert.equal(peak, 2);
+});
+
+test('stop() starts no new items but yields the ones already running', async () => {
+  const batcher = new BatchProcessor({ concurrency: 2 });
+  const started = [];
+  const outcomes = [];
+  let startedBeforeStop;
+  for await (const outcome of batcher.processInOrder([0, 1, 2, 3, 4, 5], async (item) => {
+    started.push(item);
+    await delay(5);
+    return item;
+  })) {
+    outcomes.push(outcome.result);
+    if (outcome.result === 0) {
+      batcher.stop();
+      startedBeforeStop = [...started];
+    }
+  }
+  assert.ok(startedBeforeStop.length < 6);
+  assert.deepEqual(started, startedBeforeStop);
+  assert.deepEqual(outcomes, startedBeforeStop);
+});
+
+test('stopping iteration early aborts running items and waits for them', async () => {
+  const batcher = new BatchProcessor({ concurrency: 3 });
+  const settled = [];
+  let sawAbort = false;
+
+  for await (const outcome of batcher.processInOrder([0, 1, 2], async (item, index, { signal }) => {
+    await delay(item === 0 ? 1 : 20);
+    sawAbort = sawAbort || signal.aborted;
+    settled.push(item);
+    return item;
+  })) {
+    assert.equal(outcome.result, 0);
+    break;
+  }
+
+  assert.deepEqual(settled.sort(), [0, 1, 2]);
+  assert.ok(sawAbort);
+});
+
+test('a lazy source is not read past the items that can run', async () => {
+  let pulled = 0;
+  function* source() {
+    for (let i = 0; i < 100; i++) {
+      pulled++;
+      yield i;
+    }
+  }
+  const batcher = new BatchProcessor({ concurrency: 2 });
+  for await (const outcome of batcher.processInOrder(source(), async (item) => item)) {
+    if (outcome.result === 1) break;
+  }
+  // Two running plus at most maxConcurrency * 2 finished results waiting
+  assert.ok(pulled <= 2 + batcher.maxConcurrency * 2, `pulled ${pulled} items`);
+});
+
+test('a 429 halves the concurrency and pauses for Retry-After', () => {
+  const batcher = new BatchProcessor({ concurrency: 4 });
+  batcher.reportRateLimit({ type: 'throttled', retryAfterMs: 1000 });
+  assert.equal(batcher.concurrency, 2);
+  assert.ok(batcher._pausedUntil > Date.now() + 900);
+
+  for (let i = 0; i < batcher.increaseAfter; i++) batcher.reportSuccess();
+  assert.equal(batcher.concurrency, 3);
+});
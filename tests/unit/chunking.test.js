@@ -0,0 +1,120 @@
+// tests/unit/chunking.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { chunkDocument, createChunker } = require('../../src/lib/chunking');
+const { countTokens, tokenPrefixLength, tokenSuffixLength } = require('../../src/lib/costs');
+
+const MODEL = 'gpt-4o-mini';
+
+// Numbered sections of a few sentences each
+const LEASE = Array.from({ length: 20 }, (_, i) =>
+  `Section ${i + 1}. The tenant shall pay the landlord rent of ${i + 100} dollars on the first day of each month. ` +
+  `Late payments accrue interest at ${i + 2} percent. The landlord must repair the roof within ${i + 10} days of notice.`
+).join('\n\n');
+
+// The same chunks whichever way the text is fed in
+function chunkInPieces(text, options, pieceLength) {
+  const chunker = createChunker(options);
+  const chunks = [];
+  for (let i = 0; i < text.length; i += pieceLength) {
+    chunks.push(...chunker.push(text.slice(i, i + pieceLength)));
+  }
+  return [...chunks, ...chunker.end()];
+}
+
+test('a token prefix fits the budget and one more character would not', () => {
+  const text = 'The tenant shall pay the landlord rent on the first day of each month.';
+  const length = tokenPrefixLength(text, 5, MODEL);
+  assert.ok(countTokens(text.slice(0, length), MODEL) <= 5);
+  assert.ok(countTokens(text.slice(0, length + 1), MODEL) > 5);
+  assert.equal(tokenPrefixLength(text, 1000, MODEL), text.length);
+
+  const suffix = tokenSuffixLength(text, 3, MODEL);
+  assert.equal(countTokens(text.slice(-suffix), MODEL), 3);
+  assert.equal(tokenSuffixLength(text, 0, MODEL), 0);
+});
+
+test('length windows keep to the budget and overlap by the overlap tokens', () => {
+  const options = { strategy: 'length', maxTokens: 40, overlapTokens: 8, model: MODEL };
+  const chunks = chunkDocument(LEASE, options);
+  assert.ok(chunks.length > 5);
+
+  for (const chunk of chunks) {
+    assert.ok(chunk.tokens <= 40, `${chunk.tokens} tokens`);
+    assert.equal(chunk.tokens, countTokens(chunk.text, MODEL));
+    assert.equal(LEASE.slice(chunk.start, chunk.end).trim(), chunk.text);
+  }
+  for (let i = 1; i < chunks.length; i++) {
+    const overlap = LEASE.slice(chunks[i].start, chunks[i - 1].end);
+    assert.ok(overlap.length > 0, `chunk ${i + 1} does not overlap the one before`);
+    assert.ok(countTokens(overlap, MODEL) <= 8 + 1, `${countTokens(overlap, MODEL)} tokens of overlap`);
+  }
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks[chunks.length - 1].end, LEASE.length);
+
+  // Windows end at a sentence or paragraph break when one is close
+  const atBreaks = chunks.slice(0, -1).filter(chunk => /[.!?]$/.test(chunk.text));
+  assert.ok(atBreaks.length >= (chunks.length - 1) / 2);
+});
+
+test('structure chunks keep sections whole, do not overlap and keep to the budget', () => {
+  const options = { strategy: 'structure', maxTokens: 100, model: MODEL };
+  const chunks = chunkDocument(LEASE, options);
+  assert.ok(chunks.length > 1);
+
+  for (const chunk of chunks) {
+    assert.ok(chunk.tokens <= 100, `${chunk.tokens} tokens`);
+  }
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].start >= chunks[i - 1].end);
+  }
+  // Every section sits whole in one chunk
+  for (const section of LEASE.split('\n\n')) {
+    assert.equal(chunks.filter(chunk => chunk.text.includes(section)).length, 1, section.slice(0, 12));
+  }
+});
+
+test('a numbered clause written as one long line still starts a section', () => {
+  const clauses = Array.from({ length: 6 }, (_, i) =>
+    `Section ${i + 1}. The tenant shall pay rent of ${i + 100} dollars on the first day of each month to the landlord ` +
+    `at the address the landlord names in writing. Late payments accrue interest at ${i + 2} percent a month until paid. ` +
+    `The landlord must repair the roof within ${i + 10} days of written notice from the tenant.`
+  );
+  assert.ok(clauses.every(clause => clause.length > 200));
+  const chunks = chunkDocument(clauses.join('\n\n'), { strategy: 'structure', maxTokens: 120, model: MODEL });
+
+  const paths = chunks.flatMap(chunk => chunk.sections.map(section => section.path));
+  assert.deepEqual(paths, clauses.map((_, i) => `Section ${i + 1}`));
+  for (const clause of clauses) {
+    assert.equal(chunks.filter(chunk => chunk.text.includes(clause)).length, 1, clause.slice(0, 12));
+  }
+});
+
+test('a section over the budget on its own is split at sentence ends', () => {
+  const section = 'Section 1. ' + Array.from({ length: 30 }, (_, i) => `The tenant shall keep item ${i + 1} clean.`).join(' ');
+  const chunks = chunkDocument(section, { strategy: 'structure', maxTokens: 50, model: MODEL });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.tokens <= 50, `${chunk.tokens} tokens`);
+    assert.match(chunk.text, /\.$/);
+  }
+});
+
+test('chunks do not depend on how the text arrives', () => {
+  for (const options of [
+    { strategy: 'length', maxTokens: 40, overlapTokens: 8, model: MODEL },
+    { strategy: 'structure', maxTokens: 60, model: MODEL }
+  ]) {
+    const whole = chunkDocument(LEASE, options).map(({ text, start, end }) => ({ text, start, end }));
+    for (const pieceLength of [7, 100, 1000]) {
+      const pieces = chunkInPieces(LEASE, options, pieceLength).map(({ text, start, end }) => ({ text, start, end }));
+      assert.deepEqual(pieces, whole, `${options.strategy} in pieces of ${pieceLength}`);
+    }
+  }
+});
+
+test('an unknown strategy names the available ones', () => {
+  assert.throws(() => createChunker({ strategy: 'pages' }), /Unknown chunking strategy "pages"\. Available: structure, length/);
+});
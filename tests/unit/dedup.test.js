@@ -0,0 +1,122 @@
+// tests/unit/dedup.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Deduplicator, MinHashIndex, normalizeText } = require('../../src/lib/dedup');
+
+const CLAUSE = 'The tenant shall pay the landlord the monthly rent on the first business day of each calendar month without any deduction or set off whatsoever';
+
+// Exact Jaccard similarity of two texts' word shingles
+function jaccard(a, b, size = 3) {
+  const shingles = (text) => {
+    const words = normalizeText(text).split(' ');
+    return new Set(words.slice(0, words.length - size + 1).map((_, i) => words.slice(i, i + size).join(' ')));
+  };
+  const [x, y] = [shingles(a), shingles(b)];
+  const shared = [...x].filter(shingle => y.has(shingle)).length;
+  return shared / (x.size + y.size - shared);
+}
+
+// Unrelated sentences, different in every shingle
+function filler(i) {
+  return `Item ${i} covers topic ${i * 7} under schedule ${i * 13} with reference ${i * 31}`;
+}
+
+test('texts that differ only in case and punctuation are exact duplicates', async () => {
+  const dedup = new Deduplicator();
+  const { kept, dropped } = await dedup.filter(['The Tenant shall pay rent.', 'the tenant, shall pay RENT']);
+  assert.deepEqual(kept, ['The Tenant shall pay rent.']);
+  assert.equal(dropped[0].method, 'exact');
+  assert.equal(dropped[0].similarity, 1);
+});
+
+test('the MinHash estimate is close to the shingles\' Jaccard similarity', () => {
+  const index = new MinHashIndex({ threshold: 0 });
+  const pairs = [
+    [CLAUSE, CLAUSE.replace('monthly', 'agreed')],
+    [CLAUSE, CLAUSE.replace('first business day', 'fifth day')],
+    [CLAUSE, 'The landlord shall repair the roof within ten days of written notice from the tenant']
+  ];
+  for (const [a, b] of pairs) {
+    const estimate = index._similarity(index.signature(a).signature, index.signature(b).signature);
+    assert.ok(Math.abs(estimate - jaccard(a, b)) < 0.15, `estimate ${estimate}, Jaccard ${jaccard(a, b)}`);
+  }
+});
+
+test('signatures are the same for a seed and differ across seeds', () => {
+  const signature = (seed) => Array.from(new MinHashIndex({ seed }).signature(CLAUSE).signature);
+  assert.deepEqual(signature('a'), signature('a'));
+  assert.notDeepEqual(signature('a'), signature('b'));
+
+  assert.throws(() => new MinHashIndex({ numHashes: 100, bands: 16 }), /must be a multiple of bands/);
+});
+
+test('LSH finds a near duplicate among many unrelated texts and only compares candidates', () => {
+  const index = new MinHashIndex();
+  for (let i = 0; i < 2000; i++) index.add(index.signature(filler(i)), `filler-${i}`);
+  index.add(index.signature(CLAUSE), 'clause');
+
+  // One word changed in a 25-word clause
+  const near = CLAUSE.replace('whatsoever', 'at all');
+  assert.ok(jaccard(CLAUSE, near) >= 0.85);
+  const query = index.signature(near);
+  const match = index.query(query);
+  assert.equal(match.id, 'clause');
+  assert.equal(match.method, 'minhash');
+
+  const compared = new Set();
+  for (let band = 0; band < index.bands; band++) {
+    for (const id of index._buckets[band].get(index._bandKey(query.signature, band)) || []) compared.add(id);
+  }
+  assert.ok(compared.size < 20, `${compared.size} candidates`);
+
+  index.remove('clause');
+  assert.equal(index.query(query), null);
+  assert.equal(index.size, 2000);
+});
+
+test('texts below the threshold are kept', async () => {
+  const dedup = new Deduplicator({ threshold: 0.85 });
+  const other = CLAUSE.replace('first business day of each calendar month', 'last day of the quarter');
+  assert.ok(jaccard(CLAUSE, other) < 0.85);
+  const { kept } = await dedup.filter([CLAUSE, other]);
+  assert.equal(kept.length, 2);
+});
+
+test('the filter remembers what it kept across calls, first occurrence winning', async () => {
+  const dedup = new Deduplicator();
+  await dedup.addAll([CLAUSE]);
+  const { kept, dropped } = await dedup.filter([{ id: 1, text: CLAUSE.replace('whatsoever', 'at all') }, { id: 2, text: filler(1) }], item => item.text);
+
+  assert.deepEqual(kept.map(item => item.id), [2]);
+  assert.equal(dropped[0].duplicateOf, CLAUSE);
+  assert.equal(dedup.size, 2);
+  assert.equal((await dedup.filter([filler(1)])).kept.length, 0);
+});
+
+test('the embedding layer drops paraphrases the lexical layer misses', async () => {
+  // Paraphrases share a vector; unrelated texts get orthogonal ones
+  const vectors = {
+    'The tenant pays rent monthly.': [1, 0, 0],
+    'Rent is due from the tenant every month.': [0.99, 0.05, 0],
+    'The landlord repairs the roof.': [0, 1, 0]
+  };
+  const embedder = { embed: async (texts) => texts.map(text => vectors[text]) };
+  const dedup = new Deduplicator({ embedder, embeddingThreshold: 0.95 });
+
+  const { kept, dropped } = await dedup.filter(Object.keys(vectors));
+  assert.deepEqual(kept, ['The tenant pays rent monthly.', 'The landlord repairs the roof.']);
+  assert.equal(dropped[0].method, 'embedding');
+  assert.equal(dropped[0].duplicateOf, 'The tenant pays rent monthly.');
+
+  // The dropped paraphrase was taken back out of the lexical index
+  assert.equal(dedup.size, 2);
+});
+
+test('a failed embedding call leaves the batch to the lexical layer', async () => {
+  const embedder = { embed: async () => { throw new Error('rate limited'); } };
+  const dedup = new Deduplicator({ embedder });
+  const { kept } = await dedup.filter([CLAUSE, filler(1)]);
+  assert.equal(kept.length, 2);
+  assert.equal(dedup.embeddingErrors, 1);
+});
@@ -0,0 +1,74 @@
+// tests/unit/fidelity.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractFacts, checkVariant, parseJudgement } = require('../../src/lib/fidelity');
+
+const CLAUSE = 'The Tenant shall pay the Landlord rent of $1,500.00 on or before January 1, 2025, and shall not sublet the Premises.';
+// A faithful rewording
+const VARIANT = 'By January 1, 2025 the Tenant must pay rent of $1,500 to the Landlord, and the Tenant may not sublet the Premises.';
+
+test('facts are the numbers, dates, defined terms and negation of a clause', () => {
+  const facts = extractFacts(CLAUSE);
+  assert.deepEqual(facts.numbers, ['1500', '1', '2025']);
+  assert.deepEqual(facts.dates, ['2025-1-1']);
+  assert.deepEqual(facts.definedTerms, ['tenant', 'landlord', 'premises']);
+  assert.equal(facts.negated, true);
+
+  // Dates written differently are the same date
+  assert.deepEqual(extractFacts('Due 1st January 2025.').dates, extractFacts('Due 2025-01-01.').dates);
+  assert.ok(extractFacts('the "Effective Date" applies').definedTerms.includes('effective date'));
+  // "No later than" is a deadline, not a negation
+  assert.equal(extractFacts('Notice is due no later than 30 days after.').negated, false);
+});
+
+test('a faithful rewording passes', () => {
+  const result = checkVariant(CLAUSE, VARIANT);
+  assert.deepEqual(result.reasons, []);
+  assert.equal(result.passed, true);
+});
+
+test('each changed fact is a reason', () => {
+  const cases = [
+    [VARIANT.replace('$1,500', '$1,800'), 'numbers'],
+    [VARIANT.replace('January 1, 2025', 'February 1, 2025'), 'dates'],
+    [VARIANT.replace(/the Landlord/, 'the owner'), 'defined_terms'],
+    [VARIANT.replace('may not', 'may'), 'negation']
+  ];
+  for (const [variant, reason] of cases) {
+    const result = checkVariant(CLAUSE, variant);
+    assert.equal(result.passed, false, reason);
+    assert.deepEqual(result.reasons, [reason]);
+  }
+  assert.deepEqual(checkVariant(CLAUSE, VARIANT.replace('$1,500', '$1,800')).details.missingNumbers, ['1500']);
+});
+
+test('copies, unrelated text and length are checked against the thresholds', () => {
+  assert.ok(checkVariant(CLAUSE, CLAUSE).reasons.includes('too_similar'));
+  assert.ok(checkVariant(CLAUSE, 'Weather reports arrive weekly from coastal stations nearby.').reasons.includes('unrelated'));
+
+  const short = checkVariant(CLAUSE, 'Tenant pays.');
+  assert.ok(short.reasons.includes('length_ratio'));
+  assert.ok(short.details.lengthRatio < 0.5);
+
+  // Thresholds are options
+  assert.ok(!checkVariant(CLAUSE, CLAUSE, { maxOverlap: 1 }).reasons.includes('too_similar'));
+});
+
+test('the judge\'s verdicts are matched to variants by index', () => {
+  const verdicts = parseJudgement({
+    results: [
+      { index: 2, faithful: false, reason: ' changes the amount ' },
+      { index: 1, faithful: true },
+      { index: 7, faithful: true },
+      { index: 3, faithful: 'yes' }
+    ]
+  }, 3);
+  assert.deepEqual(verdicts, [
+    { faithful: true, reason: '' },
+    { faithful: false, reason: 'changes the amount' },
+    null
+  ]);
+  // A bare array without indexes is read in order
+  assert.deepEqual(parseJudgement([{ faithful: true }], 2), [{ faithful: true, reason: '' }, null]);
+});
@@ -0,0 +1,156 @@
+// tests/unit/formatters.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getFormatter,
+  formatRecords,
+  formatSplits,
+  validateDataset,
+  parseSplitRatios,
+  splitRecords
+} = require('../../src/lib/formatters');
+const { getUseCase } = require('../../src/lib/useCases');
+const { countTokens } = require('../../src/lib/costs');
+
+const useCase = getUseCase('rewriter-legal');
+
+function clause(i, classification = 'Payment') {
+  return {
+    text: `The tenant shall pay rent of ${i} dollars.`,
+    classification,
+    variants: [`Rent of ${i} dollars is payable by the tenant.`, `The tenant pays ${i} dollars in rent.`]
+  };
+}
+
+const RECORDS = [
+  ...Array.from({ length: 30 }, (_, i) => clause(i, 'Payment')),
+  ...Array.from({ length: 10 }, (_, i) => clause(i + 100, 'Termination'))
+];
+
+test('each chat format writes one valid line per variant', () => {
+  for (const format of ['openai', 'mistral', 'claude', 'falcon']) {
+    const { output, lineCount, invalidLines } = formatRecords(RECORDS.slice(0, 2), format, useCase);
+    assert.equal(lineCount, 4, format);
+    assert.equal(invalidLines, 0, format);
+    for (const line of output.split('\n')) {
+      assert.deepEqual(getFormatter(format).validate(JSON.parse(line)), [], format);
+    }
+  }
+
+  const [openai] = formatRecords([clause(1)], 'openai', useCase).output.split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(openai.messages.map(m => m.role), ['system', 'user', 'assistant']);
+  assert.equal(openai.messages[1].content, clause(1).text);
+
+  // Claude takes the system prompt as a top-level field
+  const [claude] = formatRecords([clause(1)], 'anthropic', useCase).output.split('\n').map(line => JSON.parse(line));
+  assert.equal(typeof claude.system, 'string');
+  assert.deepEqual(claude.messages.map(m => m.role), ['user', 'assistant']);
+
+  const [falcon] = formatRecords([clause(1)], 'falcon', useCase).output.split('\n').map(line => JSON.parse(line));
+  assert.match(falcon.text, /\nUser: The tenant shall pay rent of 1 dollars\.\nFalcon: Rent of 1 dollars/);
+});
+
+test('lines that fail the schema are dropped and counted', () => {
+  const records = [clause(1), { ...clause(2), variants: ['   '] }];
+  const { output, lineCount, invalidLines, errors } = formatRecords(records, 'mistral', useCase);
+  assert.equal(lineCount, 2);
+  assert.equal(invalidLines, 1);
+  assert.match(errors[0], /^mistral: messages\[2\]\.content must be a non-empty string/);
+  assert.equal(output.split('\n').length, 2);
+});
+
+test('csv rows are quoted and json is one array', () => {
+  const record = { text: 'The "Tenant" shall pay.', classification: 'Payment', variants: ['Pays, monthly.'] };
+  assert.equal(
+    formatRecords([record], 'csv', useCase).output,
+    'input,classification,output\n"The ""Tenant"" shall pay.","Payment","Pays, monthly."'
+  );
+  assert.deepEqual(JSON.parse(formatRecords([record], 'json', useCase).output), [record]);
+});
+
+test('an unknown format names the available ones', () => {
+  assert.equal(getFormatter('OpenAI').id, 'openai-jsonl');
+  assert.throws(() => getFormatter('parquet'), /Unknown output format "parquet"\. Available formats: jsonl, json, csv, openai-jsonl/);
+});
+
+test('dataset validation reports broken lines, turn order, duplicates and length', () => {
+  const good = JSON.stringify({ messages: [{ role: 'user', content: 'Q' }, { role: 'assistant', content: 'A' }] });
+  const reversed = JSON.stringify({ messages: [{ role: 'assistant', content: 'A' }, { role: 'user', content: 'Q' }, { role: 'assistant', content: 'A' }] });
+  const long = JSON.stringify({ messages: [{ role: 'user', content: 'x'.repeat(400) }, { role: 'assistant', content: 'A' }] });
+  const content = [good, '{not json', good, reversed, long].join('\n');
+
+  const report = validateDataset(content, 'openai', { maxTokens: 50 });
+  assert.equal(report.valid, false);
+  assert.equal(report.examples, 4);
+  const codes = [...new Set(report.issues.map(issue => `${issue.line}:${issue.code}`))];
+  assert.deepEqual(codes, ['2:invalid_json', '3:duplicate', '4:role_order', '5:too_long']);
+  assert.equal(report.stats.tokens.overLimit, 1);
+
+  assert.equal(validateDataset('', 'openai').issues[0].code, 'empty_file');
+
+  // Lengths are counted with the model's tokenizer, not characters
+  const question = 'Is a deposit of 1,250.00 USD refundable under clause 14.3(b)(ii)?';
+  const example = JSON.stringify({ messages: [{ role: 'user', content: question }, { role: 'assistant', content: 'No.' }] });
+  const counted = validateDataset(example, 'openai', { model: 'gpt-4o-mini' }).stats.tokens.max;
+  assert.equal(counted, countTokens(question, 'gpt-4o-mini') + countTokens('No.', 'gpt-4o-mini') + 2 * 4);
+  assert.notEqual(counted, Math.ceil(question.length / 4) + 1 + 2 * 4);
+
+  // What the formatters write passes for its own format
+  for (const format of ['openai', 'mistral', 'claude', 'falcon', 'csv']) {
+    assert.equal(validateDataset(formatRecords(RECORDS.slice(0, 2), format, useCase).output, format).valid, true, format);
+  }
+});
+
+test('split ratios are parsed from strings, arrays and objects', () => {
+  assert.deepEqual(parseSplitRatios('80/10/10'), { train: 0.8, validation: 0.1, test: 0.1 });
+  assert.deepEqual(parseSplitRatios([3, 1]), { train: 0.75, validation: 0.25 });
+  assert.deepEqual(parseSplitRatios({ train: 8, test: 2 }), { train: 0.8, test: 0.2 });
+  assert.equal(parseSplitRatios(''), null);
+  assert.equal(parseSplitRatios(undefined), null);
+
+  for (const value of ['100', '80/-10/30', 'a/b', '0/0', [1, 1, 1, 1]]) {
+    assert.throws(() => parseSplitRatios(value), /Invalid split ratios/, JSON.stringify(value));
+  }
+});
+
+test('splits are the same for a seed, differ across seeds and keep to the ratios', () => {
+  const ratios = parseSplitRatios('80/10/10');
+  const names = (splits) => Object.fromEntries(Object.entries(splits).map(([name, records]) => [name, records.map(r => r.text)]));
+
+  const first = splitRecords(RECORDS, ratios, { seed: 'run-1' });
+  assert.deepEqual(names(splitRecords(RECORDS, ratios, { seed: 'run-1' })), names(first));
+  // The same split whatever order the records come in
+  assert.deepEqual(
+    names(splitRecords([...RECORDS].reverse(), ratios, { seed: 'run-1' })),
+    Object.fromEntries(Object.entries(names(first)).map(([name, texts]) => [name, [...texts].reverse()]))
+  );
+  assert.notDeepEqual(names(splitRecords(RECORDS, ratios, { seed: 'run-2' })), names(first));
+
+  // Stratified: 30 Payment clauses go 24/3/3 and 10 Termination ones 8/1/1
+  const count = (records, classification) => records.filter(r => r.classification === classification).length;
+  assert.deepEqual(['train', 'validation', 'test'].map(name => count(first[name], 'Payment')), [24, 3, 3]);
+  assert.deepEqual(['train', 'validation', 'test'].map(name => count(first[name], 'Termination')), [8, 1, 1]);
+});
+
+test('records from the same original text stay in one split', () => {
+  // A clause and a case variant of it, plus one record per variant
+  const records = RECORDS.flatMap(record => [record, { ...record, text: record.text.toUpperCase() }]);
+  const splits = splitRecords(records, parseSplitRatios('50/50'), { seed: 'groups' });
+
+  const splitOf = new Map();
+  for (const [name, members] of Object.entries(splits)) {
+    for (const record of members) {
+      const key = record.text.toLowerCase();
+      assert.ok(!splitOf.has(key) || splitOf.get(key) === name, `${key} is in two splits`);
+      splitOf.set(key, name);
+    }
+  }
+});
+
+test('formatted splits count their records and classifications', () => {
+  const splits = formatSplits(RECORDS, 'openai', useCase, parseSplitRatios('80/20'), { seed: 'run-1' });
+  assert.equal(splits.train.recordCount + splits.validation.recordCount, RECORDS.length);
+  assert.deepEqual(splits.validation.classificationCounts, { Payment: 6, Termination: 2 });
+  assert.equal(splits.validation.lineCount, 16);
+});
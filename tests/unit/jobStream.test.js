@@ -0,0 +1,100 @@
+// tests/unit/jobStream.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createJiti } = require('jiti');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SRC = path.join(ROOT, 'src');
+const API = path.join(SRC, 'app', 'api');
+
+process.env.JOB_STREAM_SECRET = 'test-stream-secret';
+
+// Firebase is replaced before the routes are loaded: ID tokens in USERS
+// verify as that user, any other token fails verification
+const USERS = { 'id-token-1': 'user-1', 'id-token-2': 'user-2' };
+const JOBS = {
+  'job-1': { status: 'completed', userId: 'user-1', updatedAt: 1 },
+  'job-anon': { status: 'completed', userId: null, updatedAt: 1 }
+};
+
+function stub(filename, exports) {
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+stub(require.resolve(path.join(SRC, 'lib', 'firebase.js')), { getFirebaseApp: () => null });
+stub(require.resolve(path.join(SRC, 'lib', 'firebase-admin.js')), {
+  initializeAdminApp: async () => ({}),
+  getAdminFirestore: async () => null
+});
+stub(require.resolve('firebase-admin/auth'), {
+  getAuth: () => ({
+    verifyIdToken: async (token) => {
+      if (USERS[token]) return { uid: USERS[token], email: `${USERS[token]}@example.com` };
+      throw new Error('invalid token');
+    }
+  })
+});
+stub(require.resolve(path.join(API, 'process-document', 'services', 'jobQueue.js')), {
+  getJobStatus: async (jobId) => JOBS[jobId] || null
+});
+
+const jiti = createJiti(__filename, { alias: { '@': SRC } });
+const load = (file) => jiti.import(path.join(API, file));
+
+function issue(jobId, idToken) {
+  const headers = idToken ? { Authorization: `Bearer ${idToken}` } : {};
+  return load('jobs/[jobId]/stream-token/route.js').then(({ POST }) =>
+    POST(new Request(`http://localhost/api/jobs/${jobId}/stream-token`, { method: 'POST', headers }), { params: Promise.resolve({ jobId }) })
+  );
+}
+
+function stream(jobId, query = '') {
+  return load('jobs/[jobId]/events/route.js').then(({ GET }) =>
+    GET(new Request(`http://localhost/api/jobs/${jobId}/events${query}`), { params: Promise.resolve({ jobId }) })
+  );
+}
+
+test('stream tokens are for one job and expire', async () => {
+  const { issueStreamToken, verifyStreamToken, STREAM_TOKEN_TTL_MS } = await load('process-document/services/streamTokens.js');
+  const { streamToken, expiresAt } = issueStreamToken('job-1', 'user-1', 1000);
+
+  assert.equal(expiresAt, 1000 + STREAM_TOKEN_TTL_MS);
+  assert.equal(verifyStreamToken(streamToken, 'job-1', 2000), 'user-1');
+  assert.equal(verifyStreamToken(streamToken, 'job-2', 2000), null);
+  assert.equal(verifyStreamToken(streamToken, 'job-1', expiresAt), null);
+
+  // The claims cannot be changed without the signature
+  const [, signature] = streamToken.split('.');
+  const forged = Buffer.from(JSON.stringify({ jobId: 'job-1', uid: 'user-2', exp: expiresAt })).toString('base64url');
+  assert.equal(verifyStreamToken(`${forged}.${signature}`, 'job-1', 2000), null);
+  assert.equal(verifyStreamToken('not-a-token', 'job-1', 2000), null);
+});
+
+test('a stream token is only issued for a verified ID token', async () => {
+  assert.equal((await issue('job-1')).status, 401);
+  assert.equal((await issue('job-1', 'expired')).status, 401);
+
+  const response = await issue('job-1', 'id-token-1');
+  assert.equal(response.status, 200);
+  const { streamToken } = await response.json();
+  assert.doesNotMatch(streamToken, /id-token-1/);
+});
+
+test('the stream opens with a stream token for the job, never an ID token in the URL', async () => {
+  const own = (await (await issue('job-1', 'id-token-1')).json()).streamToken;
+  const other = (await (await issue('job-1', 'id-token-2')).json()).streamToken;
+  const otherJob = (await (await issue('job-anon', 'id-token-1')).json()).streamToken;
+
+  const response = await stream('job-1', `?streamToken=${own}`);
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /^event: completed\n/);
+
+  assert.equal((await stream('job-1', `?streamToken=${other}`)).status, 403);
+  assert.equal((await stream('job-1', `?streamToken=${otherJob}`)).status, 401);
+  assert.equal((await stream('job-1', '?authToken=id-token-1')).status, 401);
+  assert.equal((await stream('job-1')).status, 401);
+
+  // Jobs without a user stream to anyone
+  assert.equal((await stream('job-anon')).status, 200);
+});
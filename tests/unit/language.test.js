@@ -0,0 +1,69 @@
+// tests/unit/language.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getLanguage,
+  detectLanguage,
+  resolveLanguage,
+  languageFields,
+  tesseractLanguages
+} = require('../../src/lib/language');
+
+const ENGLISH = 'The tenant shall pay the rent to the landlord by the first day of each month, and any late payment will be subject to a fee.';
+const SPANISH = 'El arrendatario deberá pagar la renta al arrendador el primer día de cada mes, y cualquier pago tardío estará sujeto a un cargo por los días de retraso.';
+const FRENCH = 'Le locataire doit payer le loyer au bailleur le premier jour de chaque mois, et tout retard de paiement est soumis à des frais pour les jours de retard.';
+
+test('the language of a text is detected from its stopwords', () => {
+  assert.equal(detectLanguage(ENGLISH).code, 'en');
+  assert.equal(detectLanguage(SPANISH).code, 'es');
+  assert.equal(detectLanguage(FRENCH).code, 'fr');
+
+  const spanish = detectLanguage(SPANISH);
+  assert.equal(spanish.detected, true);
+  assert.equal(spanish.tesseract, 'spa');
+  assert.ok(spanish.confidence > 0.5 && spanish.confidence <= 1);
+});
+
+test('mixed text goes to the language most of it is in', () => {
+  const mixed = `${SPANISH} ${SPANISH} ${ENGLISH}`;
+  const result = detectLanguage(mixed);
+  assert.equal(result.code, 'es');
+  assert.ok(result.confidence < 1);
+});
+
+test('too few stopwords falls back to the default', () => {
+  for (const text of ['', 'Rent: $1,500', 'Invoice 42 Total 300', null]) {
+    assert.deepEqual(detectLanguage(text), { code: 'en', name: 'English', tesseract: 'eng', confidence: 0, detected: false });
+  }
+});
+
+test('only the start of a long text is read', () => {
+  // Spanish after the detection sample is not seen
+  const text = `${'Rent 1500 '.repeat(2500)}${SPANISH}`;
+  assert.equal(detectLanguage(text).detected, false);
+});
+
+test('a language is looked up by code, name or tesseract code', () => {
+  for (const value of ['es', 'Spanish', 'spa', ' SPANISH ']) {
+    assert.deepEqual(getLanguage(value), { code: 'es', name: 'Spanish', tesseract: 'spa' });
+  }
+  assert.throws(() => getLanguage('de'), /Unknown language "de"\. Available: en, es, fr/);
+});
+
+test('a chosen language overrides detection', () => {
+  assert.deepEqual(resolveLanguage(ENGLISH, 'fr'), { code: 'fr', name: 'French', tesseract: 'fra', confidence: 1, source: 'override' });
+  assert.equal(resolveLanguage(SPANISH).source, 'detected');
+  assert.equal(resolveLanguage('Total 300').source, 'default');
+
+  assert.deepEqual(languageFields(resolveLanguage(SPANISH, 'es')), {
+    language: 'es',
+    languageDetection: { name: 'Spanish', confidence: 1, source: 'override' }
+  });
+});
+
+test('OCR reads every supported language unless told which', () => {
+  assert.equal(tesseractLanguages(), 'eng+spa+fra');
+  assert.equal(tesseractLanguages(['fr']), 'fra');
+  assert.equal(tesseractLanguages(['es', 'en']), 'spa+eng');
+});
@@ -0,0 +1,67 @@
+// tests/unit/modelApiClient.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ModelApiClient = require('../../lib/ModelApiClient');
+const { parseRetryAfter } = ModelApiClient;
+
+const realFetch = global.fetch;
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+// Answer every request with the given status and headers, counting calls
+function stubFetch(status, headers = {}) {
+  const calls = [];
+  global.fetch = async (url) => {
+    calls.push(url);
+    return new Response(status === 200 ? '{"ok":true}' : '{"error":"slow down"}', { status, headers });
+  };
+  return calls;
+}
+
+const request = { url: 'https://api.example.test/v1', headers: {}, body: {} };
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter('0.5'), 500);
+
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  const ms = parseRetryAfter(inTenSeconds);
+  assert.ok(ms > 8000 && ms <= 10000, `expected about 10s, got ${ms}`);
+
+  assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+  assert.equal(parseRetryAfter(null), 5000);
+  assert.equal(parseRetryAfter('soon'), 5000);
+});
+
+test('send throws a 429 error with retryAfterMs once retries run out', async () => {
+  const calls = stubFetch(429, { 'Retry-After': '0' });
+  const client = new ModelApiClient({ maxRetries: 2, retryDelay: 1 });
+  const events = [];
+  client.onRateLimit(event => events.push(event));
+
+  await assert.rejects(client.send(request), (error) => {
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfterMs, 0);
+    return true;
+  });
+  assert.equal(calls.length, 2);
+  assert.deepEqual(events.map(event => event.type), ['throttled', 'throttled']);
+});
+
+test('send does not wait out Retry-After on the last attempt', async () => {
+  stubFetch(429, { 'Retry-After': new Date(Date.now() + 60000).toUTCString() });
+  const client = new ModelApiClient({ maxRetries: 1 });
+
+  const started = Date.now();
+  await assert.rejects(client.send(request), (error) => error.status === 429 && error.retryAfterMs > 50000);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('client errors are not retried', async () => {
+  const calls = stubFetch(400);
+  const client = new ModelApiClient({ maxRetries: 3, retryDelay: 1 });
+  await assert.rejects(client.send(request), (error) => error.status === 400);
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,145 @@
+// tests/unit/ocr.test.js
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A fake tesseract.js: workers record the images they read, and the
+// scheduler hands each job to the next worker, as the real one does with
+// idle workers
+const tesseract = {
+  workers: [],
+  failStart: 0,
+  createWorker: async (language, oem, options) => {
+    const worker = {
+      language,
+      options,
+      images: [],
+      terminated: false,
+      recognize: async (image) => {
+        worker.images.push(image);
+        return { data: { text: `text of ${image}`, confidence: image === 'blank' ? undefined : 91 } };
+      },
+      terminate: async () => { worker.terminated = true; }
+    };
+    tesseract.workers.push(worker);
+    if (tesseract.failStart > 0 && tesseract.workers.length === tesseract.failStart) {
+      throw new Error('traineddata failed to load');
+    }
+    return worker;
+  },
+  createScheduler: () => {
+    const workers = [];
+    let next = 0;
+    tesseract.scheduler = {
+      terminated: false,
+      addWorker: worker => workers.push(worker),
+      addJob: (action, image) => workers[next++ % workers.length][action](image),
+      terminate: async () => {
+        tesseract.scheduler.terminated = true;
+        await Promise.all(workers.map(worker => worker.terminate()));
+      }
+    };
+    return tesseract.scheduler;
+  }
+};
+const tesseractPath = require.resolve('tesseract.js');
+require.cache[tesseractPath] = { id: tesseractPath, filename: tesseractPath, loaded: true, exports: tesseract };
+
+const { OcrWorkerPool, assessPageText, ocrWeakPages } = require('../../src/lib/ocr');
+const { traineddataOptions } = require('../../src/lib/ocr/traineddata');
+
+// Local traineddata, so the pool does not download any
+const tessdata = fs.mkdtempSync(path.join(os.tmpdir(), 'tessdata-'));
+for (const file of ['eng.traineddata', 'spa.traineddata', 'fra.traineddata.gz']) {
+  fs.writeFileSync(path.join(tessdata, file), '');
+}
+process.env.TESSERACT_LANG_PATH = tessdata;
+after(() => fs.rmSync(tessdata, { recursive: true, force: true }));
+
+beforeEach(() => {
+  tesseract.workers = [];
+  tesseract.failStart = 0;
+  tesseract.scheduler = null;
+});
+
+test('the pool starts its workers once and spreads pages over them', async () => {
+  const pool = new OcrWorkerPool({ size: 3, language: 'eng+spa' });
+  const results = await Promise.all(['p1', 'p2', 'p3', 'p4', 'p5', 'p6'].map(image => pool.recognize(image)));
+
+  assert.equal(tesseract.workers.length, 3);
+  assert.deepEqual(tesseract.workers.map(worker => worker.images.length), [2, 2, 2]);
+  assert.equal(tesseract.workers[0].language, 'eng+spa');
+  assert.deepEqual(tesseract.workers[0].options, { langPath: tessdata, gzip: false, cacheMethod: 'none' });
+  assert.deepEqual(results[0], { text: 'text of p1', confidence: 91 });
+
+  // A result without a confidence counts as none
+  assert.deepEqual(await pool.recognize('blank'), { text: 'text of blank', confidence: 0 });
+
+  await pool.terminate();
+  assert.equal(tesseract.scheduler.terminated, true);
+  assert.ok(tesseract.workers.every(worker => worker.terminated));
+});
+
+test('a worker that fails to start stops the others and fails the pool', async () => {
+  tesseract.failStart = 2;
+  const pool = new OcrWorkerPool({ size: 3 });
+
+  await assert.rejects(pool.recognize('p1'), /traineddata failed to load/);
+  const started = tesseract.workers.filter((_, i) => i !== 1);
+  assert.ok(started.every(worker => worker.terminated));
+  assert.ok(tesseract.workers.every(worker => worker.images.length === 0));
+
+  // Terminating after the failed start, or twice, is safe
+  await pool.terminate();
+  await pool.terminate();
+});
+
+test('a pool that never started terminates without starting workers', async () => {
+  await new OcrWorkerPool({ size: 2 }).terminate();
+  assert.equal(tesseract.workers.length, 0);
+});
+
+test('traineddata comes from the configured directory, in one format', async () => {
+  assert.deepEqual(traineddataOptions('fra'), { langPath: tessdata, gzip: true, cacheMethod: 'none' });
+  assert.throws(() => traineddataOptions('deu'), /No traineddata for "deu"/);
+  assert.throws(() => traineddataOptions('eng+fra'), /mixes \.traineddata and \.traineddata\.gz/);
+  await assert.rejects(new OcrWorkerPool({ language: 'deu' }).start(), /No traineddata for "deu"/);
+  assert.equal(tesseract.workers.length, 0);
+
+  // The default ./tessdata is not downloaded into either
+  const cwd = process.cwd();
+  const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'no-tessdata-'));
+  delete process.env.TESSERACT_LANG_PATH;
+  process.chdir(empty);
+  try {
+    assert.throws(() => traineddataOptions('eng'), /No traineddata for "eng" in .*tessdata\. Add eng\.traineddata or eng\.traineddata\.gz, or set TESSERACT_LANG_PATH/);
+  } finally {
+    process.chdir(cwd);
+    process.env.TESSERACT_LANG_PATH = tessdata;
+    fs.rmSync(empty, { recursive: true, force: true });
+  }
+});
+
+test('page text is usable unless it is empty or garbage', () => {
+  assert.deepEqual(assessPageText('The tenant shall pay the landlord rent on the first day of each month.'), { usable: true, reason: null });
+  assert.equal(assessPageText('El arrendatario pagará la renta el primer día de cada mes.').usable, true);
+  assert.equal(assessPageText('  Page 3  ').reason, 'no_text');
+  assert.equal(assessPageText('�� ��� ▯▯▯ ▯▯ ��� ▯▯▯▯ ��� ▯▯ ��� ▯▯▯▯').reason, 'garbage_text');
+  assert.equal(assessPageText('aaaaaaaaaaaa the tenant shall pay rent monthly').reason, 'garbage_text');
+});
+
+test('only garbage pages and near-empty scanned pages need OCR', async () => {
+  const pages = [
+    { page: 1, text: 'The tenant shall pay the landlord rent on the first day of each month.' },
+    { page: 2, text: '�� ��� ▯▯▯ ▯▯ ��� ▯▯▯▯ ��� ▯▯ ��� ▯▯▯▯' },
+    { page: 3, text: '', hasImages: true },
+    { page: 4, text: '' }
+  ];
+  // With OCR off the weak pages keep their text layer and are marked skipped
+  const result = await ocrWeakPages(Buffer.alloc(0), pages, { ocr: false });
+  assert.deepEqual(result.pages.map(page => page.ocrSkipped || false), [false, true, true, false]);
+  assert.deepEqual(result.methods, { pdfjs: 2, ocr: 0, none: 2 });
+  assert.equal(result.ocr, null);
+});
@@ -0,0 +1,121 @@
+// tests/unit/pipeline.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SyntheticDataPipeline } = require('../../src/lib/SyntheticDataPipeline');
+const LegacyPipeline = require('../../lib/SyntheticDataPipeline');
+const { MockProvider } = require('../../src/lib/providers');
+const { registerChunker } = require('../../src/lib/chunking');
+
+// A lease with numbered sections, long enough for several chunks
+const LEASE = Array.from({ length: 12 }, (_, i) =>
+  `Section ${i + 1}. The tenant shall pay the landlord rent of ${i + 100} dollars on the first day of each month. ` +
+  `The landlord must repair the roof within ${i + 10} days of notice.`
+).join('\n\n');
+
+function createPipeline(options = {}) {
+  return new SyntheticDataPipeline({
+    provider: 'mock',
+    chunking: { maxTokens: 64, overlapTokens: 0 },
+    classFilter: 'all',
+    ...options
+  });
+}
+
+test('a chunk whose processing throws is counted as failed and left out of coverage', async () => {
+  const checkpoints = [];
+  const first = await createPipeline().processDocument(LEASE, { onCheckpoint: c => checkpoints.push(c) });
+  assert.ok(checkpoints.length > 1);
+  assert.equal(first.stats.coverage.failedChunks, 0);
+
+  // A corrupt checkpoint makes replaying its chunk throw
+  const corrupt = checkpoints.map(c => (c.chunkIndex === 1 ? { ...c, records: 'corrupt' } : c));
+  const resumed = await createPipeline().processDocument(LEASE, { checkpoints: corrupt });
+
+  assert.equal(resumed.stats.coverage.failedChunks, 1);
+  assert.equal(resumed.stats.coverage.processedChunks, checkpoints.length - 1);
+  assert.ok(resumed.stats.coverage.percent < 100);
+});
+
+test('reaching the clause limit stops model calls for chunks nobody will read', async () => {
+  const provider = new MockProvider();
+  const pipeline = createPipeline({ provider, concurrency: { chunks: 1 } });
+  const result = await pipeline.processDocument(LEASE, { maxClausesToProcess: 1 });
+
+  assert.equal(result.clauses.length, 1);
+  // The first chunk, and at most the one started while it was read, which
+  // stops before generating anything
+  const calls = (stage) => provider.calls.filter(call => call.stage === stage).length;
+  assert.ok(calls('extractor') <= 2, `${calls('extractor')} chunks extracted`);
+  assert.equal(calls('duplicator'), 1);
+});
+
+test('chunks are bounded by the token budget, not a fixed character count', async () => {
+  const provider = new MockProvider();
+  const text = LEASE.repeat(6);
+  assert.ok(text.length > 8000);
+  const pipeline = createPipeline({ provider, chunkSize: 4000, chunking: { strategy: 'length' } });
+  const result = await pipeline.processDocument(text, { maxClausesToProcess: 1 });
+
+  const prompt = provider.calls.find(call => call.stage === 'extractor').messages
+    .map(message => message.content).join('\n');
+  // The part of the document past the old 8000-character cut reaches the model
+  assert.ok(prompt.includes(text.slice(8000, 8200)));
+  assert.equal(result.stats.truncatedChunks, 0);
+});
+
+test('chunks over the token budget are cut and counted', async () => {
+  // A chunker that ignores the budget and returns the whole text
+  registerChunker('whole', class {
+    constructor() { this.text = ''; }
+    push(text) { this.text += text; return []; }
+    end() { return [{ text: this.text, start: 0, end: this.text.length, tokens: null }]; }
+  });
+  const provider = new MockProvider();
+  const pipeline = createPipeline({ provider, chunkSize: 64, chunking: { strategy: 'whole' } });
+
+  assert.equal(pipeline.estimateCost(LEASE).truncatedChunks, 1);
+
+  const result = await pipeline.processDocument(LEASE, { maxClausesToProcess: 1 });
+  assert.equal(result.stats.truncatedChunks, 1);
+  const prompt = provider.calls.find(call => call.stage === 'extractor').messages
+    .map(message => message.content).join('\n');
+  assert.ok(prompt.includes(LEASE.slice(0, 100)));
+  assert.ok(!prompt.includes(LEASE.slice(-100)));
+});
+
+test('a run\'s splits are the same for its split seed', async () => {
+  const run = async (splitSeed) => {
+    const result = await createPipeline().processDocument(LEASE, { split: '50/50', splitSeed, outputFormat: 'openai' });
+    return Object.fromEntries(Object.entries(result.splits).map(([name, split]) => [name, split.output]));
+  };
+
+  const first = await run('seed-1');
+  assert.ok(first.train && first.validation);
+  assert.deepEqual(await run('seed-1'), first);
+  // Another seed assigns at least one clause differently
+  const others = await Promise.all(['seed-2', 'seed-3', 'seed-4'].map(run));
+  assert.ok(others.some(other => other.train !== first.train));
+});
+
+test('the lib entry point and process() run the same engine as processDocument()', async () => {
+  assert.equal(LegacyPipeline, SyntheticDataPipeline);
+  assert.equal(LegacyPipeline.SyntheticDataPipeline, SyntheticDataPipeline);
+
+  const legacy = await new LegacyPipeline({ provider: 'mock', classFilter: 'all' }).process(LEASE, { outputFormat: 'openai' });
+  const current = await createPipeline().processDocument(LEASE, { outputFormat: 'openai' });
+  assert.ok(current.output);
+  assert.equal(legacy.output, current.output);
+});
+
+test('headers from PDF extraction name the sections clauses come from', async () => {
+  const text = 'Rent and deposits\nThe tenant shall pay rent of 100 dollars on the first day of each month.\n\n' +
+    'Repairs and upkeep\nThe landlord must repair the roof within 10 days of notice.';
+  const structure = { headers: [{ text: 'Rent and deposits', level: 1 }, { text: 'Repairs and upkeep', level: 1 }], sections: [] };
+
+  const plain = await createPipeline().processDocument(text);
+  assert.deepEqual(plain.clauses.map(clause => clause.sectionPath), [null, null]);
+
+  const guided = await createPipeline({ chunking: { maxTokens: 64, overlapTokens: 0, structure } }).processDocument(text);
+  assert.deepEqual(guided.clauses.map(clause => clause.sectionPath), ['Rent and deposits', 'Repairs and upkeep']);
+});
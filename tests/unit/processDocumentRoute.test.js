@@ -0,0 +1,91 @@
+// tests/unit/processDocumentRoute.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createJiti } = require('jiti');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ROUTE_DIR = path.join(ROOT, 'src', 'app', 'api', 'process-document');
+
+// The route's services are replaced before it is loaded, so it runs
+// without Firebase or a queue. Verified tokens give the user record, as
+// authenticateUser does; any other token throws.
+const USERS = {
+  'token-1': { uid: 'user-1', email: 'one@example.com', tokenVerified: true },
+  'token-2': { uid: 'user-2', email: 'two@example.com', tokenVerified: true }
+};
+const JOBS = { 'job-9': { userId: 'user-1', resumable: true } };
+const queued = [];
+
+function stub(file, exports) {
+  const filename = require.resolve(path.join(ROUTE_DIR, file));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+stub('services/auth.js', {
+  authenticateUser: async (token) => {
+    if (USERS[token]) return USERS[token];
+    throw new Error('Authentication failed: invalid token');
+  },
+  authorizeJobAccess: async () => ({ allowed: true })
+});
+stub('services/jobQueue.js', {
+  enqueueTextJob: async (jobId, text, options, meta) => { queued.push({ jobId, ...meta }); },
+  enqueueDocumentJob: async () => {},
+  waitForJob: async () => null,
+  updateJobStatus: async () => {},
+  getJobStatus: async () => null,
+  getWorkerStatus: () => ({ activeJobs: 0 })
+});
+stub('services/checkpoints.js', {
+  loadJobCheckpoints: async (jobId) => ({ job: JOBS[jobId] || null, checkpoints: [] })
+});
+for (const file of ['utils/storage.js', 'services/document.js', 'services/progress.js', 'services/statusUpdate.js', 'services/errorHandler.js']) {
+  stub(file, {});
+}
+
+const jiti = createJiti(__filename, { alias: { '@': path.join(ROOT, 'src') } });
+const loadRoute = () => jiti.import(path.join(ROUTE_DIR, 'route.js'));
+
+function post(body, token) {
+  const headers = { 'content-type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return new Request('http://localhost/api/process-document', { method: 'POST', headers, body: JSON.stringify(body) });
+}
+
+beforeEach(() => {
+  queued.length = 0;
+});
+
+test('a text job from a verified user is queued under their uid', async () => {
+  const { POST } = await loadRoute();
+  const response = await POST(post({ text: 'The tenant shall pay rent monthly.', options: { jobId: 'job-1' } }, 'token-1'));
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).status, 'queued');
+  assert.deepEqual(queued.map(job => [job.jobId, job.userId]), [['job-1', 'user-1']]);
+});
+
+test('a text job with a bad token is refused, one without a token is anonymous', async () => {
+  const { POST } = await loadRoute();
+  const refused = await POST(post({ text: 'The tenant shall pay rent monthly.' }, 'expired'));
+  assert.equal(refused.status, 401);
+  assert.equal(queued.length, 0);
+
+  const anonymous = await POST(post({ text: 'The tenant shall pay rent monthly.' }));
+  assert.equal(anonymous.status, 200);
+  assert.equal(queued[0].userId, null);
+});
+
+test('only the job\'s owner resumes it, and a bad token is a 401', async () => {
+  const { POST } = await loadRoute();
+  const resume = { action: 'resume', jobId: 'job-9', text: 'The tenant shall pay rent monthly.' };
+
+  assert.equal((await POST(post(resume, 'expired'))).status, 401);
+  assert.equal((await POST(post(resume, 'token-2'))).status, 403);
+  assert.equal(queued.length, 0);
+
+  const response = await POST(post(resume, 'token-1'));
+  assert.equal(response.status, 200);
+  assert.deepEqual(queued.map(job => [job.jobId, job.userId, job.resume]), [['job-9', 'user-1', true]]);
+});
@@ -0,0 +1,101 @@
+// tests/unit/providers.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  AnthropicProvider,
+  BaseProvider,
+  FixtureStore,
+  MockProvider,
+  createProvider,
+  parseJsonContent,
+  registerProvider,
+  resolveStageProviders
+} = require('../../src/lib/providers');
+
+function tmpFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'providers-')), name);
+}
+
+test('createProvider rejects unknown types and lists the available ones', () => {
+  assert.throws(() => createProvider('nope'), /Unknown LLM provider "nope"\. Available: .*mock/);
+});
+
+test('registerProvider adds a provider type', () => {
+  class EchoProvider extends BaseProvider {}
+  registerProvider('echo', EchoProvider);
+  assert.ok(createProvider({ type: 'echo', model: 'm' }) instanceof EchoProvider);
+});
+
+test('resolveStageProviders shares instances between stages with the same config', () => {
+  const stages = resolveStageProviders({
+    provider: 'mock',
+    providers: { classifier: { type: 'mock', model: 'judge-model' } }
+  });
+  assert.equal(stages.extractor.provider, stages.duplicator.provider);
+  assert.equal(stages.extractor.model, 'mock-model');
+  assert.equal(stages.classifier.model, 'judge-model');
+});
+
+test('parseJsonContent strips fences and surrounding prose', () => {
+  assert.deepEqual(parseJsonContent('```json\n{"a":1}\n```'), { a: 1 });
+  assert.deepEqual(parseJsonContent('Here you go: [1, 2] Thanks'), [1, 2]);
+  assert.throws(() => parseJsonContent('no json here'), /not valid JSON/);
+});
+
+test('AnthropicProvider moves system messages and prefills JSON requests', () => {
+  const provider = new AnthropicProvider({ apiKey: 'key' });
+  const request = provider.buildRequest({
+    model: 'claude',
+    messages: [{ role: 'system', content: 'Be terse.' }, { role: 'user', content: 'Hi' }],
+    json: true
+  });
+  assert.match(request.body.system, /Be terse\.[\s\S]*JSON/);
+  assert.deepEqual(request.body.messages.at(-1), { role: 'assistant', content: '{' });
+
+  const parsed = provider.parseResponse({
+    content: [{ type: 'text', text: '"ok":true}' }],
+    usage: { input_tokens: 3, output_tokens: 2 },
+    model: 'claude'
+  }, request);
+  assert.equal(parsed.content, '{"ok":true}');
+  assert.deepEqual(parsed.usage, { promptTokens: 3, completionTokens: 2 });
+});
+
+test('MockProvider answers deterministically and counts usage', async () => {
+  const provider = new MockProvider();
+  const params = { stage: 'classifier', messages: [{ role: 'user', content: 'The tenant shall pay rent.' }] };
+  const first = await provider.complete(params);
+  const second = await provider.complete(params);
+  assert.equal(first.content, second.content);
+  assert.equal(provider.getUsage().requests, 2);
+  assert.ok(first.usage.totalTokens > 0);
+});
+
+test('recorded fixtures replay under MockProvider, keyed without the model', async () => {
+  const file = tmpFile('fixtures.json');
+  const params = { stage: 'extractor', messages: [{ role: 'user', content: 'Extract' }], json: true };
+
+  const recording = createProvider({
+    type: 'record',
+    fixtures: file,
+    target: new MockProvider({ responder: () => ({ clauses: ['recorded'] }) })
+  });
+  await recording.complete({ ...params, model: 'ft:gpt-4o' });
+
+  const replay = new MockProvider({ fixtures: file, strict: true });
+  const result = await replay.complete({ ...params, model: 'mock-model' });
+  assert.deepEqual(result.json, { clauses: ['recorded'] });
+  assert.equal(new FixtureStore(file).get(params), '{"clauses":["recorded"]}');
+});
+
+test('strict replay fails on a fixture miss', async () => {
+  const replay = new MockProvider({ fixtures: tmpFile('empty.json'), strict: true });
+  await assert.rejects(
+    replay.complete({ stage: 'duplicator', messages: [{ role: 'user', content: 'new prompt' }] }),
+    /No recorded response for duplicator stage request/
+  );
+});
@@ -0,0 +1,166 @@
+// tests/unit/queue.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileQueue } = require('../../src/lib/queue/FileQueue');
+const { JOB_STATUS } = require('../../src/lib/queue/JobQueue');
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-test-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+let queues = 0;
+function createQueue(options = {}) {
+  return new FileQueue({ dir: path.join(root, String(++queues)), ...options });
+}
+
+// Lease and complete jobs one at a time, returning who got each turn. Leases
+// are spaced out so every user's last lease time is distinct.
+async function drain(queue) {
+  const order = [];
+  let job;
+  while ((job = await queue.lease('worker'))) {
+    order.push(job.payload.name);
+    await queue.complete(job.id, 'worker', null);
+    await delay(2);
+  }
+  return order;
+}
+
+test('users take turns within a priority', async () => {
+  const queue = createQueue();
+  for (const name of ['a1', 'a2', 'a3']) {
+    await queue.enqueue('process-document', { name }, { userId: 'alice', priority: 'interactive' });
+  }
+  for (const name of ['b1', 'b2']) {
+    await queue.enqueue('process-document', { name }, { userId: 'bob', priority: 'interactive' });
+  }
+
+  assert.deepEqual(await drain(queue), ['a1', 'b1', 'a2', 'b2', 'a3']);
+});
+
+test('interactive jobs run before batch jobs queued earlier', async () => {
+  const queue = createQueue();
+  await queue.enqueue('process-document', { name: 'batch' }, { userId: 'alice', priority: 'batch' });
+  await queue.enqueue('process-document', { name: 'upload' }, { userId: 'bob', priority: 'interactive' });
+
+  assert.deepEqual(await drain(queue), ['upload', 'batch']);
+});
+
+test('a user over their plan limit waits while other users run', async () => {
+  const queue = createQueue();
+  // maxConcurrent is the plan's limit, e.g. 2 for starter
+  for (const name of ['a1', 'a2', 'a3']) {
+    await queue.enqueue('process-document', { name }, { userId: 'alice', maxConcurrent: 2 });
+  }
+  await queue.enqueue('process-document', { name: 'b1' }, { userId: 'bob', maxConcurrent: 1 });
+
+  const first = await queue.lease('w1');
+  await delay(2);
+  const second = await queue.lease('w2');
+  await delay(2);
+  const third = await queue.lease('w3');
+  assert.deepEqual([first, second, third].map(job => job.payload.name), ['a1', 'b1', 'a2']);
+
+  // Alice has two jobs running and Bob none left: nothing to lease
+  assert.equal(await queue.lease('w4'), null);
+
+  await queue.complete(first.id, 'w1', null);
+  const fourth = await queue.lease('w4');
+  assert.equal(fourth.payload.name, 'a3');
+});
+
+test('a finished job can be queued again under its ID only with replace', async () => {
+  const queue = createQueue();
+  await queue.enqueue('process-text', { text: 'first' }, { jobId: 'job-1' });
+  await assert.rejects(
+    queue.enqueue('process-text', { text: 'again' }, { jobId: 'job-1', replace: true }),
+    /Job job-1 already exists/
+  );
+
+  const job = await queue.lease('worker');
+  await queue.complete(job.id, 'worker', { done: true });
+  await assert.rejects(queue.enqueue('process-text', { text: 'again' }, { jobId: 'job-1' }), /already exists/);
+
+  await queue.enqueue('process-text', { text: 'resumed' }, { jobId: 'job-1', replace: true });
+  const resumed = await queue.get('job-1');
+  assert.equal(resumed.status, JOB_STATUS.QUEUED);
+  assert.equal(resumed.attempts, 0);
+  assert.deepEqual(resumed.payload, { text: 'resumed' });
+  assert.equal(resumed.result, null);
+});
+
+test('a job whose lease expires goes to the next worker', async () => {
+  const queue = createQueue({ leaseMs: 200 });
+  await queue.enqueue('process-text', { name: 'job' }, { jobId: 'job-1' });
+
+  const first = await queue.lease('w1');
+  assert.equal(first.attempts, 1);
+  assert.equal(await queue.heartbeat('job-1', 'w1'), true);
+  assert.equal(await queue.lease('w2'), null);
+
+  await delay(250);
+  const second = await queue.lease('w2');
+  assert.equal(second.id, 'job-1');
+  assert.equal(second.attempts, 2);
+
+  // The first worker lost the job: its heartbeat and result are refused
+  assert.equal(await queue.heartbeat('job-1', 'w1'), false);
+  assert.equal(await queue.complete('job-1', 'w1', { done: true }), false);
+  assert.equal(await queue.complete('job-1', 'w2', { done: true }), true);
+  assert.deepEqual((await queue.get('job-1')).result, { done: true });
+});
+
+test('an expired lease on the last attempt dead-letters the job', async () => {
+  const queue = createQueue({ leaseMs: 200, maxAttempts: 1 });
+  await queue.enqueue('process-text', { name: 'job' }, { jobId: 'job-1' });
+  await queue.lease('w1');
+
+  await delay(250);
+  assert.equal(await queue.lease('w2'), null);
+  const job = await queue.get('job-1');
+  assert.equal(job.status, JOB_STATUS.DEAD);
+  assert.match(job.lastError.message, /Lease held by w1 expired/);
+});
+
+test('failed attempts back off, then dead-letter, and retry queues the job again', async () => {
+  const queue = createQueue({ backoffMs: 200, maxAttempts: 2 });
+  await queue.enqueue('process-text', { name: 'job' }, { jobId: 'job-1' });
+
+  await queue.lease('worker');
+  const failed = await queue.fail('job-1', 'worker', new Error('first'));
+  assert.equal(failed.status, JOB_STATUS.QUEUED);
+  assert.ok(failed.availableAt >= failed.updatedAt + 200);
+  // Not leasable until the backoff has passed
+  assert.equal(await queue.lease('worker'), null);
+
+  await delay(250);
+  const again = await queue.lease('worker');
+  assert.equal(again.attempts, 2);
+  const dead = await queue.fail('job-1', 'worker', new Error('second'));
+  assert.equal(dead.status, JOB_STATUS.DEAD);
+  assert.deepEqual(dead.errors.map(error => error.message), ['first', 'second']);
+  assert.equal(await queue.lease('worker'), null);
+
+  const retried = await queue.retry('job-1');
+  assert.equal(retried.status, JOB_STATUS.QUEUED);
+  assert.equal(retried.attempts, 0);
+  assert.equal((await queue.lease('worker')).attempts, 1);
+  // Only dead jobs are retried
+  assert.equal(await queue.retry('job-1'), null);
+});
+
+test('an error that is not retryable dead-letters on the first attempt', async () => {
+  const queue = createQueue({ backoffMs: 200 });
+  await queue.enqueue('process-text', { name: 'job' }, { jobId: 'job-1' });
+  await queue.lease('worker');
+
+  const error = Object.assign(new Error('Document not found'), { retryable: false });
+  const dead = await queue.fail('job-1', 'worker', error);
+  assert.equal(dead.status, JOB_STATUS.DEAD);
+  assert.equal(dead.attempts, 1);
+});
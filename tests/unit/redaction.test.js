@@ -0,0 +1,76 @@
+// tests/unit/redaction.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Redactor, luhnValid, placeholderLetters } = require('../../src/lib/redaction');
+
+function redact(text, options) {
+  const redactor = new Redactor(options);
+  return { text: redactor.redact(text), report: redactor.report(), redactor };
+}
+
+test('plain person names with a known given name are redacted', () => {
+  const { text } = redact('The lease was signed by John Smith and Mary J. O\'Neil on Monday.');
+  assert.equal(text, 'The lease was signed by [PERSON_A] and [PERSON_B] on Monday.');
+});
+
+test('names after a role are redacted even without a known given name', () => {
+  assert.equal(redact('The Tenant Pedro Alvarez shall pay rent.').text, 'The Tenant [PERSON_A] shall pay rent.');
+  assert.equal(redact('the employee Zoltan Kiss resigned').text, 'the employee [PERSON_A] resigned');
+});
+
+test('organizations, places and everyday words are not read as names', () => {
+  for (const text of [
+    'The Julia Smith Foundation donated.',
+    'Will Tenant renew the lease?',
+    'In May Payment is due.',
+    'The Buyer Acme Corp pays on delivery.',
+    'Landlord may enter the Premises.'
+  ]) {
+    assert.equal(redact(text).text, text);
+  }
+});
+
+test('honorific, labelled and defined-party names are redacted and learned', () => {
+  const { text } = redact('Acme Holdings, LLC ("Landlord") and Ms. Lee agree. Signed: Robert Brown. Later Acme Holdings, LLC and Lee met.');
+  assert.equal(text, '[PARTY_A] ("Landlord") and Ms. [PERSON_A] agree. Signed: [PERSON_B]. Later [PARTY_A] and [PERSON_A] met.');
+});
+
+test('the same value keeps its placeholder and the report has no original values', () => {
+  const { text, report } = redact('Email jane@corp.com or call (415) 555-2671. Jane again: jane@corp.com.');
+  assert.equal(text, 'Email [EMAIL_A] or call [PHONE_A]. Jane again: [EMAIL_A].');
+  assert.deepEqual(report.byType, { EMAIL: 2, PHONE: 1 });
+  assert.equal(JSON.stringify(report).includes('jane@corp.com'), false);
+});
+
+test('card numbers must pass the Luhn check', () => {
+  assert.equal(luhnValid('4111 1111 1111 1111'), true);
+  assert.equal(luhnValid('4111 1111 1111 1112'), false);
+  assert.equal(redact('Card 4111 1111 1111 1111, ref 4111 1111 1111 1112').text, 'Card [CARD_A], ref 4111 1111 1111 1112');
+});
+
+test('dictionary terms and type filters', () => {
+  assert.equal(redact('Project Falcon with Globex', { dictionary: ['Globex', { term: 'Project Falcon', type: 'code' }] }).text, '[CODE_A] with [PARTY_A]');
+  assert.equal(redact('John Smith, john@x.io', { types: ['EMAIL'] }).text, 'John Smith, [EMAIL_A]');
+});
+
+test('rehydrate swaps placeholders for surrogates in nested output', () => {
+  const { text, redactor } = redact('John Smith emailed john@x.io');
+  const output = redactor.rehydrate({ variants: [text] });
+  assert.deepEqual(output, { variants: ['Jordan Avery emailed contact1@example.com'] });
+});
+
+test('streams are redacted without splitting entities', async () => {
+  const redactor = new Redactor();
+  async function* pieces() {
+    yield 'Contact John ';
+    yield 'Smith\nat john@x.io\n';
+  }
+  let output = '';
+  for await (const piece of redactor.redactStream(pieces())) output += piece;
+  assert.equal(output, 'Contact [PERSON_A]\nat [EMAIL_A]\n');
+});
+
+test('placeholder letters run A..Z then AA', () => {
+  assert.deepEqual([0, 25, 26, 27].map(placeholderLetters), ['A', 'Z', 'AA', 'AB']);
+});